@@ -1,27 +1,79 @@
 // backend/index.js
 // CommonJS. Requires installed packages:
-// express, cors, multer, fs, path, mime-types, dotenv, axios, genkit, @genkit-ai/googleai, @google/generative-ai/server
+// express, cors, multer, fs, path, dotenv, genkit, @genkit-ai/googleai, @google/generative-ai/server
 
 const express = require("express");
+const mongoose = require("mongoose");
 const cors = require("cors");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
-const mime = require("mime-types");
+const crypto = require("crypto");
 const dotenv = require("dotenv");
-const axios = require("axios");
-const pdfParse = require("pdf-parse");
-const mammoth = require("mammoth");
-const { genkit } = require("genkit");
-const { googleAI } = require("@genkit-ai/googleai");
-const { GoogleAIFileManager } = require("@google/generative-ai/server");
-const { OAuth2Client } = require("google-auth-library");
 
 const connectDatabase = require("./database");
 const User = require("./models/User");
 const Standard = require("./models/Standard");
 const Requirement = require("./models/Requirement");
 const GeneratedSet = require("./models/GeneratedSet");
+const GenerationJob = require("./models/GenerationJob");
+const Revision = require("./models/Revision");
+const { createLlmProvider } = require("./library/llm");
+const { createJobQueue } = require("./library/jobs");
+const { createMailer } = require("./library/mailer");
+const {
+  extractFirstJson,
+  normalizeTestcaseForStore,
+  normalizeComplianceList,
+  toPromptText,
+  buildTextExtraction,
+  pageAtOffset,
+} = require("./library/helper");
+const {
+  extractLocalFile,
+  refreshExtraction,
+  getExtractedText,
+  extractionSummary,
+} = require("./library/documents");
+const { buildStandardsContext } = require("./library/generation");
+const { annotateCompliance, resolveComplianceReferences } = require("./library/compliance");
+const reports = require("./library/reports");
+const { EXPORT_FORMATS, exportGeneratedSet, exportGeneratedSetsZip } = require("./library/exporters");
+const { importTestcases } = require("./library/importers");
+const { AUTOMATION_TOOLS, generateAutomationScript } = require("./library/automation");
+const revisions = require("./library/revisions");
+const review = require("./library/review");
+const signatures = require("./library/signatures");
+const { recordAudit, withAuditTrail, verifyAuditChain, isAuditAdmin, buildAuditQuery } = require("./library/audit");
+const AuditEvent = require("./models/AuditEvent");
+const Project = require("./models/Project");
+const Organization = require("./models/Organization");
+const Invitation = require("./models/Invitation");
+const projects = require("./library/projects");
+const { authorize } = projects;
+const ApiKey = require("./models/ApiKey");
+const apiKeys = require("./library/apiKeys");
+const {
+  createAuthProviders,
+  findOrCreateUser,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  isEmailVerified,
+  createEmailVerification,
+  verifyEmailToken,
+} = require("./library/auth");
+const sessions = require("./library/sessions");
+const Session = require("./models/Session");
+const { decodeJwt } = require("./library/jwt");
+const jira = require("./library/jira");
+const jiraSync = require("./library/jiraSync");
+const jiraImport = require("./library/jiraImport");
+const requirementText = require("./library/requirementText");
+const requirementSplit = require("./library/requirementSplit");
+const requirementQuality = require("./library/requirementQuality");
+const requirementImpact = require("./library/requirementImpact");
+const { diffText } = require("./library/textDiff");
 
 dotenv.config();
 
@@ -40,25 +92,18 @@ const upload = multer({ storage });
 /* express */
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // requirement text can be posted as JSON (POST /requirements)
+  limit: process.env.JSON_BODY_LIMIT || "5mb",
+  // Jira webhook signatures are computed over the raw body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/jira/webhook")) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
-const oauthClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID || undefined);
-
-async function verifyGoogleCredential(idToken) {
-  if (!idToken) {
-    throw new Error("Missing Google credential");
-  }
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    throw new Error("GOOGLE_CLIENT_ID is not configured on the backend");
-  }
-
-  const ticket = await oauthClient.verifyIdToken({
-    idToken,
-    audience: process.env.GOOGLE_CLIENT_ID,
-  });
-  return ticket.getPayload();
-}
+/* sign-in providers (AUTH_PROVIDERS = google,oidc,local) */
+const authProviders = createAuthProviders();
 
 async function authenticate(req, res, next) {
   try {
@@ -68,137 +113,478 @@ async function authenticate(req, res, next) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    const payload = await verifyGoogleCredential(token);
-    if (!payload || !payload.sub) {
-      throw new Error("Invalid Google token payload");
+    // CI pipelines and scripts: "tcg_..." API keys instead of a session
+    if (apiKeys.isApiKeyToken(token)) {
+      const resolved = await apiKeys.resolveApiKey(token, req.ip);
+      if (!resolved.ok) return res.status(401).json({ error: resolved.error });
+      req.user = {
+        id: resolved.user._id.toString(),
+        googleId: resolved.user.googleId,
+        email: resolved.user.email,
+        name: resolved.user.name,
+      };
+      req.userDoc = resolved.user;
+      req.apiKey = resolved.key;
+      return next();
     }
 
-    let user = await User.findOne({ googleId: payload.sub });
-    const now = new Date();
-    if (!user) {
-      user = await User.create({
-        googleId: payload.sub,
-        email: payload.email,
-        name: payload.name || payload.email || "User",
-        picture: payload.picture,
-        lastLoginAt: now,
-      });
-    } else {
-      const updates = {};
-      if (payload.email && payload.email !== user.email) updates.email = payload.email;
-      if (payload.name && payload.name !== user.name) updates.name = payload.name;
-      if (payload.picture && payload.picture !== user.picture) updates.picture = payload.picture;
-      updates.lastLoginAt = now;
-      user.set(updates);
-      await user.save();
+    // everything else must be an access token issued by POST /auth/login, verified
+    // locally (no provider round trip, no write per request)
+    let claims = null;
+    try { claims = decodeJwt(token).payload; } catch (e) { /* not a JWT */ }
+    if (!sessions.isAccessToken(claims)) {
+      return res.status(401).json({ error: "Unauthorized", details: "Exchange the sign-in credential at POST /auth/login" });
     }
+    const { user, sessionId, provider } = await sessions.verifyAccessToken(token);
 
     req.user = {
       id: user._id.toString(),
       googleId: user.googleId,
+      provider,
       email: user.email,
       name: user.name,
     };
     req.userDoc = user;
+    req.sessionId = sessionId;
 
     return next();
   } catch (error) {
     console.error("Authentication failed:", error?.message || error);
-    if (String(error?.message || "").includes("GOOGLE_CLIENT_ID")) {
+    if (error?.code === "AUTH_CONFIG") {
       return res.status(500).json({ error: "Server configuration error", details: error.message });
     }
     return res.status(401).json({ error: "Unauthorized" });
   }
 }
 
-/* AI client init */
-const API_KEY = process.env.GEMINI_API_KEY;
-let ai = null;
-try {
-  if (genkit && googleAI) {
-    ai = genkit({
-      plugins: [
-        googleAI({ apiKey: API_KEY })
-      ],
-      model: googleAI.model(process.env.GEMINI_MODEL, { temperature: 0.2 })
-    });
-    console.log("genkit initialized");
-  } else {
-    console.warn("genkit/googleAI not available; ai client is null");
+// account and membership management needs an interactive sign-in, not an API key
+function interactiveOnly(req, res, next) {
+  if (req.apiKey) return res.status(403).json({ error: "Not available with API key authentication" });
+  return next();
+}
+
+// EventSource cannot set request headers, so streaming routes also accept ?access_token=
+function bearerFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
   }
-} catch (e) {
-  console.warn("AI init failed:", e?.message || e);
+  return next();
+}
+
+/* AI client init (LLM_PROVIDER = gemini | openai | replay); every call lands in the audit trail */
+const llm = withAuditTrail(createLlmProvider());
+
+// audit event on behalf of the signed-in user of a request
+function auditRequest(req, action, details = {}) {
+  const via = req.apiKey ? { apiKey: req.apiKey._id.toString() } : {};
+  return recordAudit(action, { user: req.userDoc, project: req.project, ...details, data: { ip: req.ip, ...via, ...(details.data || {}) } });
 }
 
-/* file manager */
-let fileManager = null;
-try {
-  if (GoogleAIFileManager) {
-    fileManager = new GoogleAIFileManager(API_KEY);
-    console.log("GoogleAIFileManager initialized");
+/* generation job worker (started once the database is connected) */
+const jobQueue = createJobQueue({ llm });
+
+/* account emails (MAIL_TRANSPORT_MODULE, see library/mailer) */
+const mailer = createMailer();
+
+async function uploadFileUsingProvider(localPath, originalName) {
+  if (!llm || typeof llm.uploadFile !== "function") {
+    throw new Error("LLM provider file upload not available");
   }
-} catch (e) {
-  console.warn("fileManager init failed:", e?.message || e);
+  return llm.uploadFile(localPath, originalName);
+}
+
+/* ------------------ AUTH providers ------------------ */
+
+/**
+ * GET /auth/providers
+ * Enabled sign-in providers and what the frontend needs to start each sign-in
+ * Response: [{ name: google|oidc|local, label, ...config }]
+ */
+app.get("/auth/providers", (req, res) => {
+  res.json(authProviders.publicConfig());
+});
+
+function localProviderOr404(res) {
+  const local = authProviders.get("local");
+  if (!local) res.status(404).json({ error: "Local sign-in is not enabled" });
+  return local;
+}
+
+// resolves to the mailer result ({ delivered, via, error? })
+function deliverEmailVerification(user, token) {
+  const base = String(process.env.APP_BASE_URL || "").replace(/\/$/, "");
+  return mailer.send({
+    kind: "email-verification",
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Confirm that ${user.email} is your address by opening this link:\n${base}/auth/local/verify-email?token=${token}\n\nThe link can be used once.`,
+  });
 }
 
-async function uploadFileUsingManager(localPath, originalName) {
-  if (!fileManager || typeof fileManager.uploadFile !== "function") {
-    throw new Error("fileManager.uploadFile not available");
+/**
+ * POST /auth/local/register
+ * Body: { email, password, name?, username? }
+ * Allowed when LOCAL_AUTH_ALLOW_SIGNUP=true, for the very first user of an install,
+ * and for emails with a pending project invitation.
+ * The account starts unverified: a one-time link is sent to the email, and until it is
+ * used the account cannot accept invitations and its ID tokens carry email_verified=false.
+ * Response: { idToken, expiresIn, user, emailVerified, verificationSent }
+ * (verificationSent is false when the email could not be sent; use the resend route)
+ */
+app.post("/auth/local/register", async (req, res) => {
+  try {
+    const local = localProviderOr404(res);
+    if (!local) return;
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const { password, name, username } = req.body || {};
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ error: "A valid email must be provided" });
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const allowed = process.env.LOCAL_AUTH_ALLOW_SIGNUP === "true" ||
+      !(await User.exists({})) ||
+      !!(await Invitation.exists({ email, status: "pending", expiresAt: { $gt: new Date() } }));
+    if (!allowed) return res.status(403).json({ error: "Self-registration is disabled; ask a project owner for an invitation" });
+    if (await User.exists({ email })) return res.status(409).json({ error: "An account with this email already exists" });
+    if (username && (await User.exists({ username: String(username).trim() }))) {
+      return res.status(409).json({ error: "Username already taken" });
+    }
+
+    const user = new User({
+      email,
+      name: typeof name === "string" && name.trim() ? name.trim() : email,
+      username: typeof username === "string" && username.trim() ? username.trim() : undefined,
+      passwordHash: await hashPassword(password),
+      passwordChangedAt: new Date(),
+    });
+    user.identities.push({ provider: "local", subject: user._id.toString(), email });
+    const verificationToken = createEmailVerification(user);
+    await user.save();
+    const delivery = await deliverEmailVerification(user, verificationToken);
+    await recordAudit("auth.registered", { user, data: { method: "local", ip: req.ip, verificationSent: delivery.delivered } });
+
+    res.status(201).json({
+      idToken: local.issueIdToken(user),
+      expiresIn: Number(process.env.LOCAL_ID_TOKEN_TTL_SECONDS) || 3600,
+      user: { id: user._id.toString(), email: user.email, name: user.name, username: user.username },
+      emailVerified: false,
+      verificationSent: delivery.delivered,
+    });
+  } catch (err) {
+    console.error("Local registration error:", err);
+    res.status(500).json({ error: "Registration failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/local/verify-email
+ * Body: { token } (from the link sent at registration)
+ */
+app.post("/auth/local/verify-email", async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body?.token);
+    if (!user) return res.status(400).json({ error: "Invalid or expired verification token" });
+    await recordAudit("auth.email.verified", { user, data: { ip: req.ip } });
+    res.json({ success: true, email: user.email });
+  } catch (err) {
+    console.error("Email verification error:", err);
+    res.status(500).json({ error: "Email verification failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/local/verify-email/resend
+ * Send a new verification link to the signed-in user's email (replaces the previous one).
+ */
+app.post("/auth/local/verify-email/resend", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.userDoc._id);
+    if (isEmailVerified(user)) return res.status(409).json({ error: "Email is already verified" });
+    const token = createEmailVerification(user);
+    await user.save();
+    const delivery = await deliverEmailVerification(user, token);
+    if (!delivery.delivered) {
+      return res.status(503).json({ error: "Unable to send the verification email", details: delivery.error || "no mail transport configured" });
+    }
+    await auditRequest(req, "auth.email.verification_sent", {});
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Resend email verification error:", err);
+    res.status(500).json({ error: "Unable to send the verification email", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/local/login
+ * Body: { login (email or username), password }
+ * Response: { idToken, expiresIn } — exchanged at POST /auth/login like a Google/OIDC ID token,
+ * or used to re-authenticate before signing
+ */
+app.post("/auth/local/login", async (req, res) => {
+  try {
+    const local = localProviderOr404(res);
+    if (!local) return;
+    const { login, email, password } = req.body || {};
+    let result;
+    try {
+      result = await local.login(login || email, password);
+    } catch (e) {
+      await recordAudit("auth.login.failed", { userEmail: String(login || email || ""), data: { method: "local", ip: req.ip } });
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    res.json({ idToken: result.idToken, expiresIn: result.expiresIn });
+  } catch (err) {
+    console.error("Local login error:", err);
+    res.status(500).json({ error: "Login failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/local/password
+ * Body: { currentPassword?, newPassword } (currentPassword required when one is set)
+ * Other sessions are revoked, and local ID tokens issued before the change can no
+ * longer be exchanged at /auth/login.
+ */
+app.post("/auth/local/password", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    if (!localProviderOr404(res)) return;
+    const { currentPassword, newPassword } = req.body || {};
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const user = await User.findById(req.userDoc._id).select("+passwordHash");
+    if (user.passwordHash && !(await verifyPassword(currentPassword || "", user.passwordHash))) {
+      return res.status(401).json({ error: "Current password is wrong" });
+    }
+    user.passwordHash = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    if (!user.identities.some((i) => i.provider === "local")) {
+      user.identities.push({ provider: "local", subject: user._id.toString(), email: user.email });
+    }
+    await user.save();
+    // sessions elsewhere were possibly opened with the old password
+    const revoked = await sessions.revokeUserSessions(user._id, "password changed", req.sessionId);
+    await auditRequest(req, "auth.password.changed", { data: { method: "local", revokedSessions: revoked } });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Unable to change password", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ AUTH sessions ------------------ */
+
+// profile refresh and login audit for a verified sign-in; resolves to the user
+async function signIn(identity, req) {
+  const { user, created, linked } = await findOrCreateUser(identity);
+  const updates = { lastLoginAt: new Date() };
+  // the account email follows the provider only when it verified the address
+  if (identity.email && identity.emailVerified && identity.email !== user.email &&
+      !(await User.exists({ email: identity.email, _id: { $ne: user._id } }))) {
+    updates.email = identity.email;
+  }
+  // a provider that verified the account's address proves ownership for local sign-in too
+  if (identity.emailVerified && (updates.email || user.email) === identity.email && !user.emailVerifiedAt) {
+    updates.emailVerifiedAt = new Date();
   }
-  const mimeType = mime.lookup(originalName) || "application/octet-stream";
-  const res = await fileManager.uploadFile(localPath, { mimeType, displayName: originalName });
-  return { res, mimeType };
+  if (identity.name && identity.name !== user.name) updates.name = identity.name;
+  if (identity.picture && identity.picture !== user.picture) updates.picture = identity.picture;
+  user.set(updates);
+  await user.save();
+  await recordAudit("auth.login", {
+    user,
+    data: { method: identity.provider, created, linked, ip: req.ip, userAgent: req.headers["user-agent"] },
+  });
+  return user;
+}
+
+function serializeSessionUser(user) {
+  return { id: user._id.toString(), email: user.email, name: user.name, picture: user.picture };
 }
 
+/**
+ * POST /auth/login
+ * Body: { credential (ID token from Google, the OIDC issuer or POST /auth/local/login) }
+ *    or { provider: "local", login, password }
+ * Response: { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresAt, sessionId, user }
+ * Send the access token as "Authorization: Bearer"; renew it with POST /auth/refresh.
+ */
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { credential, idToken, provider, login, password } = req.body || {};
+    let identity;
+    try {
+      if (provider === "local") {
+        const local = authProviders.get("local");
+        if (!local) return res.status(404).json({ error: "Local sign-in is not enabled" });
+        identity = await authProviders.verifyToken((await local.login(login, password)).idToken);
+      } else {
+        identity = await authProviders.verifyToken(credential || idToken);
+      }
+    } catch (e) {
+      if (e?.code === "AUTH_CONFIG") throw e;
+      await recordAudit("auth.login.failed", {
+        userEmail: provider === "local" ? String(login || "") : undefined,
+        data: { method: provider || "token", error: String(e.message || e), ip: req.ip },
+      });
+      return res.status(401).json({ error: "Sign-in failed", details: String(e.message || e) });
+    }
+
+    const user = await signIn(identity, req);
+    const tokens = await sessions.createSession(user, {
+      provider: identity.provider,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+    res.json({ ...tokens, user: serializeSessionUser(user) });
+  } catch (err) {
+    console.error("Login error:", err);
+    if (err?.code === "AUTH_CONFIG") {
+      return res.status(500).json({ error: "Server configuration error", details: err.message });
+    }
+    res.status(500).json({ error: "Login failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ * Rotates the refresh token: the old one stops working, and presenting it again
+ * revokes the session.
+ * Response: { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresAt }
+ */
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken must be provided" });
+    const result = await sessions.refreshSession(refreshToken, { ip: req.ip, userAgent: req.headers["user-agent"] });
+    if (!result.ok) {
+      if (result.reuse) {
+        await recordAudit("auth.refresh.reused", {
+          user: result.session.user,
+          data: { session: result.session._id.toString(), ip: req.ip, userAgent: req.headers["user-agent"] },
+        });
+      }
+      return res.status(401).json({ error: result.error });
+    }
+    res.json(result.tokens);
+  } catch (err) {
+    console.error("Refresh error:", err);
+    if (err?.code === "AUTH_CONFIG") {
+      return res.status(500).json({ error: "Server configuration error", details: err.message });
+    }
+    res.status(500).json({ error: "Refresh failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Body: { refreshToken?, all?: true }
+ * Revokes the session of the refresh token, or of the bearer access token; with
+ * all=true (bearer required) every session of the user.
+ */
+app.post("/auth/logout", async (req, res, next) => {
+  const { refreshToken, all } = req.body || {};
+  if (refreshToken && !all) {
+    try {
+      const session = await sessions.findSessionByRefreshToken(refreshToken);
+      // an unknown or already revoked session is logged out already
+      if (session && !session.revokedAt) {
+        await sessions.revokeSession(session, "logout");
+        await recordAudit("auth.logout", { user: session.user, data: { session: session._id.toString(), ip: req.ip } });
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("Logout error:", err);
+      return res.status(500).json({ error: "Logout failed", details: String(err.message || err) });
+    }
+  }
+  return next();
+}, authenticate, interactiveOnly, async (req, res) => {
+  try {
+    let revoked = 0;
+    if (req.body?.all) {
+      revoked = await sessions.revokeUserSessions(req.userDoc._id, "logout (all sessions)");
+    } else {
+      await sessions.revokeSession(req.sessionId, "logout");
+      revoked = 1;
+    }
+    await auditRequest(req, "auth.logout", { data: { session: req.sessionId, all: !!req.body?.all, revoked } });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Logout failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * The user's active sessions (current one flagged)
+ */
+app.get("/auth/sessions", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const list = await Session.find({
+      user: req.userDoc._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+    res.json(list.map((s) => sessions.sessionSummary(s, req.sessionId)));
+  } catch (err) {
+    console.error("Fetch sessions error:", err);
+    res.status(500).json({ error: "Unable to load sessions", details: String(err.message || err) });
+  }
+});
+
 /* ------------------ STANDARDS (keep existing) ------------------ */
 
 /**
  * POST /upload
  * Upload standard file in form-data field "standardFile"
  */
-app.post("/upload", authenticate, upload.single("standardFile"), async (req, res) => {
+app.post("/upload", authenticate, authorize("upload"), upload.single("standardFile"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
     const localPath = req.file.path;
     const originalName = req.file.originalname;
 
     let uploaded;
+    let fileUri;
     try {
-      const { res: uploadRes } = await uploadFileUsingManager(localPath, originalName);
-      uploaded = uploadRes;
+      ({ raw: uploaded, fileUri } = await uploadFileUsingProvider(localPath, originalName));
     } catch (sdkErr) {
-      console.error("Upload via fileManager failed:", sdkErr?.message || sdkErr);
+      console.error("Upload via LLM provider failed:", sdkErr?.message || sdkErr);
       return res.status(500).json({ error: "SDK upload failed", details: String(sdkErr?.message || sdkErr) });
     }
 
-    const fileUri =
-      uploaded?.file?.uri ||
-      uploaded?.file?.url ||
-      uploaded?.uri ||
-      uploaded?.name ||
-      uploaded?.resourceName ||
-      null;
+    // extract once while we still hold the local file
+    const extracted = await extractLocalFile(localPath, originalName);
 
     const user = req.userDoc;
-    let record = await Standard.findOne({ user: user._id, filename: originalName });
+    let record = await Standard.findOne({ project: req.project._id, filename: originalName });
     if (record) {
       record.fileUri = fileUri || null;
       record.uploadedAt = new Date();
       record.raw = uploaded;
+      record.extracted = extracted;
       await record.save();
     } else {
       record = await Standard.create({
         user: user._id,
+        project: req.project._id,
         filename: originalName,
         fileUri: fileUri || null,
         uploadedAt: new Date(),
         raw: uploaded,
+        extracted,
       });
     }
 
     try { fs.unlinkSync(localPath); } catch (e) { /* ignore */ }
 
-    res.json({ filename: record.filename, fileUri: record.fileUri });
+    await auditRequest(req, "standard.upload", {
+      data: { filename: record.filename, fileUri: record.fileUri, extraction: extractionSummary(record.extracted) },
+    });
+    res.json({ filename: record.filename, fileUri: record.fileUri, extraction: extractionSummary(record.extracted) });
   } catch (err) {
     console.error("Upload error:", err);
     res.status(500).json({ error: "Upload failed", details: String(err) });
@@ -209,9 +595,9 @@ app.post("/upload", authenticate, upload.single("standardFile"), async (req, res
  * GET /standards
  * Return map { filename: fileUri }
  */
-app.get("/standards", authenticate, async (req, res) => {
+app.get("/standards", authenticate, authorize("read"), async (req, res) => {
   try {
-    const records = await Standard.find({ user: req.userDoc._id })
+    const records = await Standard.find({ project: req.project._id })
       .sort({ filename: 1 })
       .select({ filename: 1, fileUri: 1 });
     const out = {};
@@ -225,14 +611,144 @@ app.get("/standards", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /standards/:filename/reextract
+ * Re-download the standard from its fileUri and refresh the cached extracted text
+ */
+app.post("/standards/:filename/reextract", authenticate, authorize("upload"), async (req, res) => {
+  try {
+    const record = await Standard.findOne({ project: req.project._id, filename: req.params.filename });
+    if (!record) return res.status(404).json({ error: "Standard not found" });
+    if (!record.fileUri) return res.status(400).json({ error: "Standard has no stored file to extract from" });
+
+    let extracted;
+    try {
+      extracted = await refreshExtraction(record, record.filename);
+    } catch (fetchErr) {
+      console.error("Standard re-extract download failed:", fetchErr?.message || fetchErr);
+      return res.status(502).json({ error: "Unable to download standard", details: String(fetchErr?.message || fetchErr) });
+    }
+
+    await auditRequest(req, "standard.reextract", {
+      data: { filename: record.filename, extraction: extractionSummary(extracted) },
+    });
+    res.json({ filename: record.filename, fileUri: record.fileUri, extraction: extractionSummary(extracted) });
+  } catch (err) {
+    console.error("Standard re-extract error:", err);
+    res.status(500).json({ error: "Re-extraction failed", details: String(err.message || err) });
+  }
+});
+
 /* ------------------ REQUIREMENTS (now file-upload based) ------------------ */
 
+// create a stable req_id
+function newRequirementId() {
+  return `REQ-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+}
+
+function serializeRequirement(doc) {
+  return {
+    req_id: doc.reqId,
+    title: doc.title,
+    source: doc.source || "upload",
+    format: doc.format,
+    sourceUrl: doc.sourceUrl,
+    fileUri: doc.fileUri,
+    jira: doc.jira?.key ? { key: doc.jira.key, url: doc.jira.url, status: doc.jira.status } : undefined,
+    version: doc.version || 1,
+    content: doc.content,
+    text: doc.extracted?.text || "",
+    extraction: extractionSummary(doc.extracted),
+    history: (doc.history || []).map((h) => ({
+      version: h.version,
+      title: h.title,
+      format: h.format,
+      originalName: h.originalName,
+      chars: (h.text || "").length,
+      contentHash: h.contentHash,
+      replacedByEmail: h.replacedByEmail,
+      replacedAt: h.replacedAt,
+      note: h.note,
+    })),
+    parentReqId: doc.parentReqId,
+    sourceRef: doc.sourceRef,
+    split: doc.split ? splitSummary(doc) : undefined,
+    quality: doc.quality ? qualitySummary(doc) : undefined,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// keep the current content in the history before a new version replaces it; returns the replaced version
+function pushRequirementVersion(requirement, user, note) {
+  const previousVersion = requirement.version || 1;
+  requirement.history.push({
+    version: previousVersion,
+    title: requirement.title,
+    format: requirement.format,
+    content: requirement.content,
+    text: requirement.extracted?.text || "",
+    contentHash: requirement.extracted?.contentHash,
+    originalName: requirement.originalName,
+    fileUri: requirement.fileUri,
+    replacedBy: user?._id,
+    replacedByEmail: user?.email,
+    replacedAt: new Date(),
+    note: typeof note === "string" && note.trim() ? note.trim() : undefined,
+  });
+  requirement.version = previousVersion + 1;
+  return previousVersion;
+}
+
+// propose child requirements from the document's extracted text; stored on the requirement
+function proposeRequirementSplit(requirement, options = {}) {
+  const proposal = requirementSplit.proposeSplit(requirement.extracted, { parentReqId: requirement.reqId, maxItems: options.maxItems });
+  requirement.split = {
+    ...(requirement.split?.toObject ? requirement.split.toObject() : requirement.split || {}),
+    status: "proposed",
+    contentHash: requirement.extracted?.contentHash,
+    items: proposal.items,
+    stats: proposal.stats,
+    proposedAt: new Date(),
+  };
+  return proposal;
+}
+
+function qualitySummary(doc) {
+  return {
+    score: doc.quality.score,
+    counts: doc.quality.counts,
+    model: !!doc.quality.model?.used,
+    analyzedAt: doc.quality.analyzedAt,
+    // the text changed after the analysis
+    stale: doc.quality.contentHash !== doc.extracted?.contentHash,
+  };
+}
+
+// rule-based analysis of a requirement's current text
+function analyzeRequirementRules(requirement) {
+  return requirementQuality.analyzeRequirementText(requirement.extracted?.text || "", {
+    acceptanceCriteria: requirement.jira?.acceptanceCriteria,
+  });
+}
+
+function splitSummary(doc) {
+  return {
+    status: doc.split.status,
+    count: (doc.split.items || []).length,
+    children: doc.split.children || [],
+    // the text changed after the proposal was made
+    stale: !!doc.split.contentHash && doc.split.contentHash !== doc.extracted?.contentHash,
+  };
+}
+
 /**
  * POST /requirements/upload
  * form-data: requirementFile
- * Response: { req_id, title, fileUri }
+ * Response: { req_id, title, fileUri, extraction, split? }
+ * split is set when the document looks like several requirements; see POST /requirements/:reqId/split.
  */
-app.post("/requirements/upload", authenticate, upload.single("requirementFile"), async (req, res) => {
+app.post("/requirements/upload", authenticate, authorize("upload"), upload.single("requirementFile"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
     const localPath = req.file.path;
@@ -240,40 +756,54 @@ app.post("/requirements/upload", authenticate, upload.single("requirementFile"),
     // optional: create title from filename (without extension)
     const title = req.body.title || originalName.replace(/\.[^/.]+$/, "");
 
+    // extract once while we still hold the local file; generation reads this text
+    const extracted = await extractLocalFile(localPath, originalName);
+
+    // the provider copy is optional once the text is stored locally
     let uploaded;
+    let fileUri;
     try {
-      const { res: uploadRes } = await uploadFileUsingManager(localPath, originalName);
-      uploaded = uploadRes;
+      ({ raw: uploaded, fileUri } = await uploadFileUsingProvider(localPath, originalName));
     } catch (sdkErr) {
-      console.error("Requirement upload via fileManager failed:", sdkErr?.message || sdkErr);
-      return res.status(500).json({ error: "SDK upload failed", details: String(sdkErr?.message || sdkErr) });
+      console.error("Requirement upload via LLM provider failed:", sdkErr?.message || sdkErr);
+      if (!extracted.text) {
+        return res.status(500).json({ error: "SDK upload failed", details: String(sdkErr?.message || sdkErr) });
+      }
     }
 
-    const fileUri =
-      uploaded?.file?.uri ||
-      uploaded?.file?.url ||
-      uploaded?.uri ||
-      uploaded?.name ||
-      uploaded?.resourceName ||
-      null;
-
-    // create a stable req_id
-    const reqId = `REQ-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const reqId = newRequirementId();
 
     const user = req.userDoc;
     const requirement = await Requirement.create({
       user: user._id,
+      project: req.project._id,
       reqId,
       title,
       originalName,
       fileUri: fileUri || null,
       uploadedAt: new Date(),
       raw: uploaded,
+      extracted,
     });
 
     try { fs.unlinkSync(localPath); } catch (e) { /* ignore */ }
 
-    res.json({ req_id: requirement.reqId, title: requirement.title, fileUri: requirement.fileUri });
+    // documents with several requirements get a split proposal to review
+    const proposal = proposeRequirementSplit(requirement);
+    if (proposal.items.length > 1) await requirement.save();
+    else requirement.split = undefined;
+
+    await auditRequest(req, "requirement.upload", {
+      requirementId: requirement.reqId,
+      data: { title, originalName, fileUri: requirement.fileUri, extraction: extractionSummary(requirement.extracted), splitProposed: proposal.items.length },
+    });
+    res.json({
+      req_id: requirement.reqId,
+      title: requirement.title,
+      fileUri: requirement.fileUri,
+      extraction: extractionSummary(requirement.extracted),
+      split: requirement.split ? splitSummary(requirement) : undefined,
+    });
   } catch (err) {
     console.error("Requirement upload error:", err);
     res.status(500).json({ error: "Requirement upload failed", details: String(err) });
@@ -282,16 +812,26 @@ app.post("/requirements/upload", authenticate, upload.single("requirementFile"),
 
 /**
  * GET /requirements
- * Response: { reqId: { id, title, fileUri } }
+ * Response: { reqId: { id, title, fileUri, source, format?, version, parentReqId?, children?, jira? } }
  */
-app.get("/requirements", authenticate, async (req, res) => {
+app.get("/requirements", authenticate, authorize("read"), async (req, res) => {
   try {
-    const records = await Requirement.find({ user: req.userDoc._id })
+    const records = await Requirement.find({ project: req.project._id })
       .sort({ createdAt: -1 })
-      .select({ reqId: 1, title: 1, fileUri: 1 });
+      .select({ reqId: 1, title: 1, fileUri: 1, source: 1, format: 1, version: 1, parentReqId: 1, "split.children": 1, "jira.key": 1, "jira.url": 1, "jira.status": 1 });
     const out = {};
     for (const doc of records) {
-      out[doc.reqId] = { id: doc.reqId, title: doc.title, fileUri: doc.fileUri };
+      out[doc.reqId] = {
+        id: doc.reqId,
+        title: doc.title,
+        fileUri: doc.fileUri,
+        source: doc.source || "upload",
+        format: doc.format,
+        version: doc.version || 1,
+        parentReqId: doc.parentReqId,
+        children: doc.split?.children?.length ? doc.split.children : undefined,
+        jira: doc.jira?.key ? { key: doc.jira.key, url: doc.jira.url, status: doc.jira.status } : undefined,
+      };
     }
     res.json(out);
   } catch (err) {
@@ -300,282 +840,855 @@ app.get("/requirements", authenticate, async (req, res) => {
   }
 });
 
-/* ------------------ TESTCASE GENERATION ------------------ */
-
 /**
- * POST /testcases
- * Body: { selectedRequirements: [reqId], selectedStandards: [standardFilename], promptOverride? }
- * Behavior:
- *  - For each selected requirement, call AI with requirement + selected standards media + instruction
- *  - Expect strict JSON array back with objects matching requested schema fields
- *  - Normalize and persist; return a summary (list of req entries and their generated testcases counts)
+ * POST /requirements
+ * Body: { content } (plain text, Markdown, HTML or a Confluence export) or { url } (page to fetch),
+ *   optional { title, format: "text" | "markdown" | "html" | "confluence" (default: detected) }
+ * The text is extracted and stored with the requirement; nothing is uploaded to the model provider.
  */
-// ensure audit dir exists
+app.post("/requirements", authenticate, authorize("upload"), async (req, res) => {
+  try {
+    const { content, url, format } = req.body || {};
+    if ((typeof content !== "string" || !content.trim()) && !url) return res.status(400).json({ error: "Send content or url" });
+    if (typeof content === "string" && content.trim() && url) return res.status(400).json({ error: "Send either content or url, not both" });
+    if (format !== undefined && !requirementText.REQUIREMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${requirementText.REQUIREMENT_FORMATS.join(", ")}` });
+    }
 
-async function downloadFileToBuffer(url, timeoutMs = 20000) {
-  const resp = await axios.get(url, {
-    responseType: "arraybuffer",
-    timeout: timeoutMs,
-    maxContentLength: 20 * 1024 * 1024
-  });
-  return Buffer.from(resp.data);
-}
+    let source = "text";
+    let raw = content;
+    let contentType = "";
+    let sourceUrl;
+    if (url) {
+      try {
+        ({ content: raw, contentType, url: sourceUrl } = await requirementText.fetchRequirementUrl(url));
+      } catch (err) {
+        console.error("requirement url fetch error:", err?.message || err);
+        return res.status(400).json({ error: "Unable to fetch the URL", details: String(err?.message || err) });
+      }
+      source = "url";
+    }
+
+    const parsed = requirementText.requirementTextFrom(raw, { format, contentType, filename: sourceUrl ? new URL(sourceUrl).pathname : "" });
+    if (!parsed.text) return res.status(400).json({ error: "No requirement text found in the content" });
+    const title = String(req.body.title || parsed.title || parsed.text.split("\n")[0]).trim().slice(0, 200);
+
+    const requirement = await Requirement.create({
+      user: req.userDoc._id,
+      project: req.project._id,
+      reqId: newRequirementId(),
+      title,
+      originalName: sourceUrl || undefined,
+      uploadedAt: new Date(),
+      source,
+      format: parsed.format,
+      content: raw,
+      sourceUrl,
+      extracted: buildTextExtraction(parsed.text, parsed.format),
+    });
+
+    await auditRequest(req, "requirement.created", {
+      requirementId: requirement.reqId,
+      data: { title, source, format: parsed.format, sourceUrl, extraction: extractionSummary(requirement.extracted) },
+    });
+    res.status(201).json(serializeRequirement(requirement));
+  } catch (err) {
+    console.error("Requirement create error:", err);
+    res.status(500).json({ error: "Requirement creation failed", details: String(err.message || err) });
+  }
+});
 
 /**
- * Extract text from Buffer depending on file type
+ * GET /requirements/:reqId
+ * The requirement with its extracted text and the list of earlier versions.
  */
-async function extractTextFromBuffer(buffer, contentType = "", filename = "") {
-  const ext = (filename || "").toLowerCase();
+app.get("/requirements/:reqId", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    res.json(serializeRequirement(requirement));
+  } catch (err) {
+    console.error("Fetch requirement error:", err);
+    res.status(500).json({ error: "Unable to load requirement", details: String(err.message || err) });
+  }
+});
 
+/**
+ * PUT /requirements/:reqId
+ * Body: { content?, title?, format?, note? }
+ * Edit a text requirement (created with POST /requirements). The previous title and
+ * content are kept in its history and the version number goes up.
+ */
+app.put("/requirements/:reqId", authenticate, authorize("upload"), async (req, res) => {
   try {
-    if (contentType.includes("pdf") || ext.endsWith(".pdf")) {
-      const data = await pdfParse(buffer);
-      return data.text;
+    const { content, title, format, note } = req.body || {};
+    if (content !== undefined && (typeof content !== "string" || !content.trim())) {
+      return res.status(400).json({ error: "content must be non-empty text" });
     }
-    if (contentType.includes("word") || ext.endsWith(".docx")) {
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value;
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return res.status(400).json({ error: "title must be non-empty text" });
     }
-    if (contentType.startsWith("text") || ext.endsWith(".txt") || ext.endsWith(".md")) {
-      return buffer.toString("utf8");
+    if (format !== undefined && !requirementText.REQUIREMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${requirementText.REQUIREMENT_FORMATS.join(", ")}` });
     }
 
-    // Fallbacks
-    try {
-      const pdf = await pdfParse(buffer);
-      if (pdf.text.trim()) return pdf.text;
-    } catch (_) {}
-    try {
-      const docx = await mammoth.extractRawText({ buffer });
-      if (docx.value.trim()) return docx.value;
-    } catch (_) {}
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    if (!["text", "url"].includes(requirement.source)) {
+      return res.status(409).json({ error: `Only text requirements can be edited (this one is ${requirement.source || "upload"})` });
+    }
 
-    return buffer.toString("utf8").slice(0, 5000);
+    const nextFormat = format || requirement.format || "text";
+    const nextContent = content !== undefined ? content : requirement.content;
+    const parsed = requirementText.requirementTextFrom(nextContent, { format: nextFormat });
+    if (!parsed.text) return res.status(400).json({ error: "No requirement text found in the content" });
+    const nextTitle = title !== undefined ? title.trim().slice(0, 200) : requirement.title;
+    const extracted = buildTextExtraction(parsed.text, parsed.format);
+    if (extracted.contentHash === requirement.extracted?.contentHash && nextTitle === requirement.title) {
+      return res.json({ success: true, unchanged: true, requirement: serializeRequirement(requirement) });
+    }
+
+    const previousVersion = pushRequirementVersion(requirement, req.userDoc, note);
+    requirement.title = nextTitle;
+    requirement.format = parsed.format;
+    requirement.content = nextContent;
+    requirement.extracted = extracted;
+    await requirement.save();
+
+    await auditRequest(req, "requirement.updated", {
+      requirementId: requirement.reqId,
+      data: {
+        version: requirement.version,
+        previousVersion,
+        titleChanged: nextTitle !== requirement.history[requirement.history.length - 1].title,
+        previousContentHash: requirement.history[requirement.history.length - 1].contentHash,
+        contentHash: extracted.contentHash,
+        note,
+      },
+    });
+    res.json({ success: true, requirement: serializeRequirement(requirement) });
   } catch (err) {
-    console.warn("extractTextFromBuffer failed:", err.message);
-    return "";
+    console.error("Requirement update error:", err);
+    res.status(500).json({ error: "Requirement update failed", details: String(err.message || err) });
   }
-}
+});
 
 /**
- * Fetch + extract text from a remote file
+ * POST /requirements/:reqId/versions
+ * form-data: requirementFile, optional title, note
+ * Replace an uploaded requirement document with a new version under the same reqId. The
+ * previous text stays in the history; see GET /requirements/:reqId/diff and /impact.
  */
-async function fetchAndExtract(url, filenameHint = "") {
+app.post("/requirements/:reqId/versions", authenticate, authorize("upload"), upload.single("requirementFile"), async (req, res) => {
+  const localPath = req.file?.path;
   try {
-    const buf = await downloadFileToBuffer(url);
-    const text = await extractTextFromBuffer(buf, "", filenameHint);
-    const MAX = 12000;
-    const cleaned = (text || "").replace(/\s+/g, " ").trim();
-    return cleaned.length > MAX ? cleaned.slice(0, MAX) : cleaned;
-  } catch (err) {
-    console.error("fetchAndExtract error:", err.message);
-    return "";
-  }
-}
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    if ((requirement.source || "upload") !== "upload") {
+      // text requirements are edited with PUT, Jira ones re-imported, split ones re-split
+      return res.status(409).json({ error: `Only uploaded documents take new files (this requirement is ${requirement.source})` });
+    }
 
-const AI_RAW_DIR = path.join(__dirname, 'ai_raw_logs');
-if (!fs.existsSync(AI_RAW_DIR)) fs.mkdirSync(AI_RAW_DIR, { recursive: true });
-
-// helper: extract first JSON block from text (handles code fences)
-function extractFirstJson(text, retType) {
-  if (!text || typeof text !== 'string') return null;
-  const cleaned = text.replace(/```(?:json)?/gi, '').replace(/```/g, '').trim();
-  
-  // Try to find a complete JSON object first (with balanced braces)
-  if(retType === "object") {
-    let braceCount = 0;
-    let startIdx = -1;
-    for (let i = 0; i < cleaned.length; i++) {
-      if (cleaned[i] === '{') {
-        if (startIdx === -1) startIdx = i;
-        braceCount++;
-      } else if (cleaned[i] === '}') {
-        braceCount--;
-        if (braceCount === 0 && startIdx !== -1) {
-          return cleaned.substring(startIdx, i + 1);
-        }
-      }
+    const originalName = req.file.originalname;
+    const extracted = await extractLocalFile(localPath, originalName);
+    if (!extracted.text) return res.status(400).json({ error: "No text could be extracted from the new version" });
+    if (extracted.contentHash === requirement.extracted?.contentHash) {
+      return res.json({ success: true, unchanged: true, req_id: requirement.reqId, version: requirement.version || 1 });
     }
-  }
-  
-  // If no object found, try to find an array (with balanced brackets)
-  let bracketCount = 0;
-  startIdx = -1;
-  for (let i = 0; i < cleaned.length; i++) {
-    if (cleaned[i] === '[') {
-      if (startIdx === -1) startIdx = i;
-      bracketCount++;
-    } else if (cleaned[i] === ']') {
-      bracketCount--;
-      if (bracketCount === 0 && startIdx !== -1) {
-        return cleaned.substring(startIdx, i + 1);
-      }
+
+    let uploaded;
+    let fileUri;
+    try {
+      ({ raw: uploaded, fileUri } = await uploadFileUsingProvider(localPath, originalName));
+    } catch (sdkErr) {
+      console.error("Requirement upload via LLM provider failed:", sdkErr?.message || sdkErr);
+    }
+
+    const previousText = requirement.extracted?.text || "";
+    const previousVersion = pushRequirementVersion(requirement, req.userDoc, req.body.note);
+    if (typeof req.body.title === "string" && req.body.title.trim()) requirement.title = req.body.title.trim();
+    requirement.originalName = originalName;
+    requirement.fileUri = fileUri || null;
+    requirement.raw = uploaded;
+    requirement.extracted = extracted;
+    requirement.uploadedAt = new Date();
+    await requirement.save();
+
+    const diff = diffText(previousText, extracted.text, { context: 0 });
+    const generatedSets = await GeneratedSet.countDocuments({ project: req.project._id, requirementId: requirement.reqId });
+    await auditRequest(req, "requirement.version_uploaded", {
+      requirementId: requirement.reqId,
+      data: { version: requirement.version, previousVersion, originalName, fileUri: requirement.fileUri, diff: diff.stats, note: req.body.note, extraction: extractionSummary(extracted) },
+    });
+    res.json({
+      success: true,
+      req_id: requirement.reqId,
+      version: requirement.version,
+      previousVersion,
+      diff: { ...diff.stats, changes: diff.changes.length },
+      generatedSets,
+      extraction: extractionSummary(extracted),
+    });
+  } catch (err) {
+    console.error("Requirement version upload error:", err);
+    res.status(500).json({ error: "Requirement version upload failed", details: String(err.message || err) });
+  } finally {
+    if (localPath) {
+      try { fs.unlinkSync(localPath); } catch (e) { /* ignore */ }
     }
   }
-  
-  return null;
-}
+});
 
-// normalize to your exact schema
-function normalizeTestcaseForStore(t, reqId) {
-  const tc_id = typeof t.tc_id === 'string' ? t.tc_id : (t.id || `TC-${Date.now()}-${Math.floor(Math.random()*1000)}`);
-  const req_id = t.req_id || reqId;
-  const jira_id = t.jira_id;
-  const title = t.title || `Testcase ${tc_id}`;
-  const preconditions = Array.isArray(t.preconditions) ? t.preconditions.map(String) : [];
-  const steps = Array.isArray(t.steps) ? t.steps.map(String) : [];
-  const expected = typeof t.expected === 'string' ? t.expected : (Array.isArray(t.expected) ? t.expected.join(' ') : '');
-  const automatable = typeof t.automatable === 'boolean' ? t.automatable : false;
-  const suggested_tool = typeof t.suggested_tool === 'string' ? t.suggested_tool : 'manual';
-  let confidence = parseFloat(t.confidence);
-  confidence = Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.0;
-  const compliance = Array.isArray(t.compliance) ? t.compliance.map(String) : [];
-  return { tc_id, req_id, jira_id, title, preconditions, steps, expected, automatable, suggested_tool, confidence, compliance };
+function versionParam(value, fallback, current) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= current ? n : null;
 }
 
-app.post("/testcases", authenticate, async (req, res) => {
+/**
+ * GET /requirements/:reqId/diff
+ * Query: from? (default: the version before to), to? (default: current), context? (lines, default 3)
+ * Line diff between two versions of the requirement text: hunks plus each change as
+ * character spans in both versions.
+ */
+app.get("/requirements/:reqId/diff", authenticate, authorize("read"), async (req, res) => {
   try {
-    const { selectedRequirements = [], selectedStandards = [], promptOverride } = req.body;
-    if (!Array.isArray(selectedRequirements) || selectedRequirements.length === 0) {
-      return res.status(400).json({ error: "selectedRequirements must be provided" });
-    }
-    if (!Array.isArray(selectedStandards) || selectedStandards.length === 0) {
-      return res.status(400).json({ error: "selectedStandards must be provided" });
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    const current = requirement.version || 1;
+    const to = versionParam(req.query.to, current, current);
+    const from = to === null ? null : versionParam(req.query.from, Math.max(1, to - 1), current);
+    if (from === null || to === null) return res.status(400).json({ error: `from and to must be versions between 1 and ${current}` });
+
+    const fromText = requirementImpact.versionText(requirement, from);
+    const toText = requirementImpact.versionText(requirement, to);
+    if (fromText === null || toText === null) {
+      return res.status(404).json({ error: `The text of version ${fromText === null ? from : to} was not kept` });
     }
+    const context = req.query.context !== undefined ? parseInt(req.query.context, 10) : undefined;
+    res.json({ req_id: requirement.reqId, currentVersion: current, from, to, ...diffText(fromText, toText, { context }) });
+  } catch (err) {
+    console.error("Requirement diff error:", err);
+    res.status(500).json({ error: "Unable to diff requirement versions", details: String(err.message || err) });
+  }
+});
 
-    const userId = req.userDoc._id;
-    const requirements = await Requirement.find({
-      user: userId,
-      reqId: { $in: selectedRequirements },
-    });
-    const requirementsById = new Map(requirements.map((doc) => [doc.reqId, doc]));
+/**
+ * GET /requirements/:reqId/impact
+ * Query: from? (compare every set against this version instead of the one it was generated from),
+ *   threshold? (0-1, how much of a changed passage a testcase must share to be stale; default 0.35)
+ * For each generated set of the requirement: the version it was generated from, the testcases
+ * that reference passages changed since ("stale"), new passages no testcase covers, and
+ * whether to regenerate single testcases or the whole set.
+ */
+app.get("/requirements/:reqId/impact", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    const current = requirement.version || 1;
+    const fromVersion = versionParam(req.query.from, undefined, current);
+    if (fromVersion === null) return res.status(400).json({ error: `from must be a version between 1 and ${current}` });
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : undefined;
+    if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) return res.status(400).json({ error: "threshold must be between 0 and 1" });
+
+    const sets = await GeneratedSet.find(
+      { project: req.project._id, requirementId: requirement.reqId },
+      { testcases: 1, requirementVersion: 1, createdAt: 1 }
+    ).sort({ createdAt: -1 });
+    const report = requirementImpact.impactReport(requirement, sets, { fromVersion, threshold });
 
-    const standards = await Standard.find({
-      user: userId,
-      filename: { $in: selectedStandards },
+    res.json({
+      req_id: requirement.reqId,
+      title: requirement.title,
+      versions: [
+        ...(requirement.history || []).map((h) => ({ version: h.version, replacedAt: h.replacedAt, replacedByEmail: h.replacedByEmail, note: h.note, textKept: !!h.text })),
+        { version: current, current: true },
+      ],
+      ...report,
     });
-    const standardsByName = new Map(standards.map((doc) => [doc.filename, doc]));
+  } catch (err) {
+    console.error("Requirement impact error:", err);
+    res.status(500).json({ error: "Unable to build the impact report", details: String(err.message || err) });
+  }
+});
 
-    const results = [];
+/**
+ * POST /requirements/:reqId/analyze
+ * Body: { useModel? } (default false; REQUIREMENT_ANALYSIS_MODEL=true makes it the default)
+ * Score the requirement (0-100) for ambiguity, missing acceptance criteria, untestable
+ * and conflicting statements and missing actors. Findings carry the span of the
+ * requirement text they are about. The result is stored on the requirement and used by
+ * the quality gate of POST /testcases.
+ */
+app.post("/requirements/:reqId/analyze", authenticate, authorize("generate"), async (req, res) => {
+  try {
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    if (!requirement.extracted?.text) return res.status(400).json({ error: "Requirement has no extracted text to analyze" });
+
+    const useModel = req.body?.useModel !== undefined ? req.body.useModel === true : process.env.REQUIREMENT_ANALYSIS_MODEL === "true";
+    let analysis = analyzeRequirementRules(requirement);
+    const model = { used: false };
+    if (useModel) {
+      const layer = await requirementQuality.analyzeWithModel({
+        llm,
+        text: requirement.extracted.text,
+        title: requirement.title,
+        reqId: requirement.reqId,
+        ruleFindings: analysis.findings,
+        context: { userId: req.userDoc._id, projectId: req.project._id, reqId: requirement.reqId },
+      });
+      if (layer.error) console.error("Requirement model analysis failed:", layer.error);
+      analysis = requirementQuality.mergeAnalysis(analysis, layer.findings);
+      Object.assign(model, { used: !layer.error, provider: llm?.name, name: llm?.model, error: layer.error });
+    }
 
-    // strict instruction (you can tweak wording)
-    const defaultInstruction = `You are a senior QA engineer for regulated healthcare software. Using ONLY the extracted text blocks provided below, return EXACTLY a JSON array (no commentary, no markdown) of testcases. Each testcase must have these fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array). Provide 2-8 testcases. Use req_id provided.`;
+    requirement.quality = {
+      score: analysis.score,
+      findings: analysis.findings,
+      counts: analysis.counts,
+      stats: analysis.stats,
+      contentHash: requirement.extracted.contentHash,
+      model,
+      analyzedAt: new Date(),
+      analyzedBy: req.userDoc._id,
+    };
+    await requirement.save();
 
-    const model = googleAI ? googleAI.model(process.env.GEMINI_MODEL) : process.env.GEMINI_MODEL;
+    await auditRequest(req, "requirement.analyzed", {
+      requirementId: requirement.reqId,
+      data: { score: analysis.score, counts: analysis.counts, model: model.used, modelError: model.error },
+    });
+    res.json({
+      req_id: requirement.reqId,
+      score: analysis.score,
+      minimumScore: requirementQuality.minimumQualityScore(),
+      counts: analysis.counts,
+      stats: analysis.stats,
+      model,
+      findings: analysis.findings,
+    });
+  } catch (err) {
+    console.error("Requirement analysis error:", err);
+    res.status(500).json({ error: "Requirement analysis failed", details: String(err.message || err) });
+  }
+});
 
-    for (const reqId of selectedRequirements) {
-      const reqEntry = requirementsById.get(reqId);
-      if (!reqEntry) {
-        results.push({ req_id: reqId, success: false, error: "requirement not found" });
-        continue;
-      }
+/**
+ * POST /requirements/:reqId/split
+ * Body: { maxItems? } (default 200)
+ * Detect the individual requirements in the document (requirement IDs, numbered sections,
+ * shall/must statements) and store them as a proposal. Nothing is created until
+ * POST /requirements/:reqId/split/accept.
+ */
+app.post("/requirements/:reqId/split", authenticate, authorize("upload"), async (req, res) => {
+  try {
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    if (!requirement.extracted?.text) return res.status(400).json({ error: "Requirement has no extracted text to split" });
 
-      // fetch/extract the requirement text (reuse your fetchAndExtract helper)
-      const reqText = reqEntry.fileUri
-        ? await fetchAndExtract(reqEntry.fileUri, reqEntry.originalName || reqEntry.title)
-        : "";
+    const proposal = proposeRequirementSplit(requirement, { maxItems: req.body?.maxItems });
+    await requirement.save();
 
-      // fetch/extract selected standard texts
-      const standardsTexts = [];
-      for (const sName of selectedStandards) {
-        const stdEntry = standardsByName.get(sName);
-        if (!stdEntry?.fileUri) continue;
-        const txt = await fetchAndExtract(stdEntry.fileUri, sName);
-        const short = sName.replace(/\.[^/.]+$/, "");
-        standardsTexts.push({ name: short, text: txt });
-      }
+    await auditRequest(req, "requirement.split_proposed", {
+      requirementId: requirement.reqId,
+      data: { count: proposal.items.length, stats: proposal.stats },
+    });
+    res.json({ req_id: requirement.reqId, ...splitSummary(requirement), stats: proposal.stats, items: requirement.split.items });
+  } catch (err) {
+    console.error("Requirement split error:", err);
+    res.status(500).json({ error: "Requirement split failed", details: String(err.message || err) });
+  }
+});
 
-      // compose prompt parts (text blocks)
-      const instructionParts = [{ text: defaultInstruction }];
-      if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
-        instructionParts.push({ text: `Additional user instructions:\n${promptOverride.trim()}` });
-      }
+/**
+ * GET /requirements/:reqId/split
+ * The stored proposal (or accepted split) and the child requirements.
+ */
+app.get("/requirements/:reqId/split", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const requirement = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!requirement) return res.status(404).json({ error: "Requirement not found" });
+    if (!requirement.split) return res.status(404).json({ error: "Requirement has no split; POST /requirements/:reqId/split first" });
+    res.json({
+      req_id: requirement.reqId,
+      ...splitSummary(requirement),
+      stats: requirement.split.stats,
+      proposedAt: requirement.split.proposedAt,
+      acceptedAt: requirement.split.acceptedAt,
+      acceptedByEmail: requirement.split.acceptedByEmail,
+      items: requirement.split.items,
+    });
+  } catch (err) {
+    console.error("Fetch requirement split error:", err);
+    res.status(500).json({ error: "Unable to load requirement split", details: String(err.message || err) });
+  }
+});
 
-      const parts = [
-        ...instructionParts,
-        { text: `Requirement metadata:\nreq_id: ${reqId}\ntitle: ${reqEntry.title}\n\nRequirement text:\n${reqText || "<no extracted text>"}\n` },
-        { text: `Standards list: ${selectedStandards.join(", ")}` }
-      ];
-      for (const s of standardsTexts) parts.push({ text: `Standard: ${s.name}\n\n${s.text || "<no extracted text>"}\n` });
-      parts.push({ text: "Return ONLY the JSON array." });
+/**
+ * POST /requirements/:reqId/split/accept
+ * Body: { items? } — the edited split: [{ id, title?, text, heading?, label?, offset?, length?, page? }].
+ *   Without items the stored proposal is accepted as is.
+ * Creates or updates one child requirement per item (parentReqId = :reqId). Children of an
+ * earlier split that are left out are deleted, unless testcases were generated for them.
+ */
+app.post("/requirements/:reqId/split/accept", authenticate, authorize("upload"), async (req, res) => {
+  try {
+    const parent = await Requirement.findOne({ project: req.project._id, reqId: req.params.reqId });
+    if (!parent) return res.status(404).json({ error: "Requirement not found" });
+
+    const edited = req.body?.items;
+    if (edited !== undefined && !Array.isArray(edited)) return res.status(400).json({ error: "items must be an array" });
+    if (!edited && !parent.split?.items?.length) return res.status(400).json({ error: "No split proposal to accept; POST /requirements/:reqId/split first" });
+    if (!edited && splitSummary(parent).stale) {
+      return res.status(409).json({ error: "The requirement text changed after the split was proposed; propose it again" });
+    }
 
-      if (!ai) {
-        results.push({ req_id: reqId, success: false, error: "AI client not initialized" });
+    const items = [];
+    const ids = new Set();
+    for (const [i, raw] of (edited || parent.split.items.map((it) => it.toObject())).entries()) {
+      const id = String(raw?.id || "").trim();
+      const text = typeof raw?.text === "string" ? raw.text.trim() : "";
+      if (!/^[\w.-]{1,120}$/.test(id)) return res.status(400).json({ error: `items[${i}].id must be 1-120 letters, digits, ".", "_" or "-"` });
+      if (!text) return res.status(400).json({ error: `items[${i}].text is required` });
+      if (ids.has(id) || id === parent.reqId) return res.status(400).json({ error: `Duplicate requirement id ${id}` });
+      ids.add(id);
+      const offset = Number.isInteger(raw.offset) ? raw.offset : undefined;
+      items.push({
+        id,
+        label: raw.label ? String(raw.label) : undefined,
+        kind: raw.kind ? String(raw.kind) : "manual",
+        title: String(raw.title || "").trim().slice(0, 200) || id,
+        heading: raw.heading ? String(raw.heading) : undefined,
+        text,
+        offset,
+        length: Number.isInteger(raw.length) ? raw.length : undefined,
+        page: Number.isInteger(raw.page) ? raw.page : (offset !== undefined ? pageAtOffset(parent.extracted?.pageOffsets, offset) : undefined),
+      });
+    }
+    if (items.length > 1000) return res.status(400).json({ error: "A split can have at most 1000 items" });
+
+    const existing = await Requirement.find({ project: req.project._id, reqId: { $in: [...ids] } });
+    const taken = existing.filter((doc) => doc.parentReqId !== parent.reqId).map((doc) => doc.reqId);
+    if (taken.length) return res.status(409).json({ error: "Requirement ids already in use", ids: taken });
+    const byId = new Map(existing.map((doc) => [doc.reqId, doc]));
+
+    const result = { created: [], updated: [], unchanged: [], removed: [], retained: [] };
+    for (const item of items) {
+      const text = requirementSplit.childRequirementText(item);
+      const sourceRef = { label: item.label, kind: item.kind, heading: item.heading, offset: item.offset, length: item.length, page: item.page };
+      const child = byId.get(item.id);
+      if (!child) {
+        await Requirement.create({
+          user: req.userDoc._id,
+          project: req.project._id,
+          reqId: item.id,
+          title: item.title,
+          originalName: parent.originalName,
+          uploadedAt: new Date(),
+          source: "split",
+          parentReqId: parent.reqId,
+          sourceRef,
+          extracted: buildTextExtraction(text, "split"),
+        });
+        result.created.push(item.id);
         continue;
       }
+      const extracted = buildTextExtraction(text, "split");
+      if (child.extracted?.contentHash === extracted.contentHash && child.title === item.title) {
+        result.unchanged.push(item.id);
+        continue;
+      }
+      if (child.extracted?.contentHash !== extracted.contentHash) pushRequirementVersion(child, req.userDoc, "split edited");
+      child.title = item.title;
+      child.sourceRef = sourceRef;
+      child.extracted = extracted;
+      await child.save();
+      result.updated.push(item.id);
+    }
 
-      // call AI
-      const genResp = await ai.generate({ model, prompt: parts });
-      const candidateText = genResp?.text || genResp?.output || genResp?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-
-      // audit log the raw text for debugging (do not return to client)
-      try {
-        const auditFile = path.join(AI_RAW_DIR, `${reqId}-${Date.now()}.log`);
-        fs.appendFileSync(auditFile, `--- RAW RESPONSE ---\n${candidateText}\n\n--- FULL GEN RESP ---\n${JSON.stringify(genResp, null, 2)}\n`);
-      } catch (e) { /* ignore audit failures */ }
-
-      // attempt parse -> extract JSON block
-      let parsed = null;
-      const jsonBlock = extractFirstJson(candidateText, "array");
-      if (jsonBlock) {
-        try { parsed = JSON.parse(jsonBlock); } catch (e) { parsed = null; }
+    // children of an earlier split that were left out
+    const dropped = await Requirement.find({ project: req.project._id, parentReqId: parent.reqId, reqId: { $nin: [...ids] } }, { reqId: 1 });
+    for (const doc of dropped) {
+      if (await GeneratedSet.exists({ project: req.project._id, requirementId: doc.reqId })) {
+        result.retained.push(doc.reqId);
+      } else {
+        await Requirement.deleteOne({ _id: doc._id });
+        result.removed.push(doc.reqId);
       }
+    }
+
+    parent.split = {
+      ...(parent.split?.toObject ? parent.split.toObject() : {}),
+      status: "accepted",
+      contentHash: parent.split?.contentHash || parent.extracted?.contentHash,
+      items,
+      acceptedAt: new Date(),
+      acceptedBy: req.userDoc._id,
+      acceptedByEmail: req.userDoc.email,
+      children: [...items.map((item) => item.id), ...result.retained],
+    };
+    await parent.save();
+
+    await auditRequest(req, "requirement.split_accepted", {
+      requirementId: parent.reqId,
+      data: { edited: !!edited, ...result },
+    });
+    res.json({ success: true, req_id: parent.reqId, children: parent.split.children, ...result });
+  } catch (err) {
+    console.error("Requirement split accept error:", err);
+    res.status(500).json({ error: "Accepting the requirement split failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /requirements/import/jira
+ * Body: { jql } or { keys: ["PROJ-1", ...] | "PROJ-1,PROJ-2" }
+ * Optional: { maxResults (default 50, JIRA_IMPORT_MAX_ISSUES caps), includeAttachments (default true),
+ *   acceptanceCriteriaField (custom field id, default JIRA_ACCEPTANCE_CRITERIA_FIELD) }
+ * Each issue becomes the requirement with reqId = issue key (imported again: refreshed).
+ * Testcases generated from it are pushed to Jira as sub-tasks of that issue.
+ */
+app.post("/requirements/import/jira", authenticate, authorize("upload"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!jira.isJiraConfigured()) return res.status(400).json({ error: "Jira credentials not configured in env" });
+    const jql = typeof body.jql === "string" ? body.jql.trim() : "";
+    const { keys, invalid } = jiraImport.parseIssueKeys(body.keys);
+    if (!jql && !keys.length) return res.status(400).json({ error: "Send a jql query or issue keys" });
+    if (jql && keys.length) return res.status(400).json({ error: "Send either jql or keys, not both" });
+    if (invalid.length) return res.status(400).json({ error: "Invalid issue keys", invalid });
+    const acceptanceCriteriaField = String(body.acceptanceCriteriaField || process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD || "").trim() || undefined;
+    const importOptions = { includeAttachments: body.includeAttachments !== false, acceptanceCriteriaField };
+
+    let fetched;
+    try {
+      fetched = await jiraImport.fetchIssuesForImport({ jql, keys, maxResults: body.maxResults, acceptanceCriteriaField });
+    } catch (err) {
+      console.error("jira import search error:", jira.jiraErrorMessage(err));
+      return res.status(502).json({ error: "Jira search failed", details: jira.jiraErrorMessage(err) });
+    }
 
-      // retry once with an extremely strict short instruction if parsing failed
-      if (!Array.isArray(parsed)) {
-        const retryParts = [
-          { text: "IMPORTANT: Return ONLY a JSON array and NOTHING ELSE. No text, no markdown. The array must contain objects with fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array)." },
-          { text: defaultInstruction }
-        ];
-        if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
-          retryParts.push({ text: `Additional user instructions:\n${promptOverride.trim()}` });
+    const imported = [];
+    const failed = [...fetched.failed];
+    for (const issue of fetched.issues) {
+      try {
+        const fields = await jiraImport.requirementFromIssue(issue, importOptions);
+        const existing = await Requirement.findOne({ project: req.project._id, reqId: fields.reqId });
+        if (existing && existing.source !== "jira") {
+          failed.push({ key: issue.key, error: `Requirement id ${fields.reqId} is already used by an uploaded requirement` });
+          continue;
         }
-        retryParts.push({ text: `Requirement: ${reqId}\n${reqText}` });
-        retryParts.push(...standardsTexts.map(s => ({ text: `Standard: ${s.name}\n\n${s.text || "<no text>"}\n` })));
-        const retryResp = await ai.generate({ model, prompt: retryParts });
-        const retryText = retryResp?.text || retryResp?.output || JSON.stringify(retryResp);
-        // append retry to audit
-        try { fs.appendFileSync(path.join(AI_RAW_DIR, `${reqId}-${Date.now()}-retry.log`), retryText); } catch (e) {}
-        const retryBlock = extractFirstJson(retryText, "array");
-        if (retryBlock) {
-          try { parsed = JSON.parse(retryBlock); } catch (e) { parsed = null; }
+        let status = "created";
+        let requirement = existing;
+        if (existing) {
+          status = existing.extracted?.contentHash === fields.extracted.contentHash ? "unchanged" : "updated";
+          if (status === "updated") {
+            pushRequirementVersion(existing, req.userDoc, `re-imported from ${issue.key}`);
+            existing.extracted = fields.extracted;
+          }
+          existing.title = fields.title;
+          existing.originalName = fields.originalName;
+          existing.jira = fields.jira;
+          await existing.save();
+        } else {
+          requirement = await Requirement.create({
+            user: req.userDoc._id,
+            project: req.project._id,
+            ...fields,
+            source: "jira",
+            uploadedAt: new Date(),
+          });
         }
+        imported.push({
+          req_id: requirement.reqId,
+          title: requirement.title,
+          status,
+          jira: { key: fields.jira.key, url: fields.jira.url, issueType: fields.jira.issueType, status: fields.jira.status },
+          acceptanceCriteria: !!fields.jira.acceptanceCriteria,
+          attachments: fields.jira.attachments,
+          extraction: extractionSummary(requirement.extracted),
+        });
+      } catch (err) {
+        console.error(`jira import of ${issue.key} failed:`, err?.message || err);
+        failed.push({ key: issue.key, error: String(err.message || err) });
       }
+    }
 
-      if (!Array.isArray(parsed)) {
-        // do not store raw; return parse error for this requirement
-        results.push({ req_id: reqId, title: reqEntry.title, success: false, error: "AI did not return parseable JSON after retry. See server audit logs." });
-        continue;
-      }
+    await auditRequest(req, "requirement.import.jira", {
+      data: {
+        jql: jql || undefined,
+        keys: keys.length ? keys : undefined,
+        imported: imported.map((r) => ({ req_id: r.req_id, status: r.status })),
+        failed,
+      },
+    });
+    res.json({ success: !failed.length, total: imported.length, imported, failed });
+  } catch (err) {
+    console.error("Jira requirement import error:", err);
+    res.status(500).json({ error: "Jira import failed", details: String(err.message || err) });
+  }
+});
 
-      // normalize and store
-      const normalized = parsed.map((t, idx) => normalizeTestcaseForStore(t, reqId));
-      const savedEntry = await GeneratedSet.create({
-        user: userId,
-        requirement: reqEntry._id,
-        requirementId: reqEntry.reqId,
-        requirementTitle: reqEntry.title,
-        selectedStandards,
-        testcases: normalized,
-        promptOverride: promptOverride || undefined,
-      });
+/* ------------------ TESTCASE GENERATION ------------------ */
 
-      results.push({
-        req_id: reqId,
-        title: reqEntry.title,
-        success: true,
-        genId: savedEntry._id.toString(),
-        count: normalized.length,
-      });
+/**
+ * Requirements scoring below REQUIREMENT_MIN_QUALITY_SCORE. A stored analysis is used while
+ * it matches the current text (it may include model findings); otherwise the rules run now.
+ */
+async function requirementsBelowQuality(req, reqIds, minimum) {
+  const docs = await Requirement.find(
+    { project: req.project._id, reqId: { $in: reqIds } },
+    { reqId: 1, title: 1, extracted: 1, quality: 1, "jira.acceptanceCriteria": 1 }
+  );
+  const failing = [];
+  for (const doc of docs) {
+    const current = doc.quality && doc.quality.contentHash === doc.extracted?.contentHash;
+    const analysis = current ? doc.quality : analyzeRequirementRules(doc);
+    if (analysis.score >= minimum) continue;
+    failing.push({
+      req_id: doc.reqId,
+      title: doc.title,
+      score: analysis.score,
+      counts: analysis.counts,
+      findings: analysis.findings.filter((f) => f.severity === "high").slice(0, 5).map((f) => ({ rule: f.rule, message: f.message, span: f.span })),
+    });
+  }
+  return failing;
+}
+
+/**
+ * POST /testcases
+ * Body: { selectedRequirements: [reqId], selectedStandards: [standardFilename], promptOverride?, ignoreQualityGate? }
+ * Behavior:
+ *  - With REQUIREMENT_MIN_QUALITY_SCORE set, requirements scoring below it are refused (422);
+ *    ignoreQualityGate (review permission) generates anyway
+ *  - Queues a generation job and returns its id immediately (202)
+ *  - The job worker calls AI per requirement and persists a GeneratedSet for each
+ *  - Poll GET /jobs/:id for per-requirement progress and resulting genIds
+ */
+app.post("/testcases", authenticate, authorize("generate"), async (req, res) => {
+  try {
+    const { selectedRequirements = [], selectedStandards = [], promptOverride } = req.body;
+    if (!Array.isArray(selectedRequirements) || selectedRequirements.length === 0) {
+      return res.status(400).json({ error: "selectedRequirements must be provided" });
     }
+    if (!Array.isArray(selectedStandards) || selectedStandards.length === 0) {
+      return res.status(400).json({ error: "selectedStandards must be provided" });
+    }
+
+    const minimumScore = requirementQuality.minimumQualityScore();
+    const ignoreQualityGate = req.body.ignoreQualityGate === true;
+    if (ignoreQualityGate && !projects.can(req, "review")) {
+      return res.status(403).json({ error: "Only reviewers can generate from requirements below the quality score" });
+    }
+    let belowQuality = [];
+    if (minimumScore !== null) {
+      belowQuality = await requirementsBelowQuality(req, selectedRequirements.map(String), minimumScore);
+      if (belowQuality.length && !ignoreQualityGate) {
+        return res.status(422).json({
+          error: `Requirement quality below the minimum score of ${minimumScore}; improve the requirements or see POST /requirements/:reqId/analyze`,
+          minimumScore,
+          requirements: belowQuality,
+        });
+      }
+    }
+
+    const job = await jobQueue.enqueue({
+      userId: req.userDoc._id,
+      projectId: req.project._id,
+      selectedRequirements: selectedRequirements.map(String),
+      selectedStandards: selectedStandards.map(String),
+      promptOverride: typeof promptOverride === "string" ? promptOverride : undefined,
+    });
 
-    return res.json({ success: true, results });
+    await auditRequest(req, "generation.enqueued", {
+      data: {
+        jobId: job._id.toString(),
+        selectedRequirements,
+        selectedStandards,
+        promptOverride,
+        qualityGateIgnored: belowQuality.length ? belowQuality.map((r) => ({ req_id: r.req_id, score: r.score })) : undefined,
+      },
+    });
+    return res.status(202).json({ success: true, jobId: job._id.toString(), status: job.status });
   } catch (err) {
     console.error("testcases generation error:", err);
     return res.status(500).json({ error: "Testcase generation failed", details: String(err) });
   }
 });
 
+/* ------------------ GENERATION JOBS ------------------ */
+
+function serializeJob(job, { withItems = true } = {}) {
+  const items = job.items || [];
+  const out = {
+    id: job._id.toString(),
+    status: job.status,
+    cancelRequested: !!job.cancelRequested,
+    selectedRequirements: job.selectedRequirements || [],
+    selectedStandards: job.selectedStandards || [],
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    progress: {
+      total: items.length,
+      saved: items.filter((i) => i.status === "saved").length,
+      failed: items.filter((i) => i.status === "failed").length,
+      done: items.filter((i) => ["saved", "failed", "cancelled"].includes(i.status)).length,
+    },
+  };
+  if (withItems) {
+    out.items = items.map((i) => ({
+      req_id: i.req_id,
+      title: i.title,
+      status: i.status,
+      error: i.error,
+      genId: i.genId ? i.genId.toString() : undefined,
+      count: i.count,
+      startedAt: i.startedAt,
+      finishedAt: i.finishedAt,
+    }));
+  }
+  return out;
+}
+
+/**
+ * GET /jobs
+ * List the user's generation jobs (newest first, summary only)
+ * Query: status?, limit? (default 20, max 100)
+ */
+app.get("/jobs", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const jobs = await GenerationJob.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(jobs.map((j) => serializeJob(j, { withItems: false })));
+  } catch (err) {
+    console.error("Fetch jobs error:", err);
+    res.status(500).json({ error: "Unable to load jobs", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Job status with per-requirement progress
+ */
+app.get("/jobs/:id", authenticate, authorize("read"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid job id" });
+    const job = await GenerationJob.findOne({ _id: req.params.id, project: req.project._id });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(serializeJob(job));
+  } catch (err) {
+    console.error("Fetch job error:", err);
+    res.status(500).json({ error: "Unable to load job", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /jobs/:id/events
+ * Server-Sent Events stream of a job's progress:
+ *   job.started, item.status, requirement.extracted, standards.extracted,
+ *   model.started, testcase (each normalized testcase), set.saved (genId), job.finished
+ * Each event carries `id: <seq>`; reconnecting clients resume via the Last-Event-ID
+ * header (or ?lastEventId=). Auth: bearer header or ?access_token=.
+ */
+app.get("/jobs/:id/events", bearerFromQuery, authenticate, authorize("read"), async (req, res) => {
+  let job;
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid job id" });
+    job = await GenerationJob.findOne({ _id: req.params.id, project: req.project._id });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+  } catch (err) {
+    console.error("Job events error:", err);
+    return res.status(500).json({ error: "Unable to stream job events", details: String(err.message || err) });
+  }
+
+  let lastSeq = parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
+  let closed = false;
+  let busy = false;
+  let again = false;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const jobKey = job._id.toString();
+  const onLive = () => flush();
+  const poll = setInterval(() => flush(), 3000); // events written by other instances
+  const keepAlive = setInterval(() => { if (!closed) res.write(": keep-alive\n\n"); }, 15000);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(keepAlive);
+    jobQueue.events.off(jobKey, onLive);
+    res.end();
+  }
+
+  // always read from the event collection so ids go out in order without gaps
+  async function flush() {
+    if (busy) { again = true; return; }
+    busy = true;
+    try {
+      do {
+        again = false;
+        const events = await jobQueue.listEvents(job._id, lastSeq);
+        for (const ev of events) {
+          if (closed) return;
+          lastSeq = ev.seq;
+          res.write(`id: ${ev.seq}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data || {})}\n\n`);
+          if (ev.type === "job.finished") return close();
+        }
+      } while (again && !closed);
+    } catch (err) {
+      console.error("Job events flush error:", err?.message || err);
+    } finally {
+      busy = false;
+    }
+  }
+
+  req.on("close", close);
+  jobQueue.events.on(jobKey, onLive);
+  await flush();
+
+  // reconnect after job.finished was already delivered: nothing more will come
+  if (!closed && ["completed", "failed", "cancelled"].includes(job.status)) {
+    try {
+      const fresh = await GenerationJob.findById(job._id).select({ eventSeq: 1 });
+      if (!fresh || lastSeq >= fresh.eventSeq) close();
+    } catch (err) {
+      close();
+    }
+  }
+});
+
+/**
+ * POST /jobs/:id/cancel
+ * Queued jobs are cancelled immediately; running jobs stop before the next requirement.
+ */
+app.post("/jobs/:id/cancel", authenticate, authorize("generate"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid job id" });
+    const job = await jobQueue.cancel(req.params.id, req.project._id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    await auditRequest(req, "generation.cancelled", { data: { jobId: req.params.id, status: job.status } });
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    console.error("Cancel job error:", err);
+    res.status(500).json({ error: "Unable to cancel job", details: String(err.message || err) });
+  }
+});
+
 
 /* ------------------ GET generated sets summary & by requirement ------------------ */
 
@@ -583,16 +1696,18 @@ app.post("/testcases", authenticate, async (req, res) => {
  * GET /generated
  * List generated sets (summary)
  */
-app.get("/generated", authenticate, async (req, res) => {
+app.get("/generated", authenticate, authorize("read"), async (req, res) => {
   try {
-    const generated = await GeneratedSet.find({ user: req.userDoc._id }).sort({ createdAt: -1 });
+    const generated = await GeneratedSet.find({ project: req.project._id }).sort({ createdAt: -1 });
     const summary = generated.map((g) => ({
       id: g._id.toString(),
       requirementId: g.requirementId,
       jiraId: g.jiraId,
       requirementTitle: g.requirementTitle,
+      source: g.source || "ai",
       createdAt: g.createdAt,
       count: (g.testcases || []).length,
+      review: review.reviewCounts(g.testcases),
     }));
     res.json(summary);
   } catch (err) {
@@ -605,20 +1720,38 @@ app.get("/generated", authenticate, async (req, res) => {
  * GET /generated/requirement/:reqId
  * Return testcases array for that requirement (latest generated set for requirement)
  */
-app.get("/generated/requirement/:id", authenticate, async (req, res) => {
+app.get("/generated/requirement/:id", authenticate, authorize("read"), async (req, res) => {
   try {
     const { id } = req.params;
-    const entry = await GeneratedSet.findOne({ _id: id, user: req.userDoc._id });
+    const entry = await GeneratedSet.findOne({ _id: id, project: req.project._id });
     if (!entry) {
       return res.status(404).json({ error: "No generated testcases found for this requirement" });
     }
+
+    // compliance entries resolved against the current extracted standard text
+    const standardDocs = await Standard.find({
+      project: req.project._id,
+      filename: { $in: entry.selectedStandards || [] },
+    });
+    const testcases = (entry.testcases || []).map((tc) => (tc.toObject ? tc.toObject() : tc));
+    const refsByTc = await resolveComplianceReferences(testcases, standardDocs);
+    // signature hashes are re-checked on every read so later edits are flagged
+    const signed = await signatures.loadVerifiedSignatures(entry);
+
     return res.json({
       id: entry._id.toString(),
       requirementId: entry.requirementId,
       jiraId: entry.jiraId,
       requirementTitle: entry.requirementTitle,
-      testcases: entry.testcases || [],
+      source: entry.source || "ai",
+      testcases: testcases.map((tc) => ({
+        ...tc,
+        complianceRefs: refsByTc[tc.tc_id] || [],
+        signatures: signed.filter((sig) => sig.tcId === tc.tc_id),
+      })),
+      signatures: signed.filter((sig) => !sig.tcId),
       selectedStandards: entry.selectedStandards || [],
+      suppliedClauses: entry.suppliedClauses || [],
     });
   } catch (err) {
     console.error("Fetch generated by requirement error:", err);
@@ -626,6 +1759,171 @@ app.get("/generated/requirement/:id", authenticate, async (req, res) => {
   }
 });
 
+/* ------------------ EXPORT generated sets ------------------ */
+
+/**
+ * GET /generated/:id/export?format=csv|xlsx|testrail|zephyr|xray|gherkin|junit
+ * Optional: projectKey (Zephyr/Xray)
+ */
+app.get("/generated/:id/export", authenticate, authorize("export"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+    const entry = await GeneratedSet.findOne({ _id: req.params.id, project: req.project._id });
+    if (!entry) return res.status(404).json({ error: "Generated set not found" });
+
+    const out = await exportGeneratedSet(entry, format, { projectKey: req.query.projectKey });
+    res.set("Content-Type", out.contentType);
+    res.set("Content-Disposition", `attachment; filename="${out.filename}"`);
+    res.send(out.body);
+  } catch (err) {
+    console.error("Export generated set error:", err);
+    res.status(500).json({ error: "Export failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /generated/export?ids=genId,genId&format=...
+ * Zip archive with one export file per generated set
+ */
+app.get("/generated/export", authenticate, authorize("export"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+    const ids = reports.listParam(req.query.ids);
+    if (!ids.length) return res.status(400).json({ error: "ids must be provided" });
+
+    const entries = await GeneratedSet.find({ _id: { $in: ids }, project: req.project._id }).sort({ createdAt: -1 });
+    if (!entries.length) return res.status(404).json({ error: "Generated sets not found" });
+
+    const zip = await exportGeneratedSetsZip(entries, format, { projectKey: req.query.projectKey });
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="testcases-${format}-${Date.now()}.zip"`);
+    res.send(zip);
+  } catch (err) {
+    console.error("Bulk export error:", err);
+    res.status(500).json({ error: "Export failed", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ IMPORT hand-written testcases ------------------ */
+
+/**
+ * POST /generated/import
+ * Multipart: testcaseFile (.csv, .xlsx or .feature)
+ * Body: { requirementId (reqId), mapping?: JSON { field: "Column header" }, format?, sheet?, selectedStandards?: "a.pdf,b.pdf" }
+ * Creates a GeneratedSet (source "imported") from the valid rows; invalid rows are
+ * returned in errors as { row, tc_id?, field, message } and skipped.
+ * Response: { success, genId, imported, rejected, rows, format, errors }
+ */
+app.post("/generated/import", authenticate, authorize("upload"), upload.single("testcaseFile"), async (req, res) => {
+  const localPath = req.file?.path;
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { requirementId } = req.body;
+    if (!requirementId) return res.status(400).json({ error: "requirementId must be provided" });
+
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === "string" ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (e) {
+        return res.status(400).json({ error: "mapping must be a JSON object", details: String(e.message || e) });
+      }
+      if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+        return res.status(400).json({ error: "mapping must be a JSON object" });
+      }
+    }
+
+    const user = req.userDoc;
+    const reqEntry = await Requirement.findOne({ project: req.project._id, reqId: requirementId });
+    if (!reqEntry) return res.status(404).json({ error: `Requirement ${requirementId} not found` });
+
+    const selectedStandards = reports.listParam(req.body.selectedStandards);
+    const standardDocs = selectedStandards.length
+      ? await Standard.find({ project: req.project._id, filename: { $in: selectedStandards } })
+      : [];
+    const missing = selectedStandards.filter((s) => !standardDocs.some((d) => d.filename === s));
+    if (missing.length) return res.status(400).json({ error: `Unknown standards: ${missing.join(", ")}` });
+
+    let result;
+    try {
+      result = await importTestcases(fs.readFileSync(localPath), {
+        filename: req.file.originalname,
+        format: req.body.format,
+        mapping,
+        sheet: req.body.sheet,
+      });
+    } catch (parseErr) {
+      return res.status(400).json({ error: "Unable to read import file", details: String(parseErr.message || parseErr) });
+    }
+
+    if (!result.testcases.length) {
+      return res.status(422).json({
+        error: "No valid testcases found in file",
+        format: result.format,
+        rows: result.rows,
+        errors: result.errors,
+      });
+    }
+
+    const testcases = result.testcases.map(({ testcase }, i) =>
+      normalizeTestcaseForStore(
+        { ...testcase, tc_id: testcase.tc_id || `${reqEntry.reqId}-IMP-${String(i + 1).padStart(3, "0")}` },
+        reqEntry.reqId
+      )
+    );
+    await annotateCompliance(testcases, standardDocs);
+
+    const saved = await GeneratedSet.create({
+      user: user._id,
+      project: req.project._id,
+      requirement: reqEntry._id,
+      requirementId: reqEntry.reqId,
+      requirementTitle: reqEntry.title,
+      requirementVersion: reqEntry.version || 1,
+      requirementHash: reqEntry.extracted?.contentHash,
+      selectedStandards,
+      testcases,
+      source: "imported",
+      importInfo: {
+        filename: req.file.originalname,
+        format: result.format,
+        rows: result.rows,
+        imported: testcases.length,
+        rejected: result.rejected,
+      },
+    });
+    await revisions.recordRevision(saved, { user: user._id, source: "import" });
+    await auditRequest(req, "set.imported", {
+      requirementId: reqEntry.reqId,
+      genId: saved._id,
+      data: { filename: req.file.originalname, format: result.format, imported: testcases.length, rejected: result.rejected },
+    });
+
+    res.json({
+      success: true,
+      genId: saved._id.toString(),
+      format: result.format,
+      rows: result.rows,
+      imported: testcases.length,
+      rejected: result.rejected,
+      errors: result.errors,
+    });
+  } catch (err) {
+    console.error("Testcase import error:", err);
+    res.status(500).json({ error: "Import failed", details: String(err.message || err) });
+  } finally {
+    if (localPath) {
+      try { fs.unlinkSync(localPath); } catch (e) { /* ignore */ }
+    }
+  }
+});
+
 /* ------------------ Regenerate single testcase (keeps tc_id) ------------------ */
 
 /**
@@ -633,11 +1931,11 @@ app.get("/generated/requirement/:id", authenticate, async (req, res) => {
  * Body optional: { promptOverride }
  * Replaces the single testcase object (must return single JSON object).
  */
-app.post("/testcases/:genId/regenerate/:tcId", authenticate, async (req, res) => {
+app.post("/testcases/:genId/regenerate/:tcId", authenticate, authorize("generate"), async (req, res) => {
   try {
     const { genId, tcId } = req.params;
     const { promptOverride } = req.body || {};
-    const genEntry = await GeneratedSet.findOne({ _id: genId, user: req.userDoc._id });
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
     if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
 
     const tcIndex = genEntry.testcases.findIndex(t => t.tc_id === tcId);
@@ -647,29 +1945,24 @@ app.post("/testcases/:genId/regenerate/:tcId", authenticate, async (req, res) =>
     
     // Fetch requirement document
     const reqEntry = genEntry.requirement
-      ? await Requirement.findOne({ _id: genEntry.requirement, user: req.userDoc._id })
-      : await Requirement.findOne({ user: req.userDoc._id, reqId: genEntry.requirementId });
+      ? await Requirement.findOne({ _id: genEntry.requirement, project: req.project._id })
+      : await Requirement.findOne({ project: req.project._id, reqId: genEntry.requirementId });
     if (!reqEntry) return res.status(404).json({ error: "Requirement not found" });
 
-    // Fetch requirement text
-    const reqText = reqEntry.fileUri
-      ? await fetchAndExtract(reqEntry.fileUri, reqEntry.originalName || reqEntry.title)
-      : "";
+    // Requirement text (extracted at upload time)
+    const fullReqText = await getExtractedText(reqEntry, reqEntry.originalName || reqEntry.title);
+    const reqText = toPromptText(fullReqText);
 
-    // Fetch standard documents
+    // Fetch standard documents and retrieve the clauses relevant to this testcase
     const standardDocs = await Standard.find({
-      user: req.userDoc._id,
+      project: req.project._id,
       filename: { $in: genEntry.selectedStandards || [] },
     });
-    const standardsTexts = [];
-    for (const stdDoc of standardDocs) {
-      if (stdDoc.fileUri) {
-        const txt = await fetchAndExtract(stdDoc.fileUri, stdDoc.filename);
-        standardsTexts.push({ name: stdDoc.filename, text: txt });
-      }
-    }
-
-    const model = googleAI ? googleAI.model(process.env.GEMINI_MODEL) : process.env.GEMINI_MODEL;
+    const tcQuery = [existingTc.title, ...(existingTc.preconditions || []), ...(existingTc.steps || []), existingTc.expected].join("\n");
+    const { blocks: standardsTexts, supplied: suppliedClauses } = await buildStandardsContext(
+      standardDocs,
+      `${tcQuery}\n${reqEntry.title}\n${fullReqText}`
+    );
 
     // Build comprehensive prompt with full context
     const baseInstruction = `You are a QA engineer. Regenerate and improve the testcase with ID "${tcId}" from the following context. Return ONLY a JSON object (no markdown, no extra text) with these exact fields:
@@ -683,7 +1976,7 @@ app.post("/testcases/:genId/regenerate/:tcId", authenticate, async (req, res) =>
 - automatable: boolean
 - suggested_tool: string
 - confidence: number between 0 and 1
-- compliance: array of strings
+- compliance: array of objects { standard, clause, quote }, quote copied verbatim from the cited clause text
 
 REQUIREMENT:
 ID: ${reqEntry.reqId}
@@ -691,7 +1984,7 @@ Title: ${reqEntry.title}
 Content: ${reqText || "<no content available>"}
 
 STANDARDS USED:
-${standardsTexts.map(s => `${s.name}:\n${s.text || "<no content available>"}`).join("\n\n---\n\n") || "No standards available"}
+${standardsTexts.map(s => s.text).join("\n\n---\n\n") || "No standards available"}
 
 GENERATED TEST CASE SET:
 All testcases in this set:
@@ -706,7 +1999,7 @@ ${JSON.stringify(existingTc, null, 2)}`;
     }
     const finalInstruction = instructionParts.join("\n\n");
 
-    if (!ai) return res.status(500).json({ error: "AI client not initialized" });
+    if (!llm) return res.status(500).json({ error: "AI client not initialized" });
 
     const parts = [{ text: finalInstruction }];
 
@@ -716,12 +2009,9 @@ ${JSON.stringify(existingTc, null, 2)}`;
       if (stdDoc.fileUri) parts.push({ media: { contentType: "application/pdf", url: stdDoc.fileUri } });
     }
 
-    const genResp = await ai.generate({ model, prompt: parts });
-    const candidateText =
-      genResp?.text ||
-      genResp?.output ||
-      genResp?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      JSON.stringify(genResp);
+    const llmContext = { userId: req.userDoc._id, projectId: req.project._id, reqId: reqEntry.reqId, genId: genEntry._id, operation: "regenerate-testcase", tcId };
+    const genResp = await llm.generate({ prompt: parts, context: llmContext });
+    const candidateText = genResp.text || JSON.stringify(genResp.raw);
 
     // Extract JSON block (handles markdown code fences and extra text)
     let parsed = null;
@@ -735,7 +2025,7 @@ ${JSON.stringify(existingTc, null, 2)}`;
 
     // Retry if parsing failed or got an array instead of object
     if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
-      const retryInstruction = `CRITICAL: Return ONLY a valid JSON object (not an array, no markdown code blocks, no extra text before or after). The JSON object must have these exact fields:
+      let retryInstruction = `CRITICAL: Return ONLY a valid JSON object (not an array, no markdown code blocks, no extra text before or after). The JSON object must have these exact fields:
 {
   "tc_id": "${tcId}",
   "req_id": "${existingTc.req_id || genEntry.requirementId}",
@@ -747,14 +2037,14 @@ ${JSON.stringify(existingTc, null, 2)}`;
   "automatable": true/false,
   "suggested_tool": "string",
   "confidence": 0.8,
-  "compliance": ["string1", "string2"]
+  "compliance": [{ "standard": "string", "clause": "string", "quote": "verbatim text from the clause" }]
 }
 
 REQUIREMENT: ${reqEntry.reqId} - ${reqEntry.title}
 ${reqText || ""}
 
 STANDARDS:
-${standardsTexts.map(s => `${s.name}:\n${s.text || ""}`).join("\n\n")}
+${standardsTexts.map(s => s.text).join("\n\n")}
 
 ALL TESTCASES IN SET:
 ${JSON.stringify(genEntry.testcases, null, 2)}
@@ -772,8 +2062,8 @@ ${JSON.stringify(existingTc, null, 2)}`;
         if (stdDoc.fileUri) retryParts.push({ media: { contentType: "application/pdf", url: stdDoc.fileUri } });
       }
 
-      const retryResp = await ai.generate({ model, prompt: retryParts });
-      const retryText = retryResp?.text || retryResp?.output || JSON.stringify(retryResp);
+      const retryResp = await llm.generate({ prompt: retryParts, context: { ...llmContext, attempt: "retry" } });
+      const retryText = retryResp.text || JSON.stringify(retryResp.raw);
       const retryBlock = extractFirstJson(retryText, "object");
       if (retryBlock) {
         try { parsed = JSON.parse(retryBlock); } catch (e) { 
@@ -791,7 +2081,8 @@ ${JSON.stringify(existingTc, null, 2)}`;
     const newTc = {
       tc_id: tcId, // Always preserve the original tc_id
       req_id: parsed.req_id || existingTc.req_id || genEntry.requirementId,
-      jira_id: parsed.jira_id !== undefined ? String(parsed.jira_id) : (existingTc.jira_id || ""),
+      // an existing Jira link is kept whatever the model echoes back
+      jira_id: existingTc.jira_id || (parsed.jira_id !== undefined ? String(parsed.jira_id) : ""),
       title: parsed.title || existingTc.title || `Testcase ${tcId}`,
       preconditions: Array.isArray(parsed.preconditions) ? parsed.preconditions.map(String) : (Array.isArray(existingTc.preconditions) ? existingTc.preconditions : []),
       steps: Array.isArray(parsed.steps) ? parsed.steps.map(String) : (Array.isArray(existingTc.steps) ? existingTc.steps : []),
@@ -799,15 +2090,34 @@ ${JSON.stringify(existingTc, null, 2)}`;
       automatable: typeof parsed.automatable === "boolean" ? parsed.automatable : (typeof existingTc.automatable === "boolean" ? existingTc.automatable : false),
       suggested_tool: typeof parsed.suggested_tool === "string" ? parsed.suggested_tool : (existingTc.suggested_tool || "manual"),
       confidence: Number.isFinite(parseFloat(parsed.confidence)) ? Math.max(0, Math.min(1, parseFloat(parsed.confidence))) : (Number.isFinite(existingTc.confidence) ? existingTc.confidence : 0.0),
-      compliance: Array.isArray(parsed.compliance) ? parsed.compliance.map(String) : (Array.isArray(existingTc.compliance) ? existingTc.compliance : [])
+      compliance: Array.isArray(parsed.compliance) ? normalizeComplianceList(parsed.compliance) : (Array.isArray(existingTc.compliance) ? existingTc.compliance : []),
+      automation: existingTc.automation || [], // earlier script versions stay attached
+      review: existingTc.review?.toObject ? existingTc.review.toObject() : existingTc.review,
+      jiraSync: existingTc.jiraSync?.toObject ? existingTc.jiraSync.toObject() : existingTc.jiraSync,
+      requirementVersion: reqEntry.version || 1,
     };
+    review.resetReviewOnEdit(newTc, req.userDoc, "regenerated");
+    await annotateCompliance([newTc], standardDocs);
 
-    // replace the testcase in the database
+    // replace the testcase in the database (the previous version stays in the revision history)
+    const before = revisions.snapshotSet(genEntry);
     genEntry.testcases[tcIndex] = newTc;
     genEntry.markModified("testcases");
     await genEntry.save();
+    await revisions.recordRevision(
+      genEntry,
+      { user: req.userDoc._id, source: "regenerate-testcase", tcId, promptOverride },
+      before
+    );
+    await auditRequest(req, "testcase.regenerated", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { promptOverride, changes: revisions.diffSnapshots(before, revisions.snapshotSet(genEntry), tcId).changed },
+    });
 
-    res.json({ success: true, testcase: newTc });
+    const jiraResult = await pushTestcaseChangeToJira(req, genEntry, tcId);
+    res.json({ success: true, testcase: genEntry.testcases[tcIndex], suppliedClauses, jira: jiraResult });
   } catch (err) {
     console.error("regenerate single testcase error:", err);
     res.status(500).json({ error: "Regeneration failed", details: String(err) });
@@ -819,9 +2129,10 @@ ${JSON.stringify(existingTc, null, 2)}`;
 /**
  * POST /requirements/:reqId/regenerate
  * Body: { selectedStandards: [standardFilename], promptOverride? }
- * Generates a new set of testcases for the requirement
+ * Generates a new set of testcases for the requirement, overwriting its latest set.
+ * Testcases whose tc_id is kept are pushed to their linked Jira issues.
  */
-app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
+app.post("/requirements/:reqId/regenerate", authenticate, authorize("generate"), async (req, res) => {
   try {
     const { reqId } = req.params;
     const { selectedStandards = [], promptOverride } = req.body || {};
@@ -834,37 +2145,30 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
     
     // Find the requirement
     const reqEntry = await Requirement.findOne({
-      user: userId,
+      project: req.project._id,
       reqId: reqId,
     });
     if (!reqEntry) {
       return res.status(404).json({ error: "Requirement not found" });
     }
 
-    // Fetch requirement text
-    const reqText = reqEntry.fileUri
-      ? await fetchAndExtract(reqEntry.fileUri, reqEntry.originalName || reqEntry.title)
-      : "";
+    // Requirement text (extracted at upload time)
+    const fullReqText = await getExtractedText(reqEntry, reqEntry.originalName || reqEntry.title);
+    const reqText = toPromptText(fullReqText);
 
-    // Fetch standard documents
+    // Fetch standard documents and retrieve the clauses relevant to the requirement
     const standards = await Standard.find({
-      user: userId,
+      project: req.project._id,
       filename: { $in: selectedStandards },
     });
     const standardsByName = new Map(standards.map((doc) => [doc.filename, doc]));
-    const standardsTexts = [];
-    for (const sName of selectedStandards) {
-      const stdEntry = standardsByName.get(sName);
-      if (!stdEntry?.fileUri) continue;
-      const txt = await fetchAndExtract(stdEntry.fileUri, sName);
-      const short = sName.replace(/\.[^/.]+$/, "");
-      standardsTexts.push({ name: short, text: txt });
-    }
-
-    const model = googleAI ? googleAI.model(process.env.GEMINI_MODEL) : process.env.GEMINI_MODEL;
+    const { blocks: standardsTexts, supplied: suppliedClauses } = await buildStandardsContext(
+      selectedStandards.map((sName) => standardsByName.get(sName)).filter(Boolean),
+      `${reqEntry.title}\n${fullReqText}`
+    );
 
     // Build instruction
-    const defaultInstruction = `You are a senior QA engineer for regulated healthcare software. Using ONLY the extracted text blocks provided below, return EXACTLY a JSON array (no commentary, no markdown) of testcases. Each testcase must have these fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array). Provide minimum 2 testcases. Decide the max number of testcases based on the size of the requirements. You are free to produce as many testcases as required. Use req_id: ${reqId}.`;
+    const defaultInstruction = `You are a senior QA engineer for regulated healthcare software. Using ONLY the extracted text blocks provided below, return EXACTLY a JSON array (no commentary, no markdown) of testcases. Each testcase must have these fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array of objects { standard, clause, quote } where quote is copied verbatim from the cited clause text). Provide minimum 2 testcases. Decide the max number of testcases based on the size of the requirements. You are free to produce as many testcases as required. Use req_id: ${reqId}.`;
     
     const instructionParts = [defaultInstruction];
     if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
@@ -878,7 +2182,7 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
       { text: `Requirement metadata:\nreq_id: ${reqId}\ntitle: ${reqEntry.title}\n\nRequirement text:\n${reqText || "<no extracted text>"}\n` },
       { text: `Standards list: ${selectedStandards.join(", ")}` }
     ];
-    for (const s of standardsTexts) parts.push({ text: `Standard: ${s.name}\n\n${s.text || "<no extracted text>"}\n` });
+    for (const s of standardsTexts) parts.push({ text: s.text });
     parts.push({ text: "Return ONLY the JSON array." });
 
     // Attach requirement and standards as media if available
@@ -888,21 +2192,16 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
       if (stdEntry?.fileUri) parts.push({ media: { contentType: "application/pdf", url: stdEntry.fileUri } });
     }
 
-    if (!ai) {
+    if (!llm) {
       return res.status(500).json({ error: "AI client not initialized" });
     }
 
     // Call AI
-    const genResp = await ai.generate({ model, prompt: parts });
-    const candidateText = genResp?.text || genResp?.output || genResp?.candidates?.[0]?.content?.parts?.[0]?.text || JSON.stringify(genResp);
+    // prompt and raw response are recorded in the audit trail by the provider wrapper
+    const genResp = await llm.generate({ prompt: parts, context: { userId, projectId: req.project._id, reqId, operation: "regenerate" } });
+    const candidateText = genResp.text || JSON.stringify(genResp.raw);
     console.log("Candidate Text ->", candidateText);
 
-    // Audit log the raw text for debugging
-    try {
-      const auditFile = path.join(AI_RAW_DIR, `${reqId}-regenerate-${Date.now()}.log`);
-      fs.appendFileSync(auditFile, `--- RAW RESPONSE ---\n${candidateText}\n\n--- FULL GEN RESP ---\n${JSON.stringify(genResp, null, 2)}\n`);
-    } catch (e) { /* ignore audit failures */ }
-
     // Attempt parse -> extract JSON block
     let parsed = null;
     const jsonBlock = extractFirstJson(candidateText, "array");
@@ -914,7 +2213,7 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
     // Retry once with an extremely strict short instruction if parsing failed
     if (!Array.isArray(parsed)) {
       const retryInstructionParts = [
-        "IMPORTANT: Return ONLY a JSON array and NOTHING ELSE. No text, no markdown. The array must contain objects with fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array)."
+        "IMPORTANT: Return ONLY a JSON array and NOTHING ELSE. No text, no markdown. The array must contain objects with fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array of objects { standard, clause, quote } with quote copied verbatim from the standard)."
       ];
       if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
         retryInstructionParts.push(`Additional user instructions:\n${promptOverride.trim()}`);
@@ -923,7 +2222,7 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
       const retryParts = [
         { text: retryInstructionParts.join("\n\n") },
         { text: `Requirement: ${reqId}\n${reqText}` },
-        ...standardsTexts.map(s => ({ text: `Standard: ${s.name}\n\n${s.text || "<no text>"}\n` }))
+        ...standardsTexts.map(s => ({ text: s.text }))
       ];
       if (reqEntry.fileUri) retryParts.push({ media: { contentType: "application/pdf", url: reqEntry.fileUri } });
       for (const sName of selectedStandards) {
@@ -931,10 +2230,8 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
         if (stdEntry?.fileUri) retryParts.push({ media: { contentType: "application/pdf", url: stdEntry.fileUri } });
       }
 
-      const retryResp = await ai.generate({ model, prompt: retryParts });
-      const retryText = retryResp?.text || retryResp?.output || JSON.stringify(retryResp);
-      // append retry to audit
-      try { fs.appendFileSync(path.join(AI_RAW_DIR, `${reqId}-regenerate-${Date.now()}-retry.log`), retryText); } catch (e) {}
+      const retryResp = await llm.generate({ prompt: retryParts, context: { userId, projectId: req.project._id, reqId, operation: "regenerate", attempt: "retry" } });
+      const retryText = retryResp.text || JSON.stringify(retryResp.raw);
       const retryBlock = extractFirstJson(retryText, "array");
       if (retryBlock) {
         try { parsed = JSON.parse(retryBlock); } catch (e) { parsed = null; }
@@ -947,41 +2244,69 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
 
     // Normalize and store (overwrite if a set already exists for this requirement)
     const normalized = parsed.map((t) => normalizeTestcaseForStore(t, reqId));
+    await annotateCompliance(normalized, standards);
 
     // Try to find the latest existing generated set for this requirement
     let savedEntry = await GeneratedSet.findOne({
-      user: userId,
+      project: req.project._id,
       requirementId: reqEntry.reqId,
     }).sort({ createdAt: -1 });
 
+    const jiraResults = [];
     if (savedEntry) {
-      // OVERWRITE existing set
+      // OVERWRITE existing set (the previous content stays in the revision history).
+      // Testcases keeping their tc_id keep their Jira link, automation scripts and review
+      // history; their review goes back to draft.
+      const before = revisions.snapshotSet(savedEntry);
+      const { kept, dropped } = jiraSync.carryOverTestcases(savedEntry.testcases, normalized, req.userDoc);
       savedEntry.requirement = reqEntry._id;
       savedEntry.requirementId = reqEntry.reqId;
       savedEntry.requirementTitle = reqEntry.title;
+      savedEntry.requirementVersion = reqEntry.version || 1;
+      savedEntry.requirementHash = reqEntry.extracted?.contentHash;
       savedEntry.selectedStandards = selectedStandards;
       savedEntry.testcases = normalized;
       savedEntry.promptOverride = promptOverride || undefined;
+      savedEntry.suppliedClauses = suppliedClauses;
       await savedEntry.save();
+      await revisions.recordRevision(savedEntry, { user: userId, source: "regenerate", promptOverride }, before);
+      for (const tcId of kept) {
+        const result = await pushTestcaseChangeToJira(req, savedEntry, tcId);
+        if (result) jiraResults.push({ tc_id: tcId, ...result });
+      }
+      jiraResults.push(...dropped.map((d) => ({ ...d, action: "dropped" })));
     } else {
       // Fallback: create if none exists
       savedEntry = await GeneratedSet.create({
         user: userId,
+        project: req.project._id,
         requirement: reqEntry._id,
         requirementId: reqEntry.reqId,
         requirementTitle: reqEntry.title,
+        requirementVersion: reqEntry.version || 1,
+        requirementHash: reqEntry.extracted?.contentHash,
         selectedStandards,
         testcases: normalized,
         promptOverride: promptOverride || undefined,
+        suppliedClauses,
       });
+      await revisions.recordRevision(savedEntry, { user: userId, source: "regenerate", promptOverride });
     }
 
+    await auditRequest(req, "set.regenerated", {
+      requirementId: reqId,
+      genId: savedEntry._id,
+      data: { selectedStandards, promptOverride, count: normalized.length },
+    });
+
     res.json({
       success: true,
       genId: savedEntry._id.toString(), // stays the same when overwriting
       count: normalized.length,
       requirementId: reqId,
       requirementTitle: reqEntry.title,
+      suppliedClauses,
+      jira: jiraResults,
     });
 
   } catch (err) {
@@ -995,16 +2320,19 @@ app.post("/requirements/:reqId/regenerate", authenticate, async (req, res) => {
 /**
  * PATCH /testcases/:genId/:tcId
  * body: fields to update (title, preconditions, steps, expected, automatable, suggested_tool, confidence, compliance)
+ * A testcase that was in review, approved or rejected goes back to draft; a linked Jira
+ * issue is updated too (JIRA_SYNC_ON_CHANGE).
  */
-app.patch("/testcases/:genId/:tcId", authenticate, async (req, res) => {
+app.patch("/testcases/:genId/:tcId", authenticate, authorize("edit"), async (req, res) => {
   try {
     const { genId, tcId } = req.params;
     const updates = req.body || {};
-    const genEntry = await GeneratedSet.findOne({ _id: genId, user: req.userDoc._id });
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
     if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
     const idx = genEntry.testcases.findIndex((t) => t.tc_id === tcId);
     if (idx === -1) return res.status(404).json({ error: "Testcase id not found" });
 
+    const before = revisions.snapshotSet(genEntry);
     const tc = genEntry.testcases[idx];
     if (updates.title) tc.title = String(updates.title);
     if (updates.preconditions) tc.preconditions = Array.isArray(updates.preconditions) ? updates.preconditions.map(String) : [String(updates.preconditions)];
@@ -1016,186 +2344,1574 @@ app.patch("/testcases/:genId/:tcId", authenticate, async (req, res) => {
       const c = parseFloat(updates.confidence);
       if (Number.isFinite(c)) tc.confidence = Math.max(0, Math.min(1, c));
     }
-    if (updates.compliance) tc.compliance = Array.isArray(updates.compliance) ? updates.compliance.map(String) : [String(updates.compliance)];
+    if (updates.compliance) {
+      tc.compliance = normalizeComplianceList(updates.compliance);
+      const standardDocs = await Standard.find({
+        project: req.project._id,
+        filename: { $in: genEntry.selectedStandards || [] },
+      });
+      await annotateCompliance([tc], standardDocs);
+    }
+    const edited = ["title", "preconditions", "steps", "expected", "automatable", "suggested_tool", "confidence", "compliance"]
+      .some((field) => typeof updates[field] !== "undefined");
+    if (edited) review.resetReviewOnEdit(tc, req.userDoc, "edited");
 
     genEntry.markModified("testcases");
     await genEntry.save();
-    res.json({ success: true, testcase: tc });
+    await revisions.recordRevision(genEntry, { user: req.userDoc._id, source: "patch", tcId }, before);
+    await auditRequest(req, "testcase.patched", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { changes: revisions.diffSnapshots(before, revisions.snapshotSet(genEntry), tcId).changed },
+    });
+    const jiraResult = edited ? await pushTestcaseChangeToJira(req, genEntry, tcId) : undefined;
+    res.json({ success: true, testcase: tc, jira: jiraResult });
   } catch (err) {
     console.error("patch testcase error:", err);
     res.status(500).json({ error: "Update failed", details: String(err.message || err) });
   }
 });
 
-/* ------------------ JIRA (unchanged) ------------------ */
+/* ------------------ REVIEW workflow ------------------ */
 
 /**
- * POST /testcases/:genId/:tcId/jira
- * create jira issue for a single testcase (body may include projectKey, issueType, assignee)
+ * POST /testcases/:genId/:tcId/review
+ * Body: { status: in_review|approved|rejected|draft, comment (required for rejected) }
  */
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL;
-const JIRA_USER_EMAIL = process.env.JIRA_USER_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJ = process.env.JIRA_PROJECT_KEY;
-app.post("/testcases/:genId/:tcId/jira", authenticate, async (req, res) => {
+app.post("/testcases/:genId/:tcId/review", authenticate, authorize("review"), async (req, res) => {
   try {
     const { genId, tcId } = req.params;
-    const { issueType = "Task", assignee, projectKey } = req.body || {};
-
-    if (!JIRA_BASE_URL || !JIRA_USER_EMAIL || !JIRA_API_TOKEN || !PROJ) {
-      return res.status(400).json({ error: "Jira credentials/project not configured in env" });
-    }
-
-    const genEntry = await GeneratedSet.findOne({ _id: genId, user: req.userDoc._id });
+    const { status, comment } = req.body || {};
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
     if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
-
-    const rqId = genEntry.requirementId;
-
-    // 1) create parent task if missing
-    let parentKey = genEntry.jiraId || "";
-    if (!parentKey) {
-      const taskResp = await createJiraTask(genEntry); // await!
-      // Jira create response often has .data.key
-      parentKey = taskResp?.data?.key || taskResp?.data?.id || (typeof taskResp?.data === "string" ? taskResp.data : null);
-      if (!parentKey) {
-        // fallback: put entire data for debugging
-        parentKey = JSON.stringify(taskResp?.data || taskResp);
-      }
-
-      await GeneratedSet.updateMany(
-        { user: genEntry.user, requirementId: rqId },
-        { $set: { jiraId: parentKey } }
-      );
-      genEntry.jiraId = parentKey;
-    }
-
-    // 2) create subtask for the testcase
     const tc = genEntry.testcases.find((t) => t.tc_id === tcId);
     if (!tc) return res.status(404).json({ error: "Testcase id not found" });
 
-    // ensure genEntry.jiraId is set to parentKey before calling subtask (some helper expects it)
-    genEntry.jiraId = parentKey;
-
-    const subResp = await createJiraSubTask(genEntry, tcId); // await!
-    const subKey = subResp?.data?.key || subResp?.data?.id || (typeof subResp?.data === "string" ? subResp.data : null);
-
-    // persist subtask id into the testcase (use jira_id field on testcase)
-    tc.jira_id = subKey || JSON.stringify(subResp?.data || subResp);
+    const before = revisions.snapshotSet(genEntry);
+    const result = review.transitionReview(tc, status, req.userDoc, comment);
+    if (!result.ok) return res.status(400).json({ error: result.error });
 
     genEntry.markModified("testcases");
     await genEntry.save();
-
-    return res.json({ success: true, jira: { parent: parentKey, subtask: tc.jira_id } });
-  } catch (err) {
-    console.error("jira create error:", err?.response?.data || err.message || err);
-    return res.status(500).json({
-      error: "Jira creation failed",
-      details: err?.response?.data || String(err),
+    await revisions.recordRevision(genEntry, { user: req.userDoc._id, source: "review", tcId, note: `${result.from} -> ${result.to}` }, before);
+    await auditRequest(req, "testcase.review", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { from: result.from, to: result.to, comment },
     });
+    res.json({ success: true, tc_id: tcId, review: tc.review });
+  } catch (err) {
+    console.error("review transition error:", err);
+    res.status(500).json({ error: "Review update failed", details: String(err.message || err) });
   }
 });
 
-// ---------- Safe helpers: throw on error, do not use `res` ----------
-async function createJiraTask(genEntry) {
-  if (!genEntry || !genEntry.requirementId) {
-    throw new Error("Requirement id not found on genEntry");
-  }
-
-  const summary = `Requirement: ${genEntry.requirementTitle || genEntry.requirementId}`;
-  const description = [
-    `*Requirement ID*: ${genEntry.requirementId}`,
-    `*Requirement*: ${genEntry.requirementTitle || ""}`,
-    `*Standards*: ${(genEntry.selectedStandards || []).join(", ")}`,
-  ].join("\n\n");
-
-  const payload = {
-    fields: {
-      project: { key: PROJ },
-      summary,
-      description: {
-        type: "doc",
-        version: 1,
-        content: [
-          {
-            type: "paragraph",
-            content: [{ type: "text", text: description }],
-          },
-        ],
-      },
-      issuetype: { name: "Task" },
-    },
+/**
+ * POST /generated/:genId/review
+ * Body: { status, comment?, tcIds?: [tc_id] (default: every testcase in the set) }
+ * Applies the transition to each testcase that allows it; the others are reported.
+ * Response: { success, counts, results: [{ tc_id, success, from?, to?, error? }] }
+ */
+app.post("/generated/:genId/review", authenticate, authorize("review"), async (req, res) => {
+  try {
+    const { status, comment, tcIds } = req.body || {};
+    if (!review.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${review.REVIEW_STATUSES.join(", ")}` });
+    }
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const targets = Array.isArray(tcIds) && tcIds.length
+      ? genEntry.testcases.filter((t) => tcIds.includes(t.tc_id))
+      : genEntry.testcases;
+    const before = revisions.snapshotSet(genEntry);
+    const results = targets.map((tc) => {
+      const result = review.transitionReview(tc, status, req.userDoc, comment);
+      return result.ok
+        ? { tc_id: tc.tc_id, success: true, from: result.from, to: result.to }
+        : { tc_id: tc.tc_id, success: false, error: result.error };
+    });
+    for (const id of Array.isArray(tcIds) ? tcIds : []) {
+      if (!targets.some((t) => t.tc_id === id)) results.push({ tc_id: id, success: false, error: "Testcase id not found" });
+    }
+
+    const changed = results.filter((r) => r.success).length;
+    if (changed) {
+      genEntry.markModified("testcases");
+      await genEntry.save();
+      await revisions.recordRevision(genEntry, { user: req.userDoc._id, source: "review", note: `${changed} testcase(s) -> ${status}` }, before);
+      await auditRequest(req, "testcase.review", {
+        requirementId: genEntry.requirementId,
+        genId: genEntry._id,
+        data: { to: status, comment, results },
+      });
+    }
+    res.json({ success: results.every((r) => r.success), counts: review.reviewCounts(genEntry.testcases), results });
+  } catch (err) {
+    console.error("bulk review transition error:", err);
+    res.status(500).json({ error: "Review update failed", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ E-SIGNATURES (21 CFR Part 11) ------------------ */
+
+// signing requires a fresh sign-in of the signed-in user (ID token from any enabled
+// provider, or the password of a local account), not just a valid session
+async function reauthenticateForSigning(req) {
+  const { idToken, password } = req.body || {};
+  if (!idToken && !password) {
+    return { ok: false, status: 401, error: "idToken (fresh sign-in) or password is required to sign" };
+  }
+  if (!idToken) {
+    const local = authProviders.get("local");
+    const user = local ? await User.findById(req.userDoc._id).select("+passwordHash") : null;
+    if (!user || !user.passwordHash) {
+      return { ok: false, status: 401, error: "This account has no local password; re-authenticate with idToken" };
+    }
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return { ok: false, status: 401, error: "Re-authentication failed", details: "wrong password" };
+    }
+    return { ok: true, authenticatedAt: new Date() };
+  }
+  let identity;
+  try {
+    identity = await authProviders.verifyToken(idToken);
+  } catch (e) {
+    return { ok: false, status: 401, error: "Re-authentication failed", details: String(e.message || e) };
+  }
+  const check = signatures.checkReauthentication(identity, req.userDoc);
+  return check.ok ? check : { ...check, status: 401 };
+}
+
+function validateSignatureMeaning(meaning) {
+  if (!signatures.SIGNATURE_MEANINGS.includes(meaning)) {
+    return `meaning must be one of ${signatures.SIGNATURE_MEANINGS.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * POST /testcases/:genId/:tcId/sign
+ * Body: { idToken (ID token issued within SIGNATURE_MAX_AUTH_AGE_SECONDS) | password (local accounts), meaning: authored|reviewed|approved|verified, comment? }
+ * Response: { success, signature } (manifest with content hash)
+ */
+app.post("/testcases/:genId/:tcId/sign", authenticate, authorize("sign"), async (req, res) => {
+  try {
+    const { genId, tcId } = req.params;
+    const { meaning, comment } = req.body || {};
+    const meaningError = validateSignatureMeaning(meaning);
+    if (meaningError) return res.status(400).json({ error: meaningError });
+
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    if (!genEntry.testcases.some((t) => t.tc_id === tcId)) return res.status(404).json({ error: "Testcase id not found" });
+
+    const auth = await reauthenticateForSigning(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error, details: auth.details });
+
+    const sig = await signatures.signRecord({
+      set: genEntry,
+      tcId,
+      signer: req.userDoc,
+      meaning,
+      comment,
+      authenticatedAt: auth.authenticatedAt,
+    });
+    await auditRequest(req, "signature.created", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { signatureId: sig._id.toString(), meaning, contentHash: sig.contentHash },
+    });
+    res.json({ success: true, signature: signatures.verifySignatures(genEntry, [sig])[0] });
+  } catch (err) {
+    console.error("sign testcase error:", err);
+    res.status(500).json({ error: "Signing failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /generated/:genId/sign
+ * Body: same as the testcase route; signs the whole set (requirement, standards and every testcase).
+ */
+app.post("/generated/:genId/sign", authenticate, authorize("sign"), async (req, res) => {
+  try {
+    const { meaning, comment } = req.body || {};
+    const meaningError = validateSignatureMeaning(meaning);
+    if (meaningError) return res.status(400).json({ error: meaningError });
+
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const auth = await reauthenticateForSigning(req);
+    if (!auth.ok) return res.status(auth.status).json({ error: auth.error, details: auth.details });
+
+    const sig = await signatures.signRecord({
+      set: genEntry,
+      signer: req.userDoc,
+      meaning,
+      comment,
+      authenticatedAt: auth.authenticatedAt,
+    });
+    await auditRequest(req, "signature.created", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      data: { signatureId: sig._id.toString(), meaning, contentHash: sig.contentHash },
+    });
+    res.json({ success: true, signature: signatures.verifySignatures(genEntry, [sig])[0] });
+  } catch (err) {
+    console.error("sign generated set error:", err);
+    res.status(500).json({ error: "Signing failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /generated/:genId/signatures?tcId=optional
+ * Response: { valid, signatures: [manifest + { currentHash, valid, issue? }] }
+ */
+app.get("/generated/:genId/signatures", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    let list = await signatures.loadVerifiedSignatures(genEntry);
+    if (req.query.tcId) list = list.filter((sig) => sig.tcId === req.query.tcId);
+    res.json({ valid: list.every((sig) => sig.valid), signatures: list });
+  } catch (err) {
+    console.error("list signatures error:", err);
+    res.status(500).json({ error: "Unable to load signatures", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ REVISIONS (version history) ------------------ */
+
+// revision number from a route or query parameter; null unless a positive integer
+function revisionNumber(value) {
+  const rev = Number(value);
+  return Number.isInteger(rev) && rev > 0 ? rev : null;
+}
+
+async function loadRevisionSnapshot(genEntry, rev) {
+  if (rev === "current") return revisions.snapshotSet(genEntry);
+  const doc = await Revision.findOne({ set: genEntry._id, revision: revisionNumber(rev) });
+  return doc ? doc.snapshot : null;
+}
+
+/**
+ * GET /generated/:genId/revisions
+ * Response: [{ revision, source, tcId, promptOverride, restoredFrom, user: { id, email, name }, createdAt, count }] (newest first)
+ */
+app.get("/generated/:genId/revisions", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const list = await Revision.find({ set: genEntry._id }, { snapshot: 0 })
+      .sort({ revision: -1 })
+      .populate("user", "email name");
+    res.json(list.map(revisions.revisionSummary));
+  } catch (err) {
+    console.error("list revisions error:", err);
+    res.status(500).json({ error: "Unable to load revisions", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /generated/:genId/revisions/diff?from=3&to=5|current&tcId=optional
+ * Response: { from, to, set: [{ field, from, to }], added, removed, changed: [{ tc_id, changes: [{ field, from, to }] }] }
+ */
+app.get("/generated/:genId/revisions/diff", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const { from, to = "current", tcId } = req.query;
+    if (!from) return res.status(400).json({ error: "from revision must be provided" });
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value !== "current" && !revisionNumber(value)) {
+        return res.status(400).json({ error: `${name} must be a revision number or "current"` });
+      }
+    }
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const fromSnap = await loadRevisionSnapshot(genEntry, from);
+    const toSnap = await loadRevisionSnapshot(genEntry, to);
+    if (!fromSnap || !toSnap) return res.status(404).json({ error: "Revision not found" });
+
+    res.json({ from, to, tcId, ...revisions.diffSnapshots(fromSnap, toSnap, tcId) });
+  } catch (err) {
+    console.error("diff revisions error:", err);
+    res.status(500).json({ error: "Unable to diff revisions", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /generated/:genId/revisions/:rev
+ * Full snapshot of one revision
+ */
+app.get("/generated/:genId/revisions/:rev", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const revNumber = revisionNumber(req.params.rev);
+    if (!revNumber) return res.status(400).json({ error: "rev must be a positive integer" });
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const rev = await Revision.findOne({ set: genEntry._id, revision: revNumber }).populate("user", "email name");
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+    res.json({ ...revisions.revisionSummary(rev), snapshot: rev.snapshot });
+  } catch (err) {
+    console.error("get revision error:", err);
+    res.status(500).json({ error: "Unable to load revision", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /generated/:genId/revisions/:rev/restore
+ * Restores the whole set; recorded as a new revision, history is kept. Restored
+ * testcases go back to draft and need another review.
+ */
+app.post("/generated/:genId/revisions/:rev/restore", authenticate, authorize("edit"), async (req, res) => {
+  try {
+    const revNumber = revisionNumber(req.params.rev);
+    if (!revNumber) return res.status(400).json({ error: "rev must be a positive integer" });
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const rev = await Revision.findOne({ set: genEntry._id, revision: revNumber });
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    const before = revisions.snapshotSet(genEntry);
+    revisions.applySnapshotToSet(genEntry, rev.snapshot);
+    for (const tc of genEntry.testcases) review.resetReviewOnEdit(tc, req.userDoc, `restored from revision ${rev.revision}`);
+    await genEntry.save();
+    const recorded = await revisions.recordRevision(
+      genEntry,
+      { user: req.userDoc._id, source: "restore", restoredFrom: rev.revision },
+      before
+    );
+    await auditRequest(req, "revision.restored", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      data: { restoredFrom: rev.revision, revision: recorded ? recorded.revision : null },
+    });
+    const jiraResults = [];
+    for (const tc of genEntry.testcases) {
+      const result = await pushTestcaseChangeToJira(req, genEntry, tc.tc_id);
+      if (result) jiraResults.push({ tc_id: tc.tc_id, ...result });
+    }
+    res.json({
+      success: true,
+      revision: recorded ? recorded.revision : null,
+      restoredFrom: rev.revision,
+      count: genEntry.testcases.length,
+      jira: jiraResults,
+    });
+  } catch (err) {
+    console.error("restore revision error:", err);
+    res.status(500).json({ error: "Restore failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /testcases/:genId/:tcId/revisions
+ * Revisions in which this testcase changed (newest first), each with the testcase as it was.
+ */
+app.get("/testcases/:genId/:tcId/revisions", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const { genId, tcId } = req.params;
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const list = await revisions.listTestcaseRevisions(genEntry._id, tcId);
+    res.json(list.reverse().map((rev) => ({
+      ...revisions.revisionSummary(rev),
+      testcase: (rev.snapshot?.testcases || []).find((t) => t.tc_id === tcId) || null,
+    })));
+  } catch (err) {
+    console.error("list testcase revisions error:", err);
+    res.status(500).json({ error: "Unable to load revisions", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /testcases/:genId/:tcId/revisions/:rev/restore
+ * Restores a single testcase from a revision, leaving the rest of the set untouched.
+ */
+app.post("/testcases/:genId/:tcId/revisions/:rev/restore", authenticate, authorize("edit"), async (req, res) => {
+  try {
+    const { genId, tcId } = req.params;
+    const revNumber = revisionNumber(req.params.rev);
+    if (!revNumber) return res.status(400).json({ error: "rev must be a positive integer" });
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const rev = await Revision.findOne({ set: genEntry._id, revision: revNumber });
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    const before = revisions.snapshotSet(genEntry);
+    if (!revisions.applySnapshotToTestcase(genEntry, rev.snapshot, tcId)) {
+      return res.status(404).json({ error: `Testcase ${tcId} not found in revision ${rev.revision}` });
+    }
+    const restoredTc = genEntry.testcases.find((t) => t.tc_id === tcId);
+    review.resetReviewOnEdit(restoredTc, req.userDoc, `restored from revision ${rev.revision}`);
+    await genEntry.save();
+    const recorded = await revisions.recordRevision(
+      genEntry,
+      { user: req.userDoc._id, source: "restore", tcId, restoredFrom: rev.revision },
+      before
+    );
+    await auditRequest(req, "revision.restored", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { restoredFrom: rev.revision, revision: recorded ? recorded.revision : null },
+    });
+    const jiraResult = await pushTestcaseChangeToJira(req, genEntry, tcId);
+    res.json({
+      success: true,
+      revision: recorded ? recorded.revision : null,
+      restoredFrom: rev.revision,
+      testcase: restoredTc,
+      jira: jiraResult,
+    });
+  } catch (err) {
+    console.error("restore testcase revision error:", err);
+    res.status(500).json({ error: "Restore failed", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ AUTOMATION scripts ------------------ */
+
+function automationSummary(artifact) {
+  return {
+    version: artifact.version,
+    tool: artifact.tool,
+    language: artifact.language,
+    filename: artifact.filename,
+    provider: artifact.provider,
+    model: artifact.model,
+    createdAt: artifact.createdAt,
+  };
+}
+
+/**
+ * POST /testcases/:genId/:tcId/automation
+ * Body optional: { tool: playwright|cypress|jest|postman (default: testcase suggested_tool), promptOverride }
+ * Generates a script skeleton and stores it as the next version on the testcase.
+ */
+app.post("/testcases/:genId/:tcId/automation", authenticate, authorize("generate"), async (req, res) => {
+  try {
+    const { genId, tcId } = req.params;
+    const { tool, promptOverride } = req.body || {};
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const tc = genEntry.testcases.find((t) => t.tc_id === tcId);
+    if (!tc) return res.status(404).json({ error: "Testcase id not found" });
+
+    const result = await generateAutomationScript({ llm, userId: req.userDoc._id, set: genEntry, testcase: tc, tool, promptOverride });
+    if (!result.success) {
+      const status = result.details ? 422 : 400;
+      return res.status(status).json({ error: result.error, details: result.details });
+    }
+
+    const before = revisions.snapshotSet(genEntry);
+    tc.automation.push(result.artifact);
+    genEntry.markModified("testcases");
+    await genEntry.save();
+    await revisions.recordRevision(genEntry, { user: req.userDoc._id, source: "automation", tcId, promptOverride }, before);
+    await auditRequest(req, "automation.generated", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId,
+      data: { tool: result.artifact.tool, version: result.artifact.version, filename: result.artifact.filename },
+    });
+    res.json({ success: true, tc_id: tcId, artifact: result.artifact });
+  } catch (err) {
+    console.error("generate automation error:", err);
+    res.status(500).json({ error: "Automation generation failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /generated/:genId/automation
+ * Body optional: { tool, promptOverride, tcIds: [tc_id] (default: all automatable testcases) }
+ * Generates scripts one testcase at a time; failures are reported per testcase.
+ */
+app.post("/generated/:genId/automation", authenticate, authorize("generate"), async (req, res) => {
+  try {
+    const { tool, promptOverride, tcIds } = req.body || {};
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const targets = Array.isArray(tcIds) && tcIds.length
+      ? genEntry.testcases.filter((t) => tcIds.includes(t.tc_id))
+      : genEntry.testcases.filter((t) => t.automatable);
+    if (!targets.length) return res.status(400).json({ error: "No testcases to automate" });
+
+    const before = revisions.snapshotSet(genEntry);
+    const results = [];
+    for (const tc of targets) {
+      try {
+        const result = await generateAutomationScript({ llm, userId: req.userDoc._id, set: genEntry, testcase: tc, tool, promptOverride });
+        if (result.success) {
+          tc.automation.push(result.artifact);
+          results.push({ tc_id: tc.tc_id, success: true, ...automationSummary(result.artifact) });
+        } else {
+          results.push({ tc_id: tc.tc_id, success: false, error: result.error, details: result.details });
+        }
+      } catch (e) {
+        console.error(`automation for ${tc.tc_id} failed:`, e?.message || e);
+        results.push({ tc_id: tc.tc_id, success: false, error: String(e.message || e) });
+      }
+    }
+
+    if (results.some((r) => r.success)) {
+      genEntry.markModified("testcases");
+      await genEntry.save();
+      await revisions.recordRevision(genEntry, { user: req.userDoc._id, source: "automation", promptOverride }, before);
+    }
+    await auditRequest(req, "automation.generated", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      data: { results },
+    });
+    res.json({ success: results.every((r) => r.success), results });
+  } catch (err) {
+    console.error("generate set automation error:", err);
+    res.status(500).json({ error: "Automation generation failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /testcases/:genId/:tcId/automation
+ * Response: { tc_id, tools, versions: [{ version, tool, language, filename, provider, model, createdAt }] }
+ */
+app.get("/testcases/:genId/:tcId/automation", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const tc = genEntry.testcases.find((t) => t.tc_id === req.params.tcId);
+    if (!tc) return res.status(404).json({ error: "Testcase id not found" });
+
+    res.json({
+      tc_id: tc.tc_id,
+      tools: Object.keys(AUTOMATION_TOOLS),
+      versions: (tc.automation || []).map(automationSummary),
+    });
+  } catch (err) {
+    console.error("list automation error:", err);
+    res.status(500).json({ error: "Unable to load automation scripts", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /testcases/:genId/:tcId/automation/:version
+ * Downloads one script version (use "latest" for the newest).
+ */
+app.get("/testcases/:genId/:tcId/automation/:version", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const tc = genEntry.testcases.find((t) => t.tc_id === req.params.tcId);
+    if (!tc) return res.status(404).json({ error: "Testcase id not found" });
+
+    const versions = tc.automation || [];
+    const artifact = req.params.version === "latest"
+      ? versions.reduce((latest, a) => (!latest || a.version > latest.version ? a : latest), null)
+      : versions.find((a) => a.version === Number(req.params.version));
+    if (!artifact) return res.status(404).json({ error: "Automation script version not found" });
+
+    res.set("Content-Type", artifact.language === "json" ? "application/json; charset=utf-8" : "text/javascript; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${artifact.filename}"`);
+    res.send(artifact.code);
+  } catch (err) {
+    console.error("download automation error:", err);
+    res.status(500).json({ error: "Unable to load automation script", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ PROJECTS, members & invitations ------------------ */
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 14;
+
+// no mail transport is bundled: the accept link is logged and returned to the inviter,
+// and invitees also find pending invitations under GET /invitations after signing in
+// resolves to { acceptUrl, sent }; the link is only ever emailed, never logged
+async function deliverInvitation(invitation, project, inviter) {
+  const base = String(process.env.APP_BASE_URL || "").replace(/\/$/, "");
+  const acceptUrl = `${base}/invitations/${invitation._id}/accept`;
+  const delivery = await mailer.send({
+    kind: "invitation",
+    to: invitation.email,
+    subject: `Invitation to ${project.name}`,
+    text: `${inviter.email} invited you to "${project.name}" as ${invitation.role}. Sign in with this email address and accept the invitation here:\n${acceptUrl}`,
+  });
+  return { acceptUrl, sent: delivery.delivered };
+}
+
+function serializeInvitation(inv, project) {
+  return {
+    id: inv._id.toString(),
+    project: project ? { id: project._id.toString(), name: project.name } : inv.project.toString(),
+    email: inv.email,
+    role: inv.role,
+    status: inv.status,
+    expiresAt: inv.expiresAt,
+    createdAt: inv.createdAt,
   };
+}
+
+/**
+ * GET /projects
+ * Projects the user is a member of (personal project first) with their role
+ */
+app.get("/projects", authenticate, async (req, res) => {
+  try {
+    let list = await projects.listProjectsForUser(req.userDoc);
+    if (req.apiKey?.project) list = list.filter((p) => String(p._id) === String(req.apiKey.project));
+    res.json(list.map((p) => projects.projectSummary(p, req.userDoc._id)));
+  } catch (err) {
+    console.error("Fetch projects error:", err);
+    res.status(500).json({ error: "Unable to load projects", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /projects
+ * Body: { name, description?, organizationId? }
+ * The creator becomes the project's owner; creating a project inside an organization
+ * requires being one of its owners.
+ */
+app.post("/projects", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const { name, description, organizationId } = req.body || {};
+    if (!name || typeof name !== "string" || !name.trim()) return res.status(400).json({ error: "name must be provided" });
+    if (organizationId && !mongoose.isValidObjectId(organizationId)) return res.status(400).json({ error: "Invalid organization id" });
+    if (organizationId && !(await projects.isOrganizationOwner(organizationId, req.userDoc._id))) {
+      return res.status(403).json({ error: "Only organization owners can create projects in it" });
+    }
+
+    const project = await Project.create({
+      name: name.trim(),
+      description: typeof description === "string" ? description : undefined,
+      organization: organizationId || undefined,
+      createdBy: req.userDoc._id,
+      members: [{ user: req.userDoc._id, role: "owner", addedBy: req.userDoc._id }],
+    });
+    await recordAudit("project.created", { user: req.userDoc, project, data: { name: project.name, organization: organizationId } });
+    res.status(201).json(projects.projectSummary(project, req.userDoc._id));
+  } catch (err) {
+    console.error("Create project error:", err);
+    res.status(500).json({ error: "Unable to create project", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /projects/:projectId
+ * Project with its members (and pending invitations for owners)
+ */
+app.get("/projects/:projectId", authenticate, authorize("read"), async (req, res) => {
+  try {
+    await req.project.populate("members.user", "email name");
+    const out = {
+      ...projects.projectSummary(req.project, req.userDoc._id),
+      members: req.project.members.map(projects.memberSummary),
+    };
+    if (projects.can(req, "project.manage")) {
+      const pending = await Invitation.find({ project: req.project._id, status: "pending" }).sort({ createdAt: -1 });
+      out.invitations = pending.map((inv) => serializeInvitation(inv));
+    }
+    res.json(out);
+  } catch (err) {
+    console.error("Fetch project error:", err);
+    res.status(500).json({ error: "Unable to load project", details: String(err.message || err) });
+  }
+});
+
+/**
+ * PATCH /projects/:projectId/members/:userId
+ * Body: { role: owner|editor|reviewer|viewer }
+ */
+app.patch("/projects/:projectId/members/:userId", authenticate, authorize("project.manage"), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!projects.PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${projects.PROJECT_ROLES.join(", ")}` });
+    }
+    const member = req.project.members.find((m) => String(m.user) === req.params.userId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (member.role === "owner" && role !== "owner" && projects.ownerCount(req.project) === 1) {
+      return res.status(409).json({ error: "A project needs at least one owner" });
+    }
+
+    const from = member.role;
+    member.role = role;
+    await req.project.save();
+    await auditRequest(req, "project.member.updated", { data: { member: req.params.userId, from, to: role } });
+    res.json({ success: true, member: { id: req.params.userId, role } });
+  } catch (err) {
+    console.error("Update member error:", err);
+    res.status(500).json({ error: "Unable to update member", details: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /projects/:projectId/members/:userId
+ * Owners remove members; any member may remove themselves (leave the project).
+ */
+app.delete("/projects/:projectId/members/:userId", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const self = req.params.userId === req.userDoc._id.toString();
+    if (!self && !projects.can(req, "project.manage")) {
+      return res.status(403).json({ error: "Only project owners can remove other members" });
+    }
+    if (req.project.personalOwner && String(req.project.personalOwner) === req.params.userId) {
+      return res.status(409).json({ error: "The owner of a personal project cannot be removed" });
+    }
+    const member = req.project.members.find((m) => String(m.user) === req.params.userId);
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    if (member.role === "owner" && projects.ownerCount(req.project) === 1) {
+      return res.status(409).json({ error: "A project needs at least one owner" });
+    }
+
+    req.project.members = req.project.members.filter((m) => m !== member);
+    await req.project.save();
+    await auditRequest(req, "project.member.removed", { data: { member: req.params.userId, role: member.role, self } });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove member error:", err);
+    res.status(500).json({ error: "Unable to remove member", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /projects/:projectId/invitations
+ * Body: { email, role }
+ * A pending invitation for the same email is replaced. The invitation is emailed (see
+ * library/mailer); the response includes acceptUrl and emailSent so the inviter can pass
+ * the link on when no email went out.
+ */
+app.post("/projects/:projectId/invitations", authenticate, authorize("project.manage"), async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const { role } = req.body || {};
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ error: "A valid email must be provided" });
+    if (!projects.PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${projects.PROJECT_ROLES.join(", ")}` });
+    }
+    const existingUser = await User.findOne({ email }).select({ _id: 1 });
+    if (existingUser && projects.memberRole(req.project, existingUser._id)) {
+      return res.status(409).json({ error: `${email} is already a member of this project` });
+    }
+
+    await Invitation.updateMany(
+      { project: req.project._id, email, status: "pending" },
+      { $set: { status: "revoked" } }
+    );
+    const invitation = await Invitation.create({
+      project: req.project._id,
+      email,
+      role,
+      invitedBy: req.userDoc._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    const { acceptUrl, sent } = await deliverInvitation(invitation, req.project, req.userDoc);
+    await auditRequest(req, "project.invitation.created", { data: { invitation: invitation._id.toString(), email, role, sent } });
+    res.status(201).json({ ...serializeInvitation(invitation, req.project), acceptUrl, emailSent: sent });
+  } catch (err) {
+    console.error("Create invitation error:", err);
+    res.status(500).json({ error: "Unable to create invitation", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /projects/:projectId/invitations
+ * Query: status? (pending|accepted|revoked)
+ */
+app.get("/projects/:projectId/invitations", authenticate, authorize("project.manage"), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const list = await Invitation.find(filter).sort({ createdAt: -1 });
+    res.json(list.map((inv) => serializeInvitation(inv, req.project)));
+  } catch (err) {
+    console.error("Fetch invitations error:", err);
+    res.status(500).json({ error: "Unable to load invitations", details: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /projects/:projectId/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+app.delete("/projects/:projectId/invitations/:invitationId", authenticate, authorize("project.manage"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, project: req.project._id, status: "pending" },
+      { $set: { status: "revoked" } },
+      { new: true }
+    );
+    if (!invitation) return res.status(404).json({ error: "Pending invitation not found" });
+    await auditRequest(req, "project.invitation.revoked", { data: { invitation: invitation._id.toString(), email: invitation.email } });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    res.status(500).json({ error: "Unable to revoke invitation", details: String(err.message || err) });
+  }
+});
 
-  const auth = Buffer.from(`${JIRA_USER_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
-  const jiraUrl = `${JIRA_BASE_URL}/rest/api/3/issue`;
+/**
+ * GET /invitations
+ * Pending, unexpired invitations addressed to the signed-in user's email
+ */
+app.get("/invitations", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const list = await Invitation.find({
+      email: String(req.userDoc.email || "").toLowerCase(),
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .populate("project", "name");
+    res.json(list.filter((inv) => inv.project).map((inv) => serializeInvitation(inv, inv.project)));
+  } catch (err) {
+    console.error("Fetch my invitations error:", err);
+    res.status(500).json({ error: "Unable to load invitations", details: String(err.message || err) });
+  }
+});
 
-  const r = await axios.post(jiraUrl, payload, {
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: "Basic " + auth,
-    },
-  });
-  return r; // axios response
+/**
+ * POST /invitations/:id/accept
+ * Joins the project with the invited role; the invitation must be addressed to the
+ * signed-in user's email.
+ */
+app.post("/invitations/:id/accept", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, status: "pending" });
+    if (!invitation) return res.status(404).json({ error: "Pending invitation not found" });
+    if (invitation.email !== String(req.userDoc.email || "").toLowerCase()) {
+      return res.status(403).json({ error: "This invitation was sent to another email address" });
+    }
+    if (!isEmailVerified(req.userDoc)) {
+      return res.status(403).json({ error: "Verify your email address before accepting invitations" });
+    }
+    if (invitation.expiresAt < new Date()) return res.status(410).json({ error: "Invitation expired" });
+
+    const project = await Project.findById(invitation.project);
+    if (!project) return res.status(404).json({ error: "Project not found" });
+    const member = project.members.find((m) => String(m.user) === req.userDoc._id.toString());
+    if (member) member.role = invitation.role;
+    else project.members.push({ user: req.userDoc._id, role: invitation.role, addedBy: invitation.invitedBy });
+    await project.save();
+
+    invitation.status = "accepted";
+    invitation.acceptedBy = req.userDoc._id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+    await auditRequest(req, "project.invitation.accepted", {
+      project,
+      data: { invitation: invitation._id.toString(), role: invitation.role },
+    });
+    res.json({ success: true, project: projects.projectSummary(project, req.userDoc._id) });
+  } catch (err) {
+    console.error("Accept invitation error:", err);
+    res.status(500).json({ error: "Unable to accept invitation", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /organizations
+ * Organizations the user owns, with their projects the user is a member of
+ */
+app.get("/organizations", authenticate, async (req, res) => {
+  try {
+    const orgs = await Organization.find({ owners: req.userDoc._id }).sort({ name: 1 });
+    const orgProjects = await Project.find({ organization: { $in: orgs.map((o) => o._id) }, "members.user": req.userDoc._id });
+    res.json(orgs.map((o) => ({
+      id: o._id.toString(),
+      name: o.name,
+      owners: o.owners.map(String),
+      projects: orgProjects
+        .filter((p) => String(p.organization) === o._id.toString())
+        .map((p) => projects.projectSummary(p, req.userDoc._id)),
+    })));
+  } catch (err) {
+    console.error("Fetch organizations error:", err);
+    res.status(500).json({ error: "Unable to load organizations", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /organizations
+ * Body: { name }
+ */
+app.post("/organizations", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name || typeof name !== "string" || !name.trim()) return res.status(400).json({ error: "name must be provided" });
+    const org = await Organization.create({ name: name.trim(), createdBy: req.userDoc._id, owners: [req.userDoc._id] });
+    await recordAudit("organization.created", { user: req.userDoc, data: { organization: org._id.toString(), name: org.name } });
+    res.status(201).json({ id: org._id.toString(), name: org.name, owners: [req.userDoc._id.toString()], projects: [] });
+  } catch (err) {
+    console.error("Create organization error:", err);
+    res.status(500).json({ error: "Unable to create organization", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ API keys ------------------ */
+
+const API_KEY_DEFAULT_TTL_DAYS = Number(process.env.API_KEY_DEFAULT_TTL_DAYS) || 90;
+const API_KEY_MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS) || 365;
+
+/**
+ * POST /api-keys
+ * Body: { name, scopes: ["read:generated", "write:testcases", "jira:push", ...], projectId?, expiresInDays? }
+ * Without projectId the key works on every project of the user (with the user's role
+ * there); with projectId only on that project. The key is returned once and only its
+ * hash is stored.
+ * Response: { key, apiKey: { id, name, prefix, scopes, project, expiresAt, ... } }
+ */
+app.post("/api-keys", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const { name, scopes, projectId, expiresInDays } = req.body || {};
+    if (!name || typeof name !== "string" || !name.trim()) return res.status(400).json({ error: "name must be provided" });
+    const scopeError = apiKeys.validateScopes(scopes);
+    if (scopeError) return res.status(400).json({ error: scopeError });
+
+    const days = expiresInDays === undefined ? API_KEY_DEFAULT_TTL_DAYS : Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > API_KEY_MAX_TTL_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${API_KEY_MAX_TTL_DAYS}` });
+    }
+
+    let project = null;
+    if (projectId) {
+      project = await Project.findById(projectId);
+      if (!project || !projects.memberRole(project, req.userDoc._id)) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+    }
+
+    const { key, prefix, keyHash } = apiKeys.generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      prefix,
+      keyHash,
+      user: req.userDoc._id,
+      project: project ? project._id : undefined,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+    await recordAudit("apikey.created", {
+      user: req.userDoc,
+      project: project || undefined,
+      data: { apiKey: apiKey._id.toString(), name: apiKey.name, prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    });
+    res.status(201).json({ key, apiKey: apiKeys.apiKeySummary(apiKey) });
+  } catch (err) {
+    console.error("Create API key error:", err);
+    res.status(500).json({ error: "Unable to create API key", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api-keys
+ * The user's keys (never the key itself). Query: includeRevoked=true
+ */
+app.get("/api-keys", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const filter = { user: req.userDoc._id };
+    if (String(req.query.includeRevoked || "") !== "true") filter.revokedAt = { $exists: false };
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json(keys.map(apiKeys.apiKeySummary));
+  } catch (err) {
+    console.error("Fetch API keys error:", err);
+    res.status(500).json({ error: "Unable to load API keys", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /projects/:projectId/api-keys
+ * Keys scoped to the project, for its owners. Query: includeRevoked=true
+ */
+app.get("/projects/:projectId/api-keys", authenticate, interactiveOnly, authorize("project.manage"), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (String(req.query.includeRevoked || "") !== "true") filter.revokedAt = { $exists: false };
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json(keys.map(apiKeys.apiKeySummary));
+  } catch (err) {
+    console.error("Fetch project API keys error:", err);
+    res.status(500).json({ error: "Unable to load API keys", details: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api-keys/:id
+ * Revoke a key: its creator, or an owner of the project it is scoped to.
+ */
+app.delete("/api-keys/:id", authenticate, interactiveOnly, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) return res.status(404).json({ error: "API key not found" });
+    let allowed = String(apiKey.user) === req.userDoc._id.toString();
+    if (!allowed && apiKey.project) {
+      const project = await Project.findById(apiKey.project);
+      allowed = !!project && projects.hasPermission(projects.memberRole(project, req.userDoc._id), "project.manage");
+    }
+    if (!allowed) return res.status(404).json({ error: "API key not found" });
+    if (apiKey.revokedAt) return res.json({ success: true, apiKey: apiKeys.apiKeySummary(apiKey) });
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.userDoc._id;
+    await apiKey.save();
+    await recordAudit("apikey.revoked", {
+      user: req.userDoc,
+      project: apiKey.project || undefined,
+      data: { apiKey: apiKey._id.toString(), name: apiKey.name, prefix: apiKey.prefix },
+    });
+    res.json({ success: true, apiKey: apiKeys.apiKeySummary(apiKey) });
+  } catch (err) {
+    console.error("Revoke API key error:", err);
+    res.status(500).json({ error: "Unable to revoke API key", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ AUDIT trail ------------------ */
+
+/**
+ * GET /audit
+ * Query: user=id|email, requirement=reqId, action=a,b or prefix* (e.g. model.*), genId, from=date, to=date,
+ *        before=seq (page backwards), limit (default 100, max 500), includeData=true
+ * Users see their own events, project owners every event of the project;
+ * AUDIT_ADMIN_EMAILS may query all events.
+ * Response: { events: [...], nextBefore }
+ */
+app.get("/audit", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const filters = {
+      user: req.query.user,
+      requirement: req.query.requirement,
+      action: req.query.action,
+      genId: req.query.genId,
+      from: req.query.from,
+      to: req.query.to,
+      before: req.query.before,
+    };
+    for (const key of ["from", "to"]) {
+      if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+        return res.status(400).json({ error: `${key} must be a date` });
+      }
+    }
+    if (filters.before && !/^\d+$/.test(String(filters.before))) {
+      return res.status(400).json({ error: "before must be a sequence number" });
+    }
+    if (filters.user && !/^[a-f0-9]{24}$/i.test(filters.user)) {
+      // model calls carry only the user id, so resolve emails to users
+      const byEmail = await User.findOne({ email: filters.user }).select({ _id: 1 });
+      if (byEmail) filters.user = byEmail._id.toString();
+    }
+    if (!isAuditAdmin(req.userDoc)) {
+      if (projects.can(req, "audit.read")) {
+        filters.project = req.project._id;
+      } else {
+        if (filters.user && filters.user !== req.userDoc._id.toString()) {
+          return res.status(403).json({ error: "Only project owners and audit administrators can read other users' events" });
+        }
+        filters.user = req.userDoc._id.toString();
+      }
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const projection = String(req.query.includeData || "") === "true" ? {} : { data: 0 };
+    const events = await AuditEvent.find(buildAuditQuery(filters), projection).sort({ seq: -1 }).limit(limit).lean();
+    res.json({
+      events,
+      nextBefore: events.length === limit ? events[events.length - 1].seq : null,
+    });
+  } catch (err) {
+    console.error("audit query error:", err);
+    res.status(500).json({ error: "Unable to load audit events", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /audit/verify?fromSeq=&toSeq=
+ * Checks the hash chain: missing events, broken links and modified events.
+ * The chain spans every project: audit administrators may verify all of it, project
+ * owners only a fromSeq..toSeq range of at most AUDIT_VERIFY_MAX_EVENTS (default 10000).
+ * Response: { valid, checked, fromSeq, lastSeq, lastHash, errors: [{ seq, issue }] }
+ */
+app.get("/audit/verify", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const { fromSeq, toSeq } = req.query;
+    for (const [key, value] of [["fromSeq", fromSeq], ["toSeq", toSeq]]) {
+      if (value !== undefined && !/^[1-9]\d*$/.test(String(value))) {
+        return res.status(400).json({ error: `${key} must be a positive integer` });
+      }
+    }
+    if (fromSeq && toSeq && Number(toSeq) < Number(fromSeq)) {
+      return res.status(400).json({ error: "toSeq must not be lower than fromSeq" });
+    }
+    if (!isAuditAdmin(req.userDoc)) {
+      if (!projects.can(req, "audit.read")) {
+        return res.status(403).json({ error: "Only project owners and audit administrators can verify the audit trail" });
+      }
+      const maxEvents = parseInt(process.env.AUDIT_VERIFY_MAX_EVENTS, 10) || 10000;
+      if (!fromSeq || !toSeq) {
+        return res.status(400).json({ error: "fromSeq and toSeq are required" });
+      }
+      if (Number(toSeq) - Number(fromSeq) + 1 > maxEvents) {
+        return res.status(400).json({ error: `At most ${maxEvents} events can be verified at once` });
+      }
+    }
+    const result = await verifyAuditChain({ fromSeq, toSeq });
+    res.json(result);
+  } catch (err) {
+    console.error("audit verify error:", err);
+    res.status(500).json({ error: "Audit verification failed", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ REPORTS ------------------ */
+
+/**
+ * GET /reports/traceability
+ * Query: format=json|csv|xlsx|html (default json), requirement=reqId[,reqId], standard=filename[,filename],
+ *        from=date, to=date (bound generated sets' createdAt), allSets=true (default: latest set per requirement)
+ * Requirement -> testcases -> compliance standards -> Jira keys, with coverage gaps highlighted.
+ */
+app.get("/reports/traceability", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "xlsx", "html"].includes(format)) {
+      return res.status(400).json({ error: "format must be one of json, csv, xlsx, html" });
+    }
+
+    const report = await reports.buildTraceability(req.project._id, {
+      requirements: reports.listParam(req.query.requirement),
+      standards: reports.listParam(req.query.standard),
+      from: req.query.from,
+      to: req.query.to,
+      allSets: String(req.query.allSets || "") === "true",
+    });
+
+    const stamp = report.generatedAt.slice(0, 10);
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="traceability-${stamp}.csv"`);
+      return res.send(reports.renderCsv(report));
+    }
+    if (format === "xlsx") {
+      res.set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.set("Content-Disposition", `attachment; filename="traceability-${stamp}.xlsx"`);
+      return res.send(await reports.renderXlsx(report));
+    }
+    if (format === "html") {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.send(reports.renderHtml(report));
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error("Traceability report error:", err);
+    res.status(500).json({ error: "Unable to build traceability report", details: String(err.message || err) });
+  }
+});
+
+/* ------------------ JIRA ------------------ */
+
+// JIRA_SYNC_ON_CHANGE=false turns off pushing testcase edits to their linked issues
+function jiraSyncOnChange() {
+  return process.env.JIRA_SYNC_ON_CHANGE !== "false" && jira.isJiraConfigured();
+}
+
+/**
+ * Sync one testcase with its linked Jira issue, save the set and record what happened
+ * (a "jira-sync" revision when Jira's edits were pulled in, an audit event otherwise).
+ * by: { req? (signed-in request) | label (who, for webhooks), resolve? }
+ * Resolves to the library/jiraSync result; Jira errors are stored on the testcase and
+ * reported as { action: "error", error }.
+ */
+async function syncTestcaseWithJira(genEntry, tc, by = {}) {
+  const user = by.req ? by.req.userDoc : null;
+  const before = revisions.snapshotSet(genEntry);
+  let result;
+  try {
+    result = await jiraSync.syncTestcase(genEntry, tc, {
+      resolve: by.resolve,
+      actor: user || { email: `jira:${by.label || "webhook"}` },
+    });
+  } catch (err) {
+    console.error(`jira sync of ${tc.jira_id} failed:`, jira.jiraErrorMessage(err));
+    jiraSync.markSyncError(tc, err);
+    result = { action: "error", key: tc.jira_id, error: jira.jiraErrorMessage(err) };
+  }
+  if (result.action === "skipped") return result;
+
+  genEntry.markModified("testcases");
+  await genEntry.save();
+  if (result.action === "pulled") {
+    await revisions.recordRevision(
+      genEntry,
+      { user: user ? user._id : undefined, source: "jira-sync", tcId: tc.tc_id, note: `edited in Jira (${result.key})` },
+      before
+    );
+  }
+  if (result.action !== "unchanged") {
+    const details = {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      tcId: tc.tc_id,
+      data: { issue: result.key, changed: result.changed, resolve: by.resolve, error: result.error },
+    };
+    if (by.req) await auditRequest(by.req, `jira.sync.${result.action}`, details);
+    else await recordAudit(`jira.sync.${result.action}`, { ...details, userEmail: `jira:${by.label || "webhook"}`, project: genEntry.project });
+  }
+  return result;
 }
 
-async function createJiraSubTask(genEntry, tcId) {
-  // return axios response or throw
+/**
+ * After a local change: push the testcase to its linked issue when Jira is configured
+ * and the request may use Jira. Resolves to the sync result, or undefined when skipped.
+ */
+async function pushTestcaseChangeToJira(req, genEntry, tcId) {
   const tc = genEntry.testcases.find((t) => t.tc_id === tcId);
-  if (!tc) throw new Error("Testcase id not found");
-
-  if (!genEntry.jiraId) throw new Error("Parent Jira (genEntry.jiraId) not set");
-
-  const summary = `Testcase: ${tc.title || tc.tc_id}`;
-  const description = [
-    `*Requirement*: ${genEntry.requirementTitle}`,
-    `*Testcase ID*: ${tc.tc_id}`,
-    `*Preconditions*:\n${(tc.preconditions || []).map((p, i) => `${i + 1}. ${p}`).join("\n")}`,
-    `*Steps*:\n${(tc.steps || []).map((s, i) => `${i + 1}. ${s}`).join("\n")}`,
-    `*Expected*:\n${tc.expected || ""}`,
-    `*Standards*: ${(tc.compliance || []).join(", ")}`,
-    `*Automatable*: ${tc.automatable ? "Yes" : "No"}`,
-    `*Suggested Tool*: ${tc.suggested_tool || ""}`,
-    `*Confidence*: ${typeof tc.confidence === "number" ? tc.confidence : ""}`,
-  ].join("\n\n");
-
-  const payload = {
-    fields: {
-      project: { key: PROJ },
-      parent: { key: genEntry.jiraId },
-      summary,
-      description: {
-        type: "doc",
-        version: 1,
-        content: [
-          {
-            type: "paragraph",
-            content: [{ type: "text", text: description }],
-          },
-        ],
+  if (!tc || !jira.issueKeyOf(tc) || !jiraSyncOnChange() || !projects.can(req, "jira")) return undefined;
+  const result = await syncTestcaseWithJira(genEntry, tc, { req });
+  return { action: result.action, key: result.key, error: result.error };
+}
+
+/**
+ * Parent issue of a generated set, shared by every set of the same requirement in the
+ * project: the story a requirement was imported from, otherwise a Task created on first
+ * push. Resolves to the issue key.
+ */
+async function ensureJiraParent(genEntry, options) {
+  if (genEntry.jiraId) return genEntry.jiraId;
+  const requirement = await Requirement.findOne({ project: genEntry.project, reqId: genEntry.requirementId }, { jira: 1 });
+  let parentKey = requirement?.jira?.key || "";
+  if (!parentKey) {
+    const task = await jira.createParentTask(genEntry, options);
+    // Jira create response often has .key
+    parentKey = task?.key || task?.id || (typeof task === "string" ? task : null);
+    if (!parentKey) {
+      // fallback: put entire data for debugging
+      parentKey = JSON.stringify(task);
+    }
+  }
+  await GeneratedSet.updateMany(
+    { project: genEntry.project, requirementId: genEntry.requirementId },
+    { $set: { jiraId: parentKey } }
+  );
+  genEntry.jiraId = parentKey;
+  return parentKey;
+}
+
+/**
+ * POST /testcases/:genId/:tcId/jira
+ * create jira issue for a single testcase
+ * Body optional: { projectKey, issueTypes: { parent, testcase }, fields, fieldMappings, allowUnapproved }
+ * (see library/jira resolvePushOptions)
+ * A testcase that already has an issue is synced with it instead of creating another.
+ */
+app.post("/testcases/:genId/:tcId/jira", authenticate, authorize("jira"), async (req, res) => {
+  try {
+    const { genId, tcId } = req.params;
+    const { allowUnapproved } = req.body || {};
+
+    if (!jira.isJiraConfigured()) {
+      return res.status(400).json({ error: "Jira credentials not configured in env" });
+    }
+    const pushOptions = jira.resolvePushOptions(req.body || {});
+    if (!pushOptions.ok) return res.status(400).json({ error: pushOptions.error });
+
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    // only approved testcases reach Jira unless the caller explicitly overrides
+    const reviewedTc = genEntry.testcases.find((t) => t.tc_id === tcId);
+    if (!reviewedTc) return res.status(404).json({ error: "Testcase id not found" });
+    const unapproved = !review.isApproved(reviewedTc);
+    if (unapproved && allowUnapproved !== true) {
+      return res.status(409).json({
+        error: "Testcase is not approved",
+        status: review.currentStatus(reviewedTc),
+        details: "Approve the testcase first or send allowUnapproved: true to override",
+      });
+    }
+
+    if (jira.issueKeyOf(reviewedTc)) {
+      const result = await syncTestcaseWithJira(genEntry, reviewedTc, { req });
+      const status = result.action === "conflict" ? 409 : result.action === "error" ? 502 : 200;
+      return res.status(status).json({
+        success: status === 200,
+        jira: { parent: genEntry.jiraId, subtask: reviewedTc.jira_id },
+        sync: result,
+        unapprovedOverride: unapproved,
+      });
+    }
+
+    const rqId = genEntry.requirementId;
+    const before = revisions.snapshotSet(genEntry);
+
+    // 1) create parent task if missing
+    const parentKey = await ensureJiraParent(genEntry, pushOptions.options);
+
+    // 2) create subtask for the testcase
+    const sub = await jira.createTestcaseSubtask(genEntry, reviewedTc, pushOptions.options);
+    const subKey = sub?.key || sub?.id || (typeof sub === "string" ? sub : null);
+
+    // persist subtask id into the testcase (use jira_id field on testcase)
+    reviewedTc.jira_id = subKey || JSON.stringify(sub);
+    if (subKey) jiraSync.initSyncState(genEntry, reviewedTc);
+
+    genEntry.markModified("testcases");
+    await genEntry.save();
+    await revisions.recordRevision(
+      genEntry,
+      {
+        user: req.userDoc._id,
+        source: "jira",
+        tcId,
+        note: unapproved ? `pushed while ${review.currentStatus(reviewedTc)} (allowUnapproved override)` : undefined,
       },
-      issuetype: { name: "Subtask" },
-    },
-  };
+      before
+    );
+    await auditRequest(req, "jira.pushed", {
+      requirementId: rqId,
+      genId: genEntry._id,
+      tcId,
+      data: { parent: parentKey, subtask: reviewedTc.jira_id, unapprovedOverride: unapproved },
+    });
+
+    return res.json({ success: true, jira: { parent: parentKey, subtask: reviewedTc.jira_id }, unapprovedOverride: unapproved });
+  } catch (err) {
+    console.error("jira create error:", err?.response?.data || err.message || err);
+    return res.status(500).json({
+      error: "Jira creation failed",
+      details: err?.response?.data || String(err),
+    });
+  }
+});
 
-  const auth = Buffer.from(`${JIRA_USER_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
-  const jiraUrl = `${JIRA_BASE_URL}/rest/api/3/issue`;
+// sets with a bulk push in flight in this process (a second click would duplicate issues)
+const jiraBulkPushes = new Set();
+const JIRA_PUSH_CONCURRENCY = Number(process.env.JIRA_PUSH_CONCURRENCY) || 4;
 
-  const r = await axios.post(jiraUrl, payload, {
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: "Basic " + auth,
-    },
-  });
-  return r;
+/**
+ * POST /generated/:genId/jira
+ * Body optional: { tcIds: [tc_id] (default: all), projectKey, issueTypes: { parent, testcase },
+ *   fields, fieldMappings, allowUnapproved, concurrency (1-10) }
+ * Creates the parent issue (if missing) and one issue per testcase, a few at a time.
+ * Testcases that already have a jira_id are skipped, as are unapproved ones unless
+ * allowUnapproved is true; failures are reported per testcase and do not undo the rest.
+ * Each created key is stored as soon as Jira returns it, so the push can simply be
+ * repeated after a partial failure.
+ */
+app.post("/generated/:genId/jira", authenticate, authorize("jira"), async (req, res) => {
+  const { genId } = req.params;
+  if (jiraBulkPushes.has(genId)) {
+    return res.status(409).json({ error: "A Jira push for this set is already running" });
+  }
+  jiraBulkPushes.add(genId);
+  try {
+    const { tcIds, allowUnapproved } = req.body || {};
+    if (!jira.isJiraConfigured()) return res.status(400).json({ error: "Jira credentials not configured in env" });
+    const pushOptions = jira.resolvePushOptions(req.body || {});
+    if (!pushOptions.ok) return res.status(400).json({ error: pushOptions.error });
+    const concurrency = Math.max(1, Math.min(10, parseInt(req.body?.concurrency, 10) || JIRA_PUSH_CONCURRENCY));
+
+    const genEntry = await GeneratedSet.findOne({ _id: genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const wanted = Array.isArray(tcIds) && tcIds.length ? genEntry.testcases.filter((t) => tcIds.includes(t.tc_id)) : genEntry.testcases;
+    if (!wanted.length) return res.status(400).json({ error: "No testcases to push" });
+
+    const results = [];
+    const targets = [];
+    for (const tc of wanted) {
+      if (tc.jira_id) {
+        results.push({ tc_id: tc.tc_id, status: "skipped", reason: "already in Jira", key: tc.jira_id });
+      } else if (!review.isApproved(tc) && allowUnapproved !== true) {
+        results.push({ tc_id: tc.tc_id, status: "skipped", reason: `not approved (${review.currentStatus(tc)})` });
+      } else {
+        targets.push(tc);
+      }
+    }
+
+    let parentKey = genEntry.jiraId || "";
+    if (targets.length) {
+      try {
+        parentKey = await ensureJiraParent(genEntry, pushOptions.options);
+      } catch (err) {
+        console.error("jira parent create error:", jira.jiraErrorMessage(err));
+        return res.status(502).json({ error: "Jira parent issue creation failed", details: jira.jiraErrorMessage(err), results });
+      }
+    }
+
+    const before = revisions.snapshotSet(genEntry);
+    const created = await jiraSync.pushTestcaseIssues(genEntry, targets, pushOptions.options, {
+      concurrency,
+      onCreated: (tc) => GeneratedSet.updateOne(
+        { _id: genEntry._id, "testcases.tc_id": tc.tc_id },
+        { $set: { "testcases.$.jira_id": tc.jira_id, "testcases.$.jiraSync": tc.jiraSync } }
+      ),
+    });
+    results.push(...created);
+
+    const counts = { created: 0, skipped: 0, failed: 0 };
+    for (const r of results) counts[r.status] += 1;
+    if (counts.created) {
+      await revisions.recordRevision(
+        genEntry,
+        { user: req.userDoc._id, source: "jira", note: `bulk push: ${counts.created} created, ${counts.failed} failed` },
+        before
+      );
+    }
+    await auditRequest(req, "jira.bulk_pushed", {
+      requirementId: genEntry.requirementId,
+      genId: genEntry._id,
+      data: { parent: parentKey, projectKey: pushOptions.options.projectKey, counts, results },
+    });
+    res.status(counts.failed && !counts.created ? 502 : 200).json({ success: !counts.failed, parent: parentKey || null, counts, results });
+  } catch (err) {
+    console.error("jira bulk push error:", err);
+    res.status(500).json({ error: "Jira push failed", details: String(err.message || err) });
+  } finally {
+    jiraBulkPushes.delete(genId);
+  }
+});
+
+/**
+ * GET /testcases/:genId/:tcId/jira/sync
+ * Sync state of a testcase: Jira status, assignee, comments, conflict (if any).
+ */
+app.get("/testcases/:genId/:tcId/jira/sync", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const tc = genEntry.testcases.find((t) => t.tc_id === req.params.tcId);
+    if (!tc) return res.status(404).json({ error: "Testcase id not found" });
+    res.json(jiraSync.syncSummary(tc));
+  } catch (err) {
+    console.error("jira sync state error:", err);
+    res.status(500).json({ error: "Unable to load Jira sync state", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /testcases/:genId/:tcId/jira/sync
+ * Body: { resolve?: "local" | "remote" }
+ * Sync the testcase with its issue now. A conflict (edited on both sides) is answered
+ * with 409 until resolved: "local" overwrites the issue, "remote" takes Jira's version.
+ */
+app.post("/testcases/:genId/:tcId/jira/sync", authenticate, authorize("jira"), async (req, res) => {
+  try {
+    const { resolve } = req.body || {};
+    if (resolve !== undefined && !jiraSync.SYNC_RESOLUTIONS.includes(resolve)) {
+      return res.status(400).json({ error: `resolve must be one of ${jiraSync.SYNC_RESOLUTIONS.join(", ")}` });
+    }
+    if (!jira.isJiraConfigured()) return res.status(400).json({ error: "Jira credentials not configured in env" });
+    // taking Jira's version changes the testcase
+    if (resolve === "remote" && !projects.can(req, "edit")) {
+      return res.status(403).json({ error: "Taking the Jira version needs the edit permission" });
+    }
+
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+    const tc = genEntry.testcases.find((t) => t.tc_id === req.params.tcId);
+    if (!tc) return res.status(404).json({ error: "Testcase id not found" });
+    if (!jira.issueKeyOf(tc)) return res.status(400).json({ error: "Testcase is not linked to a Jira issue" });
+
+    const result = await syncTestcaseWithJira(genEntry, tc, { req, resolve });
+    const status = result.action === "conflict" ? 409 : result.action === "error" ? 502 : 200;
+    res.status(status).json({ success: status === 200, result, sync: jiraSync.syncSummary(tc), testcase: tc });
+  } catch (err) {
+    console.error("jira sync error:", err);
+    res.status(500).json({ error: "Jira sync failed", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /generated/:genId/jira/sync
+ * Sync every linked testcase of a set; conflicts are reported, not resolved.
+ */
+app.post("/generated/:genId/jira/sync", authenticate, authorize("jira"), async (req, res) => {
+  try {
+    if (!jira.isJiraConfigured()) return res.status(400).json({ error: "Jira credentials not configured in env" });
+    const genEntry = await GeneratedSet.findOne({ _id: req.params.genId, project: req.project._id });
+    if (!genEntry) return res.status(404).json({ error: "Generated set not found" });
+
+    const results = [];
+    for (const tc of genEntry.testcases) {
+      if (!jira.issueKeyOf(tc)) continue;
+      const result = await syncTestcaseWithJira(genEntry, tc, { req });
+      results.push({ tc_id: tc.tc_id, ...result });
+    }
+    const counts = {};
+    for (const r of results) counts[r.action] = (counts[r.action] || 0) + 1;
+    res.json({ success: true, counts, results });
+  } catch (err) {
+    console.error("jira set sync error:", err);
+    res.status(500).json({ error: "Jira sync failed", details: String(err.message || err) });
+  }
+});
+
+// JIRA_WEBHOOK_SECRET: HMAC-SHA256 of the raw body in X-Hub-Signature ("sha256=<hex>"),
+// or the secret itself in ?secret= for webhooks that cannot sign
+function verifyJiraWebhook(req) {
+  const secret = process.env.JIRA_WEBHOOK_SECRET;
+  if (!secret) return { ok: false, status: 503, error: "Jira webhook not configured (JIRA_WEBHOOK_SECRET)" };
+  const equal = (a, b) => {
+    const x = Buffer.from(String(a));
+    const y = Buffer.from(String(b));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+  };
+  const signature = req.headers["x-hub-signature"];
+  if (signature) {
+    const [alg, digest] = String(signature).split("=");
+    if (alg !== "sha256" || !req.rawBody) return { ok: false, status: 401, error: "Unsupported webhook signature" };
+    const expected = crypto.createHmac("sha256", secret).update(req.rawBody).digest("hex");
+    return equal(expected, digest) ? { ok: true } : { ok: false, status: 401, error: "Invalid webhook signature" };
+  }
+  if (typeof req.query.secret === "string" && equal(secret, req.query.secret)) return { ok: true };
+  return { ok: false, status: 401, error: "Missing webhook signature" };
 }
 
+/**
+ * POST /jira/webhook
+ * Jira webhook for issue and comment events. The issue is read back from Jira (the
+ * payload is only used for its key and author), then every testcase linked to it is
+ * synced: status, assignee and comments are pulled, content edits are pulled or held
+ * as a conflict when the testcase changed too.
+ */
+app.post("/jira/webhook", async (req, res) => {
+  try {
+    const verified = verifyJiraWebhook(req);
+    if (!verified.ok) return res.status(verified.status).json({ error: verified.error });
+
+    const payload = req.body || {};
+    const key = payload.issue?.key;
+    if (!key || !jira.ISSUE_KEY_RE.test(key)) return res.status(400).json({ error: "Webhook payload has no issue key" });
+    const label = payload.user?.displayName || payload.comment?.updateAuthor?.displayName || payload.comment?.author?.displayName || "webhook";
+
+    const sets = await GeneratedSet.find({ "testcases.jira_id": key });
+    const synced = [];
+    for (const genEntry of sets) {
+      for (const tc of genEntry.testcases.filter((t) => t.jira_id === key)) {
+        const result = await syncTestcaseWithJira(genEntry, tc, { label });
+        synced.push({ genId: genEntry._id.toString(), tc_id: tc.tc_id, action: result.action, error: result.error });
+      }
+    }
+    res.json({ received: true, event: payload.webhookEvent || null, issue: key, synced });
+  } catch (err) {
+    console.error("jira webhook error:", err);
+    res.status(500).json({ error: "Webhook processing failed", details: String(err.message || err) });
+  }
+});
 
 /* health */
 app.get("/", (req, res) => res.json({ status: "ok", time: new Date().toISOString() }));
 
 /* start */
 connectDatabase()
-  .then(() => {
+  .then(async () => {
+    // unique keys changed (project scoping, optional googleId): drop the old indexes
+    await Promise.all([Standard.syncIndexes(), Requirement.syncIndexes(), User.syncIndexes()]);
+    jobQueue.start();
     app.listen(PORT, () => {
       console.log(`Backend running on http://localhost:${PORT}`);
     });
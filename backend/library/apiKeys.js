@@ -0,0 +1,98 @@
+// backend/library/apiKeys.js
+// API keys for CI pipelines and scripts. A key is "tcg_" followed by random bytes; only
+// its sha256 is stored. Keys act as the user who created them, limited twice: by that
+// user's role in the project (library/projects) and by the scopes granted to the key.
+
+const crypto = require("crypto");
+
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+
+const API_KEY_PREFIX = "tcg_";
+
+// scope -> route permissions it grants (see ROLE_PERMISSIONS in library/projects)
+const API_KEY_SCOPES = {
+  "read:generated": ["read", "export"],
+  "write:requirements": ["upload"],
+  "write:testcases": ["generate", "edit"],
+  "review:testcases": ["review"],
+  "jira:push": ["jira"],
+  "read:audit": ["audit.read"],
+};
+
+// lastUsedAt is written at most once per interval per key
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function isApiKeyToken(token) {
+  return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+}
+
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), keyHash: hashApiKey(key) };
+}
+
+function scopesGrant(scopes, permission) {
+  return (scopes || []).some((scope) => (API_KEY_SCOPES[scope] || []).includes(permission));
+}
+
+/**
+ * Check requested scopes. Returns an error message or null.
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) return "scopes must be a non-empty array";
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES[s]);
+  if (unknown.length) return `Unknown scopes: ${unknown.join(", ")}. Use ${Object.keys(API_KEY_SCOPES).join(", ")}`;
+  return null;
+}
+
+/**
+ * Look up a presented key. Resolves to { ok: true, key, user } or { ok: false, error }.
+ * Successful lookups update lastUsedAt/lastUsedIp (throttled).
+ */
+async function resolveApiKey(token, ip) {
+  const key = await ApiKey.findOne({ keyHash: hashApiKey(token) });
+  if (!key || key.revokedAt) return { ok: false, error: "Invalid API key" };
+  if (key.expiresAt && key.expiresAt < new Date()) return { ok: false, error: "API key expired" };
+  const user = await User.findById(key.user);
+  if (!user) return { ok: false, error: "Invalid API key" };
+
+  const now = new Date();
+  if (!key.lastUsedAt || now - key.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+    key.lastUsedAt = now;
+    key.lastUsedIp = ip;
+  }
+  return { ok: true, key, user };
+}
+
+function apiKeySummary(key) {
+  return {
+    id: key._id.toString(),
+    name: key.name,
+    prefix: key.prefix,
+    user: key.user ? key.user.toString() : null,
+    project: key.project ? key.project.toString() : null,
+    scopes: key.scopes || [],
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    lastUsedIp: key.lastUsedIp,
+    revokedAt: key.revokedAt,
+    createdAt: key.createdAt,
+  };
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  isApiKeyToken,
+  generateApiKey,
+  scopesGrant,
+  validateScopes,
+  resolveApiKey,
+  apiKeySummary,
+};
@@ -0,0 +1,234 @@
+// backend/library/audit.js
+// Append-only, hash-chained audit trail. Each event stores the hash of the previous
+// event and a hash over its own content, so editing or deleting a stored event breaks
+// the chain and is reported by verifyAuditChain. Recording never throws: a failing
+// audit write is logged and the audited action carries on.
+
+const crypto = require("crypto");
+
+const AuditEvent = require("../models/AuditEvent");
+const { canonicalJson } = require("./helper");
+
+const GENESIS_HASH = "0".repeat(64);
+const DEFAULT_MAX_TEXT_CHARS = 200000;
+const APPEND_ATTEMPTS = 5;
+const MAX_REPORTED_ERRORS = 100;
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function eventHash(evt) {
+  return sha256(canonicalJson({
+    seq: evt.seq,
+    action: evt.action,
+    user: evt.user ? String(evt.user) : null,
+    userEmail: evt.userEmail || null,
+    requirementId: evt.requirementId || null,
+    genId: evt.genId || null,
+    tcId: evt.tcId || null,
+    data: evt.data === undefined ? null : evt.data,
+    prevHash: evt.prevHash,
+    createdAt: new Date(evt.createdAt).toISOString(),
+    // only hashed when set, so events from before projects existed still verify
+    ...(evt.project ? { project: String(evt.project) } : {}),
+  }));
+}
+
+// plain JSON copy with very long strings (raw model responses, prompts) capped
+function toAuditData(value) {
+  const max = Number(process.env.AUDIT_MAX_TEXT_CHARS) || DEFAULT_MAX_TEXT_CHARS;
+  let json;
+  try {
+    json = JSON.stringify(value === undefined ? null : value, (key, v) =>
+      typeof v === "string" && v.length > max ? `${v.slice(0, max)}… [truncated ${v.length - max} chars]` : v
+    );
+  } catch (e) {
+    return { unserializable: String(e.message || e) };
+  }
+  return JSON.parse(json);
+}
+
+async function appendEvent(fields) {
+  for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEvent.findOne({}, { seq: 1, hash: 1 }).sort({ seq: -1 }).lean();
+    const evt = {
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      createdAt: new Date(),
+    };
+    evt.hash = eventHash(evt);
+    try {
+      return await AuditEvent.create(evt);
+    } catch (err) {
+      // another process appended the same seq first: re-read the head and retry
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  throw new Error("audit sequence contention, event not appended");
+}
+
+// appends from this process are serialized so they do not race each other for a seq
+let appendQueue = Promise.resolve();
+
+/**
+ * Append an audit event.
+ * details: { user (User doc or id), project?, requirementId?, genId?, tcId?, data? }
+ * Resolves to the stored event, or null when it could not be written.
+ */
+function recordAudit(action, details = {}) {
+  const user = details.user && details.user._id ? details.user : null;
+  const fields = {
+    action,
+    user: user ? user._id : details.user || undefined,
+    userEmail: user ? user.email : details.userEmail,
+    project: details.project ? details.project._id || details.project : undefined,
+    requirementId: details.requirementId || undefined,
+    genId: details.genId ? String(details.genId) : undefined,
+    tcId: details.tcId || undefined,
+    data: toAuditData(details.data || {}),
+  };
+  const task = appendQueue
+    .then(() => appendEvent(fields))
+    .catch((err) => {
+      console.warn(`audit event "${action}" not recorded:`, err?.message || err);
+      return null;
+    });
+  appendQueue = task;
+  return task;
+}
+
+/**
+ * Wrap an LLM provider so every generate() call is audited with its prompt and raw
+ * response. Callers pass { userId, projectId?, reqId, genId?, tcId?, operation, attempt? } as context.
+ */
+function withAuditTrail(llm) {
+  if (!llm) return llm;
+  return {
+    ...llm,
+    async generate({ prompt, context = {} }) {
+      const started = Date.now();
+      const details = { user: context.userId, project: context.projectId, requirementId: context.reqId, genId: context.genId, tcId: context.tcId };
+      const call = {
+        operation: context.operation,
+        attempt: context.attempt || "initial",
+        provider: llm.name,
+        model: llm.model,
+        prompt,
+      };
+      try {
+        const resp = await llm.generate({ prompt, context });
+        await recordAudit("model.call", {
+          ...details,
+          data: { ...call, durationMs: Date.now() - started, response: resp.text, raw: resp.raw },
+        });
+        return resp;
+      } catch (err) {
+        await recordAudit("model.error", {
+          ...details,
+          data: { ...call, durationMs: Date.now() - started, error: String(err?.message || err) },
+        });
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Walk the chain in seq order and check that no event is missing (gaps in seq), that
+ * each event links to its predecessor's hash and that each stored hash matches the
+ * event content. Deleting the newest events cannot be seen from the chain alone, so
+ * the result includes lastSeq/lastHash for anchoring elsewhere.
+ * options: { fromSeq?, toSeq? }
+ */
+async function verifyAuditChain(options = {}) {
+  const fromSeq = Math.max(1, Number(options.fromSeq) || 1);
+  const toSeq = Number(options.toSeq) || null;
+  const errors = [];
+  const report = (seq, issue) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ seq, issue });
+  };
+
+  let expectedSeq = fromSeq;
+  let prevHash = GENESIS_HASH;
+  if (fromSeq > 1) {
+    const prev = await AuditEvent.findOne({ seq: fromSeq - 1 }, { hash: 1 }).lean();
+    if (prev) prevHash = prev.hash;
+    else report(fromSeq - 1, "event missing");
+  }
+
+  const query = { seq: { $gte: fromSeq, ...(toSeq ? { $lte: toSeq } : {}) } };
+  let checked = 0;
+  let lastHash = null;
+  let lastSeq = null;
+  let invalid = 0;
+  for await (const evt of AuditEvent.find(query).sort({ seq: 1 }).lean().cursor()) {
+    if (evt.seq !== expectedSeq) {
+      invalid++;
+      report(expectedSeq, `event(s) ${expectedSeq}..${evt.seq - 1} missing`);
+      prevHash = null; // the link over a gap cannot be checked
+    }
+    if (prevHash !== null && evt.prevHash !== prevHash) {
+      invalid++;
+      report(evt.seq, "prevHash does not match the previous event");
+    }
+    if (eventHash(evt) !== evt.hash) {
+      invalid++;
+      report(evt.seq, "content does not match its hash (modified)");
+    }
+    prevHash = evt.hash;
+    expectedSeq = evt.seq + 1;
+    lastSeq = evt.seq;
+    lastHash = evt.hash;
+    checked++;
+  }
+
+  return { valid: invalid === 0 && !errors.length, checked, fromSeq, lastSeq, lastHash, errors };
+}
+
+// AUDIT_ADMIN_EMAILS: comma separated users allowed to read everyone's audit events
+function isAuditAdmin(user) {
+  const admins = String(process.env.AUDIT_ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+  return !!user?.email && admins.includes(String(user.email).toLowerCase());
+}
+
+/**
+ * Build a Mongo query for GET /audit.
+ * filters: { user (id or email), project, requirement, action ("a,b" or "model.*"), genId, from, to, before (seq) }
+ */
+function buildAuditQuery(filters = {}) {
+  const query = {};
+  if (filters.user) {
+    if (/^[a-f0-9]{24}$/i.test(filters.user)) query.user = filters.user;
+    else query.userEmail = filters.user;
+  }
+  if (filters.project) query.project = filters.project;
+  if (filters.requirement) query.requirementId = filters.requirement;
+  if (filters.genId) query.genId = filters.genId;
+  const actions = String(filters.action || "").split(",").map((a) => a.trim()).filter(Boolean);
+  if (actions.length) {
+    query.$or = actions.map((a) =>
+      a.endsWith("*") ? { action: { $regex: `^${a.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` } } : { action: a }
+    );
+  }
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+  if (filters.before) query.seq = { $lt: Number(filters.before) };
+  return query;
+}
+
+module.exports = {
+  GENESIS_HASH,
+  isAuditAdmin,
+  buildAuditQuery,
+  recordAudit,
+  withAuditTrail,
+  verifyAuditChain,
+};
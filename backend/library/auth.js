@@ -0,0 +1,386 @@
+// backend/library/auth.js
+// Pluggable sign-in providers. Every provider exposes the same surface:
+//   provider.name                 -> "google" | "oidc" | "local"
+//   provider.label                -> shown on the sign-in screen
+//   provider.issuers              -> "iss" values of the tokens it verifies
+//   provider.publicConfig()       -> what the frontend needs to start a sign-in
+//   provider.verifyToken(token)   -> identity { provider, subject, email, emailVerified, name, picture, issuedAt }
+// The local provider also has login(login, password) -> { idToken, expiresIn, user }:
+// it issues its own short-lived ID token, so every provider ends in an ID token that
+// POST /auth/login exchanges for a session (library/sessions).
+//
+// AUTH_PROVIDERS selects the enabled providers (comma separated, default "google").
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const axios = require("axios");
+const { OAuth2Client } = require("google-auth-library");
+
+const User = require("../models/User");
+const { decodeJwt, signHs256, verifyJwt, keyFromJwk } = require("./jwt");
+
+const scrypt = promisify(crypto.scrypt);
+
+const LOCAL_ISSUER = "tcg-local";
+const LOCAL_AUDIENCE = "tcg-local";
+const OIDC_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+const OIDC_CACHE_TTL_MS = 60 * 60 * 1000;
+// an unknown "kid" refetches the JWKS (key rotation), but not more often than this
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const MIN_PASSWORD_LENGTH = 10;
+const EMAIL_VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = "AUTH_CONFIG";
+  return err;
+}
+
+function identityFromClaims(provider, payload, emailClaim) {
+  if (!payload || !payload.sub) throw new Error(`Invalid ${provider} token payload`);
+  const email = (emailClaim && payload[emailClaim]) || payload.email ||
+    (String(payload.preferred_username || "").includes("@") ? payload.preferred_username : undefined);
+  return {
+    provider,
+    subject: String(payload.sub),
+    email: email ? String(email).toLowerCase() : undefined,
+    emailVerified: payload.email_verified === true || payload.email_verified === "true",
+    name: payload.name,
+    picture: payload.picture,
+    issuedAt: payload.iat ? new Date(payload.iat * 1000) : null,
+  };
+}
+
+/* ------------------ passwords (scrypt) ------------------ */
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p),
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns an error message or null
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/* ------------------ google ------------------ */
+
+function createGoogleProvider(options = {}) {
+  const clientId = options.clientId || process.env.GOOGLE_CLIENT_ID;
+  if (!clientId) throw configError("GOOGLE_CLIENT_ID is not configured on the backend");
+  const client = new OAuth2Client(clientId);
+
+  return {
+    name: "google",
+    label: "Google",
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    publicConfig: () => ({ clientId }),
+    async verifyToken(idToken) {
+      const ticket = await client.verifyIdToken({ idToken, audience: clientId });
+      return identityFromClaims("google", ticket.getPayload());
+    },
+  };
+}
+
+/* ------------------ generic OIDC (Keycloak, Azure AD, ...) ------------------ */
+
+function createOidcProvider(options = {}) {
+  const issuer = String(options.issuer || process.env.OIDC_ISSUER || "").replace(/\/+$/, "");
+  const clientId = options.clientId || process.env.OIDC_CLIENT_ID;
+  if (!issuer || !clientId) throw configError("OIDC_ISSUER and OIDC_CLIENT_ID must be configured");
+  const audience = String(process.env.OIDC_AUDIENCE || clientId).split(",").map((a) => a.trim()).filter(Boolean);
+  // Azure AD puts the address in preferred_username/upn rather than email
+  const emailClaim = process.env.OIDC_EMAIL_CLAIM || "email";
+
+  let discovery = null;
+  let discoveredAt = 0;
+  let keys = new Map();
+  let keysFetchedAt = 0;
+
+  async function discover() {
+    if (discovery && Date.now() - discoveredAt < OIDC_CACHE_TTL_MS) return discovery;
+    const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    if (!data || !data.jwks_uri) throw new Error("OIDC discovery document has no jwks_uri");
+    if (data.issuer && String(data.issuer).replace(/\/+$/, "") !== issuer) {
+      throw new Error(`OIDC discovery issuer ${data.issuer} does not match OIDC_ISSUER`);
+    }
+    discovery = data;
+    discoveredAt = Date.now();
+    return data;
+  }
+
+  async function fetchKeys() {
+    const { jwks_uri: jwksUri } = await discover();
+    const { data } = await axios.get(jwksUri, { timeout: 10000 });
+    const next = new Map();
+    for (const jwk of data?.keys || []) {
+      if (jwk.use && jwk.use !== "sig") continue;
+      try {
+        next.set(jwk.kid || "", keyFromJwk(jwk));
+      } catch (e) {
+        console.warn(`OIDC key ${jwk.kid || "(no kid)"} ignored:`, e?.message || e);
+      }
+    }
+    keys = next;
+    keysFetchedAt = Date.now();
+  }
+
+  async function keyFor({ header }) {
+    if (!keys.size || Date.now() - keysFetchedAt > OIDC_CACHE_TTL_MS) await fetchKeys();
+    const kid = header.kid || "";
+    if (!keys.has(kid) && Date.now() - keysFetchedAt > JWKS_MIN_REFRESH_MS) await fetchKeys();
+    if (keys.has(kid)) return keys.get(kid);
+    if (!header.kid && keys.size === 1) return [...keys.values()][0];
+    throw new Error("Token signing key not found in the issuer's JWKS");
+  }
+
+  return {
+    name: "oidc",
+    label: process.env.OIDC_LABEL || "Single sign-on",
+    issuers: [issuer],
+    publicConfig: () => ({ issuer, clientId, scope: process.env.OIDC_SCOPE || "openid email profile" }),
+    async verifyToken(token) {
+      const doc = await discover();
+      const payload = await verifyJwt(token, {
+        key: keyFor,
+        algorithms: OIDC_ALGORITHMS,
+        issuer: doc.issuer || issuer,
+        audience,
+      });
+      const identity = identityFromClaims("oidc", payload, emailClaim);
+      // some issuers never send email_verified; OIDC_TRUST_EMAIL=true treats their addresses as verified
+      if (process.env.OIDC_TRUST_EMAIL === "true") identity.emailVerified = !!identity.email;
+      return identity;
+    },
+  };
+}
+
+/* ------------------ local username/password ------------------ */
+
+function createLocalProvider(options = {}) {
+  const secret = options.secret || process.env.AUTH_TOKEN_SECRET;
+  if (!secret) throw configError("AUTH_TOKEN_SECRET is not configured");
+  const ttlSeconds = Number(process.env.LOCAL_ID_TOKEN_TTL_SECONDS) || 3600;
+
+  // ties a token to the password it was issued under (ms of passwordChangedAt)
+  const passwordStamp = (user) => (user.passwordChangedAt ? new Date(user.passwordChangedAt).getTime() : 0);
+
+  function issueIdToken(user) {
+    const iat = Math.floor(Date.now() / 1000);
+    return signHs256({
+      iss: LOCAL_ISSUER,
+      aud: LOCAL_AUDIENCE,
+      sub: user._id.toString(),
+      email: user.email,
+      // a local account only vouches for its email after the verification link was used
+      email_verified: isEmailVerified(user),
+      name: user.name,
+      pwd_changed_at: passwordStamp(user),
+      iat,
+      exp: iat + ttlSeconds,
+    }, secret);
+  }
+
+  return {
+    name: "local",
+    label: "Username and password",
+    issuers: [LOCAL_ISSUER],
+    publicConfig: () => ({ allowSignup: process.env.LOCAL_AUTH_ALLOW_SIGNUP === "true" }),
+    async verifyToken(token) {
+      const payload = await verifyJwt(token, { key: secret, algorithms: ["HS256"], issuer: LOCAL_ISSUER, audience: LOCAL_AUDIENCE });
+      // tokens issued before the password was changed (or the account removed) are void
+      const user = await User.findById(payload.sub).select({ passwordChangedAt: 1 });
+      if (!user || payload.pwd_changed_at !== passwordStamp(user)) {
+        throw new Error("Token is no longer valid (password changed); sign in again");
+      }
+      return identityFromClaims("local", payload);
+    },
+    /**
+     * login: email or username. Throws "Invalid username or password" for unknown
+     * users and wrong passwords alike.
+     */
+    async login(login, password) {
+      const value = String(login || "").trim();
+      const user = value
+        ? await User.findOne({ $or: [{ email: value.toLowerCase() }, { username: value }] }).select("+passwordHash")
+        : null;
+      if (!user || !user.passwordHash || !(await verifyPassword(password, user.passwordHash))) {
+        throw new Error("Invalid username or password");
+      }
+      return { idToken: issueIdToken(user), expiresIn: ttlSeconds, user };
+    },
+    issueIdToken,
+  };
+}
+
+/* ------------------ registry ------------------ */
+
+const PROVIDERS = {
+  google: createGoogleProvider,
+  oidc: createOidcProvider,
+  local: createLocalProvider,
+};
+
+/**
+ * Build the providers named by AUTH_PROVIDERS. Providers that cannot be initialized
+ * are logged and left out, like LLM providers.
+ * Returns { providers, get(name), verifyToken(token), publicConfig() }.
+ */
+function createAuthProviders(names = process.env.AUTH_PROVIDERS || "google", options = {}) {
+  const providers = [];
+  for (const name of String(names).split(",").map((n) => n.trim().toLowerCase()).filter(Boolean)) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      console.warn(`Unknown auth provider "${name}"; expected one of ${Object.keys(PROVIDERS).join(", ")}`);
+      continue;
+    }
+    try {
+      providers.push(factory(options[name] || {}));
+      console.log(`Auth provider enabled: ${name}`);
+    } catch (e) {
+      console.warn(`Auth provider "${name}" init failed:`, e?.message || e);
+    }
+  }
+
+  function get(name) {
+    return providers.find((p) => p.name === name) || null;
+  }
+
+  return {
+    providers,
+    get,
+    /**
+     * Verify a bearer token with the provider whose issuer it names.
+     */
+    async verifyToken(token) {
+      if (!token) throw new Error("Missing credential");
+      if (!providers.length) throw configError("No sign-in provider is configured (AUTH_PROVIDERS)");
+      const iss = String(decodeJwt(token).payload.iss || "").replace(/\/+$/, "");
+      const provider = providers.find((p) => p.issuers.includes(iss));
+      if (!provider) throw new Error(`No enabled sign-in provider for issuer "${iss}"`);
+      return provider.verifyToken(token);
+    },
+    publicConfig() {
+      return providers.map((p) => ({ name: p.name, label: p.label, ...p.publicConfig() }));
+    },
+  };
+}
+
+/* ------------------ users ------------------ */
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+/**
+ * Whether the user proved they own their email. Accounts from before emailVerifiedAt
+ * existed count as verified when they came from Google.
+ */
+function isEmailVerified(user) {
+  if (!user) return false;
+  return !!user.emailVerifiedAt || !!user.googleId || (user.identities || []).some((i) => i.provider === "google");
+}
+
+/**
+ * Start email verification: stores the hash of a new one-time token on the user (the
+ * caller saves) and returns the token to deliver to the address.
+ */
+function createEmailVerification(user) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  user.emailVerification = { tokenHash: sha256(token), expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS), sentAt: new Date() };
+  return token;
+}
+
+/**
+ * Redeem a verification token. Resolves to the verified user, or null for unknown and
+ * expired tokens.
+ */
+async function verifyEmailToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const user = await User.findOne({ "emailVerification.tokenHash": sha256(token), "emailVerification.expiresAt": { $gt: new Date() } });
+  if (!user) return null;
+  user.emailVerifiedAt = new Date();
+  user.emailVerification = undefined;
+  await user.save();
+  return user;
+}
+
+function hasIdentity(user, identity) {
+  if ((user.identities || []).some((i) => i.provider === identity.provider && i.subject === identity.subject)) return true;
+  if (identity.provider === "google" && user.googleId === identity.subject) return true;
+  return identity.provider === "local" && user._id.toString() === identity.subject;
+}
+
+/**
+ * Find the user for a verified identity, linking the identity to an existing account
+ * with the same (verified) email, or create a new user.
+ * Resolves to { user, created, linked }. Not saved when only linked: the caller saves.
+ */
+async function findOrCreateUser(identity) {
+  const { provider, subject } = identity;
+  let user = await User.findOne({ identities: { $elemMatch: { provider, subject } } });
+  if (!user && provider === "google") user = await User.findOne({ googleId: subject });
+  if (!user && provider === "local" && /^[a-f0-9]{24}$/i.test(subject)) user = await User.findById(subject);
+
+  let linked = false;
+  if (!user && identity.email) {
+    user = await User.findOne({ email: identity.email });
+    if (user && !identity.emailVerified) {
+      throw new Error(`An account for ${identity.email} already exists; sign in with its original provider`);
+    }
+    // whoever registered a local password for this address never proved they own it
+    if (user && !isEmailVerified(user)) {
+      throw new Error(`An unverified account for ${identity.email} already exists; it must verify its email before other sign-in methods can be linked`);
+    }
+  }
+
+  if (!user) {
+    if (!identity.email) throw new Error("The sign-in provider did not supply an email address");
+    user = await User.create({
+      googleId: provider === "google" ? subject : undefined,
+      email: identity.email,
+      name: identity.name || identity.email || "User",
+      picture: identity.picture,
+      identities: [{ provider, subject, email: identity.email }],
+      emailVerifiedAt: identity.emailVerified ? new Date() : undefined,
+    });
+    return { user, created: true, linked: false };
+  }
+
+  if (!(user.identities || []).some((i) => i.provider === provider && i.subject === subject)) {
+    user.identities.push({ provider, subject, email: identity.email });
+    if (provider === "google" && !user.googleId) user.googleId = subject;
+    linked = true;
+  }
+  return { user, created: false, linked };
+}
+
+module.exports = {
+  LOCAL_ISSUER,
+  createAuthProviders,
+  findOrCreateUser,
+  hasIdentity,
+  isEmailVerified,
+  createEmailVerification,
+  verifyEmailToken,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+};
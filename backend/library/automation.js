@@ -0,0 +1,189 @@
+// backend/library/automation.js
+// Automation skeletons for automatable testcases. The model writes a script in the
+// testcase's suggested tool; the output is only accepted when it parses (acorn for
+// JavaScript, JSON.parse plus a collection shape check for Postman).
+
+const acorn = require("acorn");
+
+const { extractFirstJson } = require("./helper");
+
+const AUTOMATION_TOOLS = {
+  playwright: {
+    label: "Playwright Test",
+    language: "javascript",
+    extension: "spec.js",
+    guidance: "Use @playwright/test (`const { test, expect } = require(\"@playwright/test\")`). One test() per testcase, page interactions for the steps and expect() assertions for the expected result. Read the base URL from process.env.BASE_URL.",
+  },
+  cypress: {
+    label: "Cypress",
+    language: "javascript",
+    extension: "cy.js",
+    guidance: "Write a Cypress spec with describe()/it(), cy.visit(Cypress.env(\"BASE_URL\") || \"/\") and cy commands for the steps, should() assertions for the expected result.",
+  },
+  jest: {
+    label: "Jest + Supertest",
+    language: "javascript",
+    extension: "test.js",
+    guidance: "Write a Jest test using supertest (`const request = require(\"supertest\")`) against process.env.BASE_URL. One test() per testcase with HTTP calls for the steps and expect() assertions for the expected result.",
+  },
+  postman: {
+    label: "Postman collection",
+    language: "json",
+    extension: "postman_collection.json",
+    guidance: "Return a Postman Collection v2.1 JSON object ({ info: { name, schema: \"https://schema.getpostman.com/json/collection/v2.1.0/collection.json\" }, item: [...] }). Use {{baseUrl}} in request URLs and pm.test() assertions in each item's test event for the expected result.",
+  },
+};
+
+// "Playwright", "cypress.io", "Jest/Supertest", "Postman/Newman" -> tool key
+function resolveAutomationTool(value) {
+  const v = String(value || "").toLowerCase();
+  if (!v) return null;
+  if (v.includes("playwright")) return "playwright";
+  if (v.includes("cypress")) return "cypress";
+  if (v.includes("jest") || v.includes("supertest")) return "jest";
+  if (v.includes("postman") || v.includes("newman")) return "postman";
+  return null;
+}
+
+/**
+ * Pull the script out of a model response: the first fenced block when present,
+ * otherwise the first JSON object (Postman) or the whole text.
+ */
+function extractScript(text, language) {
+  const str = String(text || "");
+  const fence = /```[a-zA-Z]*\s*\n([\s\S]*?)```/.exec(str);
+  if (fence) return fence[1].trim();
+  if (language === "json") return extractFirstJson(str, "object") || str.trim();
+  return str.trim();
+}
+
+/**
+ * Check that a script at least parses. Returns { ok, error? }.
+ */
+function validateScript(code, language) {
+  if (!String(code || "").trim()) return { ok: false, error: "empty script" };
+  if (language === "json") {
+    let collection;
+    try {
+      collection = JSON.parse(code);
+    } catch (e) {
+      return { ok: false, error: `JSON parse error: ${e.message}` };
+    }
+    if (!collection || typeof collection !== "object" || !collection.info || !Array.isArray(collection.item)) {
+      return { ok: false, error: "not a Postman collection (expected info and item[])" };
+    }
+    return { ok: true };
+  }
+  try {
+    acorn.parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      allowHashBang: true,
+      allowAwaitOutsideFunction: true,
+    });
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: `JavaScript parse error: ${e.message}` };
+  }
+}
+
+function buildAutomationPrompt(set, tc, tool, promptOverride) {
+  const spec = AUTOMATION_TOOLS[tool];
+  const testcase = {
+    tc_id: tc.tc_id,
+    title: tc.title,
+    preconditions: tc.preconditions || [],
+    steps: tc.steps || [],
+    expected: tc.expected || "",
+  };
+  const lines = [
+    `You are a test automation engineer. Write a runnable ${spec.label} skeleton for the testcase below.`,
+    spec.guidance,
+    "Implement every step and assert the expected result. Where selectors, endpoints or test data are unknown, use clearly named placeholders and a TODO comment instead of inventing application details.",
+    `Return ONLY the ${spec.language === "json" ? "JSON object" : "JavaScript source"} in a single fenced code block, with no explanation.`,
+    "",
+    `Requirement: ${set.requirementId} - ${set.requirementTitle || ""}`,
+    "Testcase:",
+    JSON.stringify(testcase, null, 2),
+  ];
+  if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
+    lines.push("", `Additional user instructions:\n${promptOverride.trim()}`);
+  }
+  return lines.join("\n");
+}
+
+function automationFilename(tc, tool, version) {
+  const base = String(tc.tc_id || "testcase").replace(/[^\w.-]+/g, "_");
+  return `${base}.v${version}.${AUTOMATION_TOOLS[tool].extension}`;
+}
+
+function nextAutomationVersion(tc) {
+  return (tc.automation || []).reduce((max, a) => Math.max(max, a.version || 0), 0) + 1;
+}
+
+/**
+ * Ask the model for an automation script for one testcase; retries once with the
+ * parse error when the first answer does not parse.
+ * options: { llm, userId, set (GeneratedSet), testcase, tool? (defaults to testcase.suggested_tool), promptOverride? }
+ * Resolves to { success: true, artifact } (not yet attached to the testcase) or
+ * { success: false, error, details? }.
+ */
+async function generateAutomationScript(options) {
+  const { llm, userId, set, testcase, promptOverride } = options;
+  const tool = resolveAutomationTool(options.tool || testcase.suggested_tool);
+  if (!tool) {
+    return {
+      success: false,
+      error: `No supported automation tool for "${options.tool || testcase.suggested_tool || ""}". Use one of ${Object.keys(AUTOMATION_TOOLS).join(", ")}`,
+    };
+  }
+  if (!llm) return { success: false, error: "AI client not initialized" };
+
+  const { language } = AUTOMATION_TOOLS[tool];
+  const llmContext = { userId, projectId: set.project, reqId: set.requirementId, genId: set._id, operation: "automation", tcId: testcase.tc_id, tool };
+  const prompt = buildAutomationPrompt(set, testcase, tool, promptOverride);
+
+  const genResp = await llm.generate({ prompt: [{ text: prompt }], context: llmContext });
+  let code = extractScript(genResp.text, language);
+  let validation = validateScript(code, language);
+
+  if (!validation.ok) {
+    const retryResp = await llm.generate({
+      prompt: [
+        { text: prompt },
+        { text: `Your previous answer could not be used (${validation.error}). Return ONLY the corrected ${language === "json" ? "JSON object" : "JavaScript source"}.` },
+      ],
+      context: { ...llmContext, attempt: "retry" },
+    });
+    code = extractScript(retryResp.text, language);
+    validation = validateScript(code, language);
+  }
+
+  if (!validation.ok) {
+    return { success: false, error: "AI did not return a parseable script after retry", details: validation.error };
+  }
+
+  const version = nextAutomationVersion(testcase);
+  return {
+    success: true,
+    artifact: {
+      version,
+      tool,
+      language,
+      filename: automationFilename(testcase, tool, version),
+      code,
+      provider: llm.name,
+      model: llm.model,
+      promptOverride: promptOverride || undefined,
+      createdAt: new Date(),
+    },
+  };
+}
+
+module.exports = {
+  AUTOMATION_TOOLS,
+  resolveAutomationTool,
+  extractScript,
+  validateScript,
+  generateAutomationScript,
+};
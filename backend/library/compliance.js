@@ -0,0 +1,216 @@
+// backend/library/compliance.js
+// Verification of testcase compliance references { standard, clause, quote } against
+// the extracted standard text. A reference is verified only when its standard is one
+// of the set's standards, its quote occurs in that document and (when a clause is
+// given) the quote sits inside that clause. Legacy free-text strings are resolved
+// to a standard where possible but are never verified.
+
+const { getExtractedText } = require("./documents");
+const { getClauseChunks } = require("./retrieval");
+
+const MIN_QUOTE_WORDS = 4;
+
+function matchText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[‘’“”"']/g, "")
+    .replace(/[^a-z0-9§]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function standardKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\.[a-z0-9]{2,4}$/, "")
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function clauseKey(clause) {
+  return String(clause || "")
+    .toLowerCase()
+    .replace(/\b(section|clause|article|annex|appendix)\b/g, "")
+    .replace(/\(part \d+\)/g, "")
+    .replace(/[§\s]+/g, "")
+    .replace(/\.+$/, "");
+}
+
+// "IEC 62304 5.1.2" / "HIPAA § 164.312(a)" -> { standard, clause }
+function parseLegacyReference(text) {
+  const str = String(text || "").trim();
+  const m = /(§+\s*[\d.]+[a-z]?(?:\([a-z0-9]+\))*|\b\d+(?:\.\d+)+(?:\([a-z0-9]+\))*)/i.exec(str);
+  if (!m) return { standard: str, clause: "", quote: "" };
+  const standard = (str.slice(0, m.index) + str.slice(m.index + m[0].length)).replace(/[\s,:;-]+$/, "").trim();
+  return { standard: standard || str, clause: m[1].trim(), quote: "" };
+}
+
+/**
+ * Map a compliance entry (string or object) to one of the given standard filenames,
+ * or null when it names none of them. Used where text verification is not needed.
+ */
+function matchComplianceStandard(entry, filenames) {
+  if (entry && typeof entry === "object" && entry.standardFile && filenames.includes(entry.standardFile)) {
+    return entry.standardFile;
+  }
+  const name = typeof entry === "string" ? parseLegacyReference(entry).standard : entry?.standard;
+  const std = resolveStandard(name, filenames.map((filename) => ({ filename, key: standardKey(filename) })));
+  return std ? std.filename : null;
+}
+
+/**
+ * Load the text and clause chunks of the standards a set was generated against.
+ * Resolves to [{ filename, key, text, matchable, chunks }].
+ */
+async function loadStandardsForVerification(standardDocs) {
+  const out = [];
+  for (const doc of standardDocs || []) {
+    const text = await getExtractedText(doc, doc.filename);
+    const chunks = text ? getClauseChunks(text, doc.extracted?.contentHash) : [];
+    out.push({
+      filename: doc.filename,
+      key: standardKey(doc.filename),
+      text,
+      matchable: matchText(text),
+      chunks: chunks.map((c) => ({ clause: c.clause, key: clauseKey(c.clause), matchable: matchText(c.text) })),
+    });
+  }
+  return out;
+}
+
+function resolveStandard(name, standards) {
+  const key = standardKey(name);
+  if (!key) return null;
+  const exact = standards.find((s) => s.key === key);
+  if (exact) return exact;
+  const partial = standards
+    .filter((s) => s.key && (s.key.includes(key) || key.includes(s.key)))
+    .sort((a, b) => b.key.length - a.key.length);
+  return partial[0] || null;
+}
+
+// a quote with "..." matches when every fragment occurs, in order
+function quoteOccursIn(matchableHaystack, quote) {
+  const fragments = String(quote)
+    .split(/\.{3}|…/)
+    .map(matchText)
+    .filter(Boolean);
+  if (!fragments.length) return false;
+  let from = 0;
+  for (const f of fragments) {
+    const idx = matchableHaystack.indexOf(f, from);
+    if (idx === -1) return false;
+    from = idx + f.length;
+  }
+  return true;
+}
+
+/**
+ * Resolve and verify one compliance entry (string or object) against loaded standards.
+ * Returns { standard, clause, quote, standardFile, verified, issues, legacy? }.
+ */
+function verifyComplianceEntry(entry, standards) {
+  const legacy = typeof entry === "string";
+  const ref = legacy ? parseLegacyReference(entry) : {
+    standard: String(entry?.standard || ""),
+    clause: String(entry?.clause || ""),
+    quote: String(entry?.quote || ""),
+  };
+  const issues = [];
+  const std = resolveStandard(ref.standard, standards);
+  const out = { standard: ref.standard, clause: ref.clause, quote: ref.quote, standardFile: std ? std.filename : null };
+  if (legacy) {
+    out.legacy = true;
+    issues.push("free-text reference without clause quote");
+  }
+
+  if (!std) {
+    issues.push("standard is not one of the generated set's standards");
+  } else if (!std.text) {
+    issues.push("standard has no extracted text");
+  }
+
+  let quoteFound = false;
+  let clauseOk = !ref.clause;
+  if (std && std.text && !legacy) {
+    const words = matchText(ref.quote).split(" ").filter(Boolean);
+    if (!ref.quote) {
+      issues.push("quote missing");
+    } else if (words.length < MIN_QUOTE_WORDS) {
+      issues.push(`quote too short to verify (minimum ${MIN_QUOTE_WORDS} words)`);
+    } else {
+      quoteFound = quoteOccursIn(std.matchable, ref.quote);
+      if (!quoteFound) issues.push("quote not found in standard text");
+    }
+
+    if (ref.clause) {
+      const key = clauseKey(ref.clause);
+      // "164.312(a)(1)" lives in chunk "164.312"; "5.1.2" must not match "5.1.20"
+      const clauseChunks = std.chunks.filter(
+        (c) => c.key && (c.key === key || key.startsWith(`${c.key}(`) || key.startsWith(`${c.key}.`))
+      );
+      if (!std.chunks.some((c) => c.key)) {
+        clauseOk = true;
+        issues.push("clause numbering not detected in standard; clause not checked");
+      } else if (!clauseChunks.length) {
+        issues.push(`clause ${ref.clause} not found in standard`);
+      } else if (quoteFound) {
+        clauseOk = clauseChunks.some((c) => quoteOccursIn(c.matchable, ref.quote));
+        if (!clauseOk) {
+          const actual = std.chunks.find((c) => quoteOccursIn(c.matchable, ref.quote));
+          issues.push(`quote found outside clause ${ref.clause}${actual?.clause ? ` (in ${actual.clause})` : ""}`);
+        }
+      } else {
+        clauseOk = true;
+      }
+    }
+  }
+
+  out.verified = !legacy && !!std && quoteFound && clauseOk;
+  out.issues = issues;
+  return out;
+}
+
+/**
+ * Annotate the structured compliance entries of testcases in place with
+ * { standardFile, verified, issues }. Legacy strings are left untouched.
+ */
+async function annotateCompliance(testcases, standardDocs) {
+  const standards = await loadStandardsForVerification(standardDocs);
+  for (const tc of testcases) {
+    tc.compliance = (tc.compliance || []).map((entry) => {
+      if (typeof entry === "string") return entry;
+      const resolved = verifyComplianceEntry(entry, standards);
+      return {
+        standard: resolved.standard,
+        clause: resolved.clause,
+        quote: resolved.quote,
+        standardFile: resolved.standardFile,
+        verified: resolved.verified,
+        issues: resolved.issues,
+      };
+    });
+  }
+  return testcases;
+}
+
+/**
+ * Resolved references for every testcase (strings included), keyed by tc_id.
+ */
+async function resolveComplianceReferences(testcases, standardDocs) {
+  const standards = await loadStandardsForVerification(standardDocs);
+  const out = {};
+  for (const tc of testcases) {
+    out[tc.tc_id] = (tc.compliance || []).map((entry) => verifyComplianceEntry(entry, standards));
+  }
+  return out;
+}
+
+module.exports = {
+  standardKey,
+  parseLegacyReference,
+  matchComplianceStandard,
+  loadStandardsForVerification,
+  verifyComplianceEntry,
+  annotateCompliance,
+  resolveComplianceReferences,
+};
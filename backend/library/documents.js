@@ -0,0 +1,61 @@
+// backend/library/documents.js
+// Cached access to the extracted text of Requirement and Standard documents.
+// Extraction happens once at upload time; generation routes only read the cache.
+
+const fs = require("fs");
+
+const { downloadFileToBuffer, buildExtraction } = require("./helper");
+
+/**
+ * Extract a file that is still on local disk (upload routes).
+ */
+async function extractLocalFile(localPath, originalName) {
+  const buffer = await fs.promises.readFile(localPath);
+  return buildExtraction(buffer, originalName);
+}
+
+/**
+ * Re-download a document from its fileUri, re-extract and persist the result.
+ * Throws when the document cannot be fetched.
+ */
+async function refreshExtraction(doc, filenameHint) {
+  if (!doc.fileUri) throw new Error("Document has no fileUri to extract from");
+  const buffer = await downloadFileToBuffer(doc.fileUri);
+  doc.extracted = await buildExtraction(buffer, filenameHint);
+  await doc.save();
+  return doc.extracted;
+}
+
+/**
+ * Full extracted text of a Requirement/Standard. Documents uploaded before the
+ * cache existed are extracted from their fileUri once and backfilled.
+ */
+async function getExtractedText(doc, filenameHint) {
+  if (doc?.extracted?.contentHash) return doc.extracted.text || "";
+  if (!doc?.fileUri) return "";
+  try {
+    const extracted = await refreshExtraction(doc, filenameHint);
+    return extracted.text || "";
+  } catch (err) {
+    console.error("getExtractedText error:", err.message);
+    return "";
+  }
+}
+
+function extractionSummary(extracted) {
+  if (!extracted) return null;
+  return {
+    contentHash: extracted.contentHash,
+    pageCount: extracted.pageCount,
+    method: extracted.method,
+    chars: extracted.chars,
+    extractedAt: extracted.extractedAt,
+  };
+}
+
+module.exports = {
+  extractLocalFile,
+  refreshExtraction,
+  getExtractedText,
+  extractionSummary,
+};
@@ -0,0 +1,299 @@
+// backend/library/exporters.js
+// Export generated sets to test-management formats. Every exporter takes a
+// GeneratedSet (document or plain object) and returns { body, contentType, extension }.
+
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+
+const { complianceLabel } = require("./helper");
+const { toCsv } = require("./tabular");
+
+// "1. Open the page" -> "Open the page"
+function stripStepNumber(step) {
+  return String(step || "").replace(/^\s*(?:step\s*)?\d+[.)]\s*/i, "").trim();
+}
+
+function complianceLabels(tc) {
+  return (tc.compliance || []).map(complianceLabel).filter(Boolean);
+}
+
+function xmlEscape(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function tagSafe(value) {
+  return String(value || "").trim().replace(/\s+/g, "_").replace(/[^\w\-.:]/g, "");
+}
+
+/* ------------------ generic CSV / Excel ------------------ */
+
+const GENERIC_COLUMNS = [
+  { key: "tc_id", header: "Testcase ID", width: 22 },
+  { key: "req_id", header: "Requirement ID", width: 22 },
+  { key: "title", header: "Title", width: 48 },
+  { key: "preconditions", header: "Preconditions", width: 40 },
+  { key: "steps", header: "Steps", width: 60 },
+  { key: "expected", header: "Expected", width: 48 },
+  { key: "automatable", header: "Automatable", width: 12 },
+  { key: "suggested_tool", header: "Suggested Tool", width: 18 },
+  { key: "confidence", header: "Confidence", width: 12 },
+  { key: "compliance", header: "Compliance", width: 30 },
+  { key: "jira_id", header: "Jira ID", width: 14 },
+];
+
+function genericRow(tc) {
+  return {
+    tc_id: tc.tc_id,
+    req_id: tc.req_id,
+    title: tc.title,
+    preconditions: (tc.preconditions || []).join("\n"),
+    steps: (tc.steps || []).map((s, i) => `${i + 1}. ${stripStepNumber(s)}`).join("\n"),
+    expected: tc.expected || "",
+    automatable: tc.automatable ? "Yes" : "No",
+    suggested_tool: tc.suggested_tool || "",
+    confidence: typeof tc.confidence === "number" ? tc.confidence : "",
+    compliance: complianceLabels(tc).join("; "),
+    jira_id: tc.jira_id || "",
+  };
+}
+
+function exportCsv(set) {
+  const rows = [GENERIC_COLUMNS.map((c) => c.header)];
+  for (const tc of set.testcases || []) {
+    const row = genericRow(tc);
+    rows.push(GENERIC_COLUMNS.map((c) => row[c.key]));
+  }
+  return { body: toCsv(rows), contentType: "text/csv; charset=utf-8", extension: "csv" };
+}
+
+async function exportXlsx(set) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(String(set.requirementId || "Testcases").slice(0, 31));
+  sheet.columns = GENERIC_COLUMNS.map((c) => ({ header: c.header, key: c.key, width: c.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  for (const tc of set.testcases || []) {
+    const row = sheet.addRow(genericRow(tc));
+    row.alignment = { wrapText: true, vertical: "top" };
+  }
+  const body = Buffer.from(await workbook.xlsx.writeBuffer());
+  return {
+    body,
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  };
+}
+
+/* ------------------ TestRail CSV import (Test Case (Steps) template) ------------------ */
+
+// One row per step; the testcase columns are only filled on its first row, which is
+// how TestRail's CSV importer groups multi-row test cases.
+function exportTestRail(set) {
+  const header = [
+    "Title", "Section", "Template", "Type", "Priority", "References",
+    "Preconditions", "Steps (Step)", "Steps (Expected Result)", "Automation Type",
+  ];
+  const rows = [header];
+  for (const tc of set.testcases || []) {
+    const steps = (tc.steps || []).map(stripStepNumber);
+    if (!steps.length) steps.push("");
+    steps.forEach((step, i) => {
+      const isFirst = i === 0;
+      const isLast = i === steps.length - 1;
+      rows.push([
+        isFirst ? tc.title : "",
+        isFirst ? set.requirementTitle || set.requirementId : "",
+        isFirst ? "Test Case (Steps)" : "",
+        isFirst ? "Functional" : "",
+        isFirst ? "Medium" : "",
+        isFirst ? [tc.req_id, tc.jira_id].filter(Boolean).join(", ") : "",
+        isFirst ? (tc.preconditions || []).join("\n") : "",
+        step,
+        isLast ? tc.expected || "" : "",
+        isFirst ? (tc.automatable ? "Automated" : "None") : "",
+      ]);
+    });
+  }
+  return { body: toCsv(rows), contentType: "text/csv; charset=utf-8", extension: "testrail.csv" };
+}
+
+/* ------------------ Zephyr Scale / Xray JSON ------------------ */
+
+function exportZephyr(set, options = {}) {
+  const projectKey = options.projectKey || process.env.JIRA_PROJECT_KEY || "";
+  const testcases = (set.testcases || []).map((tc) => ({
+    projectKey,
+    name: tc.title,
+    objective: `Verifies requirement ${tc.req_id}${set.requirementTitle ? ` (${set.requirementTitle})` : ""}`,
+    precondition: (tc.preconditions || []).join("\n"),
+    labels: [tagSafe(tc.req_id), ...complianceLabels(tc).map(tagSafe)].filter(Boolean),
+    customFields: {
+      "Testcase ID": tc.tc_id,
+      Automatable: !!tc.automatable,
+      "Suggested Tool": tc.suggested_tool || "",
+      Confidence: typeof tc.confidence === "number" ? tc.confidence : null,
+    },
+    issueLinks: tc.jira_id ? [tc.jira_id] : [],
+    testScript: {
+      type: "STEP_BY_STEP",
+      steps: (tc.steps || []).map((step, i, all) => ({
+        description: stripStepNumber(step),
+        testData: "",
+        expectedResult: i === all.length - 1 ? tc.expected || "" : "",
+      })),
+    },
+  }));
+  return {
+    body: JSON.stringify({ testCases: testcases }, null, 2),
+    contentType: "application/json; charset=utf-8",
+    extension: "zephyr.json",
+  };
+}
+
+function exportXray(set, options = {}) {
+  const projectKey = options.projectKey || process.env.JIRA_PROJECT_KEY || "";
+  const tests = (set.testcases || []).map((tc) => ({
+    testtype: "Manual",
+    fields: {
+      summary: tc.title,
+      project: { key: projectKey },
+      description: [
+        `Testcase ID: ${tc.tc_id}`,
+        `Requirement: ${tc.req_id}${set.requirementTitle ? ` - ${set.requirementTitle}` : ""}`,
+        tc.jira_id ? `Jira issue: ${tc.jira_id}` : "",
+        tc.preconditions?.length ? `Preconditions:\n${tc.preconditions.map((p) => `- ${p}`).join("\n")}` : "",
+        complianceLabels(tc).length ? `Compliance: ${complianceLabels(tc).join(", ")}` : "",
+      ].filter(Boolean).join("\n\n"),
+      labels: [tagSafe(tc.req_id), tc.automatable ? "automatable" : "manual"].filter(Boolean),
+    },
+    steps: (tc.steps || []).map((step, i, all) => ({
+      action: stripStepNumber(step),
+      data: "",
+      result: i === all.length - 1 ? tc.expected || "" : "",
+    })),
+  }));
+  return { body: JSON.stringify(tests, null, 2), contentType: "application/json; charset=utf-8", extension: "xray.json" };
+}
+
+/* ------------------ Gherkin ------------------ */
+
+function gherkinLine(keyword, text) {
+  return `    ${keyword} ${String(text || "").replace(/\s+/g, " ").trim()}`;
+}
+
+function exportGherkin(set) {
+  const lines = [];
+  lines.push(`@${tagSafe(set.requirementId)}`);
+  lines.push(`Feature: ${set.requirementTitle || set.requirementId}`);
+  lines.push(`  Testcases generated for requirement ${set.requirementId}.`);
+  for (const tc of set.testcases || []) {
+    lines.push("");
+    const tags = [
+      `@${tagSafe(tc.tc_id)}`,
+      tc.jira_id ? `@jira:${tagSafe(tc.jira_id)}` : null,
+      tc.automatable ? "@automatable" : "@manual",
+      ...complianceLabels(tc).map((c) => `@compliance:${tagSafe(c)}`),
+    ].filter(Boolean);
+    lines.push(`  ${tags.join(" ")}`);
+    lines.push(`  Scenario: ${String(tc.title || tc.tc_id).replace(/\s+/g, " ").trim()}`);
+    (tc.preconditions || []).forEach((p, i) => lines.push(gherkinLine(i === 0 ? "Given" : "And", p)));
+    (tc.steps || []).forEach((s, i) => lines.push(gherkinLine(i === 0 ? "When" : "And", stripStepNumber(s))));
+    if (tc.expected) lines.push(gherkinLine("Then", tc.expected));
+  }
+  return { body: `${lines.join("\n")}\n`, contentType: "text/plain; charset=utf-8", extension: "feature" };
+}
+
+/* ------------------ JUnit XML skeleton ------------------ */
+
+function exportJUnit(set) {
+  const testcases = set.testcases || [];
+  const cases = testcases.map((tc) => {
+    const props = [
+      ["tc_id", tc.tc_id],
+      ["req_id", tc.req_id],
+      ["jira_id", tc.jira_id || ""],
+      ["automatable", tc.automatable ? "true" : "false"],
+      ["suggested_tool", tc.suggested_tool || ""],
+      ["compliance", complianceLabels(tc).join("; ")],
+    ]
+      .map(([name, value]) => `        <property name="${xmlEscape(name)}" value="${xmlEscape(value)}"/>`)
+      .join("\n");
+    const script = [
+      (tc.preconditions || []).length ? `Preconditions:\n${tc.preconditions.map((p) => `- ${p}`).join("\n")}` : "",
+      `Steps:\n${(tc.steps || []).map((s, i) => `${i + 1}. ${stripStepNumber(s)}`).join("\n")}`,
+      `Expected:\n${tc.expected || ""}`,
+    ].filter(Boolean).join("\n\n");
+    return [
+      `    <testcase classname="${xmlEscape(tc.req_id || set.requirementId)}" name="${xmlEscape(`${tc.tc_id}: ${tc.title}`)}" time="0">`,
+      "      <properties>",
+      props,
+      "      </properties>",
+      '      <skipped message="not yet implemented"/>',
+      `      <system-out>${xmlEscape(script)}</system-out>`,
+      "    </testcase>",
+    ].join("\n");
+  });
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(set.requirementTitle || set.requirementId)}" tests="${testcases.length}" skipped="${testcases.length}" failures="0" errors="0">`,
+    `  <testsuite name="${xmlEscape(set.requirementId)}" tests="${testcases.length}" skipped="${testcases.length}" failures="0" errors="0">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+  return { body, contentType: "application/xml; charset=utf-8", extension: "junit.xml" };
+}
+
+const EXPORTERS = {
+  csv: exportCsv,
+  xlsx: exportXlsx,
+  testrail: exportTestRail,
+  zephyr: exportZephyr,
+  xray: exportXray,
+  gherkin: exportGherkin,
+  junit: exportJUnit,
+};
+
+const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+function exportFilename(set, extension) {
+  const base = `${set.requirementId || "testcases"}-${set._id ? set._id.toString() : "set"}`;
+  return `${base.replace(/[^\w.\-]+/g, "_")}.${extension}`;
+}
+
+/**
+ * Export one generated set. Resolves to { body, contentType, extension, filename }.
+ */
+async function exportGeneratedSet(set, format, options = {}) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unsupported export format "${format}"`);
+  const out = await exporter(set, options);
+  return { ...out, filename: exportFilename(set, out.extension) };
+}
+
+/**
+ * Export several generated sets into a single zip archive (Buffer).
+ */
+async function exportGeneratedSetsZip(sets, format, options = {}) {
+  const zip = new JSZip();
+  for (const set of sets) {
+    const out = await exportGeneratedSet(set, format, options);
+    zip.file(out.filename, out.body);
+  }
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  stripStepNumber,
+  exportGeneratedSet,
+  exportGeneratedSetsZip,
+};
@@ -0,0 +1,199 @@
+// backend/library/generation.js
+// Testcase generation for a single requirement, shared by the job worker.
+
+const GeneratedSet = require("../models/GeneratedSet");
+const {
+  extractFirstJson,
+  normalizeTestcaseForStore,
+  toPromptText,
+} = require("./helper");
+const { getExtractedText } = require("./documents");
+const { selectRelevantClauses, formatClausesForPrompt } = require("./retrieval");
+const { annotateCompliance } = require("./compliance");
+const { recordRevision } = require("./revisions");
+const { recordAudit } = require("./audit");
+
+// strict instruction (you can tweak wording)
+const DEFAULT_INSTRUCTION = `You are a senior QA engineer for regulated healthcare software. Using ONLY the extracted text blocks provided below, return EXACTLY a JSON array (no commentary, no markdown) of testcases. Each testcase must have these fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array of objects { standard, clause, quote } where quote is copied verbatim from the cited clause text). Provide 2-8 testcases. Use req_id provided.`;
+
+const RETRY_INSTRUCTION = "IMPORTANT: Return ONLY a JSON array and NOTHING ELSE. No text, no markdown. The array must contain objects with fields: tc_id, req_id, jira_id (empty string), title, preconditions (array), steps (array), expected (string), automatable (boolean), suggested_tool (string), confidence (float 0-1), compliance (array of objects { standard, clause, quote } with quote copied verbatim from the standard).";
+
+/**
+ * Retrieve, per standard, the clauses most relevant to a requirement.
+ * standardDocs: Standard documents; queryText: requirement title + full text.
+ * Resolves to { blocks: [{ name, text }], supplied: [{ standard, clause, heading, score }] }
+ * where each block text is ready to be used as a prompt part.
+ */
+async function buildStandardsContext(standardDocs, queryText) {
+  const blocks = [];
+  const supplied = [];
+  for (const doc of standardDocs) {
+    const name = doc.filename.replace(/\.[^/.]+$/, "");
+    const text = await getExtractedText(doc, doc.filename);
+    const clauses = text
+      ? selectRelevantClauses(text, queryText, { cacheKey: doc.extracted?.contentHash })
+      : [];
+    blocks.push({ name, text: text ? formatClausesForPrompt(name, clauses) : `Standard: ${name}\n\n<no extracted text>\n` });
+    for (const c of clauses) {
+      supplied.push({ standard: doc.filename, clause: c.clause, heading: c.heading, score: c.score });
+    }
+  }
+  return { blocks, supplied };
+}
+
+/**
+ * Generate and persist a GeneratedSet for one requirement.
+ *
+ * options:
+ *  - llm: provider from library/llm
+ *  - userId, projectId, reqEntry (Requirement doc), selectedStandards ([filename]), standardsByName (Map filename -> Standard doc)
+ *  - promptOverride?: string
+ *  - jobId?: generation job the set belongs to; a set the job already saved for the
+ *    requirement is returned instead of a second one
+ *  - onPhase?: async (phase) => void, called with "extracting" | "generating" | "parsing"
+ *  - onEvent?: async (type, data) => void, progress events streamed to clients:
+ *      requirement.extracted, standards.extracted, model.started, testcase, set.saved
+ *
+ * Resolves to { req_id, title, success, genId?, count?, error? }; only unexpected
+ * failures (database, network to the model) are thrown.
+ */
+async function generateTestcasesForRequirement(options) {
+  const { llm, userId, projectId, reqEntry, selectedStandards, standardsByName, promptOverride } = options;
+  const onPhase = options.onPhase || (async () => {});
+  const onEvent = options.onEvent || (async () => {});
+  const reqId = reqEntry.reqId;
+
+  await onPhase("extracting");
+
+  // requirement text (extracted at upload time)
+  const fullReqText = await getExtractedText(reqEntry, reqEntry.originalName || reqEntry.title);
+  const reqText = toPromptText(fullReqText);
+  await onEvent("requirement.extracted", { req_id: reqId, title: reqEntry.title, chars: reqText.length });
+
+  // clauses of the selected standards relevant to this requirement
+  const standardDocs = selectedStandards.map((sName) => standardsByName.get(sName)).filter(Boolean);
+  const { blocks: standardsTexts, supplied: suppliedClauses } = await buildStandardsContext(
+    standardDocs,
+    `${reqEntry.title}\n${fullReqText}`
+  );
+  await onEvent("standards.extracted", {
+    req_id: reqId,
+    standards: standardsTexts.map((s) => ({ name: s.name, chars: (s.text || "").length })),
+    clauses: suppliedClauses,
+  });
+
+  // compose prompt parts (text blocks)
+  const instructionParts = [{ text: DEFAULT_INSTRUCTION }];
+  if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
+    instructionParts.push({ text: `Additional user instructions:\n${promptOverride.trim()}` });
+  }
+
+  const parts = [
+    ...instructionParts,
+    { text: `Requirement metadata:\nreq_id: ${reqId}\ntitle: ${reqEntry.title}\n\nRequirement text:\n${reqText || "<no extracted text>"}\n` },
+    { text: `Standards list: ${selectedStandards.join(", ")}` }
+  ];
+  for (const s of standardsTexts) parts.push({ text: s.text });
+  parts.push({ text: "Return ONLY the JSON array." });
+
+  if (!llm) {
+    return { req_id: reqId, title: reqEntry.title, success: false, error: "AI client not initialized" };
+  }
+
+  await onPhase("generating");
+  await onEvent("model.started", { req_id: reqId, attempt: "initial", provider: llm.name });
+
+  // call AI (prompt and raw response are recorded in the audit trail by the provider wrapper)
+  const genResp = await llm.generate({ prompt: parts, context: { userId, projectId, reqId, operation: "generate" } });
+  const candidateText = genResp.text || "";
+
+  await onPhase("parsing");
+
+  // attempt parse -> extract JSON block
+  let parsed = null;
+  const jsonBlock = extractFirstJson(candidateText, "array");
+  if (jsonBlock) {
+    try { parsed = JSON.parse(jsonBlock); } catch (e) { parsed = null; }
+  }
+
+  // retry once with an extremely strict short instruction if parsing failed
+  if (!Array.isArray(parsed)) {
+    await onPhase("generating");
+    await onEvent("model.started", { req_id: reqId, attempt: "retry", provider: llm.name });
+    const retryParts = [
+      { text: RETRY_INSTRUCTION },
+      { text: DEFAULT_INSTRUCTION }
+    ];
+    if (promptOverride && typeof promptOverride === "string" && promptOverride.trim()) {
+      retryParts.push({ text: `Additional user instructions:\n${promptOverride.trim()}` });
+    }
+    retryParts.push({ text: `Requirement: ${reqId}\n${reqText}` });
+    retryParts.push(...standardsTexts.map(s => ({ text: s.text })));
+    const retryResp = await llm.generate({ prompt: retryParts, context: { userId, projectId, reqId, operation: "generate", attempt: "retry" } });
+    const retryText = retryResp.text || JSON.stringify(retryResp.raw);
+    await onPhase("parsing");
+    const retryBlock = extractFirstJson(retryText, "array");
+    if (retryBlock) {
+      try { parsed = JSON.parse(retryBlock); } catch (e) { parsed = null; }
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    // do not store raw; return parse error for this requirement
+    return { req_id: reqId, title: reqEntry.title, success: false, error: "AI did not return parseable JSON after retry. See server audit logs." };
+  }
+
+  // normalize and store
+  const normalized = parsed.map((t) => normalizeTestcaseForStore(t, reqId));
+  await annotateCompliance(normalized, standardDocs);
+  for (let i = 0; i < normalized.length; i++) {
+    await onEvent("testcase", { req_id: reqId, index: i, total: normalized.length, testcase: normalized[i] });
+  }
+  let savedEntry;
+  try {
+    savedEntry = await GeneratedSet.create({
+      user: userId,
+      project: projectId,
+      job: options.jobId || undefined,
+      requirement: reqEntry._id,
+      requirementId: reqEntry.reqId,
+      requirementTitle: reqEntry.title,
+      requirementVersion: reqEntry.version || 1,
+      requirementHash: reqEntry.extracted?.contentHash,
+      selectedStandards,
+      testcases: normalized,
+      promptOverride: promptOverride || undefined,
+      suppliedClauses,
+    });
+  } catch (err) {
+    if (err?.code !== 11000 || !options.jobId) throw err;
+    // another worker of the same job saved this requirement first
+    const existing = await GeneratedSet.findOne({ job: options.jobId, requirementId: reqEntry.reqId });
+    if (!existing) throw err;
+    return { req_id: reqId, title: reqEntry.title, success: true, genId: existing._id.toString(), count: existing.testcases.length };
+  }
+  await recordRevision(savedEntry, { user: userId, source: "generate", promptOverride });
+  await recordAudit("set.generated", {
+    user: userId,
+    project: projectId,
+    requirementId: reqId,
+    genId: savedEntry._id,
+    data: { selectedStandards, promptOverride, count: normalized.length },
+  });
+
+  await onEvent("set.saved", { req_id: reqId, genId: savedEntry._id.toString(), count: normalized.length });
+
+  return {
+    req_id: reqId,
+    title: reqEntry.title,
+    success: true,
+    genId: savedEntry._id.toString(),
+    count: normalized.length,
+    suppliedClauses,
+  };
+}
+
+module.exports = {
+  buildStandardsContext,
+  generateTestcasesForRequirement,
+};
@@ -0,0 +1,338 @@
+// backend/library/helper.js
+// Shared helpers for document extraction and AI response handling.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { fileURLToPath } = require("url");
+const axios = require("axios");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+const { requirementTextFrom } = require("./requirementText");
+
+async function downloadFileToBuffer(url, timeoutMs = 20000) {
+  // files kept by the local store (non-Gemini providers)
+  if (String(url).startsWith("file://")) {
+    return fs.promises.readFile(fileURLToPath(url));
+  }
+  const resp = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: timeoutMs,
+    maxContentLength: 20 * 1024 * 1024
+  });
+  return Buffer.from(resp.data);
+}
+
+/**
+ * pdf-parse with the text of each page kept separately (same rendering as its default
+ * page renderer, which it does not export).
+ */
+async function parsePdfPages(buffer) {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  return { text: data.text, pages: Array.from(pages, (p) => p || ""), numpages: data.numpages };
+}
+
+/**
+ * Extract text from Buffer depending on file type.
+ * Returns { text, method, pageCount, pages? } where method names the extractor that produced
+ * the text and pages (PDF only) holds the text of each page.
+ */
+async function extractDocument(buffer, contentType = "", filename = "") {
+  const ext = (filename || "").toLowerCase();
+
+  try {
+    if (contentType.includes("pdf") || ext.endsWith(".pdf")) {
+      const data = await parsePdfPages(buffer);
+      return { text: data.text, method: "pdf-parse", pageCount: data.numpages || null, pages: data.pages };
+    }
+    if (contentType.includes("word") || ext.endsWith(".docx")) {
+      const result = await mammoth.extractRawText({ buffer });
+      return { text: result.value, method: "mammoth", pageCount: null };
+    }
+    if (contentType.includes("html") || contentType.includes("xml") || /\.(x?html?|xml)$/.test(ext)) {
+      // HTML pages and Confluence exports (library/requirementText)
+      const { text, format } = requirementTextFrom(buffer.toString("utf8"), { contentType, filename: ext });
+      return { text, method: format, pageCount: null };
+    }
+    if (contentType.startsWith("text") || ext.endsWith(".txt") || ext.endsWith(".md")) {
+      return { text: buffer.toString("utf8"), method: "utf8", pageCount: null };
+    }
+
+    // Fallbacks
+    try {
+      const pdf = await pdfParse(buffer);
+      if (pdf.text.trim()) return { text: pdf.text, method: "pdf-parse", pageCount: pdf.numpages || null };
+    } catch (_) {}
+    try {
+      const docx = await mammoth.extractRawText({ buffer });
+      if (docx.value.trim()) return { text: docx.value, method: "mammoth", pageCount: null };
+    } catch (_) {}
+
+    return { text: buffer.toString("utf8").slice(0, 5000), method: "utf8-fallback", pageCount: null };
+  } catch (err) {
+    console.warn("extractTextFromBuffer failed:", err.message);
+    return { text: "", method: "failed", pageCount: null };
+  }
+}
+
+async function extractTextFromBuffer(buffer, contentType = "", filename = "") {
+  const { text } = await extractDocument(buffer, contentType, filename);
+  return text;
+}
+
+/**
+ * Normalize extracted text for storage: unify line endings and drop trailing
+ * whitespace, but keep line structure (headings, clause numbers).
+ */
+function normalizeExtractedText(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Normalize page by page so the offset where each page starts in the joined text is
+ * known. Pages are separated by a blank line, as in pdf-parse's own output.
+ */
+function joinPages(pages) {
+  let text = "";
+  const pageOffsets = [];
+  for (const page of pages) {
+    const normalized = normalizeExtractedText(page);
+    if (normalized && text) text += "\n\n";
+    pageOffsets.push(text.length);
+    text += normalized;
+  }
+  return { text, pageOffsets };
+}
+
+/**
+ * 1-based page of a character offset in extracted text, or null when pages are unknown.
+ */
+function pageAtOffset(pageOffsets, offset) {
+  if (!Array.isArray(pageOffsets) || !pageOffsets.length) return null;
+  let page = 1;
+  for (let i = 0; i < pageOffsets.length; i++) {
+    if (pageOffsets[i] <= offset) page = i + 1;
+    else break;
+  }
+  return page;
+}
+
+/**
+ * Build the extraction record stored on Requirement/Standard documents.
+ */
+async function buildExtraction(buffer, filename = "", contentType = "") {
+  const { text, method, pageCount, pages } = await extractDocument(buffer, contentType, filename);
+  const { text: normalized, pageOffsets } = pages?.length ? joinPages(pages) : { text: normalizeExtractedText(text), pageOffsets: [] };
+  return {
+    text: normalized,
+    contentHash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    pageCount: pageCount || null,
+    pageOffsets,
+    method,
+    chars: normalized.length,
+    extractedAt: new Date(),
+  };
+}
+
+/**
+ * Extraction record for text that did not come from a file (e.g. a Jira issue).
+ */
+function buildTextExtraction(text, method) {
+  const normalized = normalizeExtractedText(text);
+  return {
+    text: normalized,
+    contentHash: crypto.createHash("sha256").update(normalized).digest("hex"),
+    pageCount: null,
+    method,
+    chars: normalized.length,
+    extractedAt: new Date(),
+  };
+}
+
+const PROMPT_TEXT_MAX = 12000;
+
+/**
+ * Collapse whitespace and cap length for inclusion in a model prompt.
+ */
+function toPromptText(text, max = PROMPT_TEXT_MAX) {
+  const cleaned = (text || "").replace(/\s+/g, " ").trim();
+  return cleaned.length > max ? cleaned.slice(0, max) : cleaned;
+}
+
+/**
+ * JSON with object keys sorted, so hashes of the same content do not depend on
+ * property order.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Run fn(item, index) over items with at most `limit` calls in flight; resolves to the
+ * results in input order. fn should handle its own errors.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// helper: extract first JSON block from text (handles code fences)
+function extractFirstJson(text, retType) {
+  if (!text || typeof text !== 'string') return null;
+  const cleaned = text.replace(/```(?:json)?/gi, '').replace(/```/g, '').trim();
+  
+  // Try to find a complete JSON object first (with balanced braces)
+  if(retType === "object") {
+    let braceCount = 0;
+    let startIdx = -1;
+    for (let i = 0; i < cleaned.length; i++) {
+      if (cleaned[i] === '{') {
+        if (startIdx === -1) startIdx = i;
+        braceCount++;
+      } else if (cleaned[i] === '}') {
+        braceCount--;
+        if (braceCount === 0 && startIdx !== -1) {
+          return cleaned.substring(startIdx, i + 1);
+        }
+      }
+    }
+  }
+  
+  // If no object found, try to find an array (with balanced brackets)
+  let bracketCount = 0;
+  startIdx = -1;
+  for (let i = 0; i < cleaned.length; i++) {
+    if (cleaned[i] === '[') {
+      if (startIdx === -1) startIdx = i;
+      bracketCount++;
+    } else if (cleaned[i] === ']') {
+      bracketCount--;
+      if (bracketCount === 0 && startIdx !== -1) {
+        return cleaned.substring(startIdx, i + 1);
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Compliance entries are either legacy free-text strings ("hipaa") or structured
+ * references { standard, clause, quote }. Strings are kept as-is.
+ */
+function normalizeComplianceEntry(entry) {
+  if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+    return {
+      standard: String(entry.standard || entry.name || ''),
+      clause: String(entry.clause || entry.section || ''),
+      quote: String(entry.quote || entry.text || ''),
+    };
+  }
+  return String(entry);
+}
+
+function normalizeComplianceList(value) {
+  if (Array.isArray(value)) return value.filter((v) => v !== null && v !== undefined && v !== '').map(normalizeComplianceEntry);
+  if (value === null || value === undefined || value === '') return [];
+  return [normalizeComplianceEntry(value)];
+}
+
+// human-readable form of a compliance entry (Jira descriptions, exports)
+function complianceLabel(entry) {
+  if (!entry || typeof entry !== 'object') return String(entry || '');
+  return [entry.standard, entry.clause].filter(Boolean).join(' ');
+}
+
+/**
+ * Validate raw testcase input (imports, manual edits) against the coercions applied by
+ * normalizeTestcaseForStore. Returns [{ field, message }]; an empty array means the
+ * input survives normalization without silently dropping or defaulting a value.
+ */
+function validateTestcaseInput(t) {
+  const errors = [];
+  if (!t || typeof t !== 'object') return [{ field: 'testcase', message: 'must be an object' }];
+  if (typeof t.title !== 'string' || !t.title.trim()) errors.push({ field: 'title', message: 'is required' });
+  if (t.tc_id !== undefined && t.tc_id !== null && typeof t.tc_id !== 'string') errors.push({ field: 'tc_id', message: 'must be a string' });
+  for (const field of ['preconditions', 'steps']) {
+    if (t[field] !== undefined && !Array.isArray(t[field])) errors.push({ field, message: 'must be an array of strings' });
+  }
+  if (!Array.isArray(t.steps) || !t.steps.some((s) => String(s).trim())) errors.push({ field: 'steps', message: 'at least one step is required' });
+  if (t.expected !== undefined && typeof t.expected !== 'string' && !Array.isArray(t.expected)) errors.push({ field: 'expected', message: 'must be a string' });
+  if (t.automatable !== undefined && typeof t.automatable !== 'boolean') errors.push({ field: 'automatable', message: 'must be a boolean' });
+  if (t.suggested_tool !== undefined && typeof t.suggested_tool !== 'string') errors.push({ field: 'suggested_tool', message: 'must be a string' });
+  if (t.confidence !== undefined && t.confidence !== '') {
+    const c = parseFloat(t.confidence);
+    if (!Number.isFinite(c) || c < 0 || c > 1) errors.push({ field: 'confidence', message: 'must be a number between 0 and 1' });
+  }
+  if (t.compliance !== undefined && !Array.isArray(t.compliance)) errors.push({ field: 'compliance', message: 'must be an array' });
+  return errors;
+}
+
+// normalize to your exact schema
+function normalizeTestcaseForStore(t, reqId) {
+  const tc_id = typeof t.tc_id === 'string' ? t.tc_id : (t.id || `TC-${Date.now()}-${Math.floor(Math.random()*1000)}`);
+  const req_id = t.req_id || reqId;
+  const jira_id = t.jira_id;
+  const title = t.title || `Testcase ${tc_id}`;
+  const preconditions = Array.isArray(t.preconditions) ? t.preconditions.map(String) : [];
+  const steps = Array.isArray(t.steps) ? t.steps.map(String) : [];
+  const expected = typeof t.expected === 'string' ? t.expected : (Array.isArray(t.expected) ? t.expected.join(' ') : '');
+  const automatable = typeof t.automatable === 'boolean' ? t.automatable : false;
+  const suggested_tool = typeof t.suggested_tool === 'string' ? t.suggested_tool : 'manual';
+  let confidence = parseFloat(t.confidence);
+  confidence = Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.0;
+  const compliance = Array.isArray(t.compliance) ? normalizeComplianceList(t.compliance) : [];
+  return { tc_id, req_id, jira_id, title, preconditions, steps, expected, automatable, suggested_tool, confidence, compliance };
+}
+
+module.exports = {
+  canonicalJson,
+  mapWithConcurrency,
+  downloadFileToBuffer,
+  extractDocument,
+  extractTextFromBuffer,
+  normalizeExtractedText,
+  buildExtraction,
+  buildTextExtraction,
+  pageAtOffset,
+  toPromptText,
+  extractFirstJson,
+  normalizeComplianceEntry,
+  normalizeComplianceList,
+  complianceLabel,
+  validateTestcaseInput,
+  normalizeTestcaseForStore,
+};
@@ -0,0 +1,288 @@
+// backend/library/importers.js
+// Import hand-written testcases from CSV, Excel and Gherkin files. Every parser returns
+// { format, rows, testcases: [{ row, testcase }], errors: [{ row, field, message }] }
+// where `row` is the spreadsheet row (or .feature line) the testcase started on.
+
+const ExcelJS = require("exceljs");
+
+const { validateTestcaseInput } = require("./helper");
+const { parseCsv } = require("./tabular");
+
+// testcaseSchema field -> accepted column headers (compared case/punctuation-insensitively);
+// covers our own CSV/Excel and TestRail exports
+const DEFAULT_COLUMN_ALIASES = {
+  tc_id: ["tc_id", "Testcase ID", "Test Case ID", "Case ID", "ID", "Key"],
+  title: ["title", "Name", "Summary", "Test Case", "Scenario"],
+  preconditions: ["preconditions", "Precondition", "Pre-conditions", "Setup"],
+  steps: ["steps", "Test Steps", "Steps (Step)", "Step", "Actions"],
+  expected: ["expected", "Expected Result", "Expected Results", "Steps (Expected Result)", "Result"],
+  automatable: ["automatable", "Automated", "Automation Type", "Automation"],
+  suggested_tool: ["suggested_tool", "Suggested Tool", "Tool"],
+  confidence: ["confidence"],
+  compliance: ["compliance", "Standards", "Compliance References"],
+  jira_id: ["jira_id", "Jira ID", "Jira", "Jira Key"],
+};
+
+const LIST_FIELDS = new Set(["preconditions", "steps"]);
+
+function headerKey(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+function cellText(value) {
+  return String(value === null || value === undefined ? "" : value).trim();
+}
+
+function splitLines(value) {
+  return cellText(value)
+    .split(/\r?\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseBoolean(value) {
+  const v = cellText(value).toLowerCase();
+  if (!v) return undefined;
+  if (["true", "yes", "y", "1", "automated", "automatable", "x"].includes(v)) return true;
+  if (["false", "no", "n", "0", "none", "manual"].includes(v)) return false;
+  return value; // left as-is so validation reports it
+}
+
+/**
+ * Resolve field -> column index from the header row. `mapping` ({ field: "Header" })
+ * takes precedence over the default aliases; unknown fields in it are reported.
+ */
+function resolveColumns(headerRow, mapping = {}) {
+  const keys = headerRow.map(headerKey);
+  const columns = {};
+  const errors = [];
+
+  for (const [field, header] of Object.entries(mapping || {})) {
+    if (!DEFAULT_COLUMN_ALIASES[field]) {
+      errors.push({ row: 1, field, message: "is not a testcase field" });
+      continue;
+    }
+    const idx = keys.indexOf(headerKey(header));
+    if (idx === -1) errors.push({ row: 1, field, message: `mapped column "${header}" not found in header` });
+    else columns[field] = idx;
+  }
+
+  for (const [field, aliases] of Object.entries(DEFAULT_COLUMN_ALIASES)) {
+    if (columns[field] !== undefined || (mapping && mapping[field])) continue;
+    const idx = aliases.map(headerKey).map((k) => keys.indexOf(k)).find((i) => i !== -1);
+    if (idx !== undefined) columns[field] = idx;
+  }
+  return { columns, errors };
+}
+
+function recordFromRow(row, columns) {
+  const record = {};
+  for (const [field, idx] of Object.entries(columns)) {
+    const raw = row[idx];
+    if (LIST_FIELDS.has(field)) {
+      record[field] = splitLines(raw);
+    } else if (field === "automatable") {
+      const b = parseBoolean(raw);
+      if (b !== undefined) record.automatable = b;
+    } else if (field === "confidence") {
+      if (cellText(raw)) record.confidence = Number(cellText(raw));
+    } else if (field === "compliance") {
+      record.compliance = cellText(raw).split(/[;\n]/).map((s) => s.trim()).filter(Boolean);
+    } else {
+      const text = cellText(raw);
+      if (text) record[field] = field === "expected" ? splitLines(raw).join("\n") : text;
+    }
+  }
+  return record;
+}
+
+/**
+ * Turn a header row + data rows into testcases. Rows without title/tc_id that carry
+ * steps or expected results continue the previous testcase (TestRail "Steps" layout).
+ * rowOffset is the spreadsheet row number of rows[0].
+ */
+function rowsToTestcases(rows, mapping, rowOffset = 1) {
+  const nonEmpty = rows.map((r, i) => ({ cells: r, row: rowOffset + i })).filter((r) => r.cells.some((c) => cellText(c)));
+  if (!nonEmpty.length) return { rows: 0, testcases: [], errors: [{ row: rowOffset, field: "file", message: "no rows found" }] };
+
+  const [header, ...body] = nonEmpty;
+  const { columns, errors } = resolveColumns(header.cells.map(cellText), mapping);
+  if (columns.title === undefined) {
+    errors.push({ row: header.row, field: "title", message: "no column maps to title; pass a mapping" });
+    return { rows: body.length, testcases: [], errors };
+  }
+
+  const testcases = [];
+  for (const { cells, row } of body) {
+    const record = recordFromRow(cells, columns);
+    const prev = testcases[testcases.length - 1];
+    if (prev && !record.title && !record.tc_id) {
+      prev.testcase.steps = [...(prev.testcase.steps || []), ...(record.steps || [])];
+      if (record.expected) prev.testcase.expected = [prev.testcase.expected, record.expected].filter(Boolean).join("\n");
+      continue;
+    }
+    testcases.push({ row, testcase: record });
+  }
+  return { rows: body.length, testcases, errors };
+}
+
+async function readXlsxRows(buffer, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) throw new Error(sheetName ? `worksheet "${sheetName}" not found` : "workbook has no worksheets");
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      cells[col - 1] = cell.text;
+    });
+    rows[rowNumber - 1] = cells;
+  });
+  return Array.from(rows, (r) => Array.from(r || [], (c) => c || ""));
+}
+
+/* ------------------ Gherkin ------------------ */
+
+const STEP_RE = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+
+function applyTags(testcase, tags) {
+  for (const tag of tags) {
+    const [name, value] = tag.slice(1).split(/:(.*)/s);
+    if (name === "jira" && value) testcase.jira_id = value;
+    else if (name === "compliance" && value) (testcase.compliance = testcase.compliance || []).push(value.replace(/_/g, " "));
+    else if (name === "automatable") testcase.automatable = true;
+    else if (name === "manual") testcase.automatable = false;
+    else if (!testcase.tc_id && !value) testcase.tc_id = name;
+  }
+}
+
+/**
+ * Parse a .feature file: one testcase per Scenario / Scenario Outline. Background and
+ * Given steps become preconditions, When steps become steps, Then steps the expected result.
+ * The first plain tag is used as tc_id; @jira:KEY, @compliance:REF, @automatable and @manual
+ * are read back as written by the Gherkin exporter.
+ */
+function parseGherkin(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  const testcases = [];
+  const errors = [];
+  let background = [];
+  let pendingTags = [];
+  let current = null;
+  let section = null; // "background" | "scenario"
+  let phase = null; // "given" | "when" | "then"
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNo = i + 1;
+    if (!line || line.startsWith("#")) return;
+
+    if (line.startsWith("@")) {
+      pendingTags.push(...line.split(/\s+/).filter((t) => t.startsWith("@")));
+      return;
+    }
+    if (/^Feature:/i.test(line)) {
+      pendingTags = [];
+      section = null;
+      return;
+    }
+    if (/^Background:/i.test(line)) {
+      section = "background";
+      phase = "given";
+      return;
+    }
+    const scenario = /^Scenario(?: Outline| Template)?:\s*(.*)$/i.exec(line);
+    if (scenario) {
+      current = { row: lineNo, testcase: { title: scenario[1].trim(), preconditions: [...background], steps: [] } };
+      applyTags(current.testcase, pendingTags);
+      pendingTags = [];
+      testcases.push(current);
+      section = "scenario";
+      phase = null;
+      return;
+    }
+    if (/^Examples:/i.test(line) || line.startsWith("|") || line.startsWith('"""')) return;
+
+    const step = STEP_RE.exec(line);
+    if (!step) return; // feature / scenario descriptions
+    const [, keyword, body] = step;
+    if (keyword === "Given") phase = "given";
+    else if (keyword === "When") phase = "when";
+    else if (keyword === "Then") phase = "then";
+    else if (!phase) {
+      errors.push({ row: lineNo, field: "steps", message: `"${keyword}" step without a preceding Given/When/Then` });
+      return;
+    }
+
+    if (section === "background") {
+      background.push(body);
+    } else if (section === "scenario" && current) {
+      const tc = current.testcase;
+      if (phase === "given") tc.preconditions.push(body);
+      else if (phase === "when") tc.steps.push(body);
+      else tc.expected = tc.expected ? `${tc.expected}\n${body}` : body;
+    }
+  });
+
+  if (!testcases.length) errors.push({ row: 1, field: "file", message: "no Scenario found" });
+  return { rows: testcases.length, testcases, errors };
+}
+
+/* ------------------ entry point ------------------ */
+
+function detectFormat(filename, explicit) {
+  if (explicit) return String(explicit).toLowerCase();
+  const ext = String(filename || "").toLowerCase().split(".").pop();
+  if (ext === "feature") return "gherkin";
+  if (ext === "xlsx") return "xlsx";
+  if (ext === "csv" || ext === "txt") return "csv";
+  return null;
+}
+
+/**
+ * Parse an uploaded file into testcases and validate each one.
+ * options: { filename, format? ("csv" | "xlsx" | "gherkin"), mapping?, sheet? }
+ * Resolves to { format, rows, testcases: [{ row, testcase }], rejected, errors }; only valid
+ * testcases are returned, invalid ones are counted in rejected and listed in errors.
+ */
+async function importTestcases(buffer, options = {}) {
+  const format = detectFormat(options.filename, options.format);
+  let parsed;
+  if (format === "csv") {
+    parsed = rowsToTestcases(parseCsv(buffer.toString("utf8")), options.mapping);
+  } else if (format === "xlsx") {
+    parsed = rowsToTestcases(await readXlsxRows(buffer, options.sheet), options.mapping);
+  } else if (format === "gherkin") {
+    parsed = parseGherkin(buffer.toString("utf8"));
+  } else {
+    throw new Error(`Unsupported import format "${options.format || options.filename}". Use .csv, .xlsx or .feature`);
+  }
+
+  const errors = [...parsed.errors];
+  const valid = [];
+  let rejected = 0;
+  const seenIds = new Map();
+  for (const entry of parsed.testcases) {
+    const rowErrors = validateTestcaseInput(entry.testcase);
+    const tcId = entry.testcase.tc_id;
+    if (tcId && seenIds.has(tcId)) {
+      rowErrors.push({ field: "tc_id", message: `duplicate of row ${seenIds.get(tcId)}` });
+    } else if (tcId) {
+      seenIds.set(tcId, entry.row);
+    }
+    if (rowErrors.length) {
+      rejected++;
+      errors.push(...rowErrors.map((e) => ({ row: entry.row, tc_id: tcId, ...e })));
+    } else {
+      valid.push(entry);
+    }
+  }
+  return { format, rows: parsed.rows, testcases: valid, rejected, errors };
+}
+
+module.exports = {
+  DEFAULT_COLUMN_ALIASES,
+  parseGherkin,
+  importTestcases,
+};
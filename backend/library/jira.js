@@ -0,0 +1,446 @@
+// backend/library/jira.js
+// Jira Cloud REST v3 client: issue create/read/update and comments, plus conversion
+// between testcases and issue fields. Descriptions are written as Atlassian Document
+// Format (ADF) with real lists; adfToText flattens them so remote edits can be compared
+// and parsed back.
+
+const axios = require("axios");
+
+const { complianceLabel } = require("./helper");
+
+const ISSUE_KEY_RE = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// section labels written into testcase descriptions (and recognised when parsing them back)
+const DESCRIPTION_LABELS = [
+  "Requirement", "Testcase ID", "Preconditions", "Steps", "Expected",
+  "Standards", "Automatable", "Suggested Tool", "Confidence",
+];
+
+/**
+ * Connection settings, read on every call so tests and the mock server can change them:
+ * JIRA_BASE_URL, JIRA_USER_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY.
+ */
+function jiraConfig() {
+  return {
+    baseUrl: String(process.env.JIRA_BASE_URL || "").replace(/\/+$/, ""),
+    email: process.env.JIRA_USER_EMAIL || "",
+    apiToken: process.env.JIRA_API_TOKEN || "",
+    projectKey: process.env.JIRA_PROJECT_KEY || "",
+  };
+}
+
+// credentials present (creating issues additionally needs a project key)
+function isJiraConfigured({ needProject = false } = {}) {
+  const cfg = jiraConfig();
+  return !!(cfg.baseUrl && cfg.email && cfg.apiToken && (!needProject || cfg.projectKey));
+}
+
+// extra: further axios options (responseType, maxContentLength, headers to add)
+async function jiraRequest(method, path, data, params, extra = {}) {
+  const cfg = jiraConfig();
+  if (!cfg.baseUrl || !cfg.email || !cfg.apiToken) throw new Error("Jira credentials not configured in env");
+  const auth = Buffer.from(`${cfg.email}:${cfg.apiToken}`).toString("base64");
+  const r = await axios({
+    method,
+    url: `${cfg.baseUrl}${path}`,
+    data,
+    params,
+    ...extra,
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...(extra.headers || {}),
+      Authorization: "Basic " + auth,
+    },
+  });
+  return r.data;
+}
+
+// readable message for a failed Jira call (Jira puts details in errorMessages / errors)
+function jiraErrorMessage(err) {
+  const data = err?.response?.data;
+  if (data && typeof data === "object") {
+    const parts = [...(data.errorMessages || []), ...Object.entries(data.errors || {}).map(([k, v]) => `${k}: ${v}`)];
+    if (parts.length) return parts.join("; ");
+  }
+  return String(err?.message || err);
+}
+
+function issueKeyOf(tc) {
+  const key = String(tc?.jira_id || "").trim();
+  return ISSUE_KEY_RE.test(key) ? key : null;
+}
+
+// "QA-12" -> "QA"
+function projectKeyOfIssue(key) {
+  return ISSUE_KEY_RE.test(String(key || "")) ? String(key).replace(/-\d+$/, "") : null;
+}
+
+function browseUrl(key) {
+  return `${jiraConfig().baseUrl}/browse/${key}`;
+}
+
+/* ---------- Atlassian Document Format ---------- */
+
+// plain text (newlines kept) -> ADF document with a single paragraph
+function textToAdf(text) {
+  const str = String(text || "");
+  return {
+    type: "doc",
+    version: 1,
+    content: [{ type: "paragraph", content: str ? [{ type: "text", text: str }] : [] }],
+  };
+}
+
+function adfInline(node) {
+  if (!node) return "";
+  if (node.type === "text") return node.text || "";
+  if (node.type === "hardBreak") return "\n";
+  if (node.type === "mention") return node.attrs?.text || "";
+  if (node.type === "emoji") return node.attrs?.text || node.attrs?.shortName || "";
+  if (node.type === "inlineCard") return node.attrs?.url || "";
+  return (node.content || []).map(adfInline).join("");
+}
+
+function adfBlocks(nodes, indent = "") {
+  const out = [];
+  for (const node of nodes || []) {
+    if (node.type === "orderedList" || node.type === "bulletList") {
+      let n = node.attrs?.order || 1;
+      for (const item of node.content || []) {
+        const marker = node.type === "orderedList" ? `${n++}. ` : "- ";
+        const [first, ...rest] = adfBlocks(item.content, `${indent}  `);
+        out.push(`${indent}${marker}${(first || "").trimStart()}`, ...rest);
+      }
+    } else if (node.type === "codeBlock" || node.type === "paragraph" || node.type === "heading") {
+      const text = adfInline(node);
+      out.push(...text.split("\n").map((line) => `${indent}${line}`));
+    } else if (node.type === "rule") {
+      out.push(`${indent}---`);
+    } else if (node.content) {
+      out.push(...adfBlocks(node.content, indent));
+    } else {
+      const text = adfInline(node);
+      if (text) out.push(`${indent}${text}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * ADF document (or a plain string from REST v2 / wiki markup) -> plain text, one block
+ * per line, list items numbered "1. " or bulleted "- ".
+ */
+function adfToText(doc) {
+  if (!doc) return "";
+  if (typeof doc === "string") return doc;
+  return adfBlocks(doc.content || []).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/* ---------- testcase <-> issue ---------- */
+
+const adfText = (text, marks) => ({ type: "text", text: String(text), ...(marks ? { marks } : {}) });
+
+const adfHeading = (text) => ({ type: "heading", attrs: { level: 3 }, content: [adfText(text)] });
+
+// paragraph of plain lines separated by hard breaks
+function adfParagraph(text) {
+  const lines = String(text || "").split("\n");
+  const content = [];
+  lines.forEach((line, i) => {
+    if (i) content.push({ type: "hardBreak" });
+    if (line) content.push(adfText(line));
+  });
+  return { type: "paragraph", content };
+}
+
+// "Label: value" with the label in bold
+const adfField = (label, value) => ({
+  type: "paragraph",
+  content: [adfText(`${label}:`, [{ type: "strong" }]), ...(String(value ?? "") ? [adfText(` ${value}`)] : [])],
+});
+
+// ADF does not allow empty lists
+function adfOrderedList(items) {
+  const list = (items || []).map(String).filter((i) => i.trim());
+  if (!list.length) return { type: "paragraph", content: [adfText("None", [{ type: "em" }])] };
+  return {
+    type: "orderedList",
+    attrs: { order: 1 },
+    content: list.map((item) => ({ type: "listItem", content: [adfParagraph(item)] })),
+  };
+}
+
+function testcaseSummary(tc) {
+  return `Testcase: ${tc.title || tc.tc_id}`;
+}
+
+/**
+ * Testcase description as an ADF document: preconditions and steps as ordered lists
+ * under headings, the remaining attributes as bold-labelled fields. The labels are the
+ * ones parseTestcaseDescription looks for.
+ */
+function testcaseDescriptionAdf(set, tc) {
+  return {
+    type: "doc",
+    version: 1,
+    content: [
+      adfField("Requirement", [set.requirementId, set.requirementTitle].filter(Boolean).join(" - ")),
+      adfField("Testcase ID", tc.tc_id),
+      adfHeading("Preconditions"),
+      adfOrderedList(tc.preconditions),
+      adfHeading("Steps"),
+      adfOrderedList(tc.steps),
+      adfHeading("Expected"),
+      adfParagraph(tc.expected || ""),
+      adfField("Standards", (tc.compliance || []).map(complianceLabel).join(", ")),
+      adfField("Automatable", tc.automatable ? "Yes" : "No"),
+      adfField("Suggested Tool", tc.suggested_tool || ""),
+      adfField("Confidence", typeof tc.confidence === "number" ? tc.confidence : ""),
+    ],
+  };
+}
+
+function requirementDescriptionAdf(set) {
+  return {
+    type: "doc",
+    version: 1,
+    content: [
+      adfField("Requirement ID", set.requirementId),
+      adfField("Requirement", set.requirementTitle || ""),
+      adfField("Standards", (set.selectedStandards || []).join(", ")),
+    ],
+  };
+}
+
+/**
+ * Summary and description of the issue that mirrors a testcase.
+ */
+function testcaseIssueFields(set, tc) {
+  return {
+    summary: testcaseSummary(tc),
+    description: testcaseDescriptionAdf(set, tc),
+  };
+}
+
+/* ---------- per-request push options ---------- */
+
+// testcase attributes that can be mapped onto Jira fields
+const MAPPABLE_ATTRIBUTES = {
+  tc_id: (set, tc) => tc.tc_id,
+  req_id: (set, tc) => tc.req_id,
+  requirementId: (set) => set.requirementId,
+  requirementTitle: (set) => set.requirementTitle || "",
+  title: (set, tc) => tc.title,
+  expected: (set, tc) => tc.expected || "",
+  automatable: (set, tc) => (tc.automatable ? "Yes" : "No"),
+  suggested_tool: (set, tc) => tc.suggested_tool || "",
+  confidence: (set, tc) => (typeof tc.confidence === "number" ? tc.confidence : null),
+  standards: (set, tc) => (tc.compliance || []).map(complianceLabel),
+  review_status: (set, tc) => tc.review?.status || "draft",
+};
+
+// fields a mapping must not overwrite (they carry the testcase itself)
+const RESERVED_FIELDS = ["project", "parent", "issuetype", "summary", "description"];
+
+/**
+ * Validate the Jira options of a push request. input (all optional):
+ *  - projectKey (default JIRA_PROJECT_KEY; needed when a parent issue has to be created)
+ *  - issueTypes: { parent (default JIRA_PARENT_ISSUE_TYPE or "Task"), testcase (default JIRA_TESTCASE_ISSUE_TYPE or "Subtask") }
+ *  - fields: extra Jira fields set on every testcase issue, e.g. { labels: ["qa"], priority: { name: "High" } }
+ *  - fieldMappings: { <Jira field id>: <testcase attribute> }, e.g. { customfield_10042: "tc_id", labels: "standards" }
+ * Returns { ok: true, options } or { ok: false, error }.
+ */
+function resolvePushOptions(input = {}) {
+  const projectKey = String(input.projectKey || jiraConfig().projectKey || "").trim();
+  if (projectKey && !/^[A-Z][A-Z0-9_]+$/.test(projectKey)) return { ok: false, error: `Invalid Jira project key "${projectKey}"` };
+
+  const issueTypes = input.issueTypes && typeof input.issueTypes === "object" ? input.issueTypes : {};
+  const parentIssueType = String(issueTypes.parent || process.env.JIRA_PARENT_ISSUE_TYPE || "Task").trim();
+  const testcaseIssueType = String(issueTypes.testcase || input.issueType || process.env.JIRA_TESTCASE_ISSUE_TYPE || "Subtask").trim();
+
+  const fields = input.fields ?? {};
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) return { ok: false, error: "fields must be an object" };
+  const mappings = input.fieldMappings ?? {};
+  if (!mappings || typeof mappings !== "object" || Array.isArray(mappings)) return { ok: false, error: "fieldMappings must be an object" };
+
+  for (const name of [...Object.keys(fields), ...Object.keys(mappings)]) {
+    if (RESERVED_FIELDS.includes(name)) return { ok: false, error: `Field "${name}" is set by the push and cannot be overridden` };
+  }
+  for (const [name, attribute] of Object.entries(mappings)) {
+    if (!MAPPABLE_ATTRIBUTES[attribute]) {
+      return { ok: false, error: `fieldMappings.${name}: unknown attribute "${attribute}". Use one of ${Object.keys(MAPPABLE_ATTRIBUTES).join(", ")}` };
+    }
+  }
+  return { ok: true, options: { projectKey, parentIssueType, testcaseIssueType, fields, fieldMappings: mappings } };
+}
+
+// labels cannot contain spaces
+const toLabel = (value) => String(value).trim().replace(/\s+/g, "_");
+
+function mappedFields(set, tc, options) {
+  const out = { ...(options.fields || {}) };
+  for (const [name, attribute] of Object.entries(options.fieldMappings || {})) {
+    const value = MAPPABLE_ATTRIBUTES[attribute](set, tc);
+    if (value === null || value === undefined || value === "") continue;
+    if (name === "labels") {
+      out.labels = [...new Set([...(out.labels || []), ...[].concat(value).map(toLabel).filter(Boolean)])];
+    } else {
+      out[name] = Array.isArray(value) ? value.join(", ") : value;
+    }
+  }
+  return out;
+}
+
+const LABEL_RE = new RegExp(
+  `^\\s*\\*?(${DESCRIPTION_LABELS.map((l) => l.replace(/ /g, "\\s+")).join("|")})\\*?\\s*(?::\\s*(.*))?$`,
+  "i"
+);
+
+/**
+ * Parse a testcase description (as written by testcaseIssueFields, possibly edited in
+ * Jira) back into { preconditions, steps, expected }. Sections that are missing come
+ * back undefined so callers keep their current value.
+ */
+function parseTestcaseDescription(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of String(text || "").split("\n")) {
+    const label = LABEL_RE.exec(raw);
+    if (label) {
+      current = label[1].replace(/\s+/g, " ").toLowerCase();
+      sections[current] = [];
+      if (label[2] && label[2].trim()) sections[current].push(label[2].trim());
+      continue;
+    }
+    if (!current || !raw.trim()) continue;
+    const lines = sections[current];
+    // indented lines continue the previous list item (multi-line steps)
+    if (/^\s+\S/.test(raw) && lines.length) lines[lines.length - 1] += `\n${raw.trim()}`;
+    else lines.push(raw.trim());
+  }
+  const listItems = (lines) => {
+    const items = lines.map((l) => l.replace(/^(\d+[.)]|[-*•])\s+/, "").trim()).filter(Boolean);
+    // placeholder written for an empty list
+    return items.length === 1 && items[0] === "None" ? [] : items;
+  };
+  return {
+    preconditions: sections.preconditions ? listItems(sections.preconditions) : undefined,
+    steps: sections.steps ? listItems(sections.steps) : undefined,
+    expected: sections.expected ? sections.expected.join("\n") : undefined,
+  };
+}
+
+// "Testcase: Login works" -> "Login works"
+function titleFromSummary(summary) {
+  return String(summary || "").replace(/^\s*Testcase:\s*/i, "").trim();
+}
+
+/* ---------- REST calls ---------- */
+
+async function createIssue(fields) {
+  return jiraRequest("post", "/rest/api/3/issue", { fields });
+}
+
+async function getIssue(key, fields = "summary,description,status,assignee,comment,updated") {
+  return jiraRequest("get", `/rest/api/3/issue/${encodeURIComponent(key)}`, undefined, { fields });
+}
+
+async function updateIssue(key, fields) {
+  return jiraRequest("put", `/rest/api/3/issue/${encodeURIComponent(key)}`, { fields });
+}
+
+async function addComment(key, text) {
+  return jiraRequest("post", `/rest/api/3/issue/${encodeURIComponent(key)}/comment`, { body: textToAdf(text) });
+}
+
+/**
+ * Issues matching a JQL query (enhanced search, paged with nextPageToken), up to `max`.
+ */
+async function searchIssues(jql, { fields, max = 50 } = {}) {
+  const issues = [];
+  let nextPageToken;
+  do {
+    const page = await jiraRequest("post", "/rest/api/3/search/jql", {
+      jql,
+      fields: fields ? String(fields).split(",") : undefined,
+      maxResults: Math.min(100, max - issues.length),
+      nextPageToken,
+    });
+    issues.push(...(page.issues || []));
+    nextPageToken = page.isLast ? undefined : page.nextPageToken;
+  } while (nextPageToken && issues.length < max);
+  return issues.slice(0, max);
+}
+
+/**
+ * Content of an attachment as a Buffer. Always fetched from the configured site by id,
+ * never from the URL in the issue, so credentials only go to JIRA_BASE_URL.
+ */
+async function downloadAttachment(attachment, maxBytes) {
+  const data = await jiraRequest("get", `/rest/api/3/attachment/content/${encodeURIComponent(attachment.id)}`, undefined, undefined, {
+    responseType: "arraybuffer",
+    maxContentLength: maxBytes,
+    headers: { Accept: "*/*" },
+  });
+  return Buffer.from(data);
+}
+
+/**
+ * Parent issue for a generated set (one per requirement).
+ * options: see resolvePushOptions (defaults when omitted).
+ */
+async function createParentTask(set, options) {
+  if (!set || !set.requirementId) throw new Error("Requirement id not found on generated set");
+  const opts = options || resolvePushOptions().options || {};
+  if (!opts.projectKey) throw new Error("projectKey is required to create the parent issue (or set JIRA_PROJECT_KEY)");
+  return createIssue({
+    project: { key: opts.projectKey },
+    summary: `Requirement: ${set.requirementTitle || set.requirementId}`,
+    description: requirementDescriptionAdf(set),
+    issuetype: { name: opts.parentIssueType || "Task" },
+  });
+}
+
+/**
+ * Issue mirroring one testcase under the set's parent issue (set.jiraId).
+ */
+async function createTestcaseSubtask(set, tc, options) {
+  if (!set.jiraId) throw new Error("Parent Jira (set.jiraId) not set");
+  const opts = options || resolvePushOptions().options || {};
+  return createIssue({
+    ...mappedFields(set, tc, opts),
+    // sub-tasks live in their parent's project (which may be an imported story's)
+    project: { key: projectKeyOfIssue(set.jiraId) || opts.projectKey },
+    parent: { key: set.jiraId },
+    ...testcaseIssueFields(set, tc),
+    issuetype: { name: opts.testcaseIssueType || "Subtask" },
+  });
+}
+
+module.exports = {
+  ISSUE_KEY_RE,
+  jiraConfig,
+  isJiraConfigured,
+  jiraRequest,
+  jiraErrorMessage,
+  issueKeyOf,
+  projectKeyOfIssue,
+  browseUrl,
+  textToAdf,
+  adfToText,
+  testcaseIssueFields,
+  testcaseDescriptionAdf,
+  MAPPABLE_ATTRIBUTES,
+  resolvePushOptions,
+  parseTestcaseDescription,
+  titleFromSummary,
+  createIssue,
+  getIssue,
+  updateIssue,
+  addComment,
+  searchIssues,
+  downloadAttachment,
+  createParentTask,
+  createTestcaseSubtask,
+};
@@ -0,0 +1,151 @@
+// backend/library/jiraImport.js
+// Requirements imported from Jira stories and epics. Each issue becomes a Requirement
+// whose reqId is the issue key; its text (summary, description, acceptance criteria and
+// readable attachments) is stored like the extraction of an upload, so generation never
+// has to go back to Jira.
+
+const jira = require("./jira");
+const { buildExtraction, buildTextExtraction } = require("./helper");
+
+const IMPORT_FIELDS = ["summary", "description", "issuetype", "status", "project", "parent", "updated", "attachment"];
+const DEFAULT_MAX_ISSUES = 50;
+const DEFAULT_ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// attachments whose text helper.extractDocument can read
+const EXTRACTABLE_ATTACHMENT = /\.(pdf|docx|txt|md)$/i;
+
+function maxIssues() {
+  return Number(process.env.JIRA_IMPORT_MAX_ISSUES) || 200;
+}
+
+/**
+ * "PROJ-1, proj-2" or ["PROJ-1"] -> { keys: ["PROJ-1", "PROJ-2"], invalid: [] }
+ */
+function parseIssueKeys(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[\s,]+/);
+  const keys = [];
+  const invalid = [];
+  for (const raw of list) {
+    const key = String(raw || "").trim().toUpperCase();
+    if (!key) continue;
+    if (!jira.ISSUE_KEY_RE.test(key)) invalid.push(String(raw));
+    else if (!keys.includes(key)) keys.push(key);
+  }
+  return { keys, invalid };
+}
+
+// "Acceptance criteria" section of a description, up to the next "Heading:" line
+function acceptanceCriteriaFromText(text) {
+  const lines = String(text || "").split("\n");
+  const start = lines.findIndex((l) => /^\s*\*?(acceptance criteria|acceptance tests?)\*?\s*:?\s*$/i.test(l));
+  if (start === -1) return "";
+  const out = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*\*?[A-Z][\w ()/&-]{0,60}\*?:\s*$/.test(line)) break;
+    out.push(line);
+  }
+  return out.join("\n").trim();
+}
+
+function fieldText(value) {
+  if (!value) return "";
+  if (typeof value === "string" || value.type === "doc") return jira.adfToText(value);
+  if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join("\n");
+  return String(value.value || value.name || "");
+}
+
+/**
+ * Issues to import, by JQL or by key.
+ * options: { jql?, keys?, maxResults?, acceptanceCriteriaField? }
+ * Resolves to { issues, failed: [{ key, error }] }; a failing JQL search is thrown.
+ */
+async function fetchIssuesForImport(options) {
+  const fields = [...IMPORT_FIELDS, ...(options.acceptanceCriteriaField ? [options.acceptanceCriteriaField] : [])].join(",");
+  const max = Math.max(1, Math.min(maxIssues(), parseInt(options.maxResults, 10) || DEFAULT_MAX_ISSUES));
+  if (options.jql) return { issues: await jira.searchIssues(options.jql, { fields, max }), failed: [] };
+
+  const issues = [];
+  const failed = [];
+  for (const key of options.keys.slice(0, max)) {
+    try {
+      issues.push(await jira.getIssue(key, fields));
+    } catch (err) {
+      failed.push({ key, error: jira.jiraErrorMessage(err) });
+    }
+  }
+  return { issues, failed };
+}
+
+async function attachmentTexts(issue, options) {
+  const maxBytes = Number(process.env.JIRA_ATTACHMENT_MAX_BYTES) || DEFAULT_ATTACHMENT_MAX_BYTES;
+  const report = [];
+  const texts = [];
+  for (const att of issue.fields?.attachment || []) {
+    const entry = { id: String(att.id), filename: att.filename, mimeType: att.mimeType, size: att.size };
+    if (!options.includeAttachments) {
+      entry.skipped = "attachments not requested";
+    } else if (!EXTRACTABLE_ATTACHMENT.test(att.filename || "") && !String(att.mimeType || "").startsWith("text/")) {
+      entry.skipped = "unsupported file type";
+    } else if (att.size > maxBytes) {
+      entry.skipped = `larger than ${maxBytes} bytes`;
+    } else {
+      try {
+        const buffer = await jira.downloadAttachment(att, maxBytes);
+        const extracted = await buildExtraction(buffer, att.filename, att.mimeType || "");
+        entry.chars = extracted.chars;
+        if (extracted.text) texts.push(`Attachment ${att.filename}:\n${extracted.text}`);
+      } catch (err) {
+        entry.skipped = `download failed: ${jira.jiraErrorMessage(err)}`;
+      }
+    }
+    report.push(entry);
+  }
+  return { report, texts };
+}
+
+/**
+ * Requirement fields for one issue: { reqId, title, originalName, extracted, jira }.
+ * options: { includeAttachments, acceptanceCriteriaField? }
+ */
+async function requirementFromIssue(issue, options) {
+  const fields = issue.fields || {};
+  const description = jira.adfToText(fields.description);
+  const fromField = options.acceptanceCriteriaField ? fieldText(fields[options.acceptanceCriteriaField]) : "";
+  const acceptanceCriteria = fromField || acceptanceCriteriaFromText(description);
+  const attachments = await attachmentTexts(issue, options);
+
+  const text = [
+    `${issue.key}: ${fields.summary || ""}`,
+    description,
+    // criteria found inside the description are already part of it
+    fromField ? `Acceptance criteria:\n${fromField}` : "",
+    ...attachments.texts,
+  ].filter((part) => part && part.trim()).join("\n\n");
+
+  return {
+    reqId: issue.key,
+    title: fields.summary || issue.key,
+    originalName: issue.key,
+    extracted: buildTextExtraction(text, "jira"),
+    jira: {
+      key: issue.key,
+      id: String(issue.id || ""),
+      url: jira.browseUrl(issue.key),
+      issueType: fields.issuetype?.name || "",
+      status: fields.status?.name || "",
+      projectKey: fields.project?.key || jira.projectKeyOfIssue(issue.key),
+      parent: fields.parent?.key || "",
+      updated: fields.updated ? new Date(fields.updated) : undefined,
+      acceptanceCriteria,
+      attachments: attachments.report,
+      importedAt: new Date(),
+    },
+  };
+}
+
+module.exports = {
+  parseIssueKeys,
+  acceptanceCriteriaFromText,
+  fetchIssuesForImport,
+  requirementFromIssue,
+};
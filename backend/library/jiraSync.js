@@ -0,0 +1,245 @@
+// backend/library/jiraSync.js
+// Two-way sync between a testcase and the Jira issue it was pushed to (testcase.jira_id).
+// testcase.jiraSync remembers a hash of both sides as of the last sync, so each sync can
+// tell which side changed since: local edits are pushed to the issue, edits made in Jira
+// are pulled into the testcase, and edits on both sides are held as a conflict until
+// someone picks a side. Status, assignee and comments always follow Jira.
+
+const crypto = require("crypto");
+
+const jira = require("./jira");
+const review = require("./review");
+const { mapWithConcurrency } = require("./helper");
+
+const MAX_SYNCED_COMMENTS = 50;
+const SYNC_RESOLUTIONS = ["local", "remote"];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function contentHash(summary, description) {
+  return sha256(`${summary || ""}\n${jira.adfToText(description)}`);
+}
+
+// hash of the issue content the testcase would be pushed as
+function localContentHash(set, tc) {
+  const fields = jira.testcaseIssueFields(set, tc);
+  return contentHash(fields.summary, fields.description);
+}
+
+function remoteContentHash(issue) {
+  return contentHash(issue?.fields?.summary, issue?.fields?.description);
+}
+
+function plainState(tc) {
+  const state = tc.jiraSync;
+  return state && typeof state.toObject === "function" ? state.toObject() : { ...(state || {}) };
+}
+
+function personOf(user) {
+  if (!user) return null;
+  return { accountId: user.accountId || "", displayName: user.displayName || "", email: user.emailAddress || "" };
+}
+
+// testcase content as edited in Jira; sections missing from the description keep their value
+function remoteTestcase(issue, tc) {
+  const parsed = jira.parseTestcaseDescription(jira.adfToText(issue.fields?.description));
+  return {
+    title: jira.titleFromSummary(issue.fields?.summary) || tc.title,
+    preconditions: parsed.preconditions ?? [...(tc.preconditions || [])],
+    steps: parsed.steps ?? [...(tc.steps || [])],
+    expected: parsed.expected ?? (tc.expected || ""),
+  };
+}
+
+// status, assignee and comments as they are in Jira
+function remoteMeta(issue, state) {
+  const fields = issue.fields || {};
+  const comments = (fields.comment?.comments || [])
+    .map((c) => ({
+      id: String(c.id),
+      author: c.author?.displayName || c.author?.emailAddress || "",
+      body: jira.adfToText(c.body),
+      created: c.created ? new Date(c.created) : undefined,
+      updated: c.updated ? new Date(c.updated) : undefined,
+    }))
+    .slice(-MAX_SYNCED_COMMENTS);
+  return {
+    ...state,
+    remoteStatus: fields.status?.name || state.remoteStatus || "",
+    remoteAssignee: personOf(fields.assignee),
+    remoteUpdated: fields.updated ? new Date(fields.updated) : state.remoteUpdated,
+    // a partial webhook fetch without the comment field keeps the stored comments
+    comments: fields.comment ? comments : state.comments || [],
+    lastPulledAt: new Date(),
+  };
+}
+
+function applyRemoteContent(tc, remote) {
+  const changed = [];
+  for (const field of ["title", "preconditions", "steps", "expected"]) {
+    if (JSON.stringify(tc[field]) !== JSON.stringify(remote[field])) {
+      tc[field] = remote[field];
+      changed.push(field);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Sync one testcase with its Jira issue. Mutates the testcase (content and jiraSync);
+ * the caller saves the set and records a revision when content was pulled.
+ * options:
+ *  - resolve?: "local" | "remote" — settle a conflict (or force a direction)
+ *  - actor?: { _id?, email } for the review history when Jira edits reset the review
+ * Resolves to { action: "skipped" | "unchanged" | "pushed" | "pulled" | "conflict", key, changed? }.
+ * Jira errors are thrown; see markSyncError.
+ */
+async function syncTestcase(set, tc, options = {}) {
+  const key = jira.issueKeyOf(tc);
+  if (!key) return { action: "skipped", key: null, reason: "testcase is not linked to a Jira issue" };
+  if (options.resolve && !SYNC_RESOLUTIONS.includes(options.resolve)) {
+    throw new Error(`resolve must be one of ${SYNC_RESOLUTIONS.join(", ")}`);
+  }
+
+  let issue = await jira.getIssue(key);
+  let state = remoteMeta(issue, plainState(tc));
+  const localHash = localContentHash(set, tc);
+  const remoteHash = remoteContentHash(issue);
+  const localDirty = localHash !== state.localHash;
+  const remoteDirty = remoteHash !== state.remoteHash;
+
+  let direction = null;
+  if (localHash === remoteHash || (!localDirty && !remoteDirty)) direction = null;
+  else if (options.resolve) direction = options.resolve === "local" ? "push" : "pull";
+  else if (localDirty && remoteDirty) direction = "conflict";
+  else direction = localDirty ? "push" : "pull";
+
+  const settled = { status: "synced", conflict: undefined, error: undefined };
+
+  if (direction === "conflict") {
+    tc.jiraSync = {
+      ...state,
+      status: "conflict",
+      error: undefined,
+      conflict: {
+        detectedAt: state.status === "conflict" && state.conflict?.detectedAt ? state.conflict.detectedAt : new Date(),
+        remoteUpdated: state.remoteUpdated,
+        remote: remoteTestcase(issue, tc),
+      },
+    };
+    return { action: "conflict", key };
+  }
+
+  if (direction === "push") {
+    await jira.updateIssue(key, jira.testcaseIssueFields(set, tc));
+    issue = await jira.getIssue(key);
+    state = remoteMeta(issue, state);
+    tc.jiraSync = { ...state, ...settled, localHash, remoteHash: remoteContentHash(issue), lastPushedAt: new Date() };
+    return { action: "pushed", key };
+  }
+
+  if (direction === "pull") {
+    const changed = applyRemoteContent(tc, remoteTestcase(issue, tc));
+    if (changed.length) review.resetReviewOnEdit(tc, options.actor || { email: "jira" }, "edited in Jira");
+    tc.jiraSync = { ...state, ...settled, localHash: localContentHash(set, tc), remoteHash };
+    return { action: changed.length ? "pulled" : "unchanged", key, changed };
+  }
+
+  tc.jiraSync = { ...state, ...settled, localHash, remoteHash };
+  return { action: "unchanged", key };
+}
+
+/**
+ * Remember a failed sync on the testcase (its hashes stay, so the next sync retries).
+ */
+function markSyncError(tc, err) {
+  tc.jiraSync = { ...plainState(tc), status: "error", error: jira.jiraErrorMessage(err) };
+}
+
+/**
+ * Start tracking a freshly created issue: both sides are equal by construction.
+ */
+function initSyncState(set, tc) {
+  const hash = localContentHash(set, tc);
+  tc.jiraSync = { status: "synced", localHash: hash, remoteHash: hash, lastPushedAt: new Date() };
+}
+
+/**
+ * Create one issue per testcase under the set's parent issue (set.jiraId), at most
+ * `concurrency` at a time. Each key is stored on its testcase and passed to
+ * onCreated(tc) as soon as Jira returns it, so a partial failure keeps what was created.
+ * Resolves to [{ tc_id, status: "created" | "failed", key?, error?, unapprovedOverride? }].
+ */
+async function pushTestcaseIssues(set, testcases, options, { concurrency = 4, onCreated } = {}) {
+  return mapWithConcurrency(testcases, concurrency, async (tc) => {
+    try {
+      const sub = await jira.createTestcaseSubtask(set, tc, options);
+      if (!sub?.key) throw new Error(`Jira returned no issue key: ${JSON.stringify(sub)}`);
+      tc.jira_id = sub.key;
+      initSyncState(set, tc);
+      if (onCreated) await onCreated(tc);
+      return { tc_id: tc.tc_id, status: "created", key: sub.key, unapprovedOverride: !review.isApproved(tc) || undefined };
+    } catch (err) {
+      console.error(`jira push of ${tc.tc_id} failed:`, jira.jiraErrorMessage(err));
+      return { tc_id: tc.tc_id, status: "failed", error: jira.jiraErrorMessage(err) };
+    }
+  });
+}
+
+/**
+ * Regenerated testcases that keep a tc_id keep that testcase's Jira link, sync state,
+ * automation scripts and review history; their review goes back to draft. Mutates
+ * `regenerated`. Returns { kept: [tc_id], dropped: [{ tc_id, key }] }, dropped being the
+ * linked testcases the regenerated set no longer has (their issues stay in Jira).
+ */
+function carryOverTestcases(previous, regenerated, actor) {
+  const plain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value);
+  const previousById = new Map((previous || []).map((tc) => [tc.tc_id, tc]));
+  const kept = [];
+  for (const tc of regenerated) {
+    const existingTc = previousById.get(tc.tc_id);
+    if (!existingTc) continue;
+    tc.jira_id = existingTc.jira_id || tc.jira_id;
+    tc.jiraSync = plain(existingTc.jiraSync);
+    tc.automation = existingTc.automation || [];
+    tc.review = plain(existingTc.review);
+    review.resetReviewOnEdit(tc, actor, "regenerated");
+    kept.push(tc.tc_id);
+  }
+  const regeneratedIds = new Set(regenerated.map((tc) => tc.tc_id));
+  const dropped = (previous || [])
+    .filter((tc) => !regeneratedIds.has(tc.tc_id) && jira.issueKeyOf(tc))
+    .map((tc) => ({ tc_id: tc.tc_id, key: jira.issueKeyOf(tc) }));
+  return { kept, dropped };
+}
+
+function syncSummary(tc) {
+  const state = plainState(tc);
+  const key = jira.issueKeyOf(tc);
+  return {
+    tc_id: tc.tc_id,
+    jira_id: tc.jira_id || "",
+    linked: !!key,
+    status: key ? state.status || "unknown" : "unlinked",
+    remoteStatus: state.remoteStatus || "",
+    remoteAssignee: state.remoteAssignee || null,
+    remoteUpdated: state.remoteUpdated || null,
+    lastPushedAt: state.lastPushedAt || null,
+    lastPulledAt: state.lastPulledAt || null,
+    comments: state.comments || [],
+    conflict: state.status === "conflict" ? state.conflict : null,
+    error: state.status === "error" ? state.error : null,
+  };
+}
+
+module.exports = {
+  SYNC_RESOLUTIONS,
+  syncTestcase,
+  markSyncError,
+  initSyncState,
+  pushTestcaseIssues,
+  carryOverTestcases,
+  syncSummary,
+};
@@ -0,0 +1,303 @@
+// backend/library/jobs.js
+// Mongo-backed queue for testcase generation jobs. Jobs are claimed atomically
+// (status queued -> running) so several backend instances can share the queue;
+// a job whose worker stops heartbeating is put back to "queued" and resumes
+// with the requirements that have not reached a terminal status yet. The worker
+// refreshes lockedAt on a timer while a job runs, and every update it makes is
+// conditional on still owning the job, so a worker that lost it stops.
+//
+// Progress is persisted as numbered JobEvent documents (for SSE replay after a
+// reconnect) and also emitted on `queue.events` under the job id.
+
+const os = require("os");
+const { EventEmitter } = require("events");
+
+const GeneratedSet = require("../models/GeneratedSet");
+const GenerationJob = require("../models/GenerationJob");
+const JobEvent = require("../models/JobEvent");
+const Requirement = require("../models/Requirement");
+const Standard = require("../models/Standard");
+const { generateTestcasesForRequirement } = require("./generation");
+
+const TERMINAL_ITEM_STATUSES = ["saved", "failed", "cancelled"];
+const LOCK_LOST = "JOB_LOCK_LOST";
+
+function createJobQueue(options = {}) {
+  const llm = options.llm || null;
+  const pollIntervalMs = Number(options.pollIntervalMs || process.env.JOB_POLL_INTERVAL_MS) || 2000;
+  const concurrency = Number(options.concurrency || process.env.JOB_CONCURRENCY) || 1;
+  const staleAfterMs = Number(options.staleAfterMs || process.env.JOB_STALE_AFTER_MS) || 10 * 60 * 1000;
+  const heartbeatMs = Number(options.heartbeatMs || process.env.JOB_HEARTBEAT_MS) || Math.max(1000, Math.floor(staleAfterMs / 4));
+  const workerId = `${os.hostname()}-${process.pid}`;
+
+  let timer = null;
+  let active = 0;
+  let ticking = false;
+
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  // best effort: a failed progress event must never fail the job itself
+  async function recordEvent(jobId, type, data = {}) {
+    try {
+      const job = await GenerationJob.findOneAndUpdate(
+        { _id: jobId },
+        { $inc: { eventSeq: 1 } },
+        { new: true, projection: { user: 1, eventSeq: 1 } }
+      );
+      if (!job) return;
+      const event = await JobEvent.create({ job: jobId, user: job.user, seq: job.eventSeq, type, data });
+      events.emit(String(jobId), event);
+    } catch (err) {
+      console.warn(`job ${jobId} event "${type}" not recorded:`, err?.message || err);
+    }
+  }
+
+  // matches the job only while this worker still holds it
+  function lockFilter(jobId) {
+    return { _id: jobId, status: "running", workerId };
+  }
+
+  function lockLost(jobId) {
+    const err = new Error(`job ${jobId} was taken over by another worker`);
+    err.code = LOCK_LOST;
+    return err;
+  }
+
+  async function setItem(jobId, idx, fields) {
+    const $set = { lockedAt: new Date() };
+    for (const [key, value] of Object.entries(fields)) $set[`items.${idx}.${key}`] = value;
+    const job = await GenerationJob.findOneAndUpdate(lockFilter(jobId), { $set }, { new: true });
+    if (!job) throw lockLost(jobId);
+    if (fields.status) {
+      const item = job.items[idx];
+      await recordEvent(jobId, "item.status", {
+        index: idx,
+        req_id: item.req_id,
+        status: item.status,
+        error: item.error,
+        genId: item.genId ? item.genId.toString() : undefined,
+        count: item.count,
+      });
+    }
+  }
+
+  // filter defaults to this worker's lock; a job that was requeued meanwhile is left alone
+  async function finishJob(jobId, status, error, filter = lockFilter(jobId)) {
+    const res = await GenerationJob.updateOne(
+      filter,
+      { $set: { status, error: error || undefined, finishedAt: new Date(), lockedAt: null } }
+    );
+    if (!res.matchedCount) throw lockLost(jobId);
+    await recordEvent(jobId, "job.finished", { status, error });
+  }
+
+  async function cancelRemaining(job, filter = lockFilter(job._id)) {
+    const $set = {};
+    job.items.forEach((item, idx) => {
+      if (!TERMINAL_ITEM_STATUSES.includes(item.status)) {
+        $set[`items.${idx}.status`] = "cancelled";
+        $set[`items.${idx}.finishedAt`] = new Date();
+      }
+    });
+    if (Object.keys($set).length) {
+      const res = await GenerationJob.updateOne(filter, { $set });
+      if (!res.matchedCount) throw lockLost(job._id);
+    }
+    await finishJob(job._id, "cancelled", undefined, filter);
+  }
+
+  async function runJob(job) {
+    // a model call can outlast staleAfterMs, so the lock is renewed independently of progress
+    const heartbeat = setInterval(() => {
+      GenerationJob.updateOne(lockFilter(job._id), { $set: { lockedAt: new Date() } })
+        .catch((err) => console.warn(`job ${job._id} heartbeat failed:`, err?.message || err));
+    }, heartbeatMs);
+    heartbeat.unref();
+    try {
+      await runJobItems(job);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async function runJobItems(job) {
+    await recordEvent(job._id, "job.started", { workerId, total: job.items.length });
+
+    // jobs queued before projects existed are still scoped by their user
+    const scope = job.project ? { project: job.project } : { user: job.user };
+    const requirements = await Requirement.find({
+      ...scope,
+      reqId: { $in: job.selectedRequirements },
+    });
+    const requirementsById = new Map(requirements.map((doc) => [doc.reqId, doc]));
+
+    const standards = await Standard.find({
+      ...scope,
+      filename: { $in: job.selectedStandards },
+    });
+    const standardsByName = new Map(standards.map((doc) => [doc.filename, doc]));
+
+    for (let idx = 0; idx < job.items.length; idx++) {
+      const item = job.items[idx];
+      if (TERMINAL_ITEM_STATUSES.includes(item.status)) continue;
+
+      if (await GenerationJob.exists({ _id: job._id, cancelRequested: true })) {
+        const fresh = await GenerationJob.findById(job._id);
+        return cancelRemaining(fresh);
+      }
+
+      const reqEntry = requirementsById.get(item.req_id);
+      if (!reqEntry) {
+        await setItem(job._id, idx, { status: "failed", error: "requirement not found", finishedAt: new Date() });
+        continue;
+      }
+
+      // saved by a worker that lost the job before it could record the item
+      const saved = await GeneratedSet.findOne({ job: job._id, requirementId: item.req_id }, { testcases: 1 });
+      if (saved) {
+        await setItem(job._id, idx, { title: reqEntry.title, status: "saved", genId: saved._id, count: saved.testcases.length, finishedAt: new Date() });
+        continue;
+      }
+
+      await setItem(job._id, idx, { title: reqEntry.title, startedAt: new Date() });
+      try {
+        const result = await generateTestcasesForRequirement({
+          llm,
+          userId: job.user,
+          projectId: job.project,
+          reqEntry,
+          selectedStandards: job.selectedStandards,
+          standardsByName,
+          promptOverride: job.promptOverride,
+          jobId: job._id,
+          onPhase: (phase) => setItem(job._id, idx, { status: phase }),
+          onEvent: (type, data) => recordEvent(job._id, type, { index: idx, ...data }),
+        });
+        if (result.success) {
+          await setItem(job._id, idx, { status: "saved", genId: result.genId, count: result.count, finishedAt: new Date() });
+        } else {
+          await setItem(job._id, idx, { status: "failed", error: result.error, finishedAt: new Date() });
+        }
+      } catch (err) {
+        if (err.code === LOCK_LOST) throw err;
+        console.error(`job ${job._id} requirement ${item.req_id} failed:`, err);
+        await setItem(job._id, idx, { status: "failed", error: String(err?.message || err), finishedAt: new Date() });
+      }
+    }
+
+    const done = await GenerationJob.findById(job._id);
+    const anySaved = done.items.some((i) => i.status === "saved");
+    await finishJob(job._id, anySaved || !done.items.length ? "completed" : "failed");
+  }
+
+  async function claimNext() {
+    return GenerationJob.findOneAndUpdate(
+      { status: "queued" },
+      { $set: { status: "running", workerId, lockedAt: new Date(), startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  async function requeueStale() {
+    const cutoff = new Date(Date.now() - staleAfterMs);
+    const res = await GenerationJob.updateMany(
+      { status: "running", lockedAt: { $lt: cutoff } },
+      { $set: { status: "queued", workerId: null, lockedAt: null } }
+    );
+    if (res.modifiedCount) console.warn(`Requeued ${res.modifiedCount} stale generation job(s)`);
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await requeueStale();
+      while (active < concurrency) {
+        const job = await claimNext();
+        if (!job) break;
+        active++;
+        runJob(job)
+          .catch(async (err) => {
+            if (err.code === LOCK_LOST) {
+              console.warn(`${err.message}; ${workerId} stopped working on it`);
+              return;
+            }
+            console.error(`job ${job._id} crashed:`, err);
+            try { await finishJob(job._id, "failed", String(err?.message || err)); } catch (e) { /* ignore */ }
+          })
+          .finally(() => {
+            active--;
+          });
+      }
+    } catch (err) {
+      console.error("job queue tick failed:", err?.message || err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    workerId,
+    events,
+
+    /**
+     * Persisted events of a job with seq greater than `afterSeq`, oldest first.
+     */
+    async listEvents(jobId, afterSeq = 0) {
+      return JobEvent.find({ job: jobId, seq: { $gt: afterSeq } }).sort({ seq: 1 });
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, pollIntervalMs);
+      tick();
+      console.log(`Generation job worker started (${workerId}, concurrency ${concurrency})`);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    async enqueue({ userId, projectId, selectedRequirements, selectedStandards, promptOverride }) {
+      const job = await GenerationJob.create({
+        user: userId,
+        project: projectId,
+        selectedRequirements,
+        selectedStandards,
+        promptOverride: promptOverride || undefined,
+        items: selectedRequirements.map((reqId) => ({ req_id: reqId })),
+      });
+      setImmediate(tick);
+      return job;
+    },
+
+    /**
+     * Queued jobs are cancelled immediately; running jobs stop before their
+     * next requirement. Returns the updated job, or null if not found.
+     */
+    async cancel(jobId, projectId) {
+      // flip status in the same update so a worker cannot claim it in between
+      const queued = await GenerationJob.findOneAndUpdate(
+        { _id: jobId, project: projectId, status: "queued" },
+        { $set: { cancelRequested: true, status: "cancelled" } },
+        { new: true }
+      );
+      if (queued) {
+        await cancelRemaining(queued, { _id: queued._id });
+        return GenerationJob.findById(jobId);
+      }
+      const running = await GenerationJob.findOneAndUpdate(
+        { _id: jobId, project: projectId, status: "running" },
+        { $set: { cancelRequested: true } },
+        { new: true }
+      );
+      return running || GenerationJob.findOne({ _id: jobId, project: projectId });
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
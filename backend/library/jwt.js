@@ -0,0 +1,118 @@
+// backend/library/jwt.js
+// Minimal JSON Web Token support on node's crypto: HS256 signing for tokens this
+// backend issues itself, and verification of RS*/PS*/ES* tokens against JWKS keys
+// published by OIDC issuers.
+
+const crypto = require("crypto");
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+
+const ALGORITHMS = {
+  HS256: { kind: "hmac", hash: "sha256" },
+  HS384: { kind: "hmac", hash: "sha384" },
+  HS512: { kind: "hmac", hash: "sha512" },
+  RS256: { kind: "rsa", hash: "sha256" },
+  RS384: { kind: "rsa", hash: "sha384" },
+  RS512: { kind: "rsa", hash: "sha512" },
+  PS256: { kind: "rsa-pss", hash: "sha256" },
+  PS384: { kind: "rsa-pss", hash: "sha384" },
+  PS512: { kind: "rsa-pss", hash: "sha512" },
+  ES256: { kind: "ec", hash: "sha256" },
+  ES384: { kind: "ec", hash: "sha384" },
+  ES512: { kind: "ec", hash: "sha512" },
+};
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function parseSegment(segment, what) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (e) {
+    throw new Error(`Malformed token ${what}`);
+  }
+}
+
+/**
+ * Split a compact JWT without verifying it. Returns { header, payload, signingInput, signature }.
+ */
+function decodeJwt(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("Malformed token");
+  return {
+    header: parseSegment(parts[0], "header"),
+    payload: parseSegment(parts[1], "payload"),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], "base64url"),
+  };
+}
+
+function signHs256(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac("sha256", secret).update(`${header}.${body}`).digest("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+function verifySignature(alg, signingInput, signature, key) {
+  const spec = ALGORITHMS[alg];
+  if (!spec) throw new Error(`Unsupported token algorithm ${alg}`);
+  if (spec.kind === "hmac") {
+    if (typeof key !== "string" && !Buffer.isBuffer(key)) throw new Error("HMAC tokens need a shared secret");
+    const expected = crypto.createHmac(spec.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  if (typeof key === "string" || Buffer.isBuffer(key)) throw new Error(`${alg} tokens need a public key`);
+  const options = { key };
+  if (spec.kind === "rsa-pss") {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (spec.kind === "ec") options.dsaEncoding = "ieee-p1363";
+  return crypto.verify(spec.hash, Buffer.from(signingInput), options, signature);
+}
+
+/**
+ * Verify a compact JWT and its standard claims; resolves to the payload.
+ * options:
+ *  - key: shared secret (HS*) or a KeyObject, or async ({ header, payload }) => key
+ *  - algorithms: accepted "alg" values (required; never trust the header alone)
+ *  - issuer?, audience? (string or list; the token's aud must contain one of them)
+ *  - clockSkewSeconds? (default 60), now? (ms)
+ */
+async function verifyJwt(token, options) {
+  const decoded = decodeJwt(token);
+  const { header, payload } = decoded;
+  if (!options.algorithms || !options.algorithms.includes(header.alg)) {
+    throw new Error(`Token algorithm ${header.alg} not accepted`);
+  }
+  const key = typeof options.key === "function" ? await options.key({ header, payload }) : options.key;
+  if (!key || !verifySignature(header.alg, decoded.signingInput, decoded.signature, key)) {
+    throw new Error("Invalid token signature");
+  }
+
+  const now = (options.now || Date.now()) / 1000;
+  const skew = options.clockSkewSeconds ?? DEFAULT_CLOCK_SKEW_SECONDS;
+  if (typeof payload.exp !== "number" || now - skew > payload.exp) throw new Error("Token expired");
+  if (typeof payload.nbf === "number" && now + skew < payload.nbf) throw new Error("Token not yet valid");
+  if (options.issuer && payload.iss !== options.issuer) throw new Error("Unexpected token issuer");
+  if (options.audience) {
+    const expected = [].concat(options.audience);
+    const actual = [].concat(payload.aud || []);
+    if (!actual.some((a) => expected.includes(a))) throw new Error("Unexpected token audience");
+  }
+  return payload;
+}
+
+// JWKS entry -> KeyObject
+function keyFromJwk(jwk) {
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+module.exports = {
+  decodeJwt,
+  signHs256,
+  verifyJwt,
+  keyFromJwk,
+};
@@ -0,0 +1,246 @@
+// backend/library/llm.js
+// Pluggable LLM provider layer. Every provider exposes the same surface:
+//   provider.name                      -> "gemini" | "openai" | "replay"
+//   provider.generate({ prompt, context }) -> { text, raw }
+//   provider.uploadFile(localPath, originalName) -> { fileUri, raw }
+// `prompt` is the genkit-style parts array used across index.js
+// ([{ text }, { media: { contentType, url } }]). `context` is optional metadata
+// ({ reqId, operation, attempt }) that providers may use, e.g. replay lookup.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pathToFileURL } = require("url");
+const axios = require("axios");
+const mime = require("mime-types");
+
+const LOCAL_STORE_DIR = path.join(__dirname, "..", "uploads", "store");
+const DEFAULT_REPLAY_DIR = path.join(__dirname, "..", "ai_raw_logs");
+
+function partsToText(prompt) {
+  if (typeof prompt === "string") return prompt;
+  return (prompt || [])
+    .filter((p) => p && typeof p.text === "string")
+    .map((p) => p.text)
+    .join("\n\n");
+}
+
+/**
+ * Copy an uploaded file into the local store and return a file:// uri.
+ * Used by providers that have no remote file API.
+ */
+function storeFileLocally(localPath, originalName) {
+  if (!fs.existsSync(LOCAL_STORE_DIR)) fs.mkdirSync(LOCAL_STORE_DIR, { recursive: true });
+  const safeName = String(originalName || "file").replace(/[^\w.\-]+/g, "_");
+  const target = path.join(LOCAL_STORE_DIR, `${Date.now()}-${safeName}`);
+  fs.copyFileSync(localPath, target);
+  const mimeType = mime.lookup(originalName) || "application/octet-stream";
+  const fileUri = pathToFileURL(target).href;
+  return {
+    fileUri,
+    raw: { file: { uri: fileUri, displayName: originalName, mimeType, storage: "local" } },
+  };
+}
+
+/* ------------------ gemini (genkit + GoogleAIFileManager) ------------------ */
+
+function createGeminiProvider(options = {}) {
+  const { genkit } = require("genkit");
+  const { googleAI } = require("@genkit-ai/googleai");
+  const { GoogleAIFileManager } = require("@google/generative-ai/server");
+
+  const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+  const modelName = options.model || process.env.GEMINI_MODEL;
+  if (!modelName) throw new Error("GEMINI_MODEL is not configured");
+
+  const ai = genkit({
+    plugins: [googleAI({ apiKey })],
+    model: googleAI.model(modelName, { temperature: 0.2 }),
+  });
+  const model = googleAI.model(modelName);
+
+  let fileManager = null;
+  try {
+    fileManager = new GoogleAIFileManager(apiKey);
+  } catch (e) {
+    console.warn("fileManager init failed:", e?.message || e);
+  }
+
+  return {
+    name: "gemini",
+    model: modelName,
+    supportsMedia: true,
+    async generate({ prompt }) {
+      const genResp = await ai.generate({ model, prompt });
+      const text =
+        genResp?.text ||
+        genResp?.output ||
+        genResp?.candidates?.[0]?.content?.parts?.[0]?.text ||
+        "";
+      return { text, raw: genResp };
+    },
+    async uploadFile(localPath, originalName) {
+      if (!fileManager || typeof fileManager.uploadFile !== "function") {
+        throw new Error("fileManager.uploadFile not available");
+      }
+      const mimeType = mime.lookup(originalName) || "application/octet-stream";
+      const uploaded = await fileManager.uploadFile(localPath, { mimeType, displayName: originalName });
+      const fileUri =
+        uploaded?.file?.uri ||
+        uploaded?.file?.url ||
+        uploaded?.uri ||
+        uploaded?.name ||
+        uploaded?.resourceName ||
+        null;
+      return { fileUri, raw: uploaded };
+    },
+  };
+}
+
+/* ------------------ OpenAI-compatible HTTP endpoint (Ollama, vLLM, ...) ------------------ */
+
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  const modelName = options.model || process.env.OPENAI_MODEL;
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const timeoutMs = Number(options.timeoutMs || process.env.OPENAI_TIMEOUT_MS) || 120000;
+  if (!modelName) throw new Error("OPENAI_MODEL is not configured");
+
+  return {
+    name: "openai",
+    model: modelName,
+    supportsMedia: false,
+    async generate({ prompt }) {
+      // media parts cannot be forwarded to a plain chat-completions endpoint;
+      // callers always include the extracted text alongside them.
+      const content = partsToText(prompt);
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const resp = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model: modelName,
+          temperature: 0.2,
+          messages: [{ role: "user", content }],
+        },
+        { headers, timeout: timeoutMs }
+      );
+      const text = resp?.data?.choices?.[0]?.message?.content || "";
+      return { text, raw: resp.data };
+    },
+    async uploadFile(localPath, originalName) {
+      return storeFileLocally(localPath, originalName);
+    },
+  };
+}
+
+/* ------------------ replay (serves recorded responses from ai_raw_logs) ------------------ */
+
+// <reqId>-[regenerate-]<timestamp>[-retry].log
+const REPLAY_FILE_RE = /^(REQ-\d+(?:-\d+)?)-(regenerate-)?(\d{10,})(-retry)?\.log$/;
+
+function readReplayFixture(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const marker = "--- RAW RESPONSE ---";
+  const fullMarker = "--- FULL GEN RESP ---";
+  if (!content.includes(marker)) return content.trim();
+  const start = content.indexOf(marker) + marker.length;
+  const end = content.indexOf(fullMarker, start);
+  return content.slice(start, end === -1 ? undefined : end).trim();
+}
+
+function loadReplayFixtures(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .sort()
+    .map((file) => {
+      const m = REPLAY_FILE_RE.exec(file);
+      return {
+        file,
+        reqId: m ? m[1] : null,
+        operation: m && m[2] ? "regenerate" : "generate",
+        attempt: m && m[4] ? "retry" : "initial",
+        timestamp: m ? Number(m[3]) : 0,
+      };
+    })
+    .filter((f) => f.file.endsWith(".log"));
+}
+
+function createReplayProvider(options = {}) {
+  const dir = options.dir || process.env.LLM_REPLAY_DIR || DEFAULT_REPLAY_DIR;
+
+  function pickFixture(prompt, context = {}) {
+    const fixtures = loadReplayFixtures(dir);
+    if (!fixtures.length) throw new Error(`No replay fixtures found in ${dir}`);
+
+    // single-testcase regeneration replays the set-level regenerate logs
+    const operation = context.operation === "generate" ? "generate" : "regenerate";
+    const attempt = context.attempt === "retry" ? "retry" : "initial";
+    const narrowings = [
+      (f) => f.reqId === context.reqId && f.operation === operation && f.attempt === attempt,
+      (f) => f.reqId === context.reqId && f.operation === operation,
+      (f) => f.reqId === context.reqId,
+      (f) => f.operation === operation && f.attempt === attempt,
+      () => true,
+    ];
+    let candidates = fixtures;
+    for (const test of narrowings) {
+      const matched = fixtures.filter(test);
+      if (matched.length) {
+        candidates = matched;
+        break;
+      }
+    }
+
+    // deterministic: the same prompt always replays the same fixture
+    const digest = crypto.createHash("sha256").update(partsToText(prompt)).digest();
+    return candidates[digest.readUInt32BE(0) % candidates.length];
+  }
+
+  return {
+    name: "replay",
+    model: `replay:${path.basename(dir)}`,
+    supportsMedia: false,
+    async generate({ prompt, context }) {
+      const fixture = pickFixture(prompt, context);
+      const text = readReplayFixture(path.join(dir, fixture.file));
+      return { text, raw: { replay: fixture.file } };
+    },
+    async uploadFile(localPath, originalName) {
+      return storeFileLocally(localPath, originalName);
+    },
+  };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  replay: createReplayProvider,
+};
+
+/**
+ * Build the provider named by LLM_PROVIDER (defaults to gemini).
+ * Returns null (and logs) when the provider cannot be initialized.
+ */
+function createLlmProvider(name = process.env.LLM_PROVIDER || "gemini", options = {}) {
+  const factory = PROVIDERS[String(name).toLowerCase()];
+  if (!factory) {
+    console.warn(`Unknown LLM_PROVIDER "${name}"; expected one of ${Object.keys(PROVIDERS).join(", ")}`);
+    return null;
+  }
+  try {
+    const provider = factory(options);
+    console.log(`LLM provider initialized: ${provider.name} (${provider.model})`);
+    return provider;
+  } catch (e) {
+    console.warn(`LLM provider "${name}" init failed:`, e?.message || e);
+    return null;
+  }
+}
+
+module.exports = {
+  createLlmProvider,
+  storeFileLocally,
+  partsToText,
+};
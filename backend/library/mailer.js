@@ -0,0 +1,65 @@
+// backend/library/mailer.js
+// Delivery of account emails (email verification links, project invitations). No mail
+// transport is bundled; a deployment provides one as a module exporting
+//   send({ to, subject, text, kind }) -> Promise
+// and points MAIL_TRANSPORT_MODULE at it (or passes options.transport). The links in
+// these emails are credentials, so they are never logged, except with MAIL_DEV_LOG=true
+// outside NODE_ENV=production for local development without a transport.
+
+const path = require("path");
+
+function loadTransport(modulePath) {
+  if (!modulePath) return null;
+  const transport = require(path.resolve(modulePath));
+  if (typeof transport?.send !== "function") {
+    throw new Error(`MAIL_TRANSPORT_MODULE ${modulePath} does not export send(message)`);
+  }
+  return transport;
+}
+
+/**
+ * options: { transport? ({ send }), devLog? (default MAIL_DEV_LOG=true), production? (default NODE_ENV=production) }
+ * send(message) resolves to { delivered, via: "transport" | "log" | "none", error? }; a failed
+ * delivery is reported, not thrown, so callers can offer to send again.
+ */
+function createMailer(options = {}) {
+  const transport = options.transport || loadTransport(process.env.MAIL_TRANSPORT_MODULE);
+  const production = options.production ?? process.env.NODE_ENV === "production";
+  const devLog = (options.devLog ?? process.env.MAIL_DEV_LOG === "true") && !production;
+
+  if (!transport) {
+    console.warn(devLog
+      ? "No mail transport configured: account emails are logged (MAIL_DEV_LOG)"
+      : "No mail transport configured (MAIL_TRANSPORT_MODULE): account emails are not sent");
+  }
+
+  return {
+    configured: !!transport,
+
+    /**
+     * message: { to, subject, text, kind } where kind names the email for logs
+     * ("email-verification", "invitation").
+     */
+    async send(message) {
+      if (transport) {
+        try {
+          await transport.send(message);
+          return { delivered: true, via: "transport" };
+        } catch (err) {
+          console.error(`Sending ${message.kind} email to ${message.to} failed:`, err?.message || err);
+          return { delivered: false, via: "transport", error: String(err?.message || err) };
+        }
+      }
+      if (devLog) {
+        console.log(`[mail:${message.kind}] to ${message.to}: ${message.subject}\n${message.text}`);
+        return { delivered: true, via: "log" };
+      }
+      console.warn(`${message.kind} email to ${message.to} not sent: no mail transport configured`);
+      return { delivered: false, via: "none" };
+    },
+  };
+}
+
+module.exports = {
+  createMailer,
+};
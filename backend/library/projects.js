@@ -0,0 +1,178 @@
+// backend/library/projects.js
+// Shared workspaces and role-based access. Standards, requirements, generated sets and
+// generation jobs belong to a project; members hold one role per project and every
+// route asks authorize(permission) whether that role may do what the route does.
+//
+// Each user also gets a personal project on first use; creating it moves the user's
+// data from before projects existed (documents without a project) into it.
+
+const mongoose = require("mongoose");
+
+const Project = require("../models/Project");
+const Organization = require("../models/Organization");
+const Standard = require("../models/Standard");
+const Requirement = require("../models/Requirement");
+const GeneratedSet = require("../models/GeneratedSet");
+const GenerationJob = require("../models/GenerationJob");
+const { scopesGrant } = require("./apiKeys");
+
+const PROJECT_ROLES = Project.PROJECT_ROLES;
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    "read", "export", "upload", "generate", "edit", "review", "sign", "jira",
+    "project.manage", "audit.read",
+  ],
+  editor: ["read", "export", "upload", "generate", "edit", "sign", "jira"],
+  reviewer: ["read", "export", "review", "sign"],
+  viewer: ["read", "export"],
+};
+
+const PROJECT_SCOPED_MODELS = [Standard, Requirement, GeneratedSet, GenerationJob];
+
+function hasPermission(role, permission) {
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// whether an authorized request may also do `permission` (role and API key scopes)
+function can(req, permission) {
+  return hasPermission(req.projectRole, permission) && (!req.apiKey || scopesGrant(req.apiKey.scopes, permission));
+}
+
+function memberRole(project, userId) {
+  const member = (project.members || []).find((m) => String(m.user) === String(userId));
+  return member ? member.role : null;
+}
+
+function ownerCount(project) {
+  return (project.members || []).filter((m) => m.role === "owner").length;
+}
+
+/**
+ * The user's personal project, created (and legacy data moved into it) on first use.
+ */
+async function ensurePersonalProject(user) {
+  const existing = await Project.findOne({ personalOwner: user._id });
+  if (existing) return existing;
+
+  let project;
+  try {
+    project = await Project.create({
+      name: `${user.name || user.email}'s workspace`,
+      createdBy: user._id,
+      personalOwner: user._id,
+      members: [{ user: user._id, role: "owner", addedBy: user._id }],
+    });
+  } catch (err) {
+    // a parallel request created it first
+    if (err?.code !== 11000) throw err;
+    return Project.findOne({ personalOwner: user._id });
+  }
+
+  for (const Model of PROJECT_SCOPED_MODELS) {
+    await Model.updateMany({ user: user._id, project: { $exists: false } }, { $set: { project: project._id } });
+  }
+  return project;
+}
+
+// explicit project of a request: route param, X-Project-Id header or ?projectId=
+function requestedProjectId(req) {
+  const candidates = [req.params?.projectId, req.headers["x-project-id"], req.query?.projectId];
+  return candidates.find((v) => typeof v === "string" && v.trim()) || null;
+}
+
+/**
+ * Middleware (after authenticate): resolve the project of the request and check that
+ * the signed-in user's role in it grants `permission`. Without an explicit project the
+ * user's personal project is used (or the project of a project-scoped API key).
+ * Requests made with an API key also need a key scope granting `permission`.
+ * Sets req.project and req.projectRole.
+ */
+function authorize(permission) {
+  return async (req, res, next) => {
+    try {
+      const keyProject = req.apiKey?.project ? String(req.apiKey.project) : null;
+      const projectId = requestedProjectId(req) || keyProject;
+      if (keyProject && projectId !== keyProject) {
+        return res.status(403).json({ error: "API key is limited to another project" });
+      }
+      let project;
+      if (projectId) {
+        if (!mongoose.isValidObjectId(projectId)) return res.status(400).json({ error: "Invalid project id" });
+        project = await Project.findById(projectId);
+        if (!project) return res.status(404).json({ error: "Project not found" });
+      } else {
+        project = await ensurePersonalProject(req.userDoc);
+      }
+
+      const role = memberRole(project, req.userDoc._id);
+      if (!role) return res.status(403).json({ error: "Not a member of this project" });
+      if (!hasPermission(role, permission)) {
+        return res.status(403).json({ error: `Role "${role}" does not allow ${permission}`, role, permission });
+      }
+      if (req.apiKey && !scopesGrant(req.apiKey.scopes, permission)) {
+        return res.status(403).json({ error: `API key scopes do not allow ${permission}`, scopes: req.apiKey.scopes, permission });
+      }
+
+      req.project = project;
+      req.projectRole = role;
+      return next();
+    } catch (err) {
+      console.error("Authorization failed:", err?.message || err);
+      return res.status(500).json({ error: "Authorization failed", details: String(err?.message || err) });
+    }
+  };
+}
+
+/**
+ * Projects the user is a member of, personal project first.
+ */
+async function listProjectsForUser(user) {
+  await ensurePersonalProject(user);
+  const projects = await Project.find({ "members.user": user._id }).sort({ createdAt: 1 });
+  return projects.sort((a, b) => Number(!!b.personalOwner) - Number(!!a.personalOwner));
+}
+
+function projectSummary(project, userId) {
+  return {
+    id: project._id.toString(),
+    name: project.name,
+    description: project.description,
+    organization: project.organization ? project.organization.toString() : null,
+    personal: !!project.personalOwner,
+    role: memberRole(project, userId),
+    members: (project.members || []).length,
+    createdAt: project.createdAt,
+  };
+}
+
+// populated members -> { id, email, name, role, addedAt }
+function memberSummary(member) {
+  const u = member.user && member.user.email ? member.user : null;
+  return {
+    id: u ? u._id.toString() : String(member.user),
+    email: u ? u.email : undefined,
+    name: u ? u.name : undefined,
+    role: member.role,
+    addedAt: member.addedAt,
+  };
+}
+
+async function isOrganizationOwner(organizationId, userId) {
+  return !!(await Organization.exists({ _id: organizationId, owners: userId }));
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  can,
+  memberRole,
+  ownerCount,
+  ensurePersonalProject,
+  authorize,
+  listProjectsForUser,
+  projectSummary,
+  memberSummary,
+  isOrganizationOwner,
+};
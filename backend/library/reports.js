@@ -0,0 +1,296 @@
+// backend/library/reports.js
+// Requirements traceability matrix: requirement -> testcases -> compliance standards -> Jira keys,
+// with coverage gaps, rendered as JSON, CSV, XLSX or a self-contained HTML page.
+
+const ExcelJS = require("exceljs");
+
+const Requirement = require("../models/Requirement");
+const Standard = require("../models/Standard");
+const GeneratedSet = require("../models/GeneratedSet");
+const { complianceLabel } = require("./helper");
+const { matchComplianceStandard } = require("./compliance");
+const { toCsv, escapeHtml } = require("./tabular");
+
+const MATRIX_COLUMNS = [
+  { key: "requirementId", header: "Requirement ID", width: 24 },
+  { key: "requirementTitle", header: "Requirement", width: 36 },
+  { key: "genId", header: "Generated Set", width: 26 },
+  { key: "generatedAt", header: "Generated At", width: 22 },
+  { key: "tcId", header: "Testcase ID", width: 22 },
+  { key: "testcaseTitle", header: "Testcase", width: 48 },
+  { key: "standards", header: "Compliance Standards", width: 30 },
+  { key: "references", header: "Compliance References", width: 40 },
+  { key: "jiraParent", header: "Jira Parent", width: 14 },
+  { key: "jiraIssue", header: "Jira Issue", width: 14 },
+  { key: "gaps", header: "Gaps", width: 36 },
+];
+
+function listParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  // date-only "to" bounds include the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+/**
+ * Build the traceability data for a project.
+ * filters: { requirements: [reqId], standards: [filename], from, to, allSets }
+ *  - only the latest generated set per requirement is used unless allSets is true
+ *  - from/to bound the generated sets' createdAt
+ */
+async function buildTraceability(projectId, filters = {}) {
+  const reqFilter = { project: projectId };
+  if (filters.requirements?.length) reqFilter.reqId = { $in: filters.requirements };
+  const requirements = await Requirement.find(reqFilter)
+    .sort({ createdAt: 1 })
+    .select({ reqId: 1, title: 1, uploadedAt: 1 });
+
+  const stdFilter = { project: projectId };
+  if (filters.standards?.length) stdFilter.filename = { $in: filters.standards };
+  const standards = await Standard.find(stdFilter).sort({ filename: 1 }).select({ filename: 1 });
+  const standardNames = standards.map((s) => s.filename);
+
+  const setFilter = { project: projectId, requirementId: { $in: requirements.map((r) => r.reqId) } };
+  if (filters.standards?.length) setFilter.selectedStandards = { $in: filters.standards };
+  const from = parseDate(filters.from, false);
+  const to = parseDate(filters.to, true);
+  if (from || to) {
+    setFilter.createdAt = {};
+    if (from) setFilter.createdAt.$gte = from;
+    if (to) setFilter.createdAt.$lte = to;
+  }
+  const sets = await GeneratedSet.find(setFilter).sort({ createdAt: -1 });
+
+  const setsByReq = new Map();
+  for (const set of sets) {
+    const list = setsByReq.get(set.requirementId) || [];
+    if (filters.allSets || !list.length) list.push(set);
+    setsByReq.set(set.requirementId, list);
+  }
+
+  const rows = [];
+  const referencedStandards = new Set();
+  const gaps = { requirementsWithoutSets: [], standardsNeverReferenced: [], testcasesWithoutJira: [] };
+
+  for (const reqDoc of requirements) {
+    const reqSets = setsByReq.get(reqDoc.reqId) || [];
+    if (!reqSets.length) {
+      gaps.requirementsWithoutSets.push({ requirementId: reqDoc.reqId, title: reqDoc.title });
+      rows.push({
+        requirementId: reqDoc.reqId,
+        requirementTitle: reqDoc.title,
+        genId: "",
+        generatedAt: "",
+        tcId: "",
+        testcaseTitle: "",
+        standards: [],
+        references: [],
+        jiraParent: "",
+        jiraIssue: "",
+        gaps: ["no generated testcases"],
+      });
+      continue;
+    }
+
+    for (const set of reqSets) {
+      for (const tc of set.testcases || []) {
+        const matched = [];
+        for (const entry of tc.compliance || []) {
+          const filename = matchComplianceStandard(entry, standardNames);
+          if (filename) {
+            referencedStandards.add(filename);
+            if (!matched.includes(filename)) matched.push(filename);
+          }
+        }
+        // with a standard filter, keep only testcases that trace to it
+        if (filters.standards?.length && !matched.length) continue;
+
+        const rowGaps = [];
+        if (!tc.jira_id) {
+          rowGaps.push("no Jira issue");
+          gaps.testcasesWithoutJira.push({ requirementId: reqDoc.reqId, genId: set._id.toString(), tcId: tc.tc_id, title: tc.title });
+        }
+        if (!matched.length) rowGaps.push("no compliance standard");
+
+        rows.push({
+          requirementId: reqDoc.reqId,
+          requirementTitle: reqDoc.title,
+          genId: set._id.toString(),
+          generatedAt: set.createdAt ? set.createdAt.toISOString() : "",
+          tcId: tc.tc_id,
+          testcaseTitle: tc.title,
+          standards: matched,
+          references: (tc.compliance || []).map(complianceLabel).filter(Boolean),
+          jiraParent: set.jiraId || "",
+          jiraIssue: tc.jira_id || "",
+          gaps: rowGaps,
+        });
+      }
+    }
+  }
+
+  for (const name of standardNames) {
+    if (!referencedStandards.has(name)) gaps.standardsNeverReferenced.push({ filename: name });
+  }
+
+  const testcaseRows = rows.filter((r) => r.tcId);
+  const summary = {
+    requirements: requirements.length,
+    requirementsCovered: requirements.length - gaps.requirementsWithoutSets.length,
+    standards: standardNames.length,
+    standardsReferenced: standardNames.length - gaps.standardsNeverReferenced.length,
+    testcases: testcaseRows.length,
+    testcasesInJira: testcaseRows.filter((r) => r.jiraIssue).length,
+  };
+
+  return {
+    generatedAt: new Date().toISOString(),
+    filters: {
+      requirements: filters.requirements || [],
+      standards: filters.standards || [],
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      allSets: !!filters.allSets,
+    },
+    summary,
+    rows,
+    gaps,
+  };
+}
+
+function cellValue(row, key) {
+  const v = row[key];
+  return Array.isArray(v) ? v.join("; ") : v;
+}
+
+function renderCsv(report) {
+  const header = MATRIX_COLUMNS.map((c) => c.header);
+  const body = report.rows.map((row) => MATRIX_COLUMNS.map((c) => cellValue(row, c.key)));
+  return toCsv([header, ...body]);
+}
+
+async function renderXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(report.generatedAt);
+
+  const matrix = workbook.addWorksheet("Traceability");
+  matrix.columns = MATRIX_COLUMNS.map((c) => ({ header: c.header, key: c.key, width: c.width }));
+  matrix.getRow(1).font = { bold: true };
+  matrix.views = [{ state: "frozen", ySplit: 1 }];
+  for (const row of report.rows) {
+    const added = matrix.addRow(Object.fromEntries(MATRIX_COLUMNS.map((c) => [c.key, cellValue(row, c.key)])));
+    if (row.gaps.length) {
+      const color = row.tcId ? "FFFFF2CC" : "FFF8CBAD";
+      added.eachCell({ includeEmpty: true }, (cell) => {
+        cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: color } };
+      });
+    }
+  }
+
+  const gapSheet = workbook.addWorksheet("Gaps");
+  gapSheet.columns = [
+    { header: "Gap", key: "gap", width: 36 },
+    { header: "Requirement ID", key: "requirementId", width: 24 },
+    { header: "Standard", key: "standard", width: 30 },
+    { header: "Testcase ID", key: "tcId", width: 22 },
+    { header: "Title", key: "title", width: 48 },
+  ];
+  gapSheet.getRow(1).font = { bold: true };
+  for (const g of report.gaps.requirementsWithoutSets) {
+    gapSheet.addRow({ gap: "Requirement without generated set", requirementId: g.requirementId, title: g.title });
+  }
+  for (const g of report.gaps.standardsNeverReferenced) {
+    gapSheet.addRow({ gap: "Standard never referenced", standard: g.filename });
+  }
+  for (const g of report.gaps.testcasesWithoutJira) {
+    gapSheet.addRow({ gap: "Testcase without Jira issue", requirementId: g.requirementId, tcId: g.tcId, title: g.title });
+  }
+
+  const summarySheet = workbook.addWorksheet("Summary");
+  summarySheet.columns = [
+    { header: "Metric", key: "metric", width: 30 },
+    { header: "Value", key: "value", width: 16 },
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+  for (const [metric, value] of Object.entries(report.summary)) summarySheet.addRow({ metric, value });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function renderHtml(report) {
+  const s = report.summary;
+  const headerCells = MATRIX_COLUMNS.map((c) => `<th>${escapeHtml(c.header)}</th>`).join("");
+  const bodyRows = report.rows
+    .map((row) => {
+      const cls = row.gaps.length ? (row.tcId ? "gap" : "gap-major") : "";
+      const cells = MATRIX_COLUMNS.map((c) => `<td>${escapeHtml(cellValue(row, c.key))}</td>`).join("");
+      return `<tr class="${cls}">${cells}</tr>`;
+    })
+    .join("\n");
+  const gapList = (items, fmt) =>
+    items.length ? `<ul>${items.map((i) => `<li>${escapeHtml(fmt(i))}</li>`).join("")}</ul>` : "<p>None</p>";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Requirements Traceability Matrix</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 24px; color: #1f2933; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .meta { color: #616e7c; font-size: 13px; margin-bottom: 16px; }
+  .summary { display: flex; gap: 16px; flex-wrap: wrap; margin-bottom: 20px; }
+  .card { border: 1px solid #d9e2ec; border-radius: 6px; padding: 10px 14px; min-width: 150px; }
+  .card b { display: block; font-size: 20px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #d9e2ec; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f0f4f8; position: sticky; top: 0; }
+  tr.gap td { background: #fff2cc; }
+  tr.gap-major td { background: #f8cbad; }
+  section { margin-top: 24px; }
+</style>
+</head>
+<body>
+<h1>Requirements Traceability Matrix</h1>
+<div class="meta">Generated ${escapeHtml(report.generatedAt)}${report.filters.from ? ` &middot; from ${escapeHtml(report.filters.from)}` : ""}${report.filters.to ? ` &middot; to ${escapeHtml(report.filters.to)}` : ""}${report.filters.requirements.length ? ` &middot; requirements: ${escapeHtml(report.filters.requirements.join(", "))}` : ""}${report.filters.standards.length ? ` &middot; standards: ${escapeHtml(report.filters.standards.join(", "))}` : ""}</div>
+<div class="summary">
+  <div class="card"><b>${s.requirementsCovered}/${s.requirements}</b>requirements with testcases</div>
+  <div class="card"><b>${s.standardsReferenced}/${s.standards}</b>standards referenced</div>
+  <div class="card"><b>${s.testcasesInJira}/${s.testcases}</b>testcases in Jira</div>
+</div>
+<table>
+<thead><tr>${headerCells}</tr></thead>
+<tbody>
+${bodyRows}
+</tbody>
+</table>
+<section>
+<h2>Coverage gaps</h2>
+<h3>Requirements with no generated set</h3>
+${gapList(report.gaps.requirementsWithoutSets, (g) => `${g.requirementId} — ${g.title || ""}`)}
+<h3>Standards never referenced</h3>
+${gapList(report.gaps.standardsNeverReferenced, (g) => g.filename)}
+<h3>Testcases without Jira issues</h3>
+${gapList(report.gaps.testcasesWithoutJira, (g) => `${g.requirementId} / ${g.tcId} — ${g.title || ""}`)}
+</section>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  listParam,
+  buildTraceability,
+  renderCsv,
+  renderXlsx,
+  renderHtml,
+};
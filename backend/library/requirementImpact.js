@@ -0,0 +1,174 @@
+// backend/library/requirementImpact.js
+// What a new requirement version means for the testcases generated from an older one.
+// Each set (and each testcase regenerated on its own) records the requirement version it
+// was generated from; the text of that version is diffed against the current text and
+// every testcase is matched against the changed passages by shared words and numbers.
+// Testcases built on a passage that was modified or removed are stale; added passages
+// that no testcase covers call for regenerating the set.
+
+const { diffText } = require("./textDiff");
+
+const DEFAULT_STALE_THRESHOLD = 0.35;
+// testcases are matched against the words of a passage, not against these
+const STOPWORDS = new Set("the and for with that this from into than then when which who shall must should will can may are was were has have had not all any each its their there been being such only also per via".split(" "));
+
+function wordsOf(text) {
+  return new Set(
+    String(text || "").toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 2 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+      .map((w) => w.replace(/(ies|es|s)$/, ""))
+  );
+}
+
+// numbers and requirement ids ("3", "7.5", "FR-12"): a changed value is a strong signal
+function identifiersOf(text) {
+  return new Set(String(text || "").match(/\b[A-Z][A-Z0-9]{0,9}-\d+(?:\.\d+)*\b|\d+(?:\.\d+)?/g) || []);
+}
+
+function testcaseText(tc) {
+  return [tc.title, ...(tc.preconditions || []), ...(tc.steps || []), tc.expected].filter(Boolean).join("\n");
+}
+
+function passageMatch(tcTerms, passage) {
+  const words = wordsOf(passage.text);
+  if (!words.size) return null;
+  const shared = [...words].filter((w) => tcTerms.words.has(w));
+  if (!shared.length) return null;
+  const ids = [...identifiersOf(passage.text)].filter((id) => tcTerms.ids.has(id));
+  return { score: Math.min(1, shared.length / words.size + (ids.length ? 0.25 : 0)), shared: [...shared, ...ids] };
+}
+
+/**
+ * Text of one version of a requirement: the current extraction or a history entry.
+ * Returns null when that version's text was not kept.
+ */
+function versionText(requirement, version) {
+  const current = requirement.version || 1;
+  if (version === current) return requirement.extracted?.text || "";
+  const entry = (requirement.history || []).find((h) => h.version === version);
+  return entry && entry.text ? entry.text : null;
+}
+
+/**
+ * Requirement version a set (or a testcase) was generated from. Sets generated before
+ * versions were recorded are dated: the version that was current at their creation.
+ * Returns { version, recorded }.
+ */
+function basisVersion(requirement, set, tc) {
+  if (tc?.requirementVersion) return { version: tc.requirementVersion, recorded: true };
+  if (set.requirementVersion) return { version: set.requirementVersion, recorded: true };
+  const createdAt = set.createdAt ? new Date(set.createdAt) : new Date(0);
+  const replaced = (requirement.history || [])
+    .filter((h) => h.replacedAt && new Date(h.replacedAt) > createdAt)
+    .sort((a, b) => a.version - b.version)[0];
+  return { version: replaced ? replaced.version : requirement.version || 1, recorded: false };
+}
+
+/**
+ * Impact of the current requirement text on its generated sets.
+ * options: { fromVersion? (compare every set against this version), threshold? (0-1) }
+ * Returns { currentVersion, sets: [{ genId, basedOnVersion, recorded, changes, testcases, uncovered, suggestion }], summary }.
+ */
+function impactReport(requirement, sets, options = {}) {
+  const currentVersion = requirement.version || 1;
+  const currentText = requirement.extracted?.text || "";
+  const threshold = options.threshold > 0 && options.threshold <= 1 ? options.threshold : DEFAULT_STALE_THRESHOLD;
+  const diffs = new Map();
+  const diffFrom = (version) => {
+    if (!diffs.has(version)) {
+      const base = versionText(requirement, version);
+      diffs.set(version, base === null ? null : diffText(base, currentText, { context: 0 }));
+    }
+    return diffs.get(version);
+  };
+
+  const reports = sets.map((set) => {
+    const setBasis = options.fromVersion ? { version: options.fromVersion, recorded: true } : basisVersion(requirement, set);
+    const testcases = [];
+    const addedPassages = new Map();
+    for (const tc of set.testcases || []) {
+      const basis = options.fromVersion ? setBasis : basisVersion(requirement, set, tc);
+      const entry = { tc_id: tc.tc_id, title: tc.title, basedOnVersion: basis.version };
+      if (basis.version === currentVersion) {
+        testcases.push({ ...entry, status: "current" });
+        continue;
+      }
+      const diff = diffFrom(basis.version);
+      if (!diff) {
+        testcases.push({ ...entry, status: "unknown", reason: `text of version ${basis.version} was not kept` });
+        continue;
+      }
+      const terms = { words: wordsOf(testcaseText(tc)), ids: identifiersOf(testcaseText(tc)) };
+      const passages = [];
+      for (const change of diff.changes) {
+        if (change.to) {
+          const key = `${change.to.start}:${change.to.end}`;
+          const covered = passageMatch(terms, change.to);
+          const best = addedPassages.get(key) || { change, score: 0 };
+          addedPassages.set(key, { change, score: Math.max(best.score, covered?.score || 0) });
+        }
+        // modified and removed passages are what the testcase may have been built on
+        if (!change.from) continue;
+        const match = passageMatch(terms, change.from);
+        if (match && match.score >= threshold) {
+          passages.push({ type: change.type, before: change.from, after: change.to, score: Number(match.score.toFixed(2)), shared: match.shared });
+        }
+      }
+      testcases.push({
+        ...entry,
+        status: passages.length ? "stale" : "unaffected",
+        score: passages.length ? Math.max(...passages.map((p) => p.score)) : 0,
+        passages,
+      });
+    }
+
+    const stale = testcases.filter((t) => t.status === "stale");
+    const changed = testcases.some((t) => t.status !== "current");
+    // new text that none of the set's testcases matches
+    const uncovered = [...addedPassages.values()]
+      .filter((p) => p.change.type !== "removed" && p.score < threshold)
+      .map((p) => ({ type: p.change.type, text: p.change.to.text, start: p.change.to.start, end: p.change.to.end }));
+
+    let suggestion = { action: "none", reason: changed ? "the changes do not touch these testcases" : "generated from the current version" };
+    if (uncovered.length || (stale.length && stale.length * 2 > testcases.length)) {
+      suggestion = {
+        action: "regenerate_set",
+        reason: uncovered.length ? "the new version adds requirements no testcase covers" : "most testcases are stale",
+      };
+    } else if (stale.length) {
+      suggestion = { action: "regenerate_testcases", tcIds: stale.map((t) => t.tc_id), reason: "these testcases reference changed passages" };
+    }
+
+    const diff = setBasis.version !== currentVersion ? diffFrom(setBasis.version) : null;
+    return {
+      genId: set._id.toString(),
+      createdAt: set.createdAt,
+      basedOnVersion: setBasis.version,
+      recorded: setBasis.recorded,
+      changes: diff ? diff.changes.length : 0,
+      staleCount: stale.length,
+      testcases,
+      uncovered,
+      suggestion,
+    };
+  });
+
+  return {
+    currentVersion,
+    threshold,
+    sets: reports,
+    summary: {
+      sets: reports.length,
+      outdatedSets: reports.filter((r) => r.basedOnVersion !== currentVersion).length,
+      staleTestcases: reports.reduce((sum, r) => sum + r.staleCount, 0),
+      regenerateSets: reports.filter((r) => r.suggestion.action === "regenerate_set").map((r) => r.genId),
+    },
+  };
+}
+
+module.exports = {
+  versionText,
+  basisVersion,
+  impactReport,
+};
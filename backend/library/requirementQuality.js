@@ -0,0 +1,344 @@
+// backend/library/requirementQuality.js
+// Quality checks run on a requirement before testcases are generated from it. Vague
+// requirements make the model write tests like "Verify presence and completeness of
+// requirement text", so ambiguity, missing acceptance criteria, untestable or
+// conflicting statements and missing actors are reported with the passage they were
+// found in. The rules need no model; analyzeWithModel adds the model's findings on top.
+
+const { extractFirstJson, toPromptText } = require("./helper");
+const { acceptanceCriteriaFromText } = require("./jiraImport");
+
+const QUALITY_RULES = ["ambiguity", "acceptance_criteria", "untestable", "conflict", "actor"];
+const SEVERITY_PENALTY = { high: 15, medium: 7, low: 3 };
+// one rule cannot take more than this off the score, so a long document with many weak
+// words still shows its other problems
+const RULE_PENALTY_CAP = 40;
+const MAX_STATEMENTS = 500;
+
+const NORMATIVE_RE = /\b(shall|must|should|will|is required to|are required to)\b/i;
+const NEGATION_RE = /\b(not|never|no|cannot|neither|nor)\b|n't\b/i;
+
+// weak words and phrases: [pattern, severity, suggestion]
+const WEAK_TERMS = [
+  ["fast|quick(?:ly)?|rapid(?:ly)?|responsive|real[- ]time|timely|promptly", "medium", "State a time limit, e.g. \"within 2 seconds\"."],
+  ["user[- ]friendly|easy to use|easy|simple|intuitive|seamless(?:ly)?|convenient", "medium", "Name the observable behaviour or a usability measure."],
+  ["efficient(?:ly)?|optimal|optimi[sz]ed?|maximi[sz]e|minimi[sz]e|high[- ]performance|scalable", "medium", "Give the target value and how it is measured."],
+  ["robust|reliable|stable|flexible|secure(?:ly)?|safe(?:ly)?|state[- ]of[- ]the[- ]art|modern|high quality", "medium", "Say which failures, threats or conditions must be handled."],
+  ["appropriate(?:ly)?|adequate(?:ly)?|sufficient(?:ly)?|reasonable|acceptable|suitable|proper(?:ly)?|normal(?:ly)?", "medium", "Define what counts as appropriate or sufficient."],
+  ["as soon as possible|asap|if possible|where possible|where applicable|as applicable|as appropriate|as needed|if necessary|when necessary|to the extent possible", "medium", "Remove the escape clause or state the condition exactly."],
+  ["some|several|many|few|various|numerous|a lot of|most|large|small|approximately|about|around|roughly", "low", "Replace the vague quantity with a number or range."],
+  ["etc\\.?|and so on|and/or|including but not limited to|such as", "low", "List every case that is meant."],
+  ["tbd|tbc|to be determined|to be confirmed|to be defined", "high", "Resolve the open point before generating tests."],
+];
+const WEAK_RE = new RegExp(`(?<![\\w-])(${WEAK_TERMS.map(([p]) => `(?:${p})`).join("|")})(?![\\w-])`, "gi");
+const WEAK_MATCHERS = WEAK_TERMS.map(([p, severity, suggestion]) => ({ re: new RegExp(`^(?:${p})$`, "i"), severity, suggestion }));
+
+const ABSOLUTE_RE = /(?<![\w-])(always|never|all|every|any|at all times|under all conditions|100\s?%|unlimited|infinite(?:ly)?|completely|fully|without (?:any )?(?:failure|error|delay)s?)(?![\w-])/i;
+// "The system shall be secure." — a quality without a criterion
+const BARE_QUALITY_RE = /\b(?:shall|must|should|will)\s+(?:always\s+)?be\s+(?:very\s+|highly\s+|fully\s+)?([a-z-]+)\s*[.;!]?\s*$/i;
+const PASSIVE_RE = /\b(?:shall|must|should|will)\s+(?:not\s+)?be\s+(\w+ed|\w+en|sent|shown|kept|built|made|set|put|read|held|run)\b/i;
+const PRONOUN_SUBJECT_RE = /^(?:it|they|this|that|these|those|one|we|there)$/i;
+
+const STOPWORDS = new Set("a an the of to for in on at by with and or be is are was were it its this that these those as from into than then when which who whom whose shall must should will can may all any each".split(" "));
+
+function span(text, start, end) {
+  return { start, end, text: text.slice(start, end) };
+}
+
+/**
+ * Sentences of the text with their offsets; list items and lines without closing
+ * punctuation end a sentence too.
+ */
+function sentencesOf(text) {
+  const out = [];
+  const re = /[^\n]+?(?:[.!?;]+(?=\s|$)|(?=\n)|$)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!m[0]) {
+      re.lastIndex += 1;
+      continue;
+    }
+    const lead = m[0].length - m[0].trimStart().length;
+    const body = m[0].trim();
+    if (body) out.push({ start: m.index + lead, end: m.index + lead + body.length, text: body });
+  }
+  return out;
+}
+
+function contentWords(sentence) {
+  return new Set(
+    sentence.toLowerCase()
+      .replace(/\b(not|never|no|cannot|neither|nor)\b|n't\b/g, " ")
+      .split(/[^a-z]+/)
+      .filter((w) => w.length > 2 && !STOPWORDS.has(w))
+      .map((w) => w.replace(/(ies|es|s)$/, ""))
+  );
+}
+
+function numbersOf(sentence) {
+  return (sentence.match(/\d+(?:[.,]\d+)?/g) || []).map((n) => n.replace(",", ".")).sort().join(",");
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+function checkAmbiguity(text, findings) {
+  for (const m of text.matchAll(WEAK_RE)) {
+    const matcher = WEAK_MATCHERS.find((w) => w.re.test(m[0])) || WEAK_MATCHERS[0];
+    findings.push({
+      rule: "ambiguity",
+      severity: matcher.severity,
+      message: `Weak or ambiguous term "${m[0]}"`,
+      suggestion: matcher.suggestion,
+      span: span(text, m.index, m.index + m[0].length),
+    });
+  }
+}
+
+function checkAcceptanceCriteria(text, normative, options, findings) {
+  const hasCriteria = !!String(options.acceptanceCriteria || "").trim()
+    || !!acceptanceCriteriaFromText(text)
+    || /^\s*(?:[-*]\s*)?(given|when|then)\b/im.test(text);
+  if (hasCriteria) return;
+  findings.push({
+    rule: "acceptance_criteria",
+    severity: normative.some((s) => /\d/.test(s.text)) ? "low" : "medium",
+    message: "No acceptance criteria (an \"Acceptance criteria\" section or Given/When/Then)",
+    suggestion: "Add criteria that say how a tester decides pass or fail.",
+    span: null,
+  });
+}
+
+function checkUntestable(text, normative, findings) {
+  if (!normative.length) {
+    findings.push({
+      rule: "untestable",
+      severity: "high",
+      message: "No normative statement (shall, must, should, will) to test against",
+      suggestion: "Phrase the requirement as \"<actor> shall <observable behaviour>\".",
+      span: null,
+    });
+    return;
+  }
+  for (const s of normative) {
+    const bare = BARE_QUALITY_RE.exec(s.text);
+    if (bare && !/\d/.test(s.text) && !/^(able|capable|possible)$/i.test(bare[1]) && !PASSIVE_RE.test(s.text)) {
+      findings.push({
+        rule: "untestable",
+        severity: "high",
+        message: `States the quality "${bare[1]}" without a way to verify it`,
+        suggestion: "Add the measurable condition that makes it true.",
+        span: span(text, s.start, s.end),
+      });
+      continue;
+    }
+    const absolute = ABSOLUTE_RE.exec(s.text);
+    if (absolute) {
+      const start = s.start + absolute.index;
+      findings.push({
+        rule: "untestable",
+        severity: "low",
+        message: `Unbounded "${absolute[0]}" cannot be verified exhaustively`,
+        suggestion: "Bound it: which cases, for how long, under which load.",
+        span: span(text, start, start + absolute[0].length),
+      });
+    }
+  }
+}
+
+function checkConflicts(text, normative, findings) {
+  const items = normative.slice(0, MAX_STATEMENTS).map((s) => ({
+    ...s,
+    words: contentWords(s.text),
+    negated: NEGATION_RE.test(s.text),
+    numbers: numbersOf(s.text),
+  }));
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i];
+      const b = items[j];
+      if (a.words.size < 3 || b.words.size < 3 || similarity(a.words, b.words) < 0.6) continue;
+      let message = null;
+      if (a.negated !== b.negated) message = "Contradicts an earlier statement (one of them is negated)";
+      else if (a.numbers && b.numbers && a.numbers !== b.numbers) message = "Gives a different value than an earlier statement about the same thing";
+      if (!message) continue;
+      findings.push({
+        rule: "conflict",
+        severity: a.negated !== b.negated ? "high" : "medium",
+        message,
+        suggestion: "Keep one of the statements or state when each applies.",
+        span: span(text, b.start, b.end),
+        related: span(text, a.start, a.end),
+      });
+    }
+  }
+}
+
+function checkActors(text, normative, findings) {
+  for (const s of normative) {
+    const modal = NORMATIVE_RE.exec(s.text);
+    const subject = s.text.slice(0, modal.index)
+      .replace(/^\s*\[?[A-Z][A-Z0-9]{0,9}(?:[-_][A-Z0-9]+)*[-_.]\d+(?:\.\d+)*\]?\s*[:.)–-]?\s*/, "")
+      .replace(/^\s*(?:\d+(?:\.\d+)*[.)]?|[-*•])\s*/, "")
+      .replace(/^(?:when|if|after|before|once|upon|while)\b[^,]*,\s*/i, "")
+      .trim();
+    if (!subject || PRONOUN_SUBJECT_RE.test(subject)) {
+      findings.push({
+        rule: "actor",
+        severity: "medium",
+        message: subject ? `The actor "${subject}" is not named` : "No actor performs this action",
+        suggestion: "Name the system, component or user role that is responsible.",
+        span: span(text, s.start, s.end),
+      });
+      continue;
+    }
+    const passive = PASSIVE_RE.exec(s.text);
+    if (passive && !/\bby\b/i.test(s.text.slice(passive.index))) {
+      findings.push({
+        rule: "actor",
+        severity: "low",
+        message: `Passive "${passive[0]}" does not say who does it`,
+        suggestion: "Say which actor performs the action (\"... by the system\").",
+        span: span(text, s.start, s.end),
+      });
+    }
+  }
+}
+
+/**
+ * Score 0-100 from findings: each one costs by severity, capped per rule.
+ */
+function scoreFindings(findings) {
+  const perRule = {};
+  for (const f of findings) perRule[f.rule] = (perRule[f.rule] || 0) + (SEVERITY_PENALTY[f.severity] || SEVERITY_PENALTY.low);
+  const penalty = Object.values(perRule).reduce((sum, p) => sum + Math.min(p, RULE_PENALTY_CAP), 0);
+  return Math.max(0, Math.round(100 - penalty));
+}
+
+function countByRule(findings) {
+  const counts = Object.fromEntries(QUALITY_RULES.map((r) => [r, 0]));
+  for (const f of findings) counts[f.rule] = (counts[f.rule] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Rule-based analysis of requirement text.
+ * options: { acceptanceCriteria? } (e.g. from a Jira field)
+ * Returns { score, findings: [{ rule, severity, message, suggestion, span, related?, source }], counts, stats }.
+ * span is { start, end, text } in the analyzed text, or null for findings about the whole requirement.
+ */
+function analyzeRequirementText(text, options = {}) {
+  const body = String(text || "");
+  const sentences = sentencesOf(body);
+  const normative = sentences.filter((s) => NORMATIVE_RE.test(s.text));
+  const findings = [];
+  checkAmbiguity(body, findings);
+  checkAcceptanceCriteria(body, normative, options, findings);
+  checkUntestable(body, normative, findings);
+  checkConflicts(body, normative, findings);
+  checkActors(body, normative, findings);
+  for (const f of findings) f.source = "rules";
+  findings.sort((a, b) => (a.span?.start ?? -1) - (b.span?.start ?? -1));
+  return {
+    score: scoreFindings(findings),
+    findings,
+    counts: countByRule(findings),
+    stats: { chars: body.length, sentences: sentences.length, statements: normative.length },
+  };
+}
+
+function locateQuote(text, quote) {
+  const q = String(quote || "").trim();
+  if (!q) return null;
+  let start = text.indexOf(q);
+  if (start === -1) start = text.toLowerCase().indexOf(q.toLowerCase());
+  return start === -1 ? null : span(text, start, start + q.length);
+}
+
+function overlaps(a, b) {
+  return !!a && !!b && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Model layer: ask the model for findings the rules cannot see (domain vagueness,
+ * implicit conflicts). Resolves to { findings, error? }; model findings repeating a
+ * rule finding on the same passage are dropped.
+ * options: { llm, text, title, reqId, ruleFindings, context }
+ */
+async function analyzeWithModel(options) {
+  const { llm, text, title, ruleFindings = [] } = options;
+  if (!llm) return { findings: [], error: "AI client not initialized" };
+
+  const prompt = `You review software requirements before test design. Report problems that make the requirement hard to test.
+Return ONLY a JSON object: { "findings": [ { "rule", "severity", "quote", "message", "suggestion" } ] }
+- rule: one of ${QUALITY_RULES.join(", ")}
+- severity: high, medium or low
+- quote: the exact words from the requirement the finding is about (empty string for the requirement as a whole)
+Do not repeat these findings, which were already reported:
+${ruleFindings.map((f) => `- ${f.rule}: ${f.message}`).join("\n") || "- none"}
+
+REQUIREMENT ${options.reqId || ""}: ${title || ""}
+${toPromptText(text)}`;
+
+  let resp;
+  try {
+    resp = await llm.generate({ prompt: [{ text: prompt }], context: { ...(options.context || {}), operation: "analyze" } });
+  } catch (err) {
+    return { findings: [], error: String(err?.message || err) };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(extractFirstJson(resp.text, "object") || "null");
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || !Array.isArray(parsed.findings)) return { findings: [], error: "Model did not return a findings object" };
+
+  const findings = [];
+  for (const raw of parsed.findings) {
+    if (!QUALITY_RULES.includes(raw?.rule) || !raw.message) continue;
+    const found = locateQuote(text, raw.quote);
+    if (ruleFindings.some((f) => f.rule === raw.rule && (found ? overlaps(f.span, found) : !f.span))) continue;
+    findings.push({
+      rule: raw.rule,
+      severity: SEVERITY_PENALTY[raw.severity] ? raw.severity : "low",
+      message: String(raw.message).slice(0, 500),
+      suggestion: raw.suggestion ? String(raw.suggestion).slice(0, 500) : undefined,
+      span: found,
+      source: "model",
+    });
+  }
+  return { findings };
+}
+
+/**
+ * Rule findings plus model findings, rescored.
+ */
+function mergeAnalysis(ruleAnalysis, modelFindings) {
+  const findings = [...ruleAnalysis.findings, ...modelFindings];
+  return { ...ruleAnalysis, score: scoreFindings(findings), findings, counts: countByRule(findings) };
+}
+
+/**
+ * Minimum score for POST /testcases (REQUIREMENT_MIN_QUALITY_SCORE); null disables the gate.
+ */
+function minimumQualityScore() {
+  const raw = process.env.REQUIREMENT_MIN_QUALITY_SCORE;
+  if (raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : null;
+}
+
+module.exports = {
+  QUALITY_RULES,
+  analyzeRequirementText,
+  analyzeWithModel,
+  mergeAnalysis,
+  scoreFindings,
+  minimumQualityScore,
+};
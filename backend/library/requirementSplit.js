@@ -0,0 +1,238 @@
+// backend/library/requirementSplit.js
+// Decomposition of one large requirements document (an SRS with dozens of "shall"
+// statements) into individual requirements. Works on the extracted text: requirement
+// IDs ("FR-12:") and numbered sections ("3.2.1 Login") start blocks, and inside
+// sections without their own IDs every shall/must statement becomes a requirement.
+// The result is only a proposal; the user accepts or edits it before child
+// Requirements are created.
+
+const { pageAtOffset } = require("./helper");
+
+const DEFAULT_MAX_ITEMS = 200;
+const MAX_TITLE = 120;
+
+// normative statements
+const STATEMENT_RE = /\b(shall|must|is required to|are required to)\b/i;
+// "FR-12: ...", "[REQ-001] ...", "SRS-UI-3.1 ..."
+const REQ_ID_RE = /^\s*\[?([A-Z][A-Z0-9]{0,9}(?:[-_][A-Z0-9]{1,10})*[-_.]\d+(?:\.\d+)*)\]?\s*[:.)–-]?\s+(?=\S)/;
+// "3.2.1 Login", "4. The system shall ...", "2) Reports"
+const SECTION_RE = /^\s*(\d{1,3}(?:\.\d{1,3})*)(?:\.|\))?\s+(?=[A-Za-z(])/;
+// table of contents entries: "3.1 Login ........ 12"
+const TOC_RE = /(\.{4,}|…{2,}|\s{3,})\s*\d+\s*$/;
+const LIST_ITEM_RE = /^\s*([-*•▪◦]|[a-z][.)]|\(?[ivx]+\))\s+/;
+
+function lineIndex(text) {
+  const lines = [];
+  let offset = 0;
+  for (const line of String(text || "").split("\n")) {
+    lines.push({ text: line, offset });
+    offset += line.length + 1;
+  }
+  return lines;
+}
+
+function markerOf(line) {
+  if (!line.trim() || TOC_RE.test(line)) return null;
+  const id = REQ_ID_RE.exec(line);
+  if (id && /[A-Za-z]/.test(id[1]) && /\d/.test(id[1])) return { kind: "numbered", label: id[1], rest: line.slice(id[0].length) };
+  const section = SECTION_RE.exec(line);
+  // long numbered lines without a statement are wrapped prose, not headings
+  if (section && (line.length <= 120 || STATEMENT_RE.test(line))) {
+    return { kind: "section", label: section[1], rest: line.slice(section[0].length) };
+  }
+  return null;
+}
+
+function oneLine(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function titleOf(text) {
+  const first = oneLine(text).split(/(?<=[.;:!?])\s/)[0] || "";
+  return first.length > MAX_TITLE ? `${first.slice(0, MAX_TITLE - 1).trimEnd()}…` : first.replace(/[.:;]$/, "");
+}
+
+// a short line without closing punctuation that follows a blank line
+function looksLikeHeading(lines, i) {
+  const line = lines[i].text.trim();
+  return !!line && line.length <= 80 && !/[.;:,]$/.test(line) && !STATEMENT_RE.test(line)
+    && !LIST_ITEM_RE.test(line) && (i === 0 || !lines[i - 1].text.trim());
+}
+
+/**
+ * Paragraphs and list items of a block as { text, offset, length }. Wrapped lines are
+ * joined with the unit they continue.
+ */
+function unitsOf(lines) {
+  const units = [];
+  let current = null;
+  for (const line of lines) {
+    if (!line.text.trim()) {
+      current = null;
+      continue;
+    }
+    if (!current || LIST_ITEM_RE.test(line.text)) {
+      current = { offset: line.offset + (line.text.length - line.text.trimStart().length), end: line.offset + line.text.trimEnd().length, list: LIST_ITEM_RE.test(line.text) };
+      units.push(current);
+    } else {
+      current.end = line.offset + line.text.trimEnd().length;
+    }
+  }
+  return units;
+}
+
+/**
+ * Shall/must statements of a block as spans { offset, length }. A statement that ends
+ * with ":" takes the list items after it ("The system shall support: - A - B").
+ */
+function statementsOf(text, lines) {
+  const spans = [];
+  const units = unitsOf(lines);
+  for (let u = 0; u < units.length; u++) {
+    const unit = units[u];
+    const body = text.slice(unit.offset, unit.end);
+    // sentence ends are punctuation followed by whitespace, so "3.5 s" or "e.g" stay whole
+    const ends = [...body.matchAll(/[.!?;]+(?=\s|$)/g)].map((m) => m.index + m[0].length);
+    if (!ends.length || ends[ends.length - 1] < body.length) ends.push(body.length);
+    let start = 0;
+    for (const end of ends) {
+      const sentence = body.slice(start, end);
+      const lead = sentence.length - sentence.trimStart().length;
+      if (STATEMENT_RE.test(sentence)) spans.push({ offset: unit.offset + start + lead, length: sentence.trim().length });
+      start = end;
+    }
+    const last = spans[spans.length - 1];
+    if (last && last.offset + last.length === unit.end && /:$/.test(body.trimEnd())) {
+      while (units[u + 1]?.list && !STATEMENT_RE.test(text.slice(units[u + 1].offset, units[u + 1].end))) {
+        u += 1;
+        last.length = units[u].end - last.offset;
+      }
+    }
+  }
+  return spans;
+}
+
+function sanitizeLabel(label) {
+  return String(label || "").replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Propose child requirements for a document.
+ * extracted: the parent's extraction record ({ text, pageOffsets? })
+ * options: { parentReqId, maxItems? }
+ * Returns { items: [{ id, label, kind, title, heading, text, offset, length, page }], stats }.
+ * kind is "numbered" (has its own requirement ID), "section" (a numbered section with one
+ * statement) or "statement" (one of several statements of a section or unnumbered text).
+ */
+function proposeSplit(extracted, options = {}) {
+  const text = String(extracted?.text || "");
+  const lines = lineIndex(text);
+  const maxItems = Math.max(1, Math.min(1000, parseInt(options.maxItems, 10) || DEFAULT_MAX_ITEMS));
+
+  // blocks start at a requirement ID or a numbered section line
+  const blocks = [];
+  let block = { marker: null, start: 0, lines: [] };
+  let heading = "";
+  for (let i = 0; i < lines.length; i++) {
+    const marker = markerOf(lines[i].text);
+    if (marker) {
+      blocks.push(block);
+      block = { marker, start: i, lines: [], heading };
+    } else if (looksLikeHeading(lines, i)) {
+      // an unnumbered heading ends the numbered block before it
+      heading = oneLine(lines[i].text);
+      blocks.push(block);
+      block = { marker: null, start: i, lines: [], heading, headed: true };
+    }
+    if (marker?.kind === "section" && !STATEMENT_RE.test(lines[i].text)) heading = oneLine(lines[i].text);
+    block.lines.push(lines[i]);
+  }
+  blocks.push(block);
+
+  const raw = [];
+  let skippedSections = 0;
+  for (const b of blocks) {
+    if (!b.lines.length) continue;
+    const first = b.lines[0];
+    const last = b.lines[b.lines.length - 1];
+    const blockText = text.slice(first.offset, last.offset + last.text.length).trim();
+    const headingLine = (b.marker || b.headed) && !STATEMENT_RE.test(first.text) ? oneLine(first.text) : "";
+    const statements = statementsOf(text, headingLine ? b.lines.slice(1) : b.lines);
+
+    if (b.marker?.kind === "numbered") {
+      raw.push({ label: b.marker.label, kind: "numbered", title: titleOf(b.marker.rest), heading: b.heading || "", offset: first.offset, text: blockText });
+      continue;
+    }
+    if (!statements.length) {
+      if (b.marker) skippedSections += 1;
+      continue;
+    }
+
+    if (b.marker && statements.length === 1) {
+      raw.push({
+        label: b.marker.label,
+        kind: "section",
+        title: titleOf(headingLine ? b.marker.rest : text.slice(statements[0].offset, statements[0].offset + statements[0].length)),
+        heading: headingLine || b.heading || "",
+        offset: first.offset,
+        text: blockText,
+      });
+      continue;
+    }
+    statements.forEach((s, n) => {
+      raw.push({
+        label: b.marker ? `${b.marker.label}-${n + 1}` : "",
+        kind: "statement",
+        title: titleOf(text.slice(s.offset, s.offset + s.length).replace(REQ_ID_RE, "").replace(SECTION_RE, "")),
+        heading: headingLine || b.heading || "",
+        offset: s.offset,
+        text: text.slice(s.offset, s.offset + s.length),
+      });
+    });
+  }
+
+  const used = new Set();
+  let seq = 0;
+  const items = raw.slice(0, maxItems).map((item) => {
+    seq += 1;
+    const base = `${options.parentReqId ? `${options.parentReqId}-` : ""}${sanitizeLabel(item.label) || `R${String(seq).padStart(3, "0")}`}`;
+    let id = base;
+    for (let k = 2; used.has(id); k++) id = `${base}-${k}`;
+    used.add(id);
+    return {
+      id,
+      label: item.label,
+      kind: item.kind,
+      title: item.title || id,
+      heading: item.heading,
+      text: item.text,
+      offset: item.offset,
+      length: item.text.length,
+      page: pageAtOffset(extracted?.pageOffsets, item.offset),
+    };
+  });
+
+  return {
+    items,
+    stats: {
+      blocks: blocks.filter((b) => b.marker).length,
+      detected: raw.length,
+      truncated: raw.length > items.length,
+      skippedSections,
+    },
+  };
+}
+
+/**
+ * Text stored on a child requirement: the statement with its section heading as context.
+ */
+function childRequirementText(item) {
+  const heading = oneLine(item.heading);
+  return heading && !String(item.text).startsWith(heading) ? `${heading}\n${item.text}` : String(item.text);
+}
+
+module.exports = {
+  STATEMENT_RE,
+  proposeSplit,
+  childRequirementText,
+};
@@ -0,0 +1,251 @@
+// backend/library/requirementText.js
+// Requirements that arrive as text rather than as an uploaded document: plain text,
+// Markdown, HTML pages and Confluence exports (the HTML export or the storage-format
+// XML). Everything is reduced to plain text with its line structure (headings, list
+// items, table rows) kept, which is what generation and the requirement checks read.
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+
+const REQUIREMENT_FORMATS = ["text", "markdown", "html", "confluence"];
+const DEFAULT_URL_MAX_BYTES = 5 * 1024 * 1024;
+const URL_TIMEOUT_MS = 20000;
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0", ndash: "–", mdash: "—",
+  hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•", middot: "·",
+  copy: "©", reg: "®", trade: "™", deg: "°", times: "×", le: "≤", ge: "≥",
+};
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function tidyLines(text) {
+  return String(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * HTML -> text. Block elements start new lines, list items become "- " lines, table
+ * cells are joined with " | "; scripts, styles and page chrome are dropped.
+ */
+function htmlToText(html) {
+  let s = String(html || "");
+  s = s.replace(/<!--[\s\S]*?-->/g, "");
+  s = s.replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1\s*>/gi, "");
+  s = s.replace(/<br\s*\/?>/gi, "\n");
+  s = s.replace(/<li\b[^>]*>/gi, "\n- ");
+  s = s.replace(/<h([1-6])\b[^>]*>/gi, "\n\n");
+  s = s.replace(/<\/h[1-6]\s*>/gi, "\n");
+  s = s.replace(/<\/t[dh]\s*>\s*(?=<t[dh]\b)/gi, " | ");
+  s = s.replace(/<\/?(p|div|section|article|main|header|aside|blockquote|pre|ul|ol|dl|dt|dd|table|thead|tbody|tr|figure|figcaption|hr)\b[^>]*>/gi, "\n");
+  s = s.replace(/<[^>]+>/g, "");
+  return tidyLines(decodeEntities(s));
+}
+
+/**
+ * Markdown -> text: emphasis, link and image syntax removed, headings and list items
+ * kept as lines, fenced code kept verbatim.
+ */
+function markdownToText(md) {
+  const out = [];
+  let inFence = false;
+  for (const raw of String(md || "").replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      out.push(raw);
+      continue;
+    }
+    let line = raw
+      .replace(/^\s{0,3}#{1,6}\s+/, "")
+      .replace(/\s+#+\s*$/, "")
+      .replace(/^\s{0,3}>\s?/, "")
+      .replace(/^(\s*)[*+]\s+/, "$1- ")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, "$1 ($2)")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/<[^>]+>/g, "");
+    if (/^\s*([-*_]\s*){3,}$/.test(line)) line = "";
+    // table separator rows
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue;
+    if (/^\s*\|.*\|\s*$/.test(line)) line = line.trim().replace(/^\||\|$/g, "").split("|").map((c) => c.trim()).join(" | ");
+    out.push(line);
+  }
+  return tidyLines(decodeEntities(out.join("\n")));
+}
+
+/**
+ * Confluence export -> text. Handles the HTML export of a page (main-content only) and
+ * storage-format XML (ac:/ri: macros, CDATA bodies, entities.xml body properties).
+ */
+function confluenceToText(content) {
+  let s = String(content || "");
+  // entities.xml keeps page bodies as escaped HTML inside CDATA
+  const bodies = [...s.matchAll(/<property name="body(?:Content)?"[^>]*>\s*<!\[CDATA\[([\s\S]*?)\]\]>/g)].map((m) => m[1]);
+  if (bodies.length) s = bodies.join("\n\n");
+
+  const main = /<div[^>]+id="main-content"[^>]*>([\s\S]*?)<\/div>\s*(?:<div[^>]+(?:id="footer"|class="pageSection)|<\/body>)/i.exec(s);
+  if (main) s = main[1];
+
+  s = s.replace(/<ac:parameter\b[\s\S]*?<\/ac:parameter>/gi, "");
+  s = s.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, body) => body.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+  s = s.replace(/<ac:task-body\b[^>]*>/gi, "<li>");
+  s = s.replace(/<ri:page\b[^>]*ri:content-title="([^"]*)"[^>]*\/>/gi, "$1");
+  s = s.replace(/<ri:user\b[^>]*\/>/gi, "@user");
+  s = s.replace(/<ri:attachment\b[^>]*ri:filename="([^"]*)"[^>]*\/?>/gi, "$1");
+  // inline macros stay inside their sentence
+  s = s.replace(/<\/?ac:(link|link-body|plain-text-link-body|emoticon|image|inline-comment-marker)\b[^>]*>/gi, "");
+  s = s.replace(/<\/?(ac|ri):[^>]*>/gi, "\n");
+  return htmlToText(s);
+}
+
+// title of an HTML/Confluence page: <title>, Confluence's title heading or the first <h1>
+function htmlTitle(html) {
+  const s = String(html || "");
+  const m = /<h1[^>]+id="title-heading"[^>]*>([\s\S]*?)<\/h1>/i.exec(s)
+    || /<title[^>]*>([\s\S]*?)<\/title>/i.exec(s)
+    || /<h1\b[^>]*>([\s\S]*?)<\/h1>/i.exec(s);
+  return m ? htmlToText(m[1]).replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * Guess the format of submitted content from its content type, file name and text.
+ */
+function detectFormat(content, contentType = "", filename = "") {
+  const type = String(contentType).toLowerCase();
+  const name = String(filename).toLowerCase();
+  const head = String(content || "").slice(0, 4000);
+  if (/<ac:|<ri:|<hibernate-generic|id="main-content"|class="confluence/i.test(head)) return "confluence";
+  if (type.includes("html") || /\.x?html?$/.test(name) || /<(html|body|p|div|h1|ul|table)\b/i.test(head)) return "html";
+  if (type.includes("xml") || name.endsWith(".xml")) return "confluence";
+  if (type.includes("markdown") || /\.(md|markdown)$/.test(name) || /^\s{0,3}(#{1,6}\s|[-*+]\s|\d+\.\s|```)/m.test(head)) {
+    return "markdown";
+  }
+  return "text";
+}
+
+/**
+ * Plain text of requirement content. format defaults to detectFormat.
+ * Returns { text, format, title } (title only for HTML/Confluence pages that have one).
+ */
+function requirementTextFrom(content, { format, contentType, filename } = {}) {
+  const fmt = format || detectFormat(content, contentType, filename);
+  if (!REQUIREMENT_FORMATS.includes(fmt)) throw new Error(`format must be one of ${REQUIREMENT_FORMATS.join(", ")}`);
+  if (fmt === "html") return { text: htmlToText(content), format: fmt, title: htmlTitle(content) };
+  if (fmt === "confluence") return { text: confluenceToText(content), format: fmt, title: htmlTitle(content) };
+  if (fmt === "markdown") return { text: markdownToText(content), format: fmt, title: "" };
+  return { text: tidyLines(String(content || "").replace(/\r\n?/g, "\n")), format: fmt, title: "" };
+}
+
+// addresses a requirement URL must not reach: private, loopback, link-local, shared,
+// benchmarking, documentation, multicast and reserved ranges, plus the IPv6 prefixes that
+// embed an IPv4 address (NAT64, 6to4). BlockList also matches IPv4-mapped IPv6 in both
+// forms ("::ffff:127.0.0.1" and "::ffff:7f00:1") against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 96], ["::1", 128], ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["100::", 64], ["2001::", 23],
+  ["2001:db8::", 32], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function allowPrivateAddresses() {
+  return process.env.REQUIREMENT_URL_ALLOW_PRIVATE === "true";
+}
+
+// dns.lookup that refuses blocked addresses; used by the agents of the request itself, so
+// the address that was checked is the one connected to (no second resolution to rebind)
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!allowPrivateAddresses() && addresses.some((a) => isBlockedAddress(a.address))) {
+      return callback(new Error(`Host ${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+/**
+ * Download a requirement page. Only http(s); hosts resolving to private, loopback or
+ * reserved addresses are refused unless REQUIREMENT_URL_ALLOW_PRIVATE=true, and
+ * REQUIREMENT_URL_ALLOWED_HOSTS (comma separated) restricts the hosts when set.
+ * Resolves to { content, contentType, url }.
+ */
+async function fetchRequirementUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl));
+  } catch (e) {
+    throw new Error("Invalid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error("Only http and https URLs are supported");
+
+  const allowed = String(process.env.REQUIREMENT_URL_ALLOWED_HOSTS || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean);
+  if (allowed.length && !allowed.includes(url.hostname.toLowerCase())) throw new Error(`Host ${url.hostname} is not allowed`);
+  // IP literals are connected to without a lookup, so they are checked here
+  const literal = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(literal) && !allowPrivateAddresses() && isBlockedAddress(literal)) {
+    throw new Error(`Host ${url.hostname} is a private or reserved address`);
+  }
+
+  const maxBytes = Number(process.env.REQUIREMENT_URL_MAX_BYTES) || DEFAULT_URL_MAX_BYTES;
+  const resp = await axios.get(url.href, {
+    responseType: "text",
+    timeout: URL_TIMEOUT_MS,
+    maxContentLength: maxBytes,
+    // redirects could lead to hosts that were not checked
+    maxRedirects: 0,
+    httpAgent,
+    httpsAgent,
+    // a proxy would resolve the host itself
+    proxy: false,
+    headers: { Accept: "text/html,application/xhtml+xml,application/xml,text/markdown,text/plain;q=0.9" },
+  });
+  return { content: String(resp.data || ""), contentType: String(resp.headers["content-type"] || ""), url: url.href };
+}
+
+module.exports = {
+  REQUIREMENT_FORMATS,
+  htmlToText,
+  markdownToText,
+  confluenceToText,
+  detectFormat,
+  requirementTextFrom,
+  fetchRequirementUrl,
+};
@@ -0,0 +1,244 @@
+// backend/library/retrieval.js
+// Clause-level chunking of standards and a local BM25 ranker, so prompts carry the
+// clauses relevant to a requirement instead of the first N characters of a document.
+
+const DEFAULT_TOP_K = 6;
+const DEFAULT_MAX_CHARS = 8000;
+const MAX_CHUNK_CHARS = 2500;
+const INDEX_CACHE_SIZE = 20;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be been but by can could do does for from has have if in into is it its may " +
+    "must not of on or shall should such than that the their then there these they this those to " +
+    "was were which while who will with within without would all any each other also only per via")
+    .split(" ")
+);
+
+// "5.1.2 Software development planning", "5 General", "A.3 Annex heading"
+const NUMBERED_HEADING_RE = /^\s*((?:[A-Z]|\d{1,2})(?:\.\d{1,3}){0,5})\.?\s+([A-Z(].{1,160})$/;
+// "§ 164.312 Technical safeguards.", "Section 4 Scope", "Clause 7", "Annex B (informative)"
+const NAMED_HEADING_RE = /^\s*((?:§+\s*[\d.]+[a-z]?)|(?:(?:Section|Clause|Article|Annex|Appendix)\s+[A-Z0-9][\w.]*))\s*[:.\-–]?\s*(.{0,160})$/;
+// table of contents entries: "5.1 Software development planning ........ 14"
+const TOC_LINE_RE = /(\.\s?){4,}\s*\d+\s*$|\s{3,}\d+\s*$/;
+
+function detectHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 180 || TOC_LINE_RE.test(trimmed)) return null;
+
+  const named = NAMED_HEADING_RE.exec(trimmed);
+  if (named) return { clause: named[1].replace(/\s+/g, " "), heading: named[2].trim() };
+
+  const numbered = NUMBERED_HEADING_RE.exec(trimmed);
+  if (numbered) {
+    const clause = numbered[1];
+    // single letters without a sub-number ("A Requirement ...") are ordinary sentences
+    if (/^[A-Z]$/.test(clause)) return null;
+    // headings are short and do not end like a sentence fragment ending in a comma
+    const heading = numbered[2].trim();
+    if (/[,;]$/.test(heading) || heading.split(/\s+/).length > 18) return null;
+    return { clause, heading };
+  }
+  return null;
+}
+
+function splitLongChunk(chunk) {
+  if (chunk.text.length <= MAX_CHUNK_CHARS) return [chunk];
+  const out = [];
+  const paragraphs = chunk.text.split("\n");
+  let buf = "";
+  for (const p of paragraphs) {
+    if (buf && buf.length + p.length + 1 > MAX_CHUNK_CHARS) {
+      out.push(buf);
+      buf = "";
+    }
+    buf = buf ? `${buf}\n${p}` : p;
+    while (buf.length > MAX_CHUNK_CHARS) {
+      out.push(buf.slice(0, MAX_CHUNK_CHARS));
+      buf = buf.slice(MAX_CHUNK_CHARS);
+    }
+  }
+  if (buf.trim()) out.push(buf);
+  return out.map((text, i) => ({ ...chunk, part: i + 1, text }));
+}
+
+/**
+ * Split extracted standard text into clause-level chunks.
+ * Returns [{ clause, heading, text, offset, part? }]; clause is null for text
+ * before the first heading or when the document has no detectable numbering.
+ */
+function chunkStandard(text) {
+  const source = String(text || "");
+  const lines = source.split("\n");
+  const chunks = [];
+  let current = { clause: null, heading: "", lines: [], offset: 0 };
+  let carriedHeadings = [];
+  let offset = 0;
+
+  const flush = () => {
+    const body = current.lines.join("\n").trim();
+    if (!body) {
+      // heading directly followed by a sub-heading: keep it as context for the next chunk
+      if (current.clause) carriedHeadings.push(`${current.clause} ${current.heading}`.trim());
+      return;
+    }
+    const context = carriedHeadings.length ? `${carriedHeadings.join("\n")}\n` : "";
+    carriedHeadings = [];
+    chunks.push({ clause: current.clause, heading: current.heading, text: context + body, offset: current.offset });
+  };
+
+  for (const line of lines) {
+    const heading = detectHeading(line);
+    if (heading) {
+      flush();
+      current = { clause: heading.clause, heading: heading.heading, lines: [], offset };
+    } else {
+      current.lines.push(line);
+    }
+    offset += line.length + 1;
+  }
+  flush();
+
+  return chunks.flatMap(splitLongChunk);
+}
+
+function stem(token) {
+  if (token.length > 5 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (token.length > 5 && token.endsWith("ing")) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith("ed")) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+  return token;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t) && !/^\d+$/.test(t))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index over chunks.
+ */
+function buildIndex(chunks) {
+  const docs = chunks.map((chunk) => {
+    const tokens = tokenize(`${chunk.heading || ""} ${chunk.text}`);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of doc.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { chunks, docs, df, avgLength };
+}
+
+/**
+ * Rank chunks against a query. Returns [{ chunk, score }] sorted by score (desc), top k.
+ */
+function search(index, query, k = DEFAULT_TOP_K) {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.docs.length;
+  const scored = index.docs.map((doc, i) => {
+    let score = 0;
+    for (const term of terms) {
+      const tf = doc.tf.get(term);
+      if (!tf) continue;
+      const df = index.df.get(term) || 0;
+      const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+      score += idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / (index.avgLength || 1))));
+    }
+    return { chunk: index.chunks[i], score };
+  });
+  return scored
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// chunking + indexing a 200-page standard is not free; keep recent ones by content hash
+const indexCache = new Map();
+
+function getIndex(text, cacheKey) {
+  if (cacheKey && indexCache.has(cacheKey)) {
+    const cached = indexCache.get(cacheKey);
+    indexCache.delete(cacheKey);
+    indexCache.set(cacheKey, cached);
+    return cached;
+  }
+  const index = buildIndex(chunkStandard(text));
+  if (cacheKey) {
+    indexCache.set(cacheKey, index);
+    if (indexCache.size > INDEX_CACHE_SIZE) indexCache.delete(indexCache.keys().next().value);
+  }
+  return index;
+}
+
+/**
+ * Clause chunks of a standard (cached like the search index).
+ */
+function getClauseChunks(text, cacheKey) {
+  return getIndex(text, cacheKey).chunks;
+}
+
+function clauseLabel(chunk) {
+  const base = chunk.clause || `offset ${chunk.offset}`;
+  return chunk.part ? `${base} (part ${chunk.part})` : base;
+}
+
+/**
+ * Select the clauses of one standard most relevant to `query`.
+ * options: { cacheKey (e.g. contentHash), k, maxChars }
+ * Returns [{ clause, heading, text, score, offset }] in document order.
+ */
+function selectRelevantClauses(text, query, options = {}) {
+  const k = Number(options.k || process.env.RETRIEVAL_TOP_K) || DEFAULT_TOP_K;
+  const maxChars = Number(options.maxChars || process.env.RETRIEVAL_MAX_CHARS) || DEFAULT_MAX_CHARS;
+  const index = getIndex(text, options.cacheKey);
+
+  let ranked = search(index, query, k);
+  if (!ranked.length) {
+    // nothing matched lexically: fall back to the opening clauses (scope, definitions)
+    ranked = index.chunks.slice(0, k).map((chunk) => ({ chunk, score: 0 }));
+  }
+
+  const selected = [];
+  let used = 0;
+  for (const { chunk, score } of ranked) {
+    if (used + chunk.text.length > maxChars && selected.length) continue;
+    const body = chunk.text.length > maxChars ? chunk.text.slice(0, maxChars) : chunk.text;
+    used += body.length;
+    selected.push({
+      clause: clauseLabel(chunk),
+      heading: chunk.heading || "",
+      text: body,
+      score: Math.round(score * 1000) / 1000,
+      offset: chunk.offset,
+    });
+  }
+  return selected.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Render selected clauses as a prompt block.
+ */
+function formatClausesForPrompt(standardName, clauses) {
+  if (!clauses.length) return `Standard: ${standardName}\n\n<no relevant clauses found>\n`;
+  const blocks = clauses.map((c) => `[${standardName} ${c.clause}] ${c.heading}\n${c.text.replace(/\s+/g, " ").trim()}`);
+  return `Standard: ${standardName} (most relevant clauses, cite them by clause number)\n\n${blocks.join("\n\n")}\n`;
+}
+
+module.exports = {
+  chunkStandard,
+  tokenize,
+  buildIndex,
+  search,
+  getClauseChunks,
+  selectRelevantClauses,
+  formatClausesForPrompt,
+};
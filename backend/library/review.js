@@ -0,0 +1,86 @@
+// backend/library/review.js
+// Review workflow for testcases: draft -> in_review -> approved | rejected.
+// The state lives on each testcase (testcase.review) together with an append-only
+// history of transitions; editing a reviewed testcase sends it back to draft.
+
+const REVIEW_STATUSES = ["draft", "in_review", "approved", "rejected"];
+
+// allowed transitions: from -> [to]
+const REVIEW_TRANSITIONS = {
+  draft: ["in_review"],
+  in_review: ["approved", "rejected", "draft"],
+  approved: ["draft"],
+  rejected: ["draft", "in_review"],
+};
+
+function currentStatus(tc) {
+  return tc.review?.status || "draft";
+}
+
+function pushHistory(tc, entry) {
+  const review = tc.review || {};
+  const history = Array.isArray(review.history) ? review.history : [];
+  history.push(entry);
+  tc.review = {
+    status: entry.to,
+    reviewer: entry.to === "approved" || entry.to === "rejected" ? entry.user : review.reviewer,
+    reviewerEmail: entry.to === "approved" || entry.to === "rejected" ? entry.email : review.reviewerEmail,
+    comment: entry.comment || "",
+    updatedAt: entry.at,
+    history,
+  };
+}
+
+/**
+ * Move a testcase to `to`. actor: { _id, email }.
+ * Returns { ok: true, from, to } or { ok: false, error } without touching the testcase.
+ */
+function transitionReview(tc, to, actor, comment) {
+  const from = currentStatus(tc);
+  const note = typeof comment === "string" ? comment.trim() : "";
+  if (!REVIEW_STATUSES.includes(to)) {
+    return { ok: false, error: `status must be one of ${REVIEW_STATUSES.join(", ")}` };
+  }
+  if (!REVIEW_TRANSITIONS[from].includes(to)) {
+    return { ok: false, error: `cannot move from ${from} to ${to}` };
+  }
+  if (to === "rejected" && !note) {
+    return { ok: false, error: "a comment is required when rejecting" };
+  }
+  pushHistory(tc, { from, to, user: actor._id, email: actor.email, comment: note, at: new Date() });
+  return { ok: true, from, to };
+}
+
+/**
+ * Send an edited testcase back to draft (no-op for drafts). reason is stored as the
+ * history comment, e.g. "edited" or "regenerated".
+ */
+function resetReviewOnEdit(tc, actor, reason) {
+  const from = currentStatus(tc);
+  if (from === "draft") return false;
+  pushHistory(tc, { from, to: "draft", user: actor._id, email: actor.email, comment: reason, at: new Date() });
+  return true;
+}
+
+function isApproved(tc) {
+  return currentStatus(tc) === "approved";
+}
+
+/**
+ * Count testcases per review status.
+ */
+function reviewCounts(testcases) {
+  const counts = Object.fromEntries(REVIEW_STATUSES.map((s) => [s, 0]));
+  for (const tc of testcases || []) counts[currentStatus(tc)] += 1;
+  return counts;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_TRANSITIONS,
+  currentStatus,
+  transitionReview,
+  resetReviewOnEdit,
+  isApproved,
+  reviewCounts,
+};
@@ -0,0 +1,206 @@
+// backend/library/revisions.js
+// Version history of generated sets. Every change to a set is recorded as an immutable
+// Revision holding a full snapshot, so any two revisions can be diffed and any revision
+// (or one testcase of it) restored without losing the history in between.
+
+const GeneratedSet = require("../models/GeneratedSet");
+const Revision = require("../models/Revision");
+
+const TESTCASE_FIELDS = [
+  "title", "preconditions", "steps", "expected", "automatable", "suggested_tool",
+  "confidence", "compliance", "jira_id", "req_id", "automation",
+];
+const SET_FIELDS = ["requirementTitle", "jiraId", "selectedStandards", "promptOverride"];
+
+function plain(value) {
+  return value && typeof value.toObject === "function" ? value.toObject() : value;
+}
+
+// Jira sync state describes the linked issue, not the testcase content: it is left out
+// of snapshots and survives restores together with the link itself
+function snapshotTestcase(tc) {
+  const { jiraSync, ...content } = plain(tc);
+  return content;
+}
+
+function keepJiraLink(restored, current) {
+  if (!current || !current.jira_id) return restored;
+  return { ...restored, jira_id: current.jira_id, jiraSync: plain(current.jiraSync) };
+}
+
+/**
+ * Content of a generated set as stored in a revision.
+ */
+function snapshotSet(set) {
+  return JSON.parse(JSON.stringify({
+    requirementId: set.requirementId,
+    requirementTitle: set.requirementTitle,
+    jiraId: set.jiraId || "",
+    selectedStandards: plain(set.selectedStandards) || [],
+    promptOverride: set.promptOverride || undefined,
+    suppliedClauses: plain(set.suppliedClauses) || [],
+    testcases: (set.testcases || []).map(snapshotTestcase),
+  }));
+}
+
+async function createRevision(set, seq, fields) {
+  return Revision.create({
+    set: set._id,
+    owner: set.user,
+    revision: seq,
+    count: (fields.snapshot?.testcases || []).length,
+    ...fields,
+  });
+}
+
+/**
+ * Record the state of `set` after a change.
+ * meta: { user (actor id), source, tcId?, promptOverride?, restoredFrom?, note? }
+ * before: snapshot taken before the change; stored as a "baseline" revision when the
+ * set has no history yet, so sets created before revisions existed can be restored.
+ * Failures are logged, never thrown: history must not break the change itself.
+ */
+async function recordRevision(set, meta, before) {
+  try {
+    if (before && !set.revisionSeq) {
+      const claimed = await GeneratedSet.findOneAndUpdate(
+        { _id: set._id, $or: [{ revisionSeq: { $exists: false } }, { revisionSeq: 0 }] },
+        { $inc: { revisionSeq: 1 } },
+        { new: true, projection: { revisionSeq: 1 } }
+      );
+      if (claimed) {
+        await createRevision(set, claimed.revisionSeq, { user: meta.user || set.user, source: "baseline", snapshot: before });
+      }
+    }
+
+    const updated = await GeneratedSet.findOneAndUpdate(
+      { _id: set._id },
+      { $inc: { revisionSeq: 1 } },
+      { new: true, projection: { revisionSeq: 1 } }
+    );
+    if (!updated) return null;
+    set.revisionSeq = updated.revisionSeq;
+    return await createRevision(set, updated.revisionSeq, {
+      user: meta.user,
+      source: meta.source,
+      tcId: meta.tcId || undefined,
+      promptOverride: meta.promptOverride || undefined,
+      restoredFrom: meta.restoredFrom,
+      note: meta.note || undefined,
+      snapshot: snapshotSet(set),
+    });
+  } catch (err) {
+    console.warn(`revision for set ${set._id} (${meta.source}) not recorded:`, err?.message || err);
+    return null;
+  }
+}
+
+function revisionSummary(rev) {
+  const user = rev.user && rev.user.email ? { id: rev.user._id.toString(), email: rev.user.email, name: rev.user.name } : rev.user;
+  return {
+    revision: rev.revision,
+    source: rev.source,
+    tcId: rev.tcId,
+    promptOverride: rev.promptOverride,
+    restoredFrom: rev.restoredFrom,
+    note: rev.note,
+    user,
+    createdAt: rev.createdAt,
+    count: rev.count,
+  };
+}
+
+// automation scripts are compared by version, not by code
+function comparable(field, value) {
+  if (field === "automation") return (value || []).map((a) => `${a.tool} v${a.version}`);
+  return value === undefined ? null : value;
+}
+
+function diffTestcase(a, b) {
+  const changes = [];
+  for (const field of TESTCASE_FIELDS) {
+    const from = comparable(field, a[field]);
+    const to = comparable(field, b[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Diff two snapshots. When tcId is given only that testcase is compared.
+ * Returns { set: [{ field, from, to }], added: [tc], removed: [tc], changed: [{ tc_id, changes }] }.
+ */
+function diffSnapshots(from, to, tcId) {
+  const pick = (snap) => (snap.testcases || []).filter((t) => !tcId || t.tc_id === tcId);
+  const fromTcs = new Map(pick(from).map((t) => [t.tc_id, t]));
+  const toTcs = new Map(pick(to).map((t) => [t.tc_id, t]));
+
+  const set = tcId
+    ? []
+    : SET_FIELDS.map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }))
+      .filter((c) => JSON.stringify(c.from) !== JSON.stringify(c.to));
+  const added = [...toTcs.values()].filter((t) => !fromTcs.has(t.tc_id));
+  const removed = [...fromTcs.values()].filter((t) => !toTcs.has(t.tc_id));
+  const changed = [];
+  for (const [id, before] of fromTcs) {
+    const after = toTcs.get(id);
+    if (!after) continue;
+    const changes = diffTestcase(before, after);
+    if (changes.length) changed.push({ tc_id: id, changes });
+  }
+  return { set, added, removed, changed };
+}
+
+/**
+ * Revisions of a set in which testcase `tcId` changed (added, modified or removed)
+ * compared with the revision before. Resolves to revision documents, oldest first.
+ */
+async function listTestcaseRevisions(setId, tcId) {
+  const revisions = await Revision.find({ set: setId }).sort({ revision: 1 }).populate("user", "email name");
+  const out = [];
+  let previous = null;
+  for (const rev of revisions) {
+    const tc = (rev.snapshot?.testcases || []).find((t) => t.tc_id === tcId) || null;
+    if (JSON.stringify(tc) !== JSON.stringify(previous) || rev.tcId === tcId) out.push(rev);
+    previous = tc;
+  }
+  return out;
+}
+
+/**
+ * Restore a whole set to the content of a revision.
+ */
+function applySnapshotToSet(set, snapshot) {
+  set.requirementTitle = snapshot.requirementTitle;
+  set.jiraId = snapshot.jiraId || "";
+  set.selectedStandards = snapshot.selectedStandards || [];
+  set.promptOverride = snapshot.promptOverride || undefined;
+  set.suppliedClauses = snapshot.suppliedClauses || [];
+  const current = new Map((set.testcases || []).map((t) => [t.tc_id, t]));
+  set.testcases = (snapshot.testcases || []).map((t) => keepJiraLink(t, current.get(t.tc_id)));
+  set.markModified("testcases");
+}
+
+/**
+ * Restore one testcase from a snapshot: replaced in place, or appended when it has
+ * since been removed. Returns false when the snapshot does not contain the testcase.
+ */
+function applySnapshotToTestcase(set, snapshot, tcId) {
+  const tc = (snapshot.testcases || []).find((t) => t.tc_id === tcId);
+  if (!tc) return false;
+  const idx = set.testcases.findIndex((t) => t.tc_id === tcId);
+  if (idx === -1) set.testcases.push(tc);
+  else set.testcases[idx] = keepJiraLink(tc, set.testcases[idx]);
+  set.markModified("testcases");
+  return true;
+}
+
+module.exports = {
+  snapshotSet,
+  recordRevision,
+  revisionSummary,
+  diffSnapshots,
+  listTestcaseRevisions,
+  applySnapshotToSet,
+  applySnapshotToTestcase,
+};
@@ -0,0 +1,217 @@
+// backend/library/sessions.js
+// Sessions issued after a provider sign-in (POST /auth/login). The client gets a
+// short-lived HS256 access token, verified locally on every request, and a refresh
+// token that is rotated on each use. Presenting an already rotated refresh token means
+// it was copied, so the whole session is revoked.
+//
+// Refresh tokens are "<session id>.<random>"; the session stores only their sha256.
+
+const crypto = require("crypto");
+
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { signHs256, verifyJwt } = require("./jwt");
+
+const ACCESS_TOKEN_ISSUER = "tcg-api";
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 14;
+const DEFAULT_SESSION_MAX_DAYS = 90;
+const MAX_PREVIOUS_HASHES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) {
+    const err = new Error("AUTH_TOKEN_SECRET is not configured");
+    err.code = "AUTH_CONFIG";
+    throw err;
+  }
+  return secret;
+}
+
+function accessTokenTtl() {
+  return Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+}
+
+function refreshTokenTtlMs() {
+  return (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * DAY_MS;
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+function newRefreshToken(sessionId) {
+  const token = `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+  return { token, hash: sha256(token) };
+}
+
+function issueAccessToken(user, session) {
+  const iat = Math.floor(Date.now() / 1000);
+  return signHs256({
+    iss: ACCESS_TOKEN_ISSUER,
+    aud: ACCESS_TOKEN_ISSUER,
+    sub: user._id.toString(),
+    sid: session._id.toString(),
+    provider: session.provider,
+    email: user.email,
+    iat,
+    exp: iat + accessTokenTtl(),
+  }, tokenSecret());
+}
+
+function tokenResponse(user, session, refreshToken) {
+  return {
+    tokenType: "Bearer",
+    accessToken: issueAccessToken(user, session),
+    expiresIn: accessTokenTtl(),
+    refreshToken,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Start a session for a signed-in user.
+ * meta: { provider, ip?, userAgent? }
+ * Resolves to { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresAt, sessionId }.
+ */
+async function createSession(user, meta) {
+  tokenSecret();
+  const now = Date.now();
+  const session = new Session({
+    user: user._id,
+    provider: meta.provider,
+    ip: meta.ip,
+    userAgent: meta.userAgent,
+    maxExpiresAt: new Date(now + (Number(process.env.SESSION_MAX_DAYS) || DEFAULT_SESSION_MAX_DAYS) * DAY_MS),
+  });
+  const refresh = newRefreshToken(session._id);
+  session.refreshTokenHash = refresh.hash;
+  session.expiresAt = new Date(Math.min(now + refreshTokenTtlMs(), session.maxExpiresAt.getTime()));
+  await session.save();
+  return { ...tokenResponse(user, session, refresh.token), sessionId: session._id.toString() };
+}
+
+function sessionIdOf(refreshToken) {
+  const [id] = String(refreshToken || "").split(".");
+  return /^[a-f0-9]{24}$/i.test(id) ? id : null;
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Resolves to { ok: true, tokens, user, session } or { ok: false, error, reuse?, session? }.
+ */
+async function refreshSession(refreshToken, meta = {}) {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) return { ok: false, error: "Invalid refresh token" };
+  const hash = sha256(refreshToken);
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt) return { ok: false, error: "Session revoked or unknown" };
+
+  if (session.previousRefreshTokenHashes.includes(hash)) {
+    await revokeSession(session, "refresh token reuse");
+    return { ok: false, error: "Refresh token already used; session revoked", reuse: true, session };
+  }
+  if (session.refreshTokenHash !== hash) return { ok: false, error: "Invalid refresh token" };
+  if (session.expiresAt < new Date()) return { ok: false, error: "Session expired" };
+
+  const user = await User.findById(session.user);
+  if (!user) return { ok: false, error: "Invalid refresh token" };
+
+  const refresh = newRefreshToken(session._id);
+  const now = new Date();
+  // compare-and-set on the current hash: of two parallel refreshes only one wins
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        refreshTokenHash: refresh.hash,
+        expiresAt: new Date(Math.min(now.getTime() + refreshTokenTtlMs(), session.maxExpiresAt.getTime())),
+        lastRefreshedAt: now,
+        ip: meta.ip || session.ip,
+        userAgent: meta.userAgent || session.userAgent,
+      },
+      $push: { previousRefreshTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  );
+  if (!rotated) return { ok: false, error: "Refresh token already used" };
+  return { ok: true, tokens: tokenResponse(user, rotated, refresh.token), user, session: rotated };
+}
+
+/**
+ * Session a refresh token (current or already rotated) belongs to, or null.
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) return null;
+  const hash = sha256(refreshToken);
+  return Session.findOne({
+    _id: sessionId,
+    $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHashes: hash }],
+  });
+}
+
+async function revokeSession(session, reason) {
+  await Session.updateOne(
+    { _id: session._id || session, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const res = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false }, ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount || 0;
+}
+
+function isAccessToken(payload) {
+  return payload?.iss === ACCESS_TOKEN_ISSUER;
+}
+
+/**
+ * Verify an access token locally (signature, expiry) and check that its session is
+ * still active. Resolves to { user, sessionId, provider }; throws on any failure.
+ */
+async function verifyAccessToken(token) {
+  const payload = await verifyJwt(token, {
+    key: tokenSecret(),
+    algorithms: ["HS256"],
+    issuer: ACCESS_TOKEN_ISSUER,
+    audience: ACCESS_TOKEN_ISSUER,
+    clockSkewSeconds: 0,
+  });
+  const [user, active] = await Promise.all([
+    User.findById(payload.sub),
+    Session.exists({ _id: payload.sid, user: payload.sub, revokedAt: { $exists: false } }),
+  ]);
+  if (!active) throw new Error("Session revoked");
+  if (!user) throw new Error("Unknown user");
+  return { user, sessionId: payload.sid, provider: payload.provider };
+}
+
+function sessionSummary(session, currentId) {
+  return {
+    id: session._id.toString(),
+    provider: session.provider,
+    createdAt: session.createdAt,
+    lastRefreshedAt: session.lastRefreshedAt,
+    expiresAt: session.expiresAt,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    current: session._id.toString() === currentId,
+  };
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isAccessToken,
+  verifyAccessToken,
+  sessionSummary,
+};
@@ -0,0 +1,144 @@
+// backend/library/signatures.js
+// Electronic signatures (21 CFR Part 11) on testcases and generated sets. A signature
+// stores a hash of the signed content; on read the hash is recomputed, so any change
+// made after signing is reported instead of silently carrying the signature along.
+
+const crypto = require("crypto");
+
+const Signature = require("../models/Signature");
+const { canonicalJson } = require("./helper");
+const { hasIdentity } = require("./auth");
+
+const SIGNATURE_MEANINGS = ["authored", "reviewed", "approved", "verified"];
+const DEFAULT_MAX_AUTH_AGE_SECONDS = 300;
+
+// content covered by a testcase signature; jira_id, automation, review and
+// compliance verification results change without changing what was signed
+const SIGNED_TESTCASE_FIELDS = [
+  "tc_id", "req_id", "title", "preconditions", "steps", "expected",
+  "automatable", "suggested_tool", "confidence",
+];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function signedCompliance(entry) {
+  if (typeof entry === "string") return entry;
+  return { standard: entry?.standard || "", clause: entry?.clause || "", quote: entry?.quote || "" };
+}
+
+function testcaseContentHash(tc) {
+  const plain = tc && typeof tc.toObject === "function" ? tc.toObject() : tc;
+  const content = {};
+  for (const field of SIGNED_TESTCASE_FIELDS) content[field] = plain[field] === undefined ? null : plain[field];
+  content.compliance = (plain.compliance || []).map(signedCompliance);
+  return sha256(canonicalJson(content));
+}
+
+function setContentHash(set) {
+  return sha256(canonicalJson({
+    requirementId: set.requirementId,
+    selectedStandards: [...(set.selectedStandards || [])],
+    testcases: (set.testcases || []).map(testcaseContentHash),
+  }));
+}
+
+/**
+ * Check a freshly verified sign-in identity (library/auth) for signing: it must belong
+ * to the signed-in user and have been issued within SIGNATURE_MAX_AUTH_AGE_SECONDS.
+ * Returns { ok, authenticatedAt?, error? }.
+ */
+function checkReauthentication(identity, user, now = Date.now()) {
+  const maxAge = Number(process.env.SIGNATURE_MAX_AUTH_AGE_SECONDS) || DEFAULT_MAX_AUTH_AGE_SECONDS;
+  if (!identity || !identity.subject) return { ok: false, error: "Invalid re-authentication token" };
+  if (!hasIdentity(user, identity)) return { ok: false, error: "Re-authentication token belongs to another user" };
+  if (!identity.issuedAt || now - identity.issuedAt.getTime() > maxAge * 1000) {
+    return { ok: false, error: `Re-authentication required: sign in again (token older than ${maxAge}s)` };
+  }
+  return { ok: true, authenticatedAt: identity.issuedAt };
+}
+
+/**
+ * Create a signature for a whole set (tcId omitted) or one of its testcases.
+ * options: { set, tcId?, signer (User doc), meaning, comment?, authenticatedAt }
+ */
+async function signRecord(options) {
+  const { set, tcId, signer, meaning, comment, authenticatedAt } = options;
+  let contentHash;
+  if (tcId) {
+    const tc = set.testcases.find((t) => t.tc_id === tcId);
+    if (!tc) throw new Error(`Testcase ${tcId} not found`);
+    contentHash = testcaseContentHash(tc);
+  } else {
+    contentHash = setContentHash(set);
+  }
+  return Signature.create({
+    set: set._id,
+    owner: set.user,
+    tcId: tcId || undefined,
+    signer: signer._id,
+    signerEmail: signer.email,
+    signerName: signer.name,
+    meaning,
+    comment: typeof comment === "string" && comment.trim() ? comment.trim() : undefined,
+    contentHash,
+    revision: set.revisionSeq || undefined,
+    authenticatedAt,
+  });
+}
+
+/**
+ * Signature manifests with the stored hash checked against the current content.
+ * Each entry: { id, tcId, signer, meaning, comment, signedAt, authenticatedAt, revision,
+ * hashAlgorithm, contentHash, currentHash, valid, issue? }.
+ */
+function verifySignatures(set, signatures) {
+  const setHash = setContentHash(set);
+  return signatures.map((sig) => {
+    let currentHash = null;
+    let issue;
+    if (sig.tcId) {
+      const tc = set.testcases.find((t) => t.tc_id === sig.tcId);
+      if (tc) currentHash = testcaseContentHash(tc);
+      else issue = "signed testcase no longer exists";
+    } else {
+      currentHash = setHash;
+    }
+    const valid = currentHash === sig.contentHash;
+    if (!valid && !issue) issue = "content changed after signing";
+    return {
+      id: sig._id.toString(),
+      tcId: sig.tcId,
+      signer: { id: sig.signer.toString(), email: sig.signerEmail, name: sig.signerName },
+      meaning: sig.meaning,
+      comment: sig.comment,
+      signedAt: sig.signedAt,
+      authenticatedAt: sig.authenticatedAt,
+      revision: sig.revision,
+      hashAlgorithm: sig.hashAlgorithm,
+      contentHash: sig.contentHash,
+      currentHash,
+      valid,
+      issue,
+    };
+  });
+}
+
+/**
+ * Load and verify every signature of a set.
+ */
+async function loadVerifiedSignatures(set) {
+  const signatures = await Signature.find({ set: set._id }).sort({ signedAt: 1 });
+  return verifySignatures(set, signatures);
+}
+
+module.exports = {
+  SIGNATURE_MEANINGS,
+  testcaseContentHash,
+  setContentHash,
+  checkReauthentication,
+  signRecord,
+  verifySignatures,
+  loadVerifiedSignatures,
+};
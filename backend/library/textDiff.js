@@ -0,0 +1,162 @@
+// backend/library/textDiff.js
+// Line diff between two versions of a requirement's extracted text. Lines are compared
+// with whitespace collapsed, so re-extraction noise does not show up as a change.
+// Besides unified-style hunks it reports each change as character spans in both texts,
+// which is what the impact report matches testcases against.
+
+const CONTEXT_LINES = 3;
+// the LCS table is n*m cells; bigger middles are reported as one replaced block
+const MAX_LCS_CELLS = 4000000;
+
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const line of String(text || "").split("\n")) {
+    lines.push({ text: line, key: line.replace(/\s+/g, " ").trim(), start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  }
+  return lines;
+}
+
+// edit script over a[aStart, aEnd) and b[bStart, bEnd): [{ type: "equal" | "delete" | "insert", a?, b? }]
+function lcsOps(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const ops = [];
+  if (!n || !m || n * m > MAX_LCS_CELLS) {
+    for (let i = aStart; i < aEnd; i++) ops.push({ type: "delete", a: i });
+    for (let j = bStart; j < bEnd; j++) ops.push({ type: "insert", b: j });
+    return ops;
+  }
+  // table[i][j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[aStart + i].key === b[bStart + j].key
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[aStart + i].key === b[bStart + j].key) {
+      ops.push({ type: "equal", a: aStart + i, b: bStart + j });
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push({ type: "delete", a: aStart + i });
+      i += 1;
+    } else {
+      ops.push({ type: "insert", b: bStart + j });
+      j += 1;
+    }
+  }
+  for (; i < n; i++) ops.push({ type: "delete", a: aStart + i });
+  for (; j < m; j++) ops.push({ type: "insert", b: bStart + j });
+  return ops;
+}
+
+function lineOps(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head].key === b[head].key) head += 1;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail].key === b[b.length - 1 - tail].key) tail += 1;
+  const ops = [];
+  for (let i = 0; i < head; i++) ops.push({ type: "equal", a: i, b: i });
+  ops.push(...lcsOps(a, b, head, a.length - tail, head, b.length - tail));
+  for (let k = tail; k > 0; k--) ops.push({ type: "equal", a: a.length - k, b: b.length - k });
+  return ops;
+}
+
+function spanOf(text, lines, indexes) {
+  if (!indexes.length) return null;
+  const start = lines[indexes[0]].start;
+  const end = lines[indexes[indexes.length - 1]].end;
+  return { start, end, text: text.slice(start, end) };
+}
+
+/**
+ * Changes between two texts, each a run of removed and/or added lines:
+ * [{ type: "added" | "removed" | "modified", from: { start, end, text } | null, to: ... | null }]
+ * from spans point into the old text, to spans into the new one. Blank-only runs are skipped.
+ */
+function changesOf(oldText, newText, a, b, ops) {
+  const changes = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const rem = removed.filter((i) => a[i].key);
+    const add = added.filter((j) => b[j].key);
+    if (rem.length || add.length) {
+      changes.push({
+        type: rem.length && add.length ? "modified" : rem.length ? "removed" : "added",
+        from: spanOf(oldText, a, rem),
+        to: spanOf(newText, b, add),
+      });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const op of ops) {
+    if (op.type === "equal") flush();
+    else if (op.type === "delete") removed.push(op.a);
+    else added.push(op.b);
+  }
+  flush();
+  return changes;
+}
+
+function hunksOf(a, b, ops, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  ops.forEach((op, k) => {
+    if (op.type === "equal") return;
+    if (!current || k - lastChange > context * 2) {
+      current = { start: Math.max(0, k - context), end: k + 1 };
+      hunks.push(current);
+    }
+    current.end = Math.min(ops.length, k + context + 1);
+    lastChange = k;
+  });
+  return hunks.map(({ start, end }) => {
+    const slice = ops.slice(start, end);
+    const first = ops.slice(start).find((op) => op.a !== undefined);
+    const firstB = ops.slice(start).find((op) => op.b !== undefined);
+    return {
+      fromLine: (first ? first.a : a.length) + 1,
+      fromCount: slice.filter((op) => op.type !== "insert").length,
+      toLine: (firstB ? firstB.b : b.length) + 1,
+      toCount: slice.filter((op) => op.type !== "delete").length,
+      lines: slice.map((op) => (op.type === "equal"
+        ? { type: " ", text: b[op.b].text }
+        : op.type === "delete" ? { type: "-", text: a[op.a].text } : { type: "+", text: b[op.b].text })),
+    };
+  });
+}
+
+/**
+ * Diff two texts. options: { context? } lines of context around hunks (default 3).
+ * Returns { stats: { added, removed, unchanged }, hunks, changes } (see changesOf).
+ */
+function diffText(oldText, newText, options = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = lineOps(a, b);
+  const context = Number.isInteger(options.context) && options.context >= 0 ? options.context : CONTEXT_LINES;
+  return {
+    stats: {
+      added: ops.filter((op) => op.type === "insert").length,
+      removed: ops.filter((op) => op.type === "delete").length,
+      unchanged: ops.filter((op) => op.type === "equal").length,
+    },
+    hunks: hunksOf(a, b, ops, context),
+    changes: changesOf(String(oldText || ""), String(newText || ""), a, b, ops),
+  };
+}
+
+module.exports = {
+  diffText,
+};
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Bearer credential for CI jobs and scripts (library/apiKeys); only the hash is stored
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    // first characters of the key, shown in listings to tell keys apart
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true },
+    // the key acts as this user, with the user's role in the project it is used on
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // project-scoped keys only work on this project; unset for user-scoped keys
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
+    scopes: { type: [String], default: [] },
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+module.exports = mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Append-only, hash-chained audit trail (library/audit): hash covers the event and
+// the previous event's hash, so edits and deletions break the chain
+const auditEventSchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true },
+    action: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    userEmail: { type: String },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    requirementId: { type: String },
+    genId: { type: String },
+    tcId: { type: String },
+    data: { type: mongoose.Schema.Types.Mixed },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+    createdAt: { type: Date, required: true },
+  },
+  {
+    versionKey: false,
+    // keep empty objects in data: they are part of the hashed content
+    minimize: false,
+  }
+);
+
+auditEventSchema.index({ seq: 1 }, { unique: true });
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ project: 1, createdAt: -1 });
+auditEventSchema.index({ requirementId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+function rejectMutation(next) {
+  next(new Error("Audit events are append-only"));
+}
+for (const op of [
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete",
+]) {
+  auditEventSchema.pre(op, rejectMutation);
+}
+auditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit events are append-only"));
+  next();
+});
+
+module.exports = mongoose.models.AuditEvent || mongoose.model("AuditEvent", auditEventSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Text extracted once at upload time and reused by every generation route.
+// Embedded in Requirement and Standard documents.
+const extractedTextSchema = new mongoose.Schema(
+  {
+    text: { type: String, default: "" },
+    contentHash: { type: String },
+    pageCount: { type: Number },
+    // where each page starts in text (PDF only)
+    pageOffsets: { type: [Number], default: undefined },
+    method: { type: String },
+    chars: { type: Number, default: 0 },
+    extractedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+module.exports = extractedTextSchema;
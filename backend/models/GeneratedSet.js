@@ -1,5 +1,92 @@
 const mongoose = require("mongoose");
 
+// automation script versions generated for a testcase (library/automation)
+const automationArtifactSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    tool: { type: String, enum: ["playwright", "cypress", "jest", "postman"], required: true },
+    language: { type: String, enum: ["javascript", "json"], required: true },
+    filename: { type: String, required: true },
+    code: { type: String, required: true },
+    provider: { type: String },
+    model: { type: String },
+    promptOverride: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// review workflow state (library/review)
+const reviewEventSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    email: { type: String },
+    comment: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const reviewSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["draft", "in_review", "approved", "rejected"], default: "draft" },
+    // who approved or rejected last
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewerEmail: { type: String },
+    comment: { type: String, default: "" },
+    updatedAt: { type: Date },
+    history: { type: [reviewEventSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// two-way Jira sync state of a testcase (library/jiraSync)
+const jiraPersonSchema = new mongoose.Schema(
+  {
+    accountId: { type: String, default: "" },
+    displayName: { type: String, default: "" },
+    email: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const jiraCommentSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    author: { type: String, default: "" },
+    body: { type: String, default: "" },
+    created: { type: Date },
+    updated: { type: Date },
+  },
+  { _id: false }
+);
+
+const jiraSyncSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["synced", "conflict", "error"], default: "synced" },
+    // hashes of the issue content (summary + description) as of the last sync, one
+    // rendered from the testcase and one read from Jira
+    localHash: { type: String },
+    remoteHash: { type: String },
+    remoteUpdated: { type: Date },
+    lastPushedAt: { type: Date },
+    lastPulledAt: { type: Date },
+    remoteStatus: { type: String, default: "" },
+    remoteAssignee: { type: jiraPersonSchema, default: null },
+    comments: { type: [jiraCommentSchema], default: [] },
+    // both sides edited: Jira's version, kept until resolved
+    conflict: {
+      detectedAt: { type: Date },
+      remoteUpdated: { type: Date },
+      remote: { type: mongoose.Schema.Types.Mixed },
+    },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
 const testcaseSchema = new mongoose.Schema(
   {
     tc_id: { type: String, required: true },
@@ -12,7 +99,24 @@ const testcaseSchema = new mongoose.Schema(
     automatable: { type: Boolean, default: false },
     suggested_tool: { type: String, default: "manual" },
     confidence: { type: Number, default: 0 },
-    compliance: { type: [String], default: [] },
+    // legacy strings ("hipaa") or { standard, clause, quote, verified, issues }
+    compliance: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    automation: { type: [automationArtifactSchema], default: [] },
+    review: { type: reviewSchema, default: () => ({}) },
+    jiraSync: { type: jiraSyncSchema },
+    // requirement version this testcase was regenerated from, when it differs from the set's
+    requirementVersion: { type: Number },
+  },
+  { _id: false }
+);
+
+// standard clauses retrieved for the prompt (library/retrieval)
+const suppliedClauseSchema = new mongoose.Schema(
+  {
+    standard: { type: String, required: true },
+    clause: { type: String, required: true },
+    heading: { type: String, default: "" },
+    score: { type: Number, default: 0 },
   },
   { _id: false }
 );
@@ -20,20 +124,44 @@ const testcaseSchema = new mongoose.Schema(
 const generatedSetSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
     requirement: { type: mongoose.Schema.Types.ObjectId, ref: "Requirement" },
     requirementId: { type: String, required: true },
     requirementTitle: { type: String },
+    // requirement version (and its extracted.contentHash) the set was generated from
+    requirementVersion: { type: Number },
+    requirementHash: { type: String },
+    // generation job that created the set; a job stores at most one set per requirement
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "GenerationJob" },
     jiraId: { type: String, default: "" },
     selectedStandards: { type: [String], default: [] },
     testcases: { type: [testcaseSchema], default: [] },
     promptOverride: { type: String },
+    suppliedClauses: { type: [suppliedClauseSchema], default: [] },
+    source: { type: String, enum: ["ai", "imported"], default: "ai" },
+    // last revision number recorded for this set (models/Revision)
+    revisionSeq: { type: Number, default: 0 },
+    importInfo: {
+      filename: { type: String },
+      format: { type: String },
+      rows: { type: Number },
+      imported: { type: Number },
+      rejected: { type: Number },
+    },
   },
   {
     timestamps: true,
   }
 );
 
-generatedSetSchema.index({ user: 1, requirementId: 1, createdAt: -1 });
+generatedSetSchema.index({ project: 1, requirementId: 1, createdAt: -1 });
+// a requeued job must not save a second set for a requirement an earlier worker finished
+generatedSetSchema.index(
+  { job: 1, requirementId: 1 },
+  { unique: true, partialFilterExpression: { job: { $exists: true } } }
+);
+// Jira webhooks look testcases up by issue key
+generatedSetSchema.index({ "testcases.jira_id": 1 });
 
 module.exports =
   mongoose.models.GeneratedSet || mongoose.model("GeneratedSet", generatedSetSchema);
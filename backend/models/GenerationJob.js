@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const ITEM_STATUSES = ["queued", "extracting", "generating", "parsing", "saved", "failed", "cancelled"];
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+
+const jobItemSchema = new mongoose.Schema(
+  {
+    req_id: { type: String, required: true },
+    title: { type: String },
+    status: { type: String, enum: ITEM_STATUSES, default: "queued" },
+    error: { type: String },
+    genId: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedSet" },
+    count: { type: Number, default: 0 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const generationJobSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
+    type: { type: String, default: "testcases" },
+    status: { type: String, enum: JOB_STATUSES, default: "queued", index: true },
+    selectedRequirements: { type: [String], default: [] },
+    selectedStandards: { type: [String], default: [] },
+    promptOverride: { type: String },
+    items: { type: [jobItemSchema], default: [] },
+    cancelRequested: { type: Boolean, default: false },
+    eventSeq: { type: Number, default: 0 },
+    error: { type: String },
+    workerId: { type: String },
+    lockedAt: { type: Date },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+generationJobSchema.index({ project: 1, createdAt: -1 });
+generationJobSchema.index({ status: 1, createdAt: 1 });
+
+generationJobSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+generationJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports =
+  mongoose.models.GenerationJob || mongoose.model("GenerationJob", generationJobSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Invitation to join a project, accepted by the user signing in with that email
+const invitationSchema = new mongoose.Schema(
+  {
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ["owner", "editor", "reviewer", "viewer"], required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ["pending", "accepted", "revoked"], default: "pending" },
+    expiresAt: { type: Date, required: true },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acceptedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.models.Invitation || mongoose.model("Invitation", invitationSchema);
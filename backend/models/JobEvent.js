@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const jobEventSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "GenerationJob", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    seq: { type: Number, required: true },
+    type: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: () => new Date() },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+jobEventSchema.index({ job: 1, seq: 1 }, { unique: true });
+// progress events are only needed while a client may still reconnect
+jobEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.JobEvent || mongoose.model("JobEvent", jobEventSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Groups projects; owners may create projects in it (library/projects)
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    owners: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+organizationSchema.index({ owners: 1 });
+
+module.exports = mongoose.models.Organization || mongoose.model("Organization", organizationSchema);
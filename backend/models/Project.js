@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const PROJECT_ROLES = ["owner", "editor", "reviewer", "viewer"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: PROJECT_ROLES, required: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Shared workspace: standards, requirements, generated sets and jobs belong to a project
+const projectSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: { type: String },
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // set on the personal project created for every user (holds their pre-project data)
+    personalOwner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    members: { type: [memberSchema], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+projectSchema.index({ "members.user": 1 });
+projectSchema.index({ personalOwner: 1 }, { unique: true, sparse: true });
+
+projectSchema.statics.PROJECT_ROLES = PROJECT_ROLES;
+
+module.exports = mongoose.models.Project || mongoose.model("Project", projectSchema);
@@ -1,21 +1,182 @@
 const mongoose = require("mongoose");
+const extractedTextSchema = require("./ExtractedText");
+
+// Jira issue a requirement was imported from (library/jiraImport)
+const jiraAttachmentSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    filename: { type: String },
+    mimeType: { type: String },
+    size: { type: Number },
+    chars: { type: Number },
+    skipped: { type: String },
+  },
+  { _id: false }
+);
+
+const jiraSourceSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    id: { type: String },
+    url: { type: String },
+    issueType: { type: String },
+    status: { type: String },
+    projectKey: { type: String },
+    parent: { type: String },
+    updated: { type: Date },
+    acceptanceCriteria: { type: String, default: "" },
+    attachments: { type: [jiraAttachmentSchema], default: [] },
+    importedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// content a requirement had before it was replaced by a new version
+const requirementHistorySchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    title: { type: String },
+    format: { type: String },
+    content: { type: String },
+    text: { type: String, default: "" },
+    contentHash: { type: String },
+    originalName: { type: String },
+    fileUri: { type: String },
+    // who replaced it, and when
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    replacedByEmail: { type: String },
+    replacedAt: { type: Date, default: Date.now },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+// one proposed child of a split document (library/requirementSplit)
+const splitItemSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    label: { type: String },
+    kind: { type: String },
+    title: { type: String },
+    heading: { type: String },
+    text: { type: String, default: "" },
+    // where the passage is in the parent's extracted text
+    offset: { type: Number },
+    length: { type: Number },
+    page: { type: Number },
+  },
+  { _id: false }
+);
+
+const requirementSplitSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["proposed", "accepted"], default: "proposed" },
+    // extracted.contentHash the proposal was made from
+    contentHash: { type: String },
+    items: { type: [splitItemSchema], default: [] },
+    stats: { type: mongoose.Schema.Types.Mixed },
+    proposedAt: { type: Date },
+    acceptedAt: { type: Date },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acceptedByEmail: { type: String },
+    // reqIds of the child requirements created on accept
+    children: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// passage of the parent document a child requirement was split from
+const splitSourceSchema = new mongoose.Schema(
+  {
+    label: { type: String },
+    kind: { type: String },
+    heading: { type: String },
+    offset: { type: Number },
+    length: { type: Number },
+    page: { type: Number },
+  },
+  { _id: false }
+);
+
+// result of POST /requirements/:reqId/analyze (library/requirementQuality)
+const textSpanSchema = new mongoose.Schema(
+  {
+    start: { type: Number },
+    end: { type: Number },
+    text: { type: String },
+  },
+  { _id: false }
+);
+
+const qualityFindingSchema = new mongoose.Schema(
+  {
+    rule: { type: String, required: true },
+    severity: { type: String, enum: ["high", "medium", "low"] },
+    message: { type: String },
+    suggestion: { type: String },
+    span: { type: textSpanSchema },
+    related: { type: textSpanSchema },
+    source: { type: String, enum: ["rules", "model"], default: "rules" },
+  },
+  { _id: false }
+);
+
+const requirementQualitySchema = new mongoose.Schema(
+  {
+    score: { type: Number },
+    findings: { type: [qualityFindingSchema], default: [] },
+    counts: { type: mongoose.Schema.Types.Mixed },
+    stats: { type: mongoose.Schema.Types.Mixed },
+    // extracted.contentHash the analysis was made for
+    contentHash: { type: String },
+    model: {
+      used: { type: Boolean, default: false },
+      provider: { type: String },
+      name: { type: String },
+      error: { type: String },
+    },
+    analyzedAt: { type: Date },
+    analyzedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
 
 const requirementSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
     reqId: { type: String, required: true },
     title: { type: String, required: true },
     originalName: { type: String },
     fileUri: { type: String },
     uploadedAt: { type: Date, default: () => new Date() },
     raw: { type: mongoose.Schema.Types.Mixed },
+    extracted: { type: extractedTextSchema },
+    source: { type: String, enum: ["upload", "jira", "text", "url", "split"], default: "upload" },
+    jira: { type: jiraSourceSchema },
+    // text requirements (library/requirementText): submitted content and its format
+    format: { type: String, enum: ["text", "markdown", "html", "confluence"] },
+    content: { type: String },
+    sourceUrl: { type: String },
+    version: { type: Number, default: 1 },
+    history: { type: [requirementHistorySchema], default: [] },
+    // decomposition of a large document into child requirements
+    split: { type: requirementSplitSchema },
+    parentReqId: { type: String },
+    sourceRef: { type: splitSourceSchema },
+    quality: { type: requirementQualitySchema },
   },
   {
     timestamps: true,
   }
 );
 
-requirementSchema.index({ user: 1, reqId: 1 }, { unique: true });
+requirementSchema.index(
+  { project: 1, reqId: 1 },
+  { unique: true, partialFilterExpression: { project: { $exists: true } } }
+);
+
+requirementSchema.index({ project: 1, parentReqId: 1 });
 
 module.exports = mongoose.models.Requirement || mongoose.model("Requirement", requirementSchema);
 
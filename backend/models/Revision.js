@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Immutable snapshot of a GeneratedSet after each change (library/revisions)
+const revisionSchema = new mongoose.Schema(
+  {
+    set: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedSet", required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // who made the change (unset for changes pulled from Jira by its webhook)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return this.source !== "jira-sync";
+      },
+    },
+    revision: { type: Number, required: true },
+    source: {
+      type: String,
+      enum: [
+        "baseline", // state found before the first recorded change (sets created before revisions existed)
+        "generate",
+        "regenerate",
+        "regenerate-testcase",
+        "patch",
+        "import",
+        "automation",
+        "jira",
+        "jira-sync", // edits made in Jira pulled into the testcase (library/jiraSync)
+        "review",
+        "restore",
+      ],
+      required: true,
+    },
+    // testcase the change was scoped to (unset for whole-set changes)
+    tcId: { type: String },
+    promptOverride: { type: String },
+    restoredFrom: { type: Number },
+    note: { type: String },
+    count: { type: Number, default: 0 },
+    snapshot: {
+      requirementId: { type: String },
+      requirementTitle: { type: String },
+      jiraId: { type: String },
+      selectedStandards: { type: [String], default: [] },
+      promptOverride: { type: String },
+      suppliedClauses: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      testcases: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    },
+    createdAt: { type: Date, default: () => new Date() },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+revisionSchema.index({ set: 1, revision: 1 }, { unique: true });
+
+function rejectMutation(next) {
+  next(new Error("Revisions are immutable"));
+}
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"]) {
+  revisionSchema.pre(op, rejectMutation);
+}
+revisionSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Revisions are immutable"));
+  next();
+});
+
+module.exports = mongoose.models.Revision || mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Sign-in session behind an access/refresh token pair (library/sessions). Only hashes
+// of refresh tokens are stored; rotated ones are kept to detect reuse.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // sign-in provider the session was created from
+    provider: { type: String, required: true },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHashes: { type: [String], default: [] },
+    // current refresh token expiry; moves forward on every refresh up to maxExpiresAt
+    expiresAt: { type: Date, required: true },
+    maxExpiresAt: { type: Date, required: true },
+    lastRefreshedAt: { type: Date },
+    ip: { type: String },
+    userAgent: { type: String },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.models.Session || mongoose.model("Session", sessionSchema);
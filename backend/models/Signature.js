@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Electronic signature manifest (21 CFR Part 11) for a testcase or a whole generated set
+const signatureSchema = new mongoose.Schema(
+  {
+    set: { type: mongoose.Schema.Types.ObjectId, ref: "GeneratedSet", required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // unset for set-level signatures
+    tcId: { type: String },
+    signer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    signerEmail: { type: String, required: true },
+    signerName: { type: String },
+    meaning: { type: String, enum: ["authored", "reviewed", "approved", "verified"], required: true },
+    comment: { type: String },
+    hashAlgorithm: { type: String, default: "sha256" },
+    contentHash: { type: String, required: true },
+    // set revision the signature was applied to (models/Revision)
+    revision: { type: Number },
+    // issued-at of the ID token used to re-authenticate
+    authenticatedAt: { type: Date, required: true },
+    signedAt: { type: Date, default: () => new Date() },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+signatureSchema.index({ set: 1, tcId: 1, signedAt: 1 });
+
+function rejectMutation(next) {
+  next(new Error("Signatures are immutable"));
+}
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"]) {
+  signatureSchema.pre(op, rejectMutation);
+}
+signatureSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Signatures are immutable"));
+  next();
+});
+
+module.exports = mongoose.models.Signature || mongoose.model("Signature", signatureSchema);
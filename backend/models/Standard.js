@@ -1,19 +1,27 @@
 const mongoose = require("mongoose");
+const extractedTextSchema = require("./ExtractedText");
 
 const standardSchema = new mongoose.Schema(
   {
+    // uploader; access is granted through the project
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
     filename: { type: String, required: true },
     fileUri: { type: String },
     uploadedAt: { type: Date, default: () => new Date() },
     raw: { type: mongoose.Schema.Types.Mixed },
+    extracted: { type: extractedTextSchema },
   },
   {
     timestamps: true,
   }
 );
 
-standardSchema.index({ user: 1, filename: 1 }, { unique: true });
+// documents from before projects existed get their project on the owner's next request
+standardSchema.index(
+  { project: 1, filename: 1 },
+  { unique: true, partialFilterExpression: { project: { $exists: true } } }
+);
 
 module.exports = mongoose.models.Standard || mongoose.model("Standard", standardSchema);
 
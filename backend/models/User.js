@@ -1,11 +1,42 @@
 const mongoose = require("mongoose");
 
+// provider + subject that identify the user at a sign-in provider (library/auth)
+const identitySchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["google", "oidc", "local"], required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
-    googleId: { type: String, required: true, unique: true, index: true },
+    // Google subject of users created before identities existed; kept in sync with identities
+    googleId: { type: String, unique: true, sparse: true },
     email: { type: String, required: true, unique: true, index: true },
     name: { type: String },
     picture: { type: String },
+    identities: { type: [identitySchema], default: [] },
+    // local provider: optional login name besides the email, scrypt password hash
+    username: { type: String, unique: true, sparse: true, trim: true },
+    passwordHash: { type: String, select: false },
+    passwordChangedAt: { type: Date },
+    // set once the user proved they own the email (a verified provider or the local
+    // verification link); local sign-ups start without it
+    emailVerifiedAt: { type: Date },
+    emailVerification: {
+      type: new mongoose.Schema(
+        {
+          tokenHash: { type: String, index: true },
+          expiresAt: { type: Date },
+          sentAt: { type: Date },
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
     lastLoginAt: { type: Date },
   },
   {
@@ -13,4 +44,9 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-module.exports = mongoose.models.User || mongoose.model("User", userSchema);
\ No newline at end of file
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+module.exports = mongoose.models.User || mongoose.model("User", userSchema);
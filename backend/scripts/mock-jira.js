@@ -0,0 +1,329 @@
+// backend/scripts/mock-jira.js
+// In-memory stand-in for the parts of the Jira Cloud REST v3 API the backend uses, for
+// trying the Jira integration locally:
+//
+//   MOCK_JIRA_PORT=4010 MOCK_JIRA_WEBHOOK_URL=http://localhost:5000/jira/webhook \
+//   MOCK_JIRA_WEBHOOK_SECRET=dev-secret npm run mock:jira
+//
+// and run the backend with JIRA_BASE_URL=http://localhost:4010 (any email / token) and
+// JIRA_WEBHOOK_SECRET=dev-secret. Changes made through the API or the /__mock routes
+// (edits "in the Jira UI") fire signed webhooks like Jira does.
+//
+// Search (POST /rest/api/3/search/jql) understands simple JQL: clauses on key, project,
+// issuetype, status and parent ("=" or "in (...)") joined with AND.
+//
+// /__mock routes:
+//   GET  /__mock/issues                       all issues
+//   POST /__mock/issues                       { project, issuetype?, summary, description? (text), acceptanceCriteria? }
+//   POST /__mock/issues/:key/attachments      { filename, mimeType?, text? | base64? }
+//   POST /__mock/issues/:key/edit             { summary?, description? (text), author? }
+//   POST /__mock/issues/:key/transition       { status, author? }
+//   POST /__mock/issues/:key/assign           { displayName, accountId?, email? } or {} to unassign
+//   POST /__mock/issues/:key/comment          { body (text), author? }
+//   POST /__mock/reset
+
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+
+const { textToAdf } = require("../library/jira");
+
+function createMockJira(options = {}) {
+  const webhookUrl = options.webhookUrl ?? process.env.MOCK_JIRA_WEBHOOK_URL ?? "";
+  const webhookSecret = options.webhookSecret ?? process.env.MOCK_JIRA_WEBHOOK_SECRET ?? "";
+  const apiUser = { accountId: "mock-api", displayName: "API user", emailAddress: "api@example.com" };
+
+  let issues = new Map();
+  let counters = new Map();
+  let commentSeq = 0;
+  let attachments = new Map();
+  const deliveries = [];
+
+  const person = (name) => (name ? { accountId: `mock-${name.toLowerCase().replace(/\W+/g, "-")}`, displayName: name } : apiUser);
+
+  function nextKey(projectKey) {
+    const n = (counters.get(projectKey) || 0) + 1;
+    counters.set(projectKey, n);
+    return `${projectKey}-${n}`;
+  }
+
+  function touch(issue) {
+    issue.fields.updated = new Date().toISOString();
+  }
+
+  // deliveries run in the background like Jira's; failures are kept for inspection
+  function fireWebhook(event, issue, extra = {}) {
+    if (!webhookUrl) return;
+    const body = JSON.stringify({ webhookEvent: event, timestamp: Date.now(), issue: { id: issue.id, key: issue.key }, ...extra });
+    const headers = { "Content-Type": "application/json" };
+    if (webhookSecret) {
+      headers["X-Hub-Signature"] = `sha256=${crypto.createHmac("sha256", webhookSecret).update(body).digest("hex")}`;
+    }
+    const delivery = { event, key: issue.key, at: new Date().toISOString() };
+    deliveries.push(delivery);
+    axios.post(webhookUrl, body, { headers }).then(
+      (r) => { delivery.status = r.status; },
+      (err) => { delivery.status = err?.response?.status || 0; delivery.error = String(err?.message || err); }
+    );
+  }
+
+  function publicIssue(issue, fieldList) {
+    const wanted = fieldList ? String(fieldList).split(",").map((f) => f.trim()).filter(Boolean) : null;
+    const fields = {};
+    for (const [name, value] of Object.entries(issue.fields)) {
+      if (!wanted || wanted.includes(name) || wanted.includes("*all")) fields[name] = value;
+    }
+    if (!wanted || wanted.includes("comment") || wanted.includes("*all")) {
+      fields.comment = { comments: issue.comments, total: issue.comments.length, maxResults: issue.comments.length, startAt: 0 };
+    }
+    return { id: issue.id, key: issue.key, self: `/rest/api/3/issue/${issue.id}`, fields };
+  }
+
+  function createIssue(fields) {
+    const key = nextKey(fields.project.key);
+    const now = new Date().toISOString();
+    const issue = {
+      id: String(10000 + issues.size + 1),
+      key,
+      fields: {
+        status: { name: "To Do" },
+        assignee: null,
+        labels: [],
+        attachment: [],
+        ...fields,
+        created: now,
+        updated: now,
+      },
+      comments: [],
+    };
+    issues.set(key, issue);
+    fireWebhook("jira:issue_created", issue, { user: apiUser });
+    return issue;
+  }
+
+  // the JQL subset described at the top; returns a predicate or throws
+  function compileJql(jql) {
+    const query = String(jql || "").replace(/\s+ORDER\s+BY\s+.*$/i, "").trim();
+    if (!query) return () => true;
+    const fieldOf = {
+      key: (i) => i.key,
+      issuekey: (i) => i.key,
+      project: (i) => i.fields.project?.key,
+      issuetype: (i) => i.fields.issuetype?.name,
+      type: (i) => i.fields.issuetype?.name,
+      status: (i) => i.fields.status?.name,
+      parent: (i) => i.fields.parent?.key,
+    };
+    const unquote = (v) => v.trim().replace(/^["']|["']$/g, "").toLowerCase();
+    const tests = query.split(/\s+AND\s+/i).map((clause) => {
+      const m = /^(\w+)\s*(=|in)\s*(.+)$/i.exec(clause.trim());
+      if (!m || !fieldOf[m[1].toLowerCase()]) throw new Error(`Unsupported JQL in mock: ${clause}`);
+      const get = fieldOf[m[1].toLowerCase()];
+      const values = m[2].toLowerCase() === "in"
+        ? m[3].replace(/^\(|\)$/g, "").split(",").map(unquote)
+        : [unquote(m[3])];
+      return (i) => values.includes(String(get(i) || "").toLowerCase());
+    });
+    return (i) => tests.every((t) => t(i));
+  }
+
+  function addComment(issue, body, author) {
+    const now = new Date().toISOString();
+    const comment = { id: String(++commentSeq), author, updateAuthor: author, body, created: now, updated: now };
+    issue.comments.push(comment);
+    touch(issue);
+    fireWebhook("comment_created", issue, { comment });
+    return comment;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: "5mb" }));
+
+  app.use("/rest", (req, res, next) => {
+    if (!String(req.headers.authorization || "").startsWith("Basic ")) {
+      return res.status(401).json({ errorMessages: ["Basic authentication required"] });
+    }
+    return next();
+  });
+
+  const findIssue = (req, res) => {
+    const issue = issues.get(req.params.key) || [...issues.values()].find((i) => i.id === req.params.key);
+    if (!issue) res.status(404).json({ errorMessages: ["Issue does not exist or you do not have permission to see it."] });
+    return issue;
+  };
+
+  app.post("/rest/api/3/issue", (req, res) => {
+    const fields = req.body?.fields || {};
+    const errors = {};
+    if (!fields.project?.key) errors.project = "project is required";
+    if (!fields.summary) errors.summary = "You must specify a summary of the issue.";
+    if (!fields.issuetype?.name && !fields.issuetype?.id) errors.issuetype = "issue type is required";
+    if (fields.parent?.key && !issues.has(fields.parent.key)) errors.parent = "Could not find issue by id or key.";
+    else if (fields.parent?.key && issues.get(fields.parent.key).fields.project?.key !== fields.project?.key) {
+      errors.project = "Sub-tasks must be created in the same project as their parent.";
+    }
+    if (Object.keys(errors).length) return res.status(400).json({ errorMessages: [], errors });
+
+    const issue = createIssue(fields);
+    return res.status(201).json({ id: issue.id, key: issue.key, self: `/rest/api/3/issue/${issue.id}` });
+  });
+
+  app.post("/rest/api/3/search/jql", (req, res) => {
+    let matches;
+    try {
+      matches = [...issues.values()].filter(compileJql(req.body?.jql));
+    } catch (err) {
+      return res.status(400).json({ errorMessages: [err.message] });
+    }
+    const start = Number(req.body?.nextPageToken) || 0;
+    const size = Math.min(100, Number(req.body?.maxResults) || 50);
+    const page = matches.slice(start, start + size);
+    const isLast = start + size >= matches.length;
+    res.json({
+      issues: page.map((i) => publicIssue(i, (req.body?.fields || []).join(",") || undefined)),
+      isLast,
+      nextPageToken: isLast ? undefined : String(start + size),
+    });
+  });
+
+  app.get("/rest/api/3/attachment/content/:id", (req, res) => {
+    const att = attachments.get(req.params.id);
+    if (!att) return res.status(404).json({ errorMessages: ["Attachment not found"] });
+    res.type(att.mimeType).send(att.content);
+  });
+
+  app.get("/rest/api/3/issue/:key", (req, res) => {
+    const issue = findIssue(req, res);
+    if (issue) res.json(publicIssue(issue, req.query.fields));
+  });
+
+  app.put("/rest/api/3/issue/:key", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const fields = req.body?.fields || {};
+    const changelog = { items: Object.keys(fields).map((field) => ({ field })) };
+    Object.assign(issue.fields, fields);
+    touch(issue);
+    fireWebhook("jira:issue_updated", issue, { user: apiUser, changelog });
+    res.status(204).end();
+  });
+
+  app.get("/rest/api/3/issue/:key/comment", (req, res) => {
+    const issue = findIssue(req, res);
+    if (issue) res.json({ comments: issue.comments, total: issue.comments.length, startAt: 0, maxResults: issue.comments.length });
+  });
+
+  app.post("/rest/api/3/issue/:key/comment", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    if (!req.body?.body) return res.status(400).json({ errorMessages: ["Comment body can not be empty!"] });
+    res.status(201).json(addComment(issue, req.body.body, apiUser));
+  });
+
+  /* ---------- simulated edits in the Jira UI ---------- */
+
+  app.get("/__mock/issues", (req, res) => res.json({ issues: [...issues.values()].map((i) => publicIssue(i)), deliveries }));
+
+  app.post("/__mock/issues", (req, res) => {
+    const { project, issuetype, summary, description, acceptanceCriteria } = req.body || {};
+    if (!project || !summary) return res.status(400).json({ errorMessages: ["project and summary are required"] });
+    const issue = createIssue({
+      project: { key: String(project) },
+      issuetype: { name: issuetype || "Story" },
+      summary: String(summary),
+      description: description ? textToAdf(description) : null,
+      ...(acceptanceCriteria ? { customfield_10100: textToAdf(acceptanceCriteria) } : {}),
+    });
+    res.status(201).json(publicIssue(issue));
+  });
+
+  app.post("/__mock/issues/:key/attachments", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const { filename, mimeType, text, base64 } = req.body || {};
+    if (!filename || (text === undefined && base64 === undefined)) {
+      return res.status(400).json({ errorMessages: ["filename and text or base64 are required"] });
+    }
+    const content = base64 !== undefined ? Buffer.from(String(base64), "base64") : Buffer.from(String(text), "utf8");
+    const id = String(20000 + attachments.size + 1);
+    const meta = {
+      id,
+      filename: String(filename),
+      mimeType: mimeType || (text !== undefined ? "text/plain" : "application/octet-stream"),
+      size: content.length,
+      content: `/rest/api/3/attachment/content/${id}`,
+      created: new Date().toISOString(),
+    };
+    attachments.set(id, { mimeType: meta.mimeType, content });
+    issue.fields.attachment.push(meta);
+    touch(issue);
+    res.status(201).json(meta);
+  });
+
+  app.post("/__mock/issues/:key/edit", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const { summary, description, author } = req.body || {};
+    const items = [];
+    if (typeof summary === "string") { issue.fields.summary = summary; items.push({ field: "summary" }); }
+    if (typeof description === "string") { issue.fields.description = textToAdf(description); items.push({ field: "description" }); }
+    touch(issue);
+    fireWebhook("jira:issue_updated", issue, { user: person(author || "Jira user"), changelog: { items } });
+    res.json(publicIssue(issue));
+  });
+
+  app.post("/__mock/issues/:key/transition", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const { status, author } = req.body || {};
+    if (!status) return res.status(400).json({ errorMessages: ["status is required"] });
+    const from = issue.fields.status?.name;
+    issue.fields.status = { name: String(status) };
+    touch(issue);
+    fireWebhook("jira:issue_updated", issue, {
+      user: person(author || "Jira user"),
+      changelog: { items: [{ field: "status", fromString: from, toString: String(status) }] },
+    });
+    res.json(publicIssue(issue));
+  });
+
+  app.post("/__mock/issues/:key/assign", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const { displayName, accountId, email, author } = req.body || {};
+    issue.fields.assignee = displayName
+      ? { accountId: accountId || person(displayName).accountId, displayName, emailAddress: email || "" }
+      : null;
+    touch(issue);
+    fireWebhook("jira:issue_updated", issue, { user: person(author || "Jira user"), changelog: { items: [{ field: "assignee" }] } });
+    res.json(publicIssue(issue));
+  });
+
+  app.post("/__mock/issues/:key/comment", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+    const { body, author } = req.body || {};
+    if (!body) return res.status(400).json({ errorMessages: ["body is required"] });
+    res.status(201).json(addComment(issue, textToAdf(body), person(author || "Jira user")));
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    issues = new Map();
+    counters = new Map();
+    commentSeq = 0;
+    attachments = new Map();
+    deliveries.length = 0;
+    res.json({ reset: true });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_JIRA_PORT) || 4010;
+  createMockJira().listen(port, () => {
+    console.log(`Mock Jira running on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockJira };
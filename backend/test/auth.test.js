@@ -0,0 +1,45 @@
+// backend/test/auth.test.js
+// Local ID tokens stop working once the password they were issued under is changed.
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const User = require("../models/User");
+const { createAuthProviders } = require("../library/auth");
+
+describe("local ID tokens", () => {
+  const user = new User({ email: "dev@example.com", name: "Dev", passwordChangedAt: new Date("2026-01-01T10:00:00Z") });
+  let stored;
+  let originalFindById;
+  let local;
+
+  before(() => {
+    originalFindById = User.findById;
+    // the provider only reads passwordChangedAt of the token's subject
+    User.findById = (id) => ({ select: async () => (stored && String(id) === stored._id.toString() ? stored : null) });
+    local = createAuthProviders("local", { local: { secret: "test-secret" } }).get("local");
+  });
+
+  after(() => {
+    User.findById = originalFindById;
+  });
+
+  it("are accepted while the password is unchanged", async () => {
+    stored = { _id: user._id, passwordChangedAt: user.passwordChangedAt };
+    const identity = await local.verifyToken(local.issueIdToken(user));
+    assert.equal(identity.subject, user._id.toString());
+    assert.equal(identity.email, "dev@example.com");
+  });
+
+  it("are rejected after the password was changed", async () => {
+    const token = local.issueIdToken(user);
+    stored = { _id: user._id, passwordChangedAt: new Date("2026-01-01T10:00:00.500Z") };
+    await assert.rejects(local.verifyToken(token), /no longer valid/);
+  });
+
+  it("are rejected when the account is gone", async () => {
+    const token = local.issueIdToken(user);
+    stored = null;
+    await assert.rejects(local.verifyToken(token), /no longer valid/);
+  });
+});
@@ -0,0 +1,199 @@
+// backend/test/jiraSync.test.js
+// Jira push, pull, conflicts, bulk push and regenerate against the in-memory mock Jira
+// (scripts/mock-jira.js). Run with `npm test`; no MongoDB or real Jira needed.
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+
+const { createMockJira } = require("../scripts/mock-jira");
+const jira = require("../library/jira");
+const jiraSync = require("../library/jiraSync");
+
+let server;
+let baseUrl;
+const savedEnv = {};
+
+function mock(path, body) {
+  return axios.post(`${baseUrl}${path}`, body).then((r) => r.data);
+}
+
+async function mockIssue(key) {
+  const { issues } = (await axios.get(`${baseUrl}/__mock/issues`)).data;
+  return issues.find((i) => i.key === key);
+}
+
+function testcase(tcId, overrides = {}) {
+  return {
+    tc_id: tcId,
+    req_id: "REQ-1",
+    jira_id: "",
+    title: `Login ${tcId}`,
+    preconditions: ["A registered user"],
+    steps: ["Open the login page", "Enter valid credentials"],
+    expected: "The dashboard is shown",
+    automatable: true,
+    suggested_tool: "Playwright",
+    confidence: 0.9,
+    compliance: [],
+    ...overrides,
+  };
+}
+
+function approved() {
+  return { status: "approved", history: [{ from: "in_review", to: "approved", email: "lead@example.com", at: new Date() }] };
+}
+
+function generatedSet(testcases) {
+  return { requirementId: "REQ-1", requirementTitle: "Login", selectedStandards: [], testcases };
+}
+
+// a set whose parent exists in Jira and whose testcases are pushed and tracked
+async function pushedSet(testcases) {
+  const set = generatedSet(testcases);
+  const { options } = jira.resolvePushOptions();
+  set.jiraId = (await jira.createParentTask(set, options)).key;
+  await jiraSync.pushTestcaseIssues(set, set.testcases, options);
+  return set;
+}
+
+before(async () => {
+  server = createMockJira({ webhookUrl: "" }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const env = { JIRA_BASE_URL: baseUrl, JIRA_USER_EMAIL: "qa@example.com", JIRA_API_TOKEN: "token", JIRA_PROJECT_KEY: "QA" };
+  for (const [name, value] of Object.entries(env)) {
+    savedEnv[name] = process.env[name];
+    process.env[name] = value;
+  }
+});
+
+after(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  server.close();
+});
+
+beforeEach(() => mock("/__mock/reset"));
+
+describe("bulk push", () => {
+  it("creates one issue per testcase under the parent and tracks each", async () => {
+    const set = generatedSet([testcase("TC-1"), testcase("TC-2"), testcase("TC-3")]);
+    const { options } = jira.resolvePushOptions();
+    set.jiraId = (await jira.createParentTask(set, options)).key;
+    const stored = [];
+
+    const results = await jiraSync.pushTestcaseIssues(set, set.testcases, options, {
+      concurrency: 2,
+      onCreated: (tc) => stored.push(tc.tc_id),
+    });
+
+    assert.equal(set.jiraId, "QA-1");
+    assert.deepEqual(results.map((r) => r.status), ["created", "created", "created"]);
+    assert.deepEqual(stored.sort(), ["TC-1", "TC-2", "TC-3"]);
+    for (const tc of set.testcases) {
+      const issue = await mockIssue(tc.jira_id);
+      assert.equal(issue.fields.parent.key, "QA-1");
+      assert.equal(issue.fields.summary, `Testcase: ${tc.title}`);
+      assert.equal(tc.jiraSync.status, "synced");
+    }
+  });
+
+  it("reports failures per testcase without a key", async () => {
+    const set = { ...generatedSet([testcase("TC-1")]), jiraId: "QA-404" };
+    const { options } = jira.resolvePushOptions();
+
+    const results = await jiraSync.pushTestcaseIssues(set, set.testcases, options);
+
+    assert.equal(results[0].status, "failed");
+    assert.match(results[0].error, /parent/);
+    assert.equal(set.testcases[0].jira_id, "");
+  });
+});
+
+describe("syncTestcase", () => {
+  it("leaves an untouched testcase unchanged", async () => {
+    const set = await pushedSet([testcase("TC-1")]);
+    const result = await jiraSync.syncTestcase(set, set.testcases[0]);
+    assert.equal(result.action, "unchanged");
+  });
+
+  it("pushes local edits to the issue", async () => {
+    const set = await pushedSet([testcase("TC-1")]);
+    const tc = set.testcases[0];
+    tc.steps = [...tc.steps, "Press Sign in"];
+
+    const result = await jiraSync.syncTestcase(set, tc);
+
+    assert.equal(result.action, "pushed");
+    const issue = await mockIssue(tc.jira_id);
+    assert.match(jira.adfToText(issue.fields.description), /Press Sign in/);
+    assert.equal(tc.jiraSync.status, "synced");
+  });
+
+  it("pulls edits made in Jira and sends the review back to draft", async () => {
+    const set = await pushedSet([testcase("TC-1", { review: approved() })]);
+    const tc = set.testcases[0];
+    await mock(`/__mock/issues/${tc.jira_id}/edit`, { summary: "Testcase: Login with SSO" });
+    await mock(`/__mock/issues/${tc.jira_id}/transition`, { status: "In Progress" });
+
+    const result = await jiraSync.syncTestcase(set, tc, { actor: { email: "jira" } });
+
+    assert.equal(result.action, "pulled");
+    assert.deepEqual(result.changed, ["title"]);
+    assert.equal(tc.title, "Login with SSO");
+    assert.equal(tc.review.status, "draft");
+    assert.equal(tc.jiraSync.remoteStatus, "In Progress");
+  });
+
+  it("holds edits on both sides as a conflict until a side is picked", async () => {
+    const set = await pushedSet([testcase("TC-1")]);
+    const tc = set.testcases[0];
+    tc.title = "Login (local)";
+    await mock(`/__mock/issues/${tc.jira_id}/edit`, { summary: "Testcase: Login (remote)" });
+
+    const conflict = await jiraSync.syncTestcase(set, tc);
+    assert.equal(conflict.action, "conflict");
+    assert.equal(tc.jiraSync.status, "conflict");
+    assert.equal(tc.jiraSync.conflict.remote.title, "Login (remote)");
+    assert.equal(tc.title, "Login (local)");
+    assert.equal((await mockIssue(tc.jira_id)).fields.summary, "Testcase: Login (remote)");
+
+    const resolved = await jiraSync.syncTestcase(set, tc, { resolve: "local" });
+    assert.equal(resolved.action, "pushed");
+    assert.equal(tc.jiraSync.status, "synced");
+    assert.equal((await mockIssue(tc.jira_id)).fields.summary, "Testcase: Login (local)");
+  });
+});
+
+describe("regenerating a set", () => {
+  it("keeps the Jira links of testcases that keep their tc_id and pushes the new content", async () => {
+    const set = await pushedSet([
+      testcase("TC-1", { review: approved(), automation: [{ version: 1, framework: "playwright" }] }),
+      testcase("TC-2"),
+    ]);
+    const [linked, droppedTc] = set.testcases;
+    const regenerated = [
+      testcase("TC-1", { steps: ["Open the login page", "Enter valid credentials", "Accept the terms"] }),
+      testcase("TC-3"),
+    ];
+
+    const { kept, dropped } = jiraSync.carryOverTestcases(set.testcases, regenerated, { email: "qa@example.com" });
+    set.testcases = regenerated;
+
+    assert.deepEqual(kept, ["TC-1"]);
+    assert.deepEqual(dropped, [{ tc_id: "TC-2", key: droppedTc.jira_id }]);
+    const [tc1, tc3] = regenerated;
+    assert.equal(tc1.jira_id, linked.jira_id);
+    assert.deepEqual(tc1.automation, [{ version: 1, framework: "playwright" }]);
+    assert.equal(tc1.review.status, "draft");
+    assert.equal(tc1.review.history.length, 2);
+    assert.equal(tc3.jira_id, "");
+
+    const result = await jiraSync.syncTestcase(set, tc1);
+    assert.equal(result.action, "pushed");
+    assert.match(jira.adfToText((await mockIssue(tc1.jira_id)).fields.description), /Accept the terms/);
+  });
+});
@@ -0,0 +1,61 @@
+// backend/test/mailer.test.js
+// Account emails carry credentials (verification and invitation links): they reach the
+// transport, and the console only with the dev flag outside production.
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMailer } = require("../library/mailer");
+
+const message = { kind: "email-verification", to: "new@example.com", subject: "Verify", text: "link?token=SECRET" };
+
+describe("mailer", () => {
+  let logged;
+  const originals = {};
+
+  beforeEach(() => {
+    logged = [];
+    for (const level of ["log", "warn", "error"]) {
+      originals[level] = console[level];
+      console[level] = (...args) => logged.push(args.join(" "));
+    }
+  });
+
+  afterEach(() => {
+    for (const level of Object.keys(originals)) console[level] = originals[level];
+  });
+
+  it("hands the message to the transport", async () => {
+    const sent = [];
+    const mailer = createMailer({ transport: { send: async (m) => sent.push(m) } });
+    assert.deepEqual(await mailer.send(message), { delivered: true, via: "transport" });
+    assert.deepEqual(sent, [message]);
+    assert.ok(!logged.some((line) => line.includes("SECRET")));
+  });
+
+  it("reports a failing transport without logging the message", async () => {
+    const mailer = createMailer({ transport: { send: async () => { throw new Error("SMTP unavailable"); } } });
+    const result = await mailer.send(message);
+    assert.equal(result.delivered, false);
+    assert.equal(result.error, "SMTP unavailable");
+    assert.ok(!logged.some((line) => line.includes("SECRET")));
+  });
+
+  it("does not log links without a transport", async () => {
+    const result = await createMailer({ devLog: false, production: false }).send(message);
+    assert.deepEqual(result, { delivered: false, via: "none" });
+    assert.ok(!logged.some((line) => line.includes("SECRET")));
+  });
+
+  it("ignores the dev flag in production", async () => {
+    const result = await createMailer({ devLog: true, production: true }).send(message);
+    assert.equal(result.delivered, false);
+    assert.ok(!logged.some((line) => line.includes("SECRET")));
+  });
+
+  it("logs the message with the dev flag outside production", async () => {
+    const result = await createMailer({ devLog: true, production: false }).send(message);
+    assert.deepEqual(result, { delivered: true, via: "log" });
+    assert.ok(logged.some((line) => line.includes("SECRET")));
+  });
+});